@@ -10,6 +10,10 @@ const cors = require('cors');
 const routes = require('./routes');
 const { globalErrorHandler } = require('./utils/error.handler');
 const logger = require('./utils/logger');
+const anchorConfig = require('./config/anchor.config');
+const anchorWorker = require('./workers/anchor.worker');
+const auditConfig = require('./config/audit.config');
+const auditWorker = require('./workers/audit.worker');
 
 // Initialize Express app
 const app = express();
@@ -21,11 +25,12 @@ const PORT = process.env.PORT || 3000;
 app.use(cors({
     origin: process.env.CORS_ORIGIN || '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Prefer', 'Idempotency-Key'],
+    exposedHeaders: ['Location', 'Idempotent-Replayed']
 }));
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -46,7 +51,10 @@ app.get('/', (req, res) => {
             health: '/api/health',
             auth: '/api/auth',
             fabric: '/api/fabric',
-            records: '/api/records'
+            records: '/api/records',
+            verify: '/api/verify',
+            audits: '/api/audits',
+            recordTypes: '/api/record-types'
         }
     });
 });
@@ -71,6 +79,14 @@ app.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
     logger.info(`API available at: http://localhost:${PORT}`);
     logger.info(`=================================`);
+
+    if (anchorConfig.workerEnabled) {
+        anchorWorker.start();
+    }
+
+    if (auditConfig.schedulerEnabled) {
+        auditWorker.start();
+    }
 });
 
 // Handle unhandled promise rejections
@@ -9,13 +9,29 @@
  * - StoreRecordHash: Store a record's hash on the blockchain
  * - GetRecordHash: Retrieve a record's hash from the blockchain
  * - RecordExists: Check if a record exists
+ * - RevokeRecord: Mark a record as revoked, keeping its hash
  * - GetAllRecords: Get all stored record hashes
+ * - GetRecordsByHash: Find records whose current hash equals a given hash
  */
 
 'use strict';
 
 const { Contract } = require('fabric-contract-api');
 
+/**
+ * Proposal timestamp of the current transaction as an ISO string
+ * Set by the submitting client when it creates the proposal, so it is identical on every
+ * endorsing peer (unlike the local clock). It is not the block commit time, and is only
+ * as accurate as the client's clock (peers reject proposals too far from their own).
+ * @param {Context} ctx - Transaction context
+ * @returns {string} ISO timestamp
+ */
+function proposalTimestamp(ctx) {
+    const { seconds, nanos } = ctx.stub.getTxTimestamp();
+    const millis = seconds.toNumber() * 1000 + Math.floor((nanos || 0) / 1e6);
+    return new Date(millis).toISOString();
+}
+
 class RecordHashContract extends Contract {
 
     /**
@@ -51,7 +67,8 @@ class RecordHashContract extends Contract {
             docType: 'recordHash',
             recordId: recordId,
             hash: hash,
-            timestamp: timestamp || new Date().toISOString(),
+            timestamp: timestamp || proposalTimestamp(ctx),
+            proposalTimestamp: proposalTimestamp(ctx),
             createdBy: ctx.clientIdentity.getID(),
             txId: ctx.stub.getTxID()
         };
@@ -73,7 +90,8 @@ class RecordHashContract extends Contract {
             recordId: recordId,
             hash: hash,
             txId: ctx.stub.getTxID(),
-            timestamp: recordHash.timestamp
+            timestamp: recordHash.timestamp,
+            proposalTimestamp: recordHash.proposalTimestamp
         });
     }
 
@@ -129,13 +147,18 @@ class RecordHashContract extends Contract {
 
         const existingRecord = JSON.parse(existingRecordJSON.toString());
 
+        if (existingRecord.status === 'revoked') {
+            throw new Error(`Record ${recordId} has been revoked`);
+        }
+
         // Create updated record with history
         const updatedRecord = {
             docType: 'recordHash',
             recordId: recordId,
             hash: newHash,
             previousHash: existingRecord.hash,
-            timestamp: timestamp || new Date().toISOString(),
+            timestamp: timestamp || proposalTimestamp(ctx),
+            proposalTimestamp: proposalTimestamp(ctx),
             updatedBy: ctx.clientIdentity.getID(),
             txId: ctx.stub.getTxID(),
             originalTimestamp: existingRecord.timestamp
@@ -156,7 +179,78 @@ class RecordHashContract extends Contract {
             recordId: recordId,
             previousHash: existingRecord.hash,
             newHash: newHash,
+            txId: ctx.stub.getTxID(),
+            proposalTimestamp: updatedRecord.proposalTimestamp
+        });
+    }
+
+    /**
+     * Revoke a record
+     * The hash stays on the ledger, so a copy of the document is still recognised,
+     * but anyone verifying it learns it was revoked, when, by whom and why.
+     * A record that was never anchored under its own ID (e.g. one anchored inside
+     * a Merkle batch) gets a revocation entry of its own.
+     * @param {Context} ctx - Transaction context
+     * @param {string} recordId - Record identifier
+     * @param {string} hash - Hash of the record data being revoked
+     * @param {string} reason - Reason for the revocation
+     * @param {string} revokedBy - User who requested the revocation
+     * @param {string} timestamp - Timestamp of the revocation
+     * @returns {Object} Revocation result
+     */
+    async RevokeRecord(ctx, recordId, hash, reason, revokedBy, timestamp) {
+        if (!recordId || !hash) {
+            throw new Error('recordId and hash are required');
+        }
+
+        const existingRecordJSON = await ctx.stub.getState(recordId);
+        const existingRecord = existingRecordJSON && existingRecordJSON.length > 0
+            ? JSON.parse(existingRecordJSON.toString())
+            : null;
+
+        if (existingRecord && existingRecord.status === 'revoked') {
+            throw new Error(`Record ${recordId} is already revoked`);
+        }
+
+        const revokedAt = timestamp || proposalTimestamp(ctx);
+        const revokedRecord = {
+            docType: 'recordHash',
+            recordId: recordId,
+            hash: hash,
+            status: 'revoked',
+            revocationReason: reason || null,
+            revokedBy: revokedBy || ctx.clientIdentity.getID(),
+            submittedBy: ctx.clientIdentity.getID(),
+            timestamp: revokedAt,
+            proposalTimestamp: proposalTimestamp(ctx),
             txId: ctx.stub.getTxID()
+        };
+
+        if (existingRecord) {
+            revokedRecord.originalTimestamp = existingRecord.originalTimestamp || existingRecord.timestamp;
+            if (existingRecord.hash !== hash) {
+                revokedRecord.previousHash = existingRecord.hash;
+            }
+        }
+
+        await ctx.stub.putState(recordId, Buffer.from(JSON.stringify(revokedRecord)));
+
+        // Emit revocation event
+        ctx.stub.setEvent('RecordRevoked', Buffer.from(JSON.stringify({
+            recordId: recordId,
+            hash: hash,
+            reason: revokedRecord.revocationReason,
+            txId: ctx.stub.getTxID()
+        })));
+
+        return JSON.stringify({
+            success: true,
+            recordId: recordId,
+            hash: hash,
+            status: 'revoked',
+            txId: ctx.stub.getTxID(),
+            timestamp: revokedAt,
+            proposalTimestamp: revokedRecord.proposalTimestamp
         });
     }
 
@@ -190,6 +284,34 @@ class RecordHashContract extends Contract {
         return JSON.stringify(history);
     }
 
+    /**
+     * Find records whose current hash equals the given hash
+     * Requires CouchDB as the state database (rich query)
+     * @param {Context} ctx - Transaction context
+     * @param {string} hash - Hash to search for
+     * @returns {Array} Matching record hashes
+     */
+    async GetRecordsByHash(ctx, hash) {
+        const queryString = {
+            selector: {
+                docType: 'recordHash',
+                hash: hash
+            }
+        };
+
+        const iterator = await ctx.stub.getQueryResult(JSON.stringify(queryString));
+        const records = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            records.push(JSON.parse(result.value.value.toString()));
+            result = await iterator.next();
+        }
+
+        await iterator.close();
+        return JSON.stringify(records);
+    }
+
     /**
      * Get all record hashes (with pagination)
      * @param {Context} ctx - Transaction context
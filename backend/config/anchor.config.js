@@ -0,0 +1,35 @@
+/**
+ * Anchoring Configuration
+ * Settings for the blockchain anchoring outbox and its retry worker
+ */
+
+module.exports = {
+    // Run the background worker inside the API process
+    workerEnabled: process.env.ANCHOR_WORKER_ENABLED !== 'false',
+
+    // How often the worker polls the outbox for due entries
+    pollIntervalMs: parseInt(process.env.ANCHOR_WORKER_INTERVAL_MS, 10) || 5000,
+
+    // Maximum entries claimed per poll
+    batchSize: parseInt(process.env.ANCHOR_WORKER_BATCH_SIZE, 10) || 10,
+
+    // Retry backoff: baseDelay * 2^(attempts - 1), capped at maxDelay
+    retryBaseDelayMs: parseInt(process.env.ANCHOR_RETRY_BASE_MS, 10) || 5000,
+    retryMaxDelayMs: parseInt(process.env.ANCHOR_RETRY_MAX_MS, 10) || 300000,
+
+    // After this many failed attempts the record is marked as failed
+    maxAttempts: parseInt(process.env.ANCHOR_MAX_ATTEMPTS, 10) || 8,
+
+    // single: one blockchain transaction per record
+    // merkle: pending hashes are collected into a Merkle tree and only the root is anchored
+    batchMode: process.env.ANCHOR_BATCH_MODE || 'single',
+
+    // A Merkle batch is anchored once it holds this many records...
+    merkleBatchMaxSize: parseInt(process.env.ANCHOR_BATCH_MAX_SIZE, 10) || 100,
+
+    // ...or once its oldest record has waited this long
+    merkleBatchWindowMs: parseInt(process.env.ANCHOR_BATCH_WINDOW_MS, 10) || 10000,
+
+    // Entries stuck in processing longer than this are reclaimed (crashed worker)
+    lockTimeoutMs: parseInt(process.env.ANCHOR_LOCK_TIMEOUT_MS, 10) || 300000
+};
@@ -0,0 +1,15 @@
+/**
+ * Integrity Audit Configuration
+ * Settings for the scheduled full-database integrity audit
+ */
+
+module.exports = {
+    // Run the audit on a schedule inside the API process
+    schedulerEnabled: process.env.AUDIT_SCHEDULER_ENABLED !== 'false',
+
+    // Time between scheduled audits
+    intervalMs: (parseFloat(process.env.AUDIT_INTERVAL_HOURS) || 24) * 60 * 60 * 1000,
+
+    // Records read from the database per page while walking the table
+    pageSize: parseInt(process.env.AUDIT_PAGE_SIZE, 10) || 500
+};
@@ -0,0 +1,16 @@
+/**
+ * Blockchain Configuration
+ * Which ledgers record hashes are anchored to
+ */
+
+const modes = (process.env.BLOCKCHAIN_MODE || 'mock').split(',').map(mode => mode.trim()).filter(Boolean);
+
+module.exports = {
+    // BLOCKCHAIN_MODE is one mode or a comma-separated list (e.g. "fabric,polygon").
+    // With several, every record is anchored to all of them; the first is the primary
+    // ledger whose tx ID is stored on the record and whose state answers lookups.
+    ledgers: modes.length > 0 ? modes : ['mock'],
+
+    // How many ledgers must confirm a hash for verification to pass: all, any, or a number
+    quorum: process.env.BLOCKCHAIN_QUORUM || 'all'
+};
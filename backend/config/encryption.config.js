@@ -0,0 +1,43 @@
+/**
+ * Data Encryption Configuration
+ * Master keys that wrap the per-record data keys used to encrypt data_json at rest
+ */
+
+/**
+ * Parse DATA_MASTER_KEYS: comma-separated "<keyId>:<base64 32-byte key>" entries
+ * Old keys stay listed after a rotation until every data key is re-wrapped.
+ */
+const parseMasterKeys = (value) => {
+    const keys = {};
+
+    const entries = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+    entries.forEach((entry, i) => {
+        const separator = entry.indexOf(':');
+        const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+        // The entry itself is not echoed: it may be key material
+        if (separator <= 0 || key.length !== 32) {
+            throw new Error(`Invalid DATA_MASTER_KEYS entry #${i + 1}: expected <keyId>:<base64 32-byte key>`);
+        }
+        keys[entry.slice(0, separator)] = key;
+    });
+
+    return keys;
+};
+
+const masterKeys = parseMasterKeys(process.env.DATA_MASTER_KEYS);
+
+module.exports = {
+    // keyId → 32-byte AES key; encryption is off (data_json stored in plain) when empty
+    masterKeys,
+
+    // Key that wraps new data keys and that rotation re-wraps to (defaults to the first listed)
+    activeKeyId: process.env.DATA_MASTER_KEY_ID || Object.keys(masterKeys)[0] || null,
+
+    // Data keys re-wrapped per transaction during rotation
+    rotationBatchSize: parseInt(process.env.DATA_KEY_ROTATION_BATCH_SIZE, 10) || 500,
+
+    // Records encrypted per transaction by scripts/encrypt-existing-data.js
+    backfillBatchSize: parseInt(process.env.DATA_ENCRYPTION_BACKFILL_BATCH_SIZE, 10) || 100
+};
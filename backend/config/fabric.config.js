@@ -14,6 +14,9 @@ module.exports = {
     
     // MSP ID for the organization
     mspId: process.env.MSP_ID || 'Org1MSP',
+
+    // Wallet identity the backend submits record hash transactions with
+    serviceIdentity: process.env.FABRIC_USER_ID || 'admin',
     
     // Path to the connection profile
     connectionProfilePath: process.env.CONNECTION_PROFILE_PATH || 
@@ -0,0 +1,60 @@
+/**
+ * Mock Fault Injection Configuration
+ * Chain failures BLOCKCHAIN_MODE=mock simulates, to reproduce outages locally
+ */
+
+const readRate = (name) => {
+    return process.env[name] !== undefined ? parseFloat(process.env[name]) : undefined;
+};
+
+const readInt = (name) => {
+    return process.env[name] !== undefined ? parseInt(process.env[name], 10) : undefined;
+};
+
+// Named starting points; any setting below overrides the profile's value
+const PROFILES = {
+    none: {},
+    flaky: { failureRate: 0.2, timeoutRate: 0.05 },
+    slow: { confirmationDelayMs: 5000 },
+    lossy: { dropRate: 0.2 },
+    reorg: { reorgRate: 0.1, reorgDepth: 2 },
+    outage: { failureRate: 1 }
+};
+
+module.exports = {
+    PROFILES,
+
+    // Profile active at startup (MOCK_FAULT_PROFILE)
+    profile: process.env.MOCK_FAULT_PROFILE || 'none',
+
+    // Per-setting overrides; undefined keeps the profile's value
+    overrides: {
+        // Share of calls (reads and writes) rejected with an error
+        failureRate: readRate('MOCK_FAULT_FAILURE_RATE'),
+
+        // Share of calls that hang for timeoutMs and then fail
+        timeoutRate: readRate('MOCK_FAULT_TIMEOUT_RATE'),
+        timeoutMs: readInt('MOCK_FAULT_TIMEOUT_MS'),
+
+        // Extra wait before a write is confirmed
+        confirmationDelayMs: readInt('MOCK_FAULT_CONFIRMATION_DELAY_MS'),
+
+        // Share of writes reported as successful but never written to the ledger
+        dropRate: readRate('MOCK_FAULT_DROP_RATE'),
+
+        // Share of writes followed by a reorg that removes the last reorgDepth blocks
+        reorgRate: readRate('MOCK_FAULT_REORG_RATE'),
+        reorgDepth: readInt('MOCK_FAULT_REORG_DEPTH')
+    },
+
+    // Values for settings neither the profile nor an override sets
+    defaults: {
+        failureRate: 0,
+        timeoutRate: 0,
+        timeoutMs: 30000,
+        confirmationDelayMs: 0,
+        dropRate: 0,
+        reorgRate: 0,
+        reorgDepth: 1
+    }
+};
@@ -0,0 +1,14 @@
+/**
+ * Mock Ledger Configuration
+ * Settings for the hash-chained ledger behind BLOCKCHAIN_MODE=mock
+ */
+
+const path = require('path');
+
+module.exports = {
+    // Keep mock blocks on disk so anchored hashes survive restarts ('false' = in memory only)
+    persist: process.env.MOCK_LEDGER_PERSIST !== 'false',
+
+    // Append-only block file, one JSON block per line
+    file: process.env.MOCK_LEDGER_FILE || path.join(__dirname, '..', 'storage', 'mock-ledger', 'blocks.jsonl')
+};
@@ -0,0 +1,18 @@
+/**
+ * Proof Bundle Configuration
+ * Settings for signed, offline-verifiable record proof bundles
+ */
+
+const path = require('path');
+
+module.exports = {
+    // Ed25519 private key (PEM) used to sign proof bundles
+    // Either inline via PROOF_SIGNING_KEY or a file via PROOF_SIGNING_KEY_PATH;
+    // if the file does not exist a new key is generated there on first use
+    signingKey: process.env.PROOF_SIGNING_KEY || null,
+    signingKeyPath: process.env.PROOF_SIGNING_KEY_PATH ||
+        path.join(__dirname, '..', 'keys', 'proof-signing-key.pem'),
+
+    // Name of the issuing backend, embedded in every bundle
+    issuer: process.env.PROOF_ISSUER || 'fabric-backend'
+};
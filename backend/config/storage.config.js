@@ -0,0 +1,18 @@
+/**
+ * Attachment Storage Configuration
+ * Settings for the blob storage that holds record attachments
+ */
+
+const path = require('path');
+
+module.exports = {
+    // Blob storage driver: 'local' is built in, others are added with blobStorageService.registerDriver()
+    driver: process.env.STORAGE_DRIVER || 'local',
+
+    // Directory used by the local driver
+    localDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'storage', 'attachments'),
+
+    // Upload limits per request
+    maxFileBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 25 * 1024 * 1024,
+    maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 10
+};
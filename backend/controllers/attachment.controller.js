@@ -0,0 +1,371 @@
+/**
+ * Attachment Controller
+ * Handles HTTP requests for record attachments
+ * Adding or removing an attachment changes the record hash, which is re-anchored like a data update
+ */
+
+const busboy = require('busboy');
+const recordService = require('../services/record.service');
+const attachmentService = require('../services/attachment.service');
+const blockchainService = require('../services/blockchain.service');
+const anchorService = require('../services/anchor.service');
+const storageConfig = require('../config/storage.config');
+const anchorConfig = require('../config/anchor.config');
+const { successResponse, errorResponse } = require('../utils/response.helper');
+const { AppError } = require('../utils/error.handler');
+const logger = require('../utils/logger');
+
+/**
+ * Stream every file of a multipart request into blob storage
+ * Files are hashed as they arrive; nothing is buffered in memory.
+ * @param {Object} req - Express request (multipart/form-data)
+ * @param {string} recordId - Record the files belong to
+ * @returns {Promise<Object>} { attachments, error } - error is { status, message } if the upload was
+ *          rejected; attachments stored before that must be discarded by the caller
+ */
+const receiveFiles = (req, recordId) => {
+    return new Promise((resolve) => {
+        const attachments = [];
+        const pending = [];
+        let failure = null;
+        let finished = false;
+
+        const fail = (status, message) => {
+            failure = failure || { status, message };
+        };
+
+        const finish = async () => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            await Promise.allSettled(pending);
+            resolve({ attachments: attachments.filter(Boolean), error: failure });
+        };
+
+        let parser;
+        try {
+            parser = busboy({
+                headers: req.headers,
+                limits: { fileSize: storageConfig.maxFileBytes, files: storageConfig.maxFiles }
+            });
+        } catch (error) {
+            fail(400, `Invalid multipart request: ${error.message}`);
+            finish();
+            return;
+        }
+
+        parser.on('file', (field, file, info) => {
+            if (failure) {
+                file.resume();
+                return;
+            }
+
+            const filename = (info.filename || field || 'attachment').slice(0, 255);
+            const index = pending.length;
+
+            file.on('limit', () => fail(413, `${filename} is larger than ${storageConfig.maxFileBytes} bytes`));
+
+            pending.push(
+                attachmentService.store(recordId, file, {
+                    filename,
+                    contentType: (info.mimeType || 'application/octet-stream').slice(0, 255)
+                })
+                    .then(attachment => { attachments[index] = attachment; })
+                    .catch(error => {
+                        logger.error(`Error storing attachment ${filename}:`, error);
+                        fail(500, `Failed to store ${filename}`);
+                    })
+            );
+        });
+
+        parser.on('filesLimit', () => fail(413, `At most ${storageConfig.maxFiles} files can be uploaded at once`));
+        parser.on('error', (error) => {
+            fail(400, `Invalid multipart request: ${error.message}`);
+            req.unpipe(parser);
+            finish();
+        });
+        parser.on('close', finish);
+
+        req.pipe(parser);
+    });
+};
+
+/**
+ * Anchor a record's new hash after an attachment change
+ * The change was saved with its hash queued for anchoring first (recordService.updateAttachments),
+ * so the ledger never holds a hash the DB does not have. In Merkle batch mode the hash is left
+ * to the anchor worker; otherwise it is anchored right away.
+ * @param {Object} saved - { record, previousHash, hash } from recordService.updateAttachments
+ * @returns {Promise<Object>} saved, plus anchored and (if anchored) blockchainResult and the updated record
+ */
+const anchorAttachmentChange = async (saved) => {
+    if (anchorConfig.batchMode === 'merkle') {
+        return { ...saved, anchored: false };
+    }
+
+    const entry = await anchorService.claimForRecord(saved.record.id);
+    const anchorResult = entry ? await anchorService.processEntry(entry) : { anchored: false };
+
+    if (!anchorResult.anchored) {
+        return { ...saved, anchored: false };
+    }
+
+    logger.info(`Blockchain update response for record ${saved.record.id}:`, anchorResult.blockchainResult);
+    return { ...saved, record: anchorResult.record, anchored: true, blockchainResult: anchorResult.blockchainResult };
+};
+
+const formatAttachment = (attachment) => ({
+    id: attachment.id,
+    filename: attachment.filename,
+    contentType: attachment.content_type,
+    size: Number(attachment.size_bytes),
+    hash: attachment.content_hash,
+    algorithm: attachment.hash_algorithm,
+    created_at: attachment.created_at
+});
+
+const formatProof = (result) => ({
+    previousHash: result.previousHash,
+    hash: result.hash,
+    canonicalization: result.record.canonicalization,
+    algorithm: result.record.hash_algorithm,
+    transactionId: result.blockchainResult.tx_id,
+    timestamp: result.blockchainResult.timestamp,
+    blockchainMode: blockchainService.getMode()
+});
+
+/**
+ * Send the result of an attachment change
+ * 200/201 with the on-chain proof once the new hash is anchored, 202 with a status URL while it is pending
+ */
+const sendReanchorResult = (req, res, result, response, message, statusCode) => {
+    if (!result.anchored) {
+        const statusUrl = `${req.baseUrl}/${result.record.id}/status`;
+        res.location(statusUrl);
+        return successResponse(res, {
+            ...response,
+            anchoring: {
+                status: 'pending',
+                previousHash: result.previousHash,
+                hash: result.hash,
+                statusUrl,
+                blockchainMode: blockchainService.getMode()
+            }
+        }, `${message}, blockchain anchoring ${anchorConfig.batchMode === 'merkle' ? 'queued' : 'pending retry'}`, 202);
+    }
+
+    return successResponse(
+        res,
+        { ...response, onChainProof: formatProof(result) },
+        `${message} and new hash stored on blockchain`,
+        statusCode
+    );
+};
+
+/**
+ * Upload one or more attachments to a record
+ * Flow:
+ * 1. Stream each file into blob storage, hashing it on the way
+ * 2. With the record locked, recompute its hash over data_json + the attachment manifest and save
+ *    the attachments and new hash, queued for anchoring, in one transaction
+ * 3. Anchor the new hash (202 in Merkle batch mode or while the chain is unavailable)
+ * Stored files are removed again if saving fails.
+ *
+ * POST /api/records/:id/attachments (multipart/form-data)
+ */
+const uploadAttachments = async (req, res) => {
+    let stored = [];
+
+    try {
+        const { id } = req.params;
+
+        if (!req.is('multipart/form-data')) {
+            return errorResponse(res, 'Expected a multipart/form-data request', 415);
+        }
+
+        const record = await recordService.findById(id);
+
+        if (!record) {
+            return errorResponse(res, 'Record not found', 404);
+        }
+
+        if (record.erased_at) {
+            return errorResponse(res, 'Record was erased by request', 410);
+        }
+
+        if (record.revoked_at) {
+            return errorResponse(res, 'Record was revoked', 410);
+        }
+
+        // 1. Stream files into blob storage
+        const upload = await receiveFiles(req, id);
+        stored = upload.attachments;
+
+        if (upload.error) {
+            await attachmentService.discard(stored);
+            stored = [];
+            return errorResponse(res, upload.error.message, upload.error.status);
+        }
+
+        if (stored.length === 0) {
+            return errorResponse(res, 'No files in request', 400);
+        }
+
+        // 2. Re-hash and save
+        let saved;
+        try {
+            saved = await recordService.updateAttachments(id, { added: stored });
+        } catch (error) {
+            if (error instanceof AppError) {
+                await attachmentService.discard(stored);
+                stored = [];
+                return errorResponse(res, error.message, error.statusCode);
+            }
+            throw error;
+        }
+
+        if (!saved) {
+            await attachmentService.discard(stored);
+            stored = [];
+            return errorResponse(res, 'Record not found', 404);
+        }
+
+        // The files belong to the record now, whatever happens while anchoring
+        const added = stored;
+        stored = [];
+
+        // 3. Anchor
+        const result = await anchorAttachmentChange(saved);
+        const response = { recordId: id, attachments: added.map(formatAttachment) };
+        return sendReanchorResult(req, res, result, response, 'Attachments uploaded', 201);
+
+    } catch (error) {
+        await attachmentService.discard(stored);
+        logger.error('Error uploading attachments:', error);
+        return errorResponse(res, 'Failed to upload attachments', 500, error);
+    }
+};
+
+/**
+ * List the attachments of a record
+ * GET /api/records/:id/attachments
+ */
+const getAttachments = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const record = await recordService.findById(id);
+
+        if (!record) {
+            return errorResponse(res, 'Record not found', 404);
+        }
+
+        const attachments = await attachmentService.findByRecord(id);
+
+        return successResponse(res, {
+            recordId: id,
+            attachments: attachments.map(formatAttachment),
+            count: attachments.length
+        }, 'Attachments retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error getting attachments:', error);
+        return errorResponse(res, 'Failed to retrieve attachments', 500, error);
+    }
+};
+
+/**
+ * Download an attachment
+ * The recorded content hash is sent in X-Content-Hash so clients can check the bytes.
+ * GET /api/records/:id/attachments/:attachmentId
+ */
+const downloadAttachment = async (req, res) => {
+    try {
+        const { id, attachmentId } = req.params;
+
+        const attachment = await attachmentService.findById(id, attachmentId);
+
+        if (!attachment) {
+            return errorResponse(res, 'Attachment not found', 404);
+        }
+
+        const stream = await attachmentService.open(attachment);
+
+        if (!stream) {
+            return errorResponse(res, 'Attachment content is missing from storage', 410);
+        }
+
+        res.attachment(attachment.filename);
+        res.set({
+            'Content-Type': attachment.content_type,
+            'X-Content-Hash': attachment.content_hash
+        });
+
+        stream.on('error', (error) => {
+            logger.error(`Error streaming attachment ${attachmentId}:`, error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+
+    } catch (error) {
+        logger.error('Error downloading attachment:', error);
+        return errorResponse(res, 'Failed to download attachment', 500, error);
+    }
+};
+
+/**
+ * Remove an attachment from a record
+ * The record is re-hashed without it and re-anchored. The stored file is kept,
+ * since earlier versions of the record were hashed with it.
+ *
+ * DELETE /api/records/:id/attachments/:attachmentId
+ */
+const deleteAttachment = async (req, res) => {
+    try {
+        const { id, attachmentId } = req.params;
+
+        const record = await recordService.findById(id);
+        const attachment = record && await attachmentService.findById(id, attachmentId);
+
+        if (!attachment) {
+            return errorResponse(res, 'Attachment not found', 404);
+        }
+
+        if (record.erased_at) {
+            return errorResponse(res, 'Record was erased by request', 410);
+        }
+
+        if (record.revoked_at) {
+            return errorResponse(res, 'Record was revoked', 410);
+        }
+
+        let saved;
+        try {
+            saved = await recordService.updateAttachments(id, { removed: [attachmentId] });
+        } catch (error) {
+            if (error instanceof AppError) {
+                return errorResponse(res, error.message, error.statusCode);
+            }
+            throw error;
+        }
+
+        if (!saved) {
+            return errorResponse(res, 'Record not found', 404);
+        }
+
+        const result = await anchorAttachmentChange(saved);
+        return sendReanchorResult(req, res, result, { recordId: id, attachmentId }, 'Attachment removed', 200);
+
+    } catch (error) {
+        logger.error('Error deleting attachment:', error);
+        return errorResponse(res, 'Failed to delete attachment', 500, error);
+    }
+};
+
+module.exports = {
+    uploadAttachments,
+    getAttachments,
+    downloadAttachment,
+    deleteAttachment
+};
@@ -0,0 +1,104 @@
+/**
+ * Audit Controller
+ * Handles HTTP requests for integrity audit runs
+ */
+
+const auditService = require('../services/audit.service');
+const { successResponse, errorResponse } = require('../utils/response.helper');
+const logger = require('../utils/logger');
+
+const RESULT_STATUSES = ['valid', 'db_mismatch', 'chain_mismatch', 'not_anchored', 'error', 'erased', 'revoked'];
+
+/**
+ * List audit runs with their summaries
+ * GET /api/audits
+ */
+const getAudits = async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = parseInt(req.query.offset) || 0;
+
+        const { runs, total } = await auditService.findRuns(limit, offset);
+
+        return successResponse(res, {
+            audits: runs,
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + runs.length < total
+            }
+        }, 'Audit runs retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error getting audit runs:', error);
+        return errorResponse(res, 'Failed to retrieve audit runs', 500, error);
+    }
+};
+
+/**
+ * Get one audit run with its per-record results
+ * GET /api/audits/:runId
+ */
+const getAudit = async (req, res) => {
+    try {
+        const { runId } = req.params;
+        const status = req.query.status || null;
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+
+        if (status && !RESULT_STATUSES.includes(status)) {
+            return errorResponse(res, `status must be one of: ${RESULT_STATUSES.join(', ')}`, 400);
+        }
+
+        const run = await auditService.findRun(runId);
+
+        if (!run) {
+            return errorResponse(res, 'Audit run not found', 404);
+        }
+
+        const { results, total } = await auditService.findResults(runId, { status, limit, offset });
+
+        return successResponse(res, {
+            audit: run,
+            results,
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + results.length < total
+            }
+        }, 'Audit run retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error getting audit run:', error);
+        return errorResponse(res, 'Failed to retrieve audit run', 500, error);
+    }
+};
+
+/**
+ * Start an audit run now
+ * POST /api/audits
+ */
+const startAudit = async (req, res) => {
+    try {
+        const run = await auditService.start('manual');
+
+        if (!run) {
+            return errorResponse(res, 'An audit run is already in progress', 409);
+        }
+
+        res.location(`${req.baseUrl}/${run.id}`);
+        return successResponse(res, run, 'Audit run started', 202);
+
+    } catch (error) {
+        logger.error('Error starting audit run:', error);
+        return errorResponse(res, 'Failed to start audit run', 500, error);
+    }
+};
+
+module.exports = {
+    getAudits,
+    getAudit,
+    startAudit
+};
@@ -0,0 +1,141 @@
+/**
+ * Record Type Controller
+ * Handles HTTP requests for the record type registry
+ */
+
+const recordTypeService = require('../services/record-type.service');
+const { successResponse, errorResponse, validationErrorResponse } = require('../utils/response.helper');
+const logger = require('../utils/logger');
+
+/**
+ * List all record types
+ * GET /api/record-types
+ */
+const getRecordTypes = async (req, res) => {
+    try {
+        const recordTypes = await recordTypeService.findAll();
+        return successResponse(res, { recordTypes, count: recordTypes.length }, 'Record types retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error getting record types:', error);
+        return errorResponse(res, 'Failed to retrieve record types', 500, error);
+    }
+};
+
+/**
+ * Get a record type with its schema
+ * GET /api/record-types/:name
+ */
+const getRecordType = async (req, res) => {
+    try {
+        const recordType = await recordTypeService.findByName(req.params.name);
+
+        if (!recordType) {
+            return errorResponse(res, 'Record type not found', 404);
+        }
+
+        return successResponse(res, recordType, 'Record type retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error getting record type:', error);
+        return errorResponse(res, 'Failed to retrieve record type', 500, error);
+    }
+};
+
+/**
+ * Register a new record type
+ * POST /api/record-types
+ */
+const createRecordType = async (req, res) => {
+    try {
+        const { name, description, schema } = req.body;
+
+        if (!name || !schema) {
+            return errorResponse(res, 'Missing required fields: name, schema', 400);
+        }
+
+        const errors = recordTypeService.checkDefinition(name, schema);
+        if (errors.length > 0) {
+            return validationErrorResponse(res, 'Invalid record type definition', errors);
+        }
+
+        const recordType = await recordTypeService.create({ name, description, schema });
+
+        if (!recordType) {
+            return errorResponse(res, `Record type ${name} already exists`, 409);
+        }
+
+        return successResponse(res, recordType, 'Record type created successfully', 201);
+
+    } catch (error) {
+        logger.error('Error creating record type:', error);
+        return errorResponse(res, 'Failed to create record type', 500, error);
+    }
+};
+
+/**
+ * Update a record type's description and/or schema
+ * Existing records are not re-validated; the schema applies to later creates and updates.
+ * PUT /api/record-types/:name
+ */
+const updateRecordType = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { description, schema } = req.body;
+
+        if (description === undefined && schema === undefined) {
+            return errorResponse(res, 'Nothing to update: provide description and/or schema', 400);
+        }
+
+        if (schema !== undefined) {
+            const errors = recordTypeService.checkDefinition(undefined, schema);
+            if (errors.length > 0) {
+                return validationErrorResponse(res, 'Invalid record type definition', errors);
+            }
+        }
+
+        const recordType = await recordTypeService.update(name, { description, schema });
+
+        if (!recordType) {
+            return errorResponse(res, 'Record type not found', 404);
+        }
+
+        return successResponse(res, recordType, 'Record type updated successfully');
+
+    } catch (error) {
+        logger.error('Error updating record type:', error);
+        return errorResponse(res, 'Failed to update record type', 500, error);
+    }
+};
+
+/**
+ * Delete a record type that no record uses
+ * DELETE /api/record-types/:name
+ */
+const deleteRecordType = async (req, res) => {
+    try {
+        const { deleted, inUse } = await recordTypeService.delete(req.params.name);
+
+        if (inUse) {
+            return errorResponse(res, 'Record type is used by existing records and cannot be deleted', 409);
+        }
+
+        if (!deleted) {
+            return errorResponse(res, 'Record type not found', 404);
+        }
+
+        return successResponse(res, { name: req.params.name }, 'Record type deleted successfully');
+
+    } catch (error) {
+        logger.error('Error deleting record type:', error);
+        return errorResponse(res, 'Failed to delete record type', 500, error);
+    }
+};
+
+module.exports = {
+    getRecordTypes,
+    getRecordType,
+    createRecordType,
+    updateRecordType,
+    deleteRecordType
+};
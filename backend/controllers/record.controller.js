@@ -7,75 +7,166 @@
 const { v4: uuidv4 } = require('uuid');
 const recordService = require('../services/record.service');
 const blockchainService = require('../services/blockchain.service');
-const { computeHash, verifyHash } = require('../utils/hash');
-const { successResponse, errorResponse } = require('../utils/response.helper');
+const anchorService = require('../services/anchor.service');
+const verificationService = require('../services/verification.service');
+const proofService = require('../services/proof.service');
+const recordTypeService = require('../services/record-type.service');
+const attachmentService = require('../services/attachment.service');
+const mockFaultService = require('../services/mock-fault.service');
+const ledgerAnchorService = require('../services/ledger-anchor.service');
+const dataKeyService = require('../services/data-key.service');
+const { DEFAULT_CANONICALIZATION, DEFAULT_HASH_ALGORITHM, canonicalizeJSON, computeHash } = require('../utils/hash');
+const anchorConfig = require('../config/anchor.config');
+const fabricConfig = require('../config/fabric.config');
+const mockFaultsConfig = require('../config/mock-faults.config');
+const { successResponse, errorResponse, validationErrorResponse } = require('../utils/response.helper');
+const { AppError } = require('../utils/error.handler');
 const logger = require('../utils/logger');
 
+// Maximum number of records accepted by POST /api/records/batch
+const BATCH_MAX_ITEMS = parseInt(process.env.RECORDS_BATCH_MAX_ITEMS, 10) || 5000;
+
+// Query parameters accepted by GET /api/records besides data_json.<path>
+const RECORD_FILTERS = ['owner_name', 'title', 'record_type', 'anchor_status', 'created_from', 'created_to', 'include_revoked'];
+
+const ANCHOR_STATUSES = ['pending', 'anchored', 'failed'];
+
+// Largest page GET /api/records returns
+const MAX_PAGE_SIZE = 1000;
+
+// GET /api/records ?pagination= values; offset is the default
+const PAGINATION_MODES = ['offset', 'cursor'];
+
+// GET /api/records/blockchain/status description per blockchain mode
+const MODE_DESCRIPTIONS = {
+    mock: 'Running in mock mode - blockchain responses are simulated',
+    polygon: 'Running in Polygon mode - connected to the sc_blockchain API',
+    fabric: 'Running in Fabric mode - connected to Hyperledger Fabric network',
+    'chaincode-sim': 'Running in chaincode-sim mode - RecordHashContract runs in-process against a simulated world state'
+};
+
+/**
+ * Describe a record's erasure for API messages
+ * @param {Object} record - Erased record (tombstone)
+ * @returns {string} e.g. "Erased by request on 2025-03-14"
+ */
+const erasureNotice = (record) => {
+    return `Erased by request on ${new Date(record.erased_at).toISOString().slice(0, 10)}`;
+};
+
+/**
+ * Verification result for an erased record
+ * Its data is gone, so only the tombstone hash can still be compared with the chain.
+ * @param {Object} res - Express response object
+ * @param {Object} record - Erased record (tombstone)
+ */
+const verifyErasedRecord = async (res, record) => {
+    const onChain = record.hash_value
+        ? await verificationService.verifyOnChain(record, record.hash_value)
+        : { valid: false, onChainHash: null };
+    const notice = erasureNotice(record);
+
+    return successResponse(res, {
+        recordId: record.id,
+        verification: {
+            valid: false,
+            status: 'erased',
+            reason: notice,
+            erasedAt: record.erased_at,
+            tombstoneHash: record.hash_value,
+            onChainHash: onChain.onChainHash,
+            tombstoneMatchesChain: !!onChain.hashMatches,
+            transactionId: onChain.transactionId || record.blockchain_tx_id,
+            ...(onChain.revoked && { revocation: onChain.revocation })
+        },
+        blockchainMode: blockchainService.getMode()
+    }, `Record ${notice.toLowerCase()}`);
+};
+
+/**
+ * Describe a record's revocation for API messages
+ * @param {Object} record - Revoked record
+ * @returns {string} e.g. "revoked on 2025-03-14: issued in error"
+ */
+const revocationNotice = (record) => {
+    const notice = `revoked on ${new Date(record.revoked_at).toISOString().slice(0, 10)}`;
+    return record.revocation_reason ? `${notice}: ${record.revocation_reason}` : notice;
+};
+
 /**
  * Create a new record
  * Flow:
- * 1. Validate input
- * 2. Store full data in DB
- * 3. Create canonical JSON from data_json
- * 4. Compute SHA-256 hash
- * 5. Send {recordId, hash} to blockchain
- * 6. Update DB with hash_value + blockchain_tx_id
- * 7. Return response with record details + on-chain proof
+ * 1. Validate input (and data_json against the record type's schema, if a type is given)
+ * 2. Create canonical JSON from data_json and compute its hash
+ * 3. Store full data in DB together with an anchoring outbox entry (one transaction)
+ * 4. Async request (?async=true or Prefer: respond-async) or Merkle batch mode → return 202 with status URL
+ * 5. Otherwise send {recordId, hash} to blockchain right away
+ * 6. On success return 201 with record details + on-chain proof;
+ *    on failure return 202 - the anchor worker keeps retrying
  * 
  * POST /api/records
  */
 const createRecord = async (req, res) => {
     try {
-        const { title, owner_name, data_json } = req.body;
+        const { title, owner_name, data_json, record_type } = req.body;
 
         // 1. Validate input
-        if (!title || !owner_name || !data_json) {
-            return errorResponse(res, 'Missing required fields: title, owner_name, data_json', 400);
-        }
-
-        if (typeof data_json !== 'object') {
-            return errorResponse(res, 'data_json must be a valid JSON object', 400);
+        const recordTypes = await loadRecordTypes([req.body]);
+        const validationError = validateRecordInput(req.body, recordTypes);
+        if (validationError) {
+            return validationErrorResponse(res, validationError.message, validationError.errors);
         }
 
         // Generate UUID for record
         const id = uuidv4();
 
-        // 2. Create record in DB (initially without blockchain info)
+        // 2. Compute hash of the data_json
+        const hash = computeHash(data_json);
+        logger.info(`Computed hash for record ${id}: ${hash}`);
+
+        // 3. Create record in DB and queue it for anchoring
         const initialRecord = await recordService.create({
             id,
             title,
             owner_name,
+            record_type: record_type || null,
             data_json,
             hash_value: null,
+            canonicalization: DEFAULT_CANONICALIZATION,
+            hash_algorithm: DEFAULT_HASH_ALGORITHM,
             blockchain_tx_id: null
-        });
+        }, hash);
 
-        // 3 & 4. Compute SHA-256 hash of the data_json
-        const hash = computeHash(data_json);
-        logger.info(`Computed hash for record ${id}: ${hash}`);
+        // 4. Caller does not want to wait for the chain (Merkle batches are always deferred)
+        if (isAsyncRequest(req) || anchorConfig.batchMode === 'merkle') {
+            return acceptedResponse(req, res, initialRecord, hash, 'Record created, blockchain anchoring queued');
+        }
 
         // 5. Send hash to blockchain
-        const blockchainResult = await blockchainService.storeRecordHash(id, hash);
-        logger.info(`Blockchain response for record ${id}:`, blockchainResult);
+        const entry = await anchorService.claimForRecord(id);
+        const anchorResult = entry ? await anchorService.processEntry(entry) : { anchored: false };
 
-        // 6. Update DB with hash and transaction ID
-        const updatedRecord = await recordService.updateBlockchainInfo(
-            id,
-            hash,
-            blockchainResult.tx_id
-        );
+        if (!anchorResult.anchored) {
+            return acceptedResponse(req, res, initialRecord, hash, 'Record created, blockchain anchoring pending retry');
+        }
+
+        const { record: updatedRecord, blockchainResult } = anchorResult;
+        logger.info(`Blockchain response for record ${id}:`, blockchainResult);
 
-        // 7. Return response with record details + on-chain proof
+        // 6. Return response with record details + on-chain proof
         const response = {
             record: {
                 id: updatedRecord.id,
                 title: updatedRecord.title,
                 owner_name: updatedRecord.owner_name,
+                record_type: updatedRecord.record_type,
                 data_json: updatedRecord.data_json,
                 created_at: updatedRecord.created_at
             },
             onChainProof: {
                 hash: hash,
+                canonicalization: updatedRecord.canonicalization,
+                algorithm: updatedRecord.hash_algorithm,
                 transactionId: blockchainResult.tx_id,
                 timestamp: blockchainResult.timestamp,
                 blockchainMode: blockchainService.getMode()
@@ -90,6 +181,257 @@ const createRecord = async (req, res) => {
     }
 };
 
+/**
+ * Create many records in one request
+ * Flow:
+ * 1. Validate every item; invalid items are reported, not fatal
+ * 2. Insert all valid records + outbox entries in one DB transaction
+ * 3. Anchor the new records together as one Merkle batch (one blockchain transaction),
+ *    unless the request is async or the worker batches anyway
+ * 4. Return per-item results
+ *
+ * POST /api/records/batch
+ */
+const createRecordsBatch = async (req, res) => {
+    try {
+        const items = Array.isArray(req.body) ? req.body : req.body.records;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return errorResponse(res, 'Request body must be a non-empty array of records (or { records: [...] })', 400);
+        }
+
+        if (items.length > BATCH_MAX_ITEMS) {
+            return errorResponse(res, `A batch may contain at most ${BATCH_MAX_ITEMS} records`, 400);
+        }
+
+        // 1. Validate items
+        const recordTypes = await loadRecordTypes(items);
+        const results = items.map((item, index) => {
+            const validationError = validateRecordInput(item || {}, recordTypes);
+            return validationError
+                ? { index, success: false, error: validationError.message, errors: validationError.errors }
+                : { index, success: true, item };
+        });
+
+        const valid = results.filter(result => result.success);
+        const toCreate = valid.map(result => {
+            const { title, owner_name, data_json, record_type } = result.item;
+            const hash = computeHash(data_json);
+            result.hash = hash;
+            return {
+                recordData: {
+                    id: uuidv4(),
+                    title,
+                    owner_name,
+                    record_type: record_type || null,
+                    data_json,
+                    hash_value: null,
+                    canonicalization: DEFAULT_CANONICALIZATION,
+                    hash_algorithm: DEFAULT_HASH_ALGORITHM,
+                    blockchain_tx_id: null
+                },
+                anchorHash: hash
+            };
+        });
+
+        // 2. Insert valid records in one transaction
+        const created = toCreate.length > 0 ? await recordService.createMany(toCreate) : [];
+
+        created.forEach((outcome, i) => {
+            const result = valid[i];
+            delete result.item;
+            if (outcome.error) {
+                result.success = false;
+                result.error = 'Failed to store record';
+                delete result.hash;
+            } else {
+                result.id = outcome.record.id;
+                result.anchoring = { status: 'pending', transactionId: null };
+            }
+        });
+
+        // 3. Anchor the created records through one Merkle root
+        const createdIds = valid.filter(result => result.success).map(result => result.id);
+        const deferred = isAsyncRequest(req) || anchorConfig.batchMode === 'merkle';
+
+        if (createdIds.length > 0 && !deferred) {
+            const entries = await anchorService.claimForRecords(createdIds);
+            const batchResult = entries.length > 0 ? await anchorService.processBatch(entries) : null;
+
+            if (batchResult && batchResult.anchored) {
+                const byRecord = new Map(batchResult.records.map(r => [r.recordId, r]));
+                valid.forEach(result => {
+                    const anchored = byRecord.get(result.id);
+                    if (anchored && anchored.anchored) {
+                        result.anchoring = {
+                            status: 'anchored',
+                            transactionId: batchResult.blockchainResult.tx_id,
+                            merkle: anchored.merkle
+                        };
+                    }
+                });
+            }
+        }
+
+        valid.forEach(result => {
+            if (result.success && result.anchoring.status === 'pending') {
+                result.anchoring.statusUrl = `${req.baseUrl}/${result.id}/status`;
+            }
+        });
+
+        // 4. Per-item results
+        const succeeded = results.filter(result => result.success).length;
+        const response = {
+            summary: {
+                total: items.length,
+                created: succeeded,
+                failed: items.length - succeeded,
+                anchored: results.filter(result => result.success && result.anchoring.status === 'anchored').length
+            },
+            results,
+            blockchainMode: blockchainService.getMode()
+        };
+
+        const statusCode = succeeded === items.length ? 201 : 207;
+        return successResponse(res, response, `${succeeded} of ${items.length} records created`, statusCode);
+
+    } catch (error) {
+        logger.error('Error creating record batch:', error);
+        return errorResponse(res, 'Failed to create records', 500, error);
+    }
+};
+
+/**
+ * Validate the fields of a record to create
+ * @param {Object} input - { title, owner_name, data_json, record_type }
+ * @param {Map} recordTypes - Record types referenced by the request (from loadRecordTypes)
+ * @returns {Object|null} { message, errors? } (errors are field-level), or null if valid
+ */
+const validateRecordInput = ({ title, owner_name, data_json, record_type }, recordTypes) => {
+    if (!title || !owner_name || !data_json) {
+        return { message: 'Missing required fields: title, owner_name, data_json' };
+    }
+
+    if (typeof data_json !== 'object') {
+        return { message: 'data_json must be a valid JSON object' };
+    }
+
+    const canonicalizationFailure = canonicalizationError(data_json);
+    if (canonicalizationFailure) {
+        return { message: canonicalizationFailure };
+    }
+
+    return recordTypeError(record_type, data_json, recordTypes);
+};
+
+/**
+ * Validate data_json against the schema of its record type
+ * @param {string|undefined} recordType - Requested record type (untyped records skip validation)
+ * @param {Object} data_json - Record data
+ * @param {Map} recordTypes - Record types referenced by the request (from loadRecordTypes)
+ * @returns {Object|null} { message, errors? }, or null if valid
+ */
+const recordTypeError = (recordType, data_json, recordTypes) => {
+    if (recordType === undefined || recordType === null) {
+        return null;
+    }
+
+    const type = typeof recordType === 'string' ? recordTypes.get(recordType) : null;
+    if (!type) {
+        return { message: `Unknown record_type: ${recordType}` };
+    }
+
+    const errors = recordTypeService.validateData(type, data_json);
+    return errors.length > 0
+        ? { message: `data_json does not match the ${recordType} schema`, errors }
+        : null;
+};
+
+/**
+ * Load the record types referenced by the given inputs
+ * @param {Array} inputs - Request bodies / batch items
+ * @returns {Promise<Map>} Map of name → record type
+ */
+const loadRecordTypes = async (inputs) => {
+    const names = new Set(inputs
+        .map(input => input && input.record_type)
+        .filter(name => typeof name === 'string'));
+
+    return await recordTypeService.findByNames([...names]);
+};
+
+/**
+ * Check that data_json can be hashed with the current canonicalization
+ * @param {Object} data_json - Record data
+ * @returns {string|null} Error message, or null if it can be canonicalized
+ */
+const canonicalizationError = (data_json) => {
+    try {
+        canonicalizeJSON(data_json, DEFAULT_CANONICALIZATION);
+        return null;
+    } catch (error) {
+        return `data_json cannot be canonicalized: ${error.message}`;
+    }
+};
+
+/**
+ * Whether the client asked not to block on blockchain anchoring
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+const isAsyncRequest = (req) => {
+    const prefer = req.get('Prefer') || '';
+    return req.query.async === 'true' || prefer.includes('respond-async');
+};
+
+/**
+ * Send 202 Accepted for a record whose anchoring is still pending
+ */
+const acceptedResponse = (req, res, record, hash, message) => {
+    const statusUrl = `${req.baseUrl}/${record.id}/status`;
+    res.location(statusUrl);
+
+    return successResponse(res, {
+        record: {
+            id: record.id,
+            title: record.title,
+            owner_name: record.owner_name,
+            data_json: record.data_json,
+            created_at: record.created_at
+        },
+        anchoring: {
+            status: 'pending',
+            hash,
+            canonicalization: record.canonicalization,
+            algorithm: record.hash_algorithm,
+            statusUrl,
+            blockchainMode: blockchainService.getMode()
+        }
+    }, message, 202);
+};
+
+/**
+ * Get the blockchain anchoring status of a record
+ * GET /api/records/:id/status
+ */
+const getAnchorStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const status = await anchorService.getStatus(id);
+
+        if (!status) {
+            return errorResponse(res, 'Record not found', 404);
+        }
+
+        return successResponse(res, status, 'Anchoring status retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error getting anchoring status:', error);
+        return errorResponse(res, 'Failed to retrieve anchoring status', 500, error);
+    }
+};
+
 /**
  * Get a record by ID
  * GET /api/records/:id
@@ -113,16 +455,45 @@ const getRecord = async (req, res) => {
 };
 
 /**
- * Get all records
+ * Get all records, optionally filtered
+ * Pagination:
+ *   offset-based (default): ?limit=&offset= - counts the total on every call
+ *   cursor-based (opt-in): ?pagination=cursor for the first page, then
+ *     ?cursor=<nextCursor of the previous page>, newest first.
+ *     The exact total is only counted with ?include_total=true.
+ * Filters (all optional, combined with AND):
+ *   owner_name, title (partial match), record_type, anchor_status,
+ *   created_from / created_to (ISO dates, inclusive),
+ *   data_json.<path>=<value> (e.g. data_json.issuer=Tech Academy; quote the value
+ *   as "2024" to match only the string, unquoted numbers/booleans also match the typed value;
+ *   rejected while data encryption is enabled),
+ *   include_revoked=true (revoked records are left out by default)
  * GET /api/records
  */
 const getAllRecords = async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 50;
-        const offset = parseInt(req.query.offset) || 0;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
 
-        const records = await recordService.findAll(limit, offset);
-        const total = await recordService.count();
+        const { filters, error: filterError } = parseRecordFilters(req.query);
+        if (filterError) {
+            return errorResponse(res, filterError, 400);
+        }
+
+        const { pagination = req.query.cursor !== undefined ? 'cursor' : 'offset' } = req.query;
+        if (!PAGINATION_MODES.includes(pagination)) {
+            return errorResponse(res, `pagination must be one of: ${PAGINATION_MODES.join(', ')}`, 400);
+        }
+
+        if (pagination === 'cursor') {
+            if (req.query.offset !== undefined) {
+                return errorResponse(res, 'offset cannot be combined with cursor pagination', 400);
+            }
+            return await getRecordsPage(req, res, limit, filters);
+        }
+
+        const offset = parseInt(req.query.offset) || 0;
+        const records = await recordService.findAll(limit, offset, filters);
+        const total = await recordService.count(filters);
 
         return successResponse(res, {
             records,
@@ -140,14 +511,129 @@ const getAllRecords = async (req, res) => {
     }
 };
 
+/**
+ * Send one keyset-paginated page of records
+ */
+const getRecordsPage = async (req, res, limit, filters) => {
+    const cursor = req.query.cursor || null;
+
+    if (cursor && !recordService.decodeCursor(cursor)) {
+        return errorResponse(res, 'Invalid cursor', 400);
+    }
+
+    const includeTotal = req.query.include_total === 'true';
+    const [{ records, nextCursor }, total] = await Promise.all([
+        recordService.findPage(limit, cursor, filters),
+        includeTotal ? recordService.count(filters) : null
+    ]);
+
+    return successResponse(res, {
+        records,
+        pagination: {
+            limit,
+            nextCursor,
+            hasMore: nextCursor !== null,
+            ...(includeTotal && { total })
+        }
+    }, 'Records retrieved successfully');
+};
+
+/**
+ * Parse record list filters from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} { filters } or { error }
+ */
+const parseRecordFilters = (query) => {
+    const filters = { data: [] };
+
+    for (const [key, raw] of Object.entries(query)) {
+        if (!RECORD_FILTERS.includes(key) && !key.startsWith('data_json.')) {
+            continue;
+        }
+        if (typeof raw !== 'string' || raw === '') {
+            return { error: `${key} must be given once, with a value` };
+        }
+
+        if (key === 'anchor_status' && !ANCHOR_STATUSES.includes(raw)) {
+            return { error: `anchor_status must be one of: ${ANCHOR_STATUSES.join(', ')}` };
+        }
+
+        if (key === 'include_revoked') {
+            if (raw !== 'true' && raw !== 'false') {
+                return { error: 'include_revoked must be true or false' };
+            }
+            filters.include_revoked = raw === 'true';
+            continue;
+        }
+
+        if (key === 'created_from' || key === 'created_to') {
+            const date = new Date(raw);
+            if (!/^\d{4}-\d{2}-\d{2}/.test(raw) || isNaN(date)) {
+                return { error: `${key} must be an ISO 8601 date` };
+            }
+            // A bare date as upper bound covers that whole day
+            filters[key] = key === 'created_to' && /^\d{4}-\d{2}-\d{2}$/.test(raw)
+                ? new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1)
+                : date;
+            continue;
+        }
+
+        if (key.startsWith('data_json.')) {
+            // Encrypted data_json cannot be searched; a filter would silently skip every encrypted record
+            if (dataKeyService.isEnabled()) {
+                return { error: 'data_json.<path> filters are not available while data encryption is enabled' };
+            }
+            const path = key.slice('data_json.'.length).split('.');
+            if (path.some(segment => segment === '')) {
+                return { error: `Invalid data_json path: ${key}` };
+            }
+            filters.data.push({ path, values: parseFilterValues(raw) });
+            continue;
+        }
+
+        filters[key] = raw;
+    }
+
+    return { filters };
+};
+
+/**
+ * Values a data_json filter matches
+ * "quoted" → that exact string; otherwise the string itself, plus the number,
+ * boolean or null it spells (so data_json.graduation_year=2024 matches 2024 and "2024")
+ */
+const parseFilterValues = (raw) => {
+    if (raw.length >= 2 && raw.startsWith('"') && raw.endsWith('"')) {
+        try {
+            return [JSON.parse(raw)];
+        } catch {
+            return [raw];
+        }
+    }
+
+    try {
+        const parsed = JSON.parse(raw);
+        if (parsed === null || ['number', 'boolean'].includes(typeof parsed)) {
+            return [raw, parsed];
+        }
+    } catch {
+        // Not a JSON literal: plain string
+    }
+    return [raw];
+};
+
 /**
  * Verify a record's integrity
  * Flow:
  * 1. Fetch record from DB
  * 2. Build the same canonical JSON
- * 3. Recompute SHA-256 hash
+ * 3. Recompute hash with the record's canonicalization and algorithm
  * 4. Query blockchain for stored hash
  * 5. Compare: if same → valid, else → invalid (data tampered)
+ *    (records anchored in a Merkle batch are checked via their proof path against the anchored root)
+ *    A record revoked on-chain is reported as revoked, never as valid.
+ *    With several ledgers, each is checked and the quorum rule decides validity.
+ * 6. On mismatch, diff current data_json against the anchored snapshot
  * 
  * GET /api/records/:id/verify
  */
@@ -162,11 +648,17 @@ const verifyRecord = async (req, res) => {
             return errorResponse(res, 'Record not found', 404);
         }
 
-        // 2 & 3. Recompute SHA-256 hash from current data_json
-        const currentHash = computeHash(record.data_json);
+        if (record.erased_at) {
+            return verifyErasedRecord(res, record);
+        }
+
+        // 2 & 3. Recompute hash from current data_json and attachment content, with the record's
+        // canonicalization and algorithm
+        const current = await verificationService.computeCurrentHash(record);
+        const currentHash = current.hash;
 
         // 4 & 5. Query blockchain and compare hashes
-        const verificationResult = await blockchainService.verifyRecordHash(id, currentHash);
+        const verificationResult = await verificationService.verifyOnChain(record, currentHash);
 
         const response = {
             recordId: id,
@@ -174,11 +666,24 @@ const verifyRecord = async (req, res) => {
             owner_name: record.owner_name,
             verification: {
                 valid: verificationResult.valid,
+                ...(verificationResult.revoked && {
+                    status: 'revoked',
+                    revocation: verificationResult.revocation,
+                    hashMatches: verificationResult.hashMatches
+                }),
                 reason: verificationResult.reason,
                 currentHash: currentHash,
+                canonicalization: record.canonicalization,
+                algorithm: record.hash_algorithm,
                 onChainHash: verificationResult.onChainHash,
                 transactionId: verificationResult.transactionId,
-                storedAt: verificationResult.storedAt
+                storedAt: verificationResult.storedAt,
+                ...(verificationResult.merkle && { merkle: verificationResult.merkle }),
+                ...(verificationResult.ledgers && {
+                    quorum: verificationResult.quorum,
+                    ledgers: verificationResult.ledgers
+                }),
+                ...(current.attachments.length > 0 && { attachments: current.attachments })
             },
             offChainData: {
                 hash_value: record.hash_value,
@@ -188,7 +693,27 @@ const verifyRecord = async (req, res) => {
             blockchainMode: blockchainService.getMode()
         };
 
-        if (verificationResult.valid) {
+        // Anchored to several ledgers: the tx ID each one was last anchored with
+        if (verificationResult.ledgers) {
+            response.offChainData.ledger_tx_ids = await ledgerAnchorService.findLatest(record.merkle_batch_id || record.id);
+        }
+
+        // The latest change is not on-chain yet: the chain still holds the previous hash, which is not tampering
+        const anchoringPending = record.anchor_status !== 'anchored' && currentHash === record.hash_value;
+        if (anchoringPending) {
+            response.verification.anchorStatus = record.anchor_status;
+        }
+
+        // 6. Show what changed since the data was anchored
+        if (!verificationResult.hashMatches && verificationResult.anchoredHash && !anchoringPending) {
+            response.tamperDiff = await verificationService.buildTamperDiff(record, verificationResult.anchoredHash, current.manifest);
+        }
+
+        if (verificationResult.revoked) {
+            return successResponse(res, response, verificationResult.reason);
+        } else if (anchoringPending && !verificationResult.valid) {
+            return successResponse(res, response, `Record verification pending: its latest change is not anchored yet (${record.anchor_status})`);
+        } else if (verificationResult.valid) {
             return successResponse(res, response, 'Record verified: data integrity confirmed');
         } else {
             return successResponse(res, response, 'Record verification failed: data may have been tampered');
@@ -201,44 +726,538 @@ const verifyRecord = async (req, res) => {
 };
 
 /**
- * Delete a record
+ * Get a signed, offline-verifiable proof bundle for a record
+ * Flow:
+ * 1. Fetch record from DB and recompute its hash
+ * 2. Verify it against blockchain - proofs are only issued for valid records
+ * 3. Build the bundle (canonical data, hash, anchor details, Merkle path) and sign it
+ *
+ * GET /api/records/:id/proof
+ */
+const getRecordProof = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // 1. Fetch record + recompute hash
+        const record = await recordService.findById(id);
+
+        if (!record) {
+            return errorResponse(res, 'Record not found', 404);
+        }
+
+        if (record.erased_at) {
+            return errorResponse(res, `Record ${erasureNotice(record).toLowerCase()}, no proof issued`, 410);
+        }
+
+        if (record.revoked_at) {
+            return errorResponse(res, `Record ${revocationNotice(record)}, no proof issued`, 410);
+        }
+
+        const current = await verificationService.computeCurrentHash(record);
+
+        // 2. Verify on-chain
+        const verificationResult = await verificationService.verifyOnChain(record, current.hash);
+
+        if (verificationResult.revoked) {
+            return errorResponse(res, `${verificationResult.reason}, no proof issued`, 410);
+        }
+
+        if (!verificationResult.valid) {
+            return errorResponse(res, `Record failed verification, no proof issued: ${verificationResult.reason}`, 409);
+        }
+
+        // 3. Build + sign bundle
+        const bundle = proofService.createBundle(record, current, verificationResult);
+
+        if (req.query.download === 'true') {
+            res.attachment(`record-${id}-proof.json`);
+            return res.status(200).json(bundle);
+        }
+
+        return successResponse(res, bundle, 'Proof bundle generated successfully');
+
+    } catch (error) {
+        logger.error('Error generating proof bundle:', error);
+        return errorResponse(res, 'Failed to generate proof bundle', 500, error);
+    }
+};
+
+/**
+ * Get the public key that verifies proof bundle signatures
+ * GET /api/records/proof/public-key
+ */
+const getProofPublicKey = async (req, res) => {
+    try {
+        return successResponse(res, proofService.getPublicKey(), 'Proof signing public key');
+    } catch (error) {
+        logger.error('Error getting proof public key:', error);
+        return errorResponse(res, 'Failed to get proof public key', 500, error);
+    }
+};
+
+/**
+ * Get the version history of a record
+ * Flow:
+ * 1. Fetch record and its stored versions from DB
+ * 2. Fetch the record's hash history from blockchain
+ * 3. Match each version to its on-chain entry (by tx id, falling back to hash)
+ * 4. Return every version with its anchoring details
+ *
+ * GET /api/records/:id/history
+ */
+const getRecordHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // 1. Fetch record + versions from DB
+        const record = await recordService.findById(id);
+
+        if (!record) {
+            return errorResponse(res, 'Record not found', 404);
+        }
+
+        const versions = await recordService.findVersions(id);
+
+        // 2. Fetch on-chain history
+        const ledgerHistory = await blockchainService.getRecordHistory(id);
+
+        // 3. Match versions against ledger entries (the revocation is a ledger entry without a version)
+        const { matched, unmatchedLedgerEntries } = matchVersionsToLedger(versions, ledgerHistory);
+        const revocationEntry = record.revocation_tx_id
+            ? unmatchedLedgerEntries.find(entry => entry.tx_id === record.revocation_tx_id) || null
+            : null;
+
+        // 4. Return merged history
+        const response = {
+            recordId: id,
+            title: record.title,
+            owner_name: record.owner_name,
+            currentVersion: versions.length,
+            ledgerHistoryAvailable: ledgerHistory !== null,
+            versions: matched,
+            unmatchedLedgerEntries: unmatchedLedgerEntries.filter(entry => entry !== revocationEntry),
+            ...(record.revoked_at && {
+                revocation: {
+                    revokedAt: record.revoked_at,
+                    revokedBy: record.revoked_by,
+                    reason: record.revocation_reason,
+                    transactionId: record.revocation_tx_id,
+                    onChain: revocationEntry
+                }
+            }),
+            blockchainMode: blockchainService.getMode()
+        };
+
+        return successResponse(res, response, 'Record history retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error getting record history:', error);
+        return errorResponse(res, 'Failed to retrieve record history', 500, error);
+    }
+};
+
+/**
+ * Pair each DB version with the on-chain entry that anchored it
+ * @param {Array} versions - Rows from record_versions, oldest first
+ * @param {Array|null} ledgerHistory - On-chain entries, or null if unavailable
+ * @returns {Object} { matched, unmatchedLedgerEntries }
+ */
+const matchVersionsToLedger = (versions, ledgerHistory) => {
+    const remaining = ledgerHistory ? [...ledgerHistory] : [];
+
+    const takeEntry = (predicate) => {
+        const index = remaining.findIndex(predicate);
+        return index === -1 ? null : remaining.splice(index, 1)[0];
+    };
+
+    const matched = versions.map(version => {
+        let onChain = null;
+
+        if (ledgerHistory) {
+            const entry = takeEntry(e => version.blockchain_tx_id && e.tx_id === version.blockchain_tx_id)
+                || takeEntry(e => e.hash === version.hash_value);
+
+            onChain = entry
+                ? {
+                    anchored: entry.hash === version.hash_value,
+                    transactionId: entry.tx_id,
+                    hash: entry.hash,
+                    anchoredAt: entry.timestamp
+                }
+                : { anchored: false, transactionId: null, hash: null, anchoredAt: null };
+        }
+
+        return {
+            version: version.version,
+            title: version.title,
+            owner_name: version.owner_name,
+            data_json: version.data_json,
+            hash_value: version.hash_value,
+            canonicalization: version.canonicalization,
+            hash_algorithm: version.hash_algorithm,
+            blockchain_tx_id: version.blockchain_tx_id,
+            created_at: version.created_at,
+            onChain
+        };
+    });
+
+    return { matched, unmatchedLedgerEntries: remaining };
+};
+
+/**
+ * Update an existing record
+ * Flow:
+ * 1. Validate input
+ * 2. Fetch current record from DB and validate data_json against its record type
+ * 3. Recompute hash of the new data_json
+ * 4. Save the new data; a new hash is queued for anchoring in the same transaction
+ * 5. Async request (?async=true or Prefer: respond-async) or Merkle batch mode → return 202 with status URL
+ * 6. Otherwise anchor the new hash right away (UpdateRecordHash, or StoreRecordHash for a record that
+ *    has no on-chain entry of its own yet) and return previous and new hash with the transaction ID;
+ *    on failure return 202 - the anchor worker keeps retrying
+ *
+ * PUT /api/records/:id
+ */
+const updateRecord = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { title, owner_name, data_json, record_type } = req.body;
+
+        // 1. Validate input
+        if (!data_json) {
+            return errorResponse(res, 'Missing required field: data_json', 400);
+        }
+
+        if (typeof data_json !== 'object') {
+            return errorResponse(res, 'data_json must be a valid JSON object', 400);
+        }
+
+        const canonicalizationFailure = canonicalizationError(data_json);
+        if (canonicalizationFailure) {
+            return errorResponse(res, canonicalizationFailure, 400);
+        }
+
+        // 2. Fetch current record
+        const existingRecord = await recordService.findById(id);
+
+        if (!existingRecord) {
+            return errorResponse(res, 'Record not found', 404);
+        }
+
+        if (existingRecord.erased_at) {
+            return errorResponse(res, `Record ${erasureNotice(existingRecord).toLowerCase()} and cannot be updated`, 410);
+        }
+
+        if (existingRecord.revoked_at) {
+            return errorResponse(res, `Record ${revocationNotice(existingRecord)} and cannot be updated`, 410);
+        }
+
+        // The new data must match the record's type (or the new type, if it changes)
+        const recordType = record_type !== undefined ? record_type : existingRecord.record_type;
+        const recordTypes = await loadRecordTypes([{ record_type: recordType }]);
+        const recordTypeFailure = recordTypeError(recordType, data_json, recordTypes);
+        if (recordTypeFailure) {
+            return validationErrorResponse(res, recordTypeFailure.message, recordTypeFailure.errors);
+        }
+
+        // 3. Recompute hash of the new data (attachments stay as they are)
+        // Unchanged data keeps the record's canonicalization and algorithm; changed data moves to the current ones
+        const manifest = attachmentService.toManifest(await attachmentService.findByRecord(id));
+        const document = attachmentService.hashedDocument(data_json, manifest);
+        const previousHash = existingRecord.hash_value;
+        const hashChanged = computeHash(document, existingRecord.canonicalization, existingRecord.hash_algorithm) !== previousHash;
+        const canonicalization = hashChanged ? DEFAULT_CANONICALIZATION : existingRecord.canonicalization;
+        const hashAlgorithm = hashChanged ? DEFAULT_HASH_ALGORITHM : existingRecord.hash_algorithm;
+        const newHash = hashChanged ? computeHash(document, canonicalization, hashAlgorithm) : previousHash;
+        logger.info(`Computed new hash for record ${id}: ${newHash}`);
+
+        // 4. Save the new data first, so the ledger never holds a hash the DB does not have
+        let updatedRecord;
+        try {
+            updatedRecord = await recordService.update(id, {
+                title,
+                owner_name,
+                record_type: recordType,
+                data_json,
+                hash_value: newHash,
+                canonicalization,
+                hash_algorithm: hashAlgorithm,
+                blockchain_tx_id: existingRecord.blockchain_tx_id,
+                anchorHash: hashChanged ? newHash : null,
+                attachments: manifest
+            });
+        } catch (error) {
+            if (error instanceof AppError) {
+                return errorResponse(res, error.message, error.statusCode);
+            }
+            throw error;
+        }
+
+        if (!updatedRecord) {
+            return errorResponse(res, 'Record not found', 404);
+        }
+
+        let blockchainResult = {
+            tx_id: existingRecord.blockchain_tx_id,
+            timestamp: null
+        };
+
+        if (hashChanged) {
+            // 5. Caller does not want to wait for the chain (Merkle batches are always deferred)
+            if (isAsyncRequest(req) || anchorConfig.batchMode === 'merkle') {
+                return acceptedResponse(req, res, updatedRecord, newHash, 'Record updated, blockchain anchoring queued');
+            }
+
+            // 6. Send the new hash to blockchain
+            const entry = await anchorService.claimForRecord(id);
+            const anchorResult = entry ? await anchorService.processEntry(entry) : { anchored: false };
+
+            if (!anchorResult.anchored) {
+                return acceptedResponse(req, res, updatedRecord, newHash, 'Record updated, blockchain anchoring pending retry');
+            }
+
+            updatedRecord = anchorResult.record;
+            blockchainResult = anchorResult.blockchainResult;
+            logger.info(`Blockchain update response for record ${id}:`, blockchainResult);
+        }
+
+        // Return response with previous/new hash + on-chain proof
+        const response = {
+            record: {
+                id: updatedRecord.id,
+                title: updatedRecord.title,
+                owner_name: updatedRecord.owner_name,
+                record_type: updatedRecord.record_type,
+                data_json: updatedRecord.data_json,
+                created_at: updatedRecord.created_at
+            },
+            onChainProof: {
+                previousHash,
+                hash: newHash,
+                canonicalization: updatedRecord.canonicalization,
+                algorithm: updatedRecord.hash_algorithm,
+                transactionId: blockchainResult.tx_id,
+                timestamp: blockchainResult.timestamp,
+                hashChanged,
+                blockchainMode: blockchainService.getMode()
+            }
+        };
+
+        const message = hashChanged
+            ? 'Record updated and new hash stored on blockchain'
+            : 'Record updated: data unchanged, no blockchain transaction needed';
+
+        return successResponse(res, response, message);
+
+    } catch (error) {
+        logger.error('Error updating record:', error);
+        return errorResponse(res, 'Failed to update record', 500, error);
+    }
+};
+
+/**
+ * Erase a record's personal data on request (right to erasure)
+ * Flow:
+ * 1. Destroy the record's data key and clear every stored copy of its personal data (one transaction)
+ * 2. Delete its attachment files
+ * 3. Return the tombstone - hash and transaction ID stay, so the on-chain anchor is still accounted for
+ *
+ * POST /api/records/:id/erasure
+ */
+const eraseRecord = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body || {};
+
+        if (reason !== undefined && typeof reason !== 'string') {
+            return errorResponse(res, 'reason must be a string', 400);
+        }
+
+        // 1. Shred key + clear personal data
+        const result = await recordService.erase(id, { reason: reason || null, erasedBy: req.user.username });
+
+        if (!result) {
+            return errorResponse(res, 'Record not found', 404);
+        }
+
+        if (result.alreadyErased) {
+            return errorResponse(res, `Record already ${erasureNotice(result.record).toLowerCase()}`, 409);
+        }
+
+        // 2. Attachment files
+        await attachmentService.discard(result.attachments);
+
+        // 3. Tombstone
+        const { record } = result;
+        return successResponse(res, {
+            id: record.id,
+            record_type: record.record_type,
+            hash_value: record.hash_value,
+            canonicalization: record.canonicalization,
+            hash_algorithm: record.hash_algorithm,
+            blockchain_tx_id: record.blockchain_tx_id,
+            created_at: record.created_at,
+            erased_at: record.erased_at,
+            erased_by: record.erased_by,
+            erasure_reason: record.erasure_reason
+        }, 'Record erased: personal data destroyed, on-chain proof kept');
+
+    } catch (error) {
+        logger.error('Error erasing record:', error);
+        return errorResponse(res, 'Failed to erase record', 500, error);
+    }
+};
+
+/**
+ * Revoke a record
+ * Records are not deleted: the hash stays on-chain, so anyone holding the document
+ * must learn that it was revoked rather than find it still verifying.
+ * Flow:
+ * 1. Fetch record from DB - only records whose latest change is anchored can be revoked
+ * 2. Mark the record revoked in DB first, so no write slips in while the revocation is anchored
+ * 3. Anchor the revocation with reason and actor (RevokeRecord); a record already revoked
+ *    on-chain with the same hash counts as anchored
+ * 4. Record the revocation transaction ID
+ * If anchoring fails the record stays revoked and 202 is returned; repeating the request
+ * retries the anchoring. Not available when polygon is one of the ledgers (it has no revocation).
+ *
  * DELETE /api/records/:id
  */
-const deleteRecord = async (req, res) => {
+const revokeRecord = async (req, res) => {
     try {
         const { id } = req.params;
+        const { reason } = req.body || {};
 
-        const deleted = await recordService.delete(id);
+        if (reason !== undefined && typeof reason !== 'string') {
+            return errorResponse(res, 'reason must be a string', 400);
+        }
 
-        if (!deleted) {
+        // 1. Fetch record
+        const record = await recordService.findById(id);
+
+        if (!record) {
             return errorResponse(res, 'Record not found', 404);
         }
 
-        return successResponse(res, { id }, 'Record deleted successfully');
+        if (record.revoked_at && record.revocation_anchored_at) {
+            return errorResponse(res, `Record already ${revocationNotice(record)}`, 409);
+        }
+
+        // The Polygon contract cannot revoke a record (see BlockchainService._revokeOnPolygon)
+        if (blockchainService.hasLedger('polygon')) {
+            return errorResponse(res, 'Revocation is not supported on polygon', 409);
+        }
+
+        if (!record.revoked_at && record.anchor_status !== 'anchored') {
+            return errorResponse(res, 'Record is not anchored yet; revoke it once anchoring has completed', 409);
+        }
+
+        // 2. Mark revoked in DB (a revocation whose anchoring failed is only retried)
+        let revoked = record;
+        if (!record.revoked_at) {
+            try {
+                revoked = await recordService.revoke(id, {
+                    reason: reason || null,
+                    revokedBy: req.user.username
+                });
+            } catch (error) {
+                if (error instanceof AppError) {
+                    return errorResponse(res, error.message, error.statusCode);
+                }
+                throw error;
+            }
+
+            if (!revoked) {
+                return errorResponse(res, 'Record was revoked concurrently', 409);
+            }
+        }
+
+        // 3. Anchor the revocation
+        let blockchainResult;
+        try {
+            blockchainResult = await blockchainService.revokeRecordHash(id, revoked.hash_value, {
+                reason: revoked.revocation_reason,
+                revokedBy: revoked.revoked_by
+            });
+            logger.info(`Blockchain revocation response for record ${id}:`, blockchainResult);
+        } catch (error) {
+            logger.error(`Error anchoring revocation of record ${id}:`, error);
+            return successResponse(res, {
+                ...revocationDetails(revoked),
+                anchoring: { status: 'pending', blockchainMode: blockchainService.getMode() }
+            }, 'Record revoked; anchoring the revocation failed, repeat the request to retry', 202);
+        }
+
+        // 4. Record the transaction
+        const anchored = await recordService.markRevocationAnchored(id, blockchainResult.tx_id, blockchainResult.ledgers) || revoked;
+
+        return successResponse(res, {
+            ...revocationDetails(anchored),
+            onChainProof: {
+                transactionId: blockchainResult.tx_id,
+                timestamp: blockchainResult.timestamp,
+                blockchainMode: blockchainService.getMode()
+            }
+        }, 'Record revoked and revocation stored on blockchain');
 
     } catch (error) {
-        logger.error('Error deleting record:', error);
-        return errorResponse(res, 'Failed to delete record', 500, error);
+        logger.error('Error revoking record:', error);
+        return errorResponse(res, 'Failed to revoke record', 500, error);
     }
 };
 
+const revocationDetails = (record) => ({
+    id: record.id,
+    hash_value: record.hash_value,
+    revoked_at: record.revoked_at,
+    revoked_by: record.revoked_by,
+    revocation_reason: record.revocation_reason
+});
+
+/**
+ * Mode, description and network of one ledger, for the status endpoint
+ */
+const describeLedger = (ledger) => {
+    const mode = ledger.getMode();
+    const network = ledger.getNetworkInfo();
+
+    if (mode === 'fabric') {
+        network.identity = fabricConfig.serviceIdentity;
+    }
+
+    return {
+        mode,
+        description: MODE_DESCRIPTIONS[mode] || `Running in ${mode} mode`,
+        network
+    };
+};
+
 /**
  * Get blockchain service status
  * GET /api/records/blockchain/status
  */
 const getBlockchainStatus = async (req, res) => {
     try {
-        const status = {
-            mode: blockchainService.getMode(),
-            description: blockchainService.getMode() === 'mock' 
-                ? 'Running in mock mode - blockchain responses are simulated'
-                : 'Running in Fabric mode - connected to Hyperledger Fabric network'
-        };
+        const ledgers = blockchainService.getLedgers();
+        const status = ledgers.length === 1
+            ? describeLedger(ledgers[0])
+            : {
+                mode: blockchainService.getMode(),
+                description: `Anchoring to ${ledgers.length} ledgers, quorum: ${blockchainService.getQuorum().rule}`,
+                quorum: blockchainService.getQuorum(),
+                ledgers: ledgers.map(describeLedger)
+            };
 
-        if (blockchainService.getMode() === 'mock') {
+        if (blockchainService.hasLedger('mock')) {
+            status.mockChain = blockchainService.getMockChainInfo();
+            status.faults = mockFaultService.getSettings();
             status.mockLedger = blockchainService.getMockLedgerContents();
         }
 
+        if (blockchainService.hasLedger('chaincode-sim')) {
+            status.worldState = blockchainService.getSimulatedWorldState();
+        }
+
         return successResponse(res, status, 'Blockchain service status');
 
     } catch (error) {
@@ -247,11 +1266,94 @@ const getBlockchainStatus = async (req, res) => {
     }
 };
 
+/**
+ * Get the fault injection settings of the mock blockchain
+ * GET /api/records/blockchain/faults
+ */
+const getMockFaults = async (req, res) => {
+    try {
+        if (!blockchainService.hasLedger('mock')) {
+            return errorResponse(res, 'Fault injection is only available in mock mode', 409);
+        }
+
+        return successResponse(res, {
+            faults: mockFaultService.getSettings(),
+            profiles: mockFaultsConfig.PROFILES
+        }, 'Mock fault injection settings');
+
+    } catch (error) {
+        logger.error('Error getting mock faults:', error);
+        return errorResponse(res, 'Failed to get fault injection settings', 500, error);
+    }
+};
+
+/**
+ * Change the fault injection settings of the mock blockchain
+ * A profile resets every setting to that profile; other fields override single settings.
+ * PUT /api/records/blockchain/faults
+ */
+const updateMockFaults = async (req, res) => {
+    try {
+        if (!blockchainService.hasLedger('mock')) {
+            return errorResponse(res, 'Fault injection is only available in mock mode', 409);
+        }
+
+        const problem = mockFaultService.validate(req.body);
+        if (problem) {
+            return errorResponse(res, `Invalid fault settings: ${problem}`, 400);
+        }
+
+        const faults = mockFaultService.configure(req.body);
+
+        return successResponse(res, { faults }, 'Mock fault injection settings updated');
+
+    } catch (error) {
+        logger.error('Error updating mock faults:', error);
+        return errorResponse(res, 'Failed to update fault injection settings', 500, error);
+    }
+};
+
+/**
+ * Simulate a reorg that removes the most recent blocks of the mock blockchain
+ * Records anchored in those blocks verify as "Record not found on blockchain" afterwards.
+ * POST /api/records/blockchain/reorg
+ */
+const reorgMockLedger = async (req, res) => {
+    try {
+        if (!blockchainService.hasLedger('mock')) {
+            return errorResponse(res, 'Reorgs can only be simulated in mock mode', 409);
+        }
+
+        const depth = req.body.depth === undefined ? 1 : req.body.depth;
+        if (!Number.isInteger(depth) || depth < 1) {
+            return errorResponse(res, 'depth must be a positive integer', 400);
+        }
+
+        const result = await blockchainService.reorgMockLedger(depth);
+
+        return successResponse(res, result, `Reorg removed ${result.removed.length} block(s)`);
+
+    } catch (error) {
+        logger.error('Error simulating reorg:', error);
+        return errorResponse(res, 'Failed to simulate reorg', 500, error);
+    }
+};
+
 module.exports = {
     createRecord,
+    createRecordsBatch,
     getRecord,
     getAllRecords,
+    getAnchorStatus,
     verifyRecord,
-    deleteRecord,
-    getBlockchainStatus
+    getRecordHistory,
+    getRecordProof,
+    getProofPublicKey,
+    updateRecord,
+    eraseRecord,
+    revokeRecord,
+    getBlockchainStatus,
+    getMockFaults,
+    updateMockFaults,
+    reorgMockLedger
 };
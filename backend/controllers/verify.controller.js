@@ -0,0 +1,237 @@
+/**
+ * Verify Controller
+ * Handles content-based verification of documents held by third parties,
+ * who know the document but not our internal record ID
+ */
+
+const recordService = require('../services/record.service');
+const blockchainService = require('../services/blockchain.service');
+const attachmentService = require('../services/attachment.service');
+const {
+    CANONICALIZATION_VERSIONS,
+    DEFAULT_CANONICALIZATION,
+    DEFAULT_HASH_ALGORITHM,
+    HASH_ALGORITHM_NAMES,
+    canonicalizeJSON,
+    hashCanonicalString
+} = require('../utils/hash');
+const { computeRoot } = require('../utils/merkle');
+const { successResponse, errorResponse } = require('../utils/response.helper');
+const logger = require('../utils/logger');
+
+// Fields of an attachment manifest entry, as hashed with the record
+const MANIFEST_FIELDS = ['id', 'filename', 'contentType', 'size', 'hash'];
+
+/**
+ * Verify a document by its content
+ * Flow:
+ * 1. Validate input
+ * 2. Canonicalize data_json (with the attachment manifest, if given) and compute its hash, once per
+ *    canonicalization version and hash algorithm, since the caller cannot know which ones the record
+ *    was hashed with
+ * 3. Look the hashes up off-chain (record versions, in one query) and each on-chain (reverse lookup)
+ * 4. Confirm every off-chain match against the ledger
+ * 5. Return matching record IDs with tx ID and anchoring time, or "never anchored"
+ *    ("revoked" if every record anchored with this content has been revoked)
+ * A record with attachments is hashed over data_json and its attachment manifest, so it is only found
+ * when the request also sends that manifest as attachments ([{ id, filename, contentType, size, hash }],
+ * as in the canonical data of a proof bundle).
+ *
+ * POST /api/verify
+ */
+const verifyDocument = async (req, res) => {
+    try {
+        const { data_json, attachments } = req.body;
+
+        // 1. Validate input
+        if (!data_json) {
+            return errorResponse(res, 'Missing required field: data_json', 400);
+        }
+
+        if (typeof data_json !== 'object') {
+            return errorResponse(res, 'data_json must be a valid JSON object', 400);
+        }
+
+        if (attachments !== undefined && !isManifest(attachments)) {
+            return errorResponse(res, `attachments must be an array of { ${MANIFEST_FIELDS.join(', ')} }`, 400);
+        }
+
+        // 2. Canonicalize + hash
+        const hashes = computeCandidateHashes(attachmentService.hashedDocument(data_json, attachments));
+
+        if (hashes.length === 0) {
+            return errorResponse(res, 'data_json cannot be canonicalized', 400);
+        }
+
+        // 3 & 4. Look up (one off-chain query for all candidates) and confirm on the ledger
+        const versions = await recordService.findByHashes(hashes.map(candidate => candidate.hash));
+        const matches = [];
+        for (const candidate of hashes) {
+            const candidateVersions = versions.filter(version => version.hash_value === candidate.hash);
+            matches.push(...await findMatches(candidate, candidateVersions));
+        }
+
+        const confirmed = matches.filter(match => match.confirmedOnChain);
+        const anchored = confirmed.length > 0;
+        const revoked = anchored && confirmed.every(match => match.revoked);
+        const firstMatch = confirmed[0];
+        const reported = anchored
+            ? hashes.find(candidate => candidate.hash === firstMatch.hash)
+            : hashes.find(candidate => candidate.canonicalization === DEFAULT_CANONICALIZATION
+                && candidate.algorithm === DEFAULT_HASH_ALGORITHM) || hashes[0];
+
+        // 5. Return result
+        const response = {
+            hash: reported.hash,
+            canonicalization: reported.canonicalization,
+            algorithm: reported.algorithm,
+            hashes,
+            anchored,
+            result: revoked ? 'revoked' : anchored ? 'anchored' : 'never_anchored',
+            recordIds: [...new Set(confirmed.map(m => m.recordId))],
+            matches,
+            blockchainMode: blockchainService.getMode()
+        };
+
+        const message = revoked
+            ? 'Document revoked: this content was anchored on blockchain, but its record has been revoked'
+            : anchored
+                ? 'Document verified: this content was anchored on blockchain'
+                : 'Document not verified: this content was never anchored';
+
+        return successResponse(res, response, message);
+
+    } catch (error) {
+        logger.error('Error verifying document:', error);
+        return errorResponse(res, 'Failed to verify document', 500, error);
+    }
+};
+
+/**
+ * Whether a value is an attachment manifest (see attachmentService.toManifest)
+ * @param {*} value - Request value
+ * @returns {boolean}
+ */
+const isManifest = (value) => {
+    return Array.isArray(value) && value.every(entry => entry !== null && typeof entry === 'object'
+        && !Array.isArray(entry)
+        && Object.keys(entry).length === MANIFEST_FIELDS.length
+        && MANIFEST_FIELDS.every(field => entry[field] !== undefined));
+};
+
+/**
+ * Hash a document with every supported canonicalization version and hash algorithm
+ * @param {Object} data_json - Document data (or data_json with its attachment manifest)
+ * @returns {Array} [{ canonicalization, algorithm, hash }]
+ */
+const computeCandidateHashes = (data_json) => {
+    const hashes = [];
+
+    for (const canonicalization of CANONICALIZATION_VERSIONS) {
+        let canonicalData;
+        try {
+            canonicalData = canonicalizeJSON(data_json, canonicalization);
+        } catch (error) {
+            // Not representable in this canonicalization (e.g. lone surrogates under JCS)
+            continue;
+        }
+
+        for (const algorithm of HASH_ALGORITHM_NAMES) {
+            hashes.push({ canonicalization, algorithm, hash: hashCanonicalString(canonicalData, algorithm) });
+        }
+    }
+
+    return hashes;
+};
+
+/**
+ * Find the ledger entries holding a document hash and confirm its record versions against them
+ * @param {Object} candidate - { canonicalization, algorithm, hash } from computeCandidateHashes
+ * @param {Array} versions - Record versions with this hash, from recordService.findByHashes
+ * @returns {Promise<Array>} Matches, each confirmed against the ledger
+ */
+const findMatches = async ({ canonicalization, algorithm, hash }, versions) => {
+    const ledgerMatches = await blockchainService.findByHash(hash);
+
+    const matches = [];
+    for (const version of versions) {
+        matches.push({ ...await confirmVersion(version, hash, ledgerMatches), hash, canonicalization, algorithm });
+    }
+
+    // On-chain entries without an off-chain record (e.g. deleted records)
+    (ledgerMatches || [])
+        .filter(entry => !versions.some(version => version.record_id === entry.recordId))
+        .forEach(entry => matches.push({
+            recordId: entry.recordId,
+            version: null,
+            current: null,
+            confirmedOnChain: true,
+            transactionId: entry.tx_id,
+            anchoredAt: entry.timestamp,
+            offChainRecord: false,
+            hash,
+            canonicalization,
+            algorithm
+        }));
+
+    return matches;
+};
+
+/**
+ * Confirm that an off-chain record version with the given hash is on the ledger
+ * @param {Object} version - Row from recordService.findByHashes
+ * @param {string} hash - Document hash
+ * @param {Array|null} ledgerMatches - Reverse lookup result, or null if unsupported
+ * @returns {Promise<Object>} Match details
+ */
+const confirmVersion = async (version, hash, ledgerMatches) => {
+    const match = {
+        recordId: version.record_id,
+        version: version.version,
+        current: version.is_current,
+        confirmedOnChain: false,
+        transactionId: version.blockchain_tx_id,
+        anchoredAt: null,
+        offChainRecord: true,
+        ...(version.erased_at && { erasedAt: version.erased_at }),
+        ...(version.revoked_at && {
+            revoked: true,
+            revokedAt: version.revoked_at,
+            revocationReason: version.revocation_reason
+        })
+    };
+
+    // Anchored inside a Merkle batch: the ledger holds the batch root
+    if (version.merkle_batch_id) {
+        const root = computeRoot(hash, version.merkle_proof || []);
+        const onChain = await blockchainService.getRecordHash(version.merkle_batch_id);
+        match.confirmedOnChain = !!onChain && onChain.hash === root;
+        match.anchoredAt = onChain ? onChain.timestamp : null;
+        match.merkle = { batchId: version.merkle_batch_id, root };
+        return match;
+    }
+
+    if (ledgerMatches) {
+        const entry = ledgerMatches.find(e => e.recordId === version.record_id
+            && (!version.blockchain_tx_id || e.tx_id === version.blockchain_tx_id))
+            || ledgerMatches.find(e => e.recordId === version.record_id);
+        if (entry) {
+            match.confirmedOnChain = true;
+            match.transactionId = entry.tx_id;
+            match.anchoredAt = entry.timestamp;
+        }
+        return match;
+    }
+
+    // No reverse lookup in this mode: check the record's current on-chain hash
+    const onChain = await blockchainService.getRecordHash(version.record_id);
+    if (onChain && onChain.hash === hash) {
+        match.confirmedOnChain = true;
+        match.anchoredAt = onChain.timestamp;
+    }
+    return match;
+};
+
+module.exports = {
+    verifyDocument
+};
@@ -0,0 +1,10 @@
+-- Base records table (off-chain storage of full record data)
+CREATE TABLE IF NOT EXISTS records (
+    id               UUID PRIMARY KEY,
+    title            VARCHAR(255) NOT NULL,
+    owner_name       VARCHAR(255) NOT NULL,
+    data_json        JSONB NOT NULL,
+    hash_value       VARCHAR(200),
+    blockchain_tx_id VARCHAR(200),
+    created_at       TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,21 @@
+-- Immutable history of every anchored version of a record's data_json
+CREATE TABLE IF NOT EXISTS record_versions (
+    id               BIGSERIAL PRIMARY KEY,
+    record_id        UUID NOT NULL REFERENCES records(id) ON DELETE CASCADE,
+    version          INTEGER NOT NULL,
+    title            VARCHAR(255) NOT NULL,
+    owner_name       VARCHAR(255) NOT NULL,
+    data_json        JSONB NOT NULL,
+    hash_value       VARCHAR(200) NOT NULL,
+    blockchain_tx_id VARCHAR(200),
+    created_at       TIMESTAMP DEFAULT NOW(),
+    UNIQUE (record_id, version)
+);
+
+-- Backfill version 1 for records anchored before versioning existed
+INSERT INTO record_versions
+    (record_id, version, title, owner_name, data_json, hash_value, blockchain_tx_id, created_at)
+SELECT id, 1, title, owner_name, data_json, hash_value, blockchain_tx_id, created_at
+FROM records
+WHERE hash_value IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM record_versions v WHERE v.record_id = records.id);
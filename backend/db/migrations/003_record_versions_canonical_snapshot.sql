@@ -0,0 +1,15 @@
+-- Canonical JSON string exactly as it was hashed and anchored
+ALTER TABLE record_versions ADD COLUMN IF NOT EXISTS canonical_data TEXT;
+
+-- Versions are an audit trail: once written they can never be modified
+CREATE OR REPLACE FUNCTION record_versions_immutable()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'record_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_versions_no_update ON record_versions;
+CREATE TRIGGER record_versions_no_update
+    BEFORE UPDATE ON record_versions
+    FOR EACH ROW EXECUTE FUNCTION record_versions_immutable();
@@ -0,0 +1,32 @@
+-- Anchoring status of each record
+ALTER TABLE records ADD COLUMN IF NOT EXISTS anchor_status VARCHAR(20) NOT NULL DEFAULT 'pending';
+
+UPDATE records SET anchor_status = 'anchored'
+WHERE hash_value IS NOT NULL AND blockchain_tx_id IS NOT NULL;
+
+ALTER TABLE records DROP CONSTRAINT IF EXISTS records_anchor_status_check;
+ALTER TABLE records ADD CONSTRAINT records_anchor_status_check
+    CHECK (anchor_status IN ('pending', 'anchored', 'failed'));
+
+-- Transactional outbox: written in the same transaction as the record,
+-- drained by the anchor worker
+CREATE TABLE IF NOT EXISTS anchor_outbox (
+    id               BIGSERIAL PRIMARY KEY,
+    record_id        UUID NOT NULL REFERENCES records(id) ON DELETE CASCADE,
+    operation        VARCHAR(20) NOT NULL DEFAULT 'store',
+    hash_value       VARCHAR(200) NOT NULL,
+    status           VARCHAR(20) NOT NULL DEFAULT 'pending'
+                     CHECK (status IN ('pending', 'processing', 'done', 'failed')),
+    attempts         INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at  TIMESTAMP NOT NULL DEFAULT NOW(),
+    locked_at        TIMESTAMP,
+    last_error       TEXT,
+    created_at       TIMESTAMP DEFAULT NOW(),
+    updated_at       TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS anchor_outbox_due_idx
+    ON anchor_outbox (next_attempt_at)
+    WHERE status IN ('pending', 'processing');
+
+CREATE INDEX IF NOT EXISTS anchor_outbox_record_idx ON anchor_outbox (record_id);
@@ -0,0 +1,15 @@
+-- Stored responses for requests sent with an Idempotency-Key header
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    idempotency_key  VARCHAR(255) PRIMARY KEY,
+    request_method   VARCHAR(10) NOT NULL,
+    request_path     VARCHAR(255) NOT NULL,
+    request_hash     VARCHAR(200) NOT NULL,
+    status           VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+                     CHECK (status IN ('in_progress', 'completed')),
+    response_status  INTEGER,
+    response_body    JSONB,
+    created_at       TIMESTAMP DEFAULT NOW(),
+    completed_at     TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_idx ON idempotency_keys (created_at);
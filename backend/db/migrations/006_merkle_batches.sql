@@ -0,0 +1,19 @@
+-- Merkle batches: many record hashes anchored through a single root
+CREATE TABLE IF NOT EXISTS anchor_batches (
+    id               UUID PRIMARY KEY,
+    merkle_root      VARCHAR(200) NOT NULL,
+    leaf_count       INTEGER NOT NULL,
+    blockchain_tx_id VARCHAR(200),
+    status           VARCHAR(20) NOT NULL DEFAULT 'pending'
+                     CHECK (status IN ('pending', 'anchored', 'failed')),
+    last_error       TEXT,
+    created_at       TIMESTAMP DEFAULT NOW(),
+    anchored_at      TIMESTAMP
+);
+
+-- Inclusion proof of a record anchored through a batch
+ALTER TABLE records ADD COLUMN IF NOT EXISTS merkle_batch_id UUID REFERENCES anchor_batches(id);
+ALTER TABLE records ADD COLUMN IF NOT EXISTS merkle_leaf_index INTEGER;
+ALTER TABLE records ADD COLUMN IF NOT EXISTS merkle_proof JSONB;
+
+CREATE INDEX IF NOT EXISTS records_merkle_batch_idx ON records (merkle_batch_id);
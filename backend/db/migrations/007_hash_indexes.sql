@@ -0,0 +1,3 @@
+-- Reverse lookup of records by content hash (POST /api/verify)
+CREATE INDEX IF NOT EXISTS records_hash_value_idx ON records (hash_value);
+CREATE INDEX IF NOT EXISTS record_versions_hash_value_idx ON record_versions (hash_value);
@@ -0,0 +1,39 @@
+-- One row per integrity audit run, with its summary
+CREATE TABLE IF NOT EXISTS integrity_audits (
+    id               UUID PRIMARY KEY,
+    trigger          VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+                     CHECK (trigger IN ('scheduled', 'manual')),
+    status           VARCHAR(20) NOT NULL DEFAULT 'running'
+                     CHECK (status IN ('running', 'completed', 'failed')),
+    total_records    INTEGER NOT NULL DEFAULT 0,
+    valid_count      INTEGER NOT NULL DEFAULT 0,
+    db_mismatch      INTEGER NOT NULL DEFAULT 0,
+    chain_mismatch   INTEGER NOT NULL DEFAULT 0,
+    not_anchored     INTEGER NOT NULL DEFAULT 0,
+    error_count      INTEGER NOT NULL DEFAULT 0,
+    blockchain_mode  VARCHAR(20),
+    last_error       TEXT,
+    started_at       TIMESTAMP DEFAULT NOW(),
+    finished_at      TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS integrity_audits_started_idx ON integrity_audits (started_at DESC);
+
+-- Per-record outcome of an audit run
+CREATE TABLE IF NOT EXISTS integrity_audit_results (
+    id               BIGSERIAL PRIMARY KEY,
+    audit_id         UUID NOT NULL REFERENCES integrity_audits(id) ON DELETE CASCADE,
+    record_id        UUID NOT NULL,
+    status           VARCHAR(20) NOT NULL
+                     CHECK (status IN ('valid', 'db_mismatch', 'chain_mismatch', 'not_anchored', 'error')),
+    computed_hash    VARCHAR(200),
+    db_hash          VARCHAR(200),
+    chain_hash       VARCHAR(200),
+    db_match         BOOLEAN,
+    chain_match      BOOLEAN,
+    detail           TEXT,
+    checked_at       TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS integrity_audit_results_audit_idx
+    ON integrity_audit_results (audit_id, status);
@@ -0,0 +1,5 @@
+-- Canonicalization algorithm each hash was computed with.
+-- Existing rows were hashed with the original sorted-keys algorithm ('legacy');
+-- new records are written with the current version (RFC 8785 'jcs') by the application.
+ALTER TABLE records ADD COLUMN IF NOT EXISTS canonicalization VARCHAR(20) NOT NULL DEFAULT 'legacy';
+ALTER TABLE record_versions ADD COLUMN IF NOT EXISTS canonicalization VARCHAR(20) NOT NULL DEFAULT 'legacy';
@@ -0,0 +1,5 @@
+-- Hash algorithm each hash was computed with (see HASH_ALGORITHMS in utils/hash.js).
+-- Existing rows carry bare SHA-256 digests ('sha256'); new records are written
+-- with the configured algorithm by the application.
+ALTER TABLE records ADD COLUMN IF NOT EXISTS hash_algorithm VARCHAR(30) NOT NULL DEFAULT 'sha256';
+ALTER TABLE record_versions ADD COLUMN IF NOT EXISTS hash_algorithm VARCHAR(30) NOT NULL DEFAULT 'sha256';
@@ -0,0 +1,80 @@
+-- Record types: a JSON Schema that data_json of records of that type must satisfy
+CREATE TABLE IF NOT EXISTS record_types (
+    name             VARCHAR(100) PRIMARY KEY,
+    description      TEXT,
+    schema           JSONB NOT NULL,
+    created_at       TIMESTAMP DEFAULT NOW(),
+    updated_at       TIMESTAMP DEFAULT NOW()
+);
+
+-- Untyped records (created before record types existed) keep record_type NULL
+ALTER TABLE records ADD COLUMN IF NOT EXISTS record_type VARCHAR(100) REFERENCES record_types(name);
+
+CREATE INDEX IF NOT EXISTS records_record_type_idx ON records (record_type);
+
+-- Types of the documents we already store (see scripts/seed-data.js)
+INSERT INTO record_types (name, description, schema) VALUES
+('certificate', 'Course or training certificate', '{
+    "type": "object",
+    "required": ["certificate_id", "course_name", "issuer", "issue_date"],
+    "properties": {
+        "certificate_id": { "type": "string", "minLength": 1 },
+        "course_name": { "type": "string", "minLength": 1 },
+        "issuer": { "type": "string", "minLength": 1 },
+        "issue_date": { "type": "string", "format": "date" },
+        "expiry_date": { "type": ["string", "null"], "format": "date" },
+        "grade": { "type": "string" },
+        "extra_notes": { "type": "string" }
+    }
+}'),
+('property_deed', 'Property ownership document', '{
+    "type": "object",
+    "required": ["document_id", "property_type", "location", "registration_date"],
+    "properties": {
+        "document_id": { "type": "string", "minLength": 1 },
+        "property_type": { "type": "string", "minLength": 1 },
+        "location": { "type": "string", "minLength": 1 },
+        "area_sqft": { "type": "number", "exclusiveMinimum": 0 },
+        "registration_date": { "type": "string", "format": "date" },
+        "registry_office": { "type": "string" }
+    }
+}'),
+('lab_report', 'Medical laboratory report', '{
+    "type": "object",
+    "required": ["report_id", "test_type", "lab_name", "test_date", "results"],
+    "properties": {
+        "report_id": { "type": "string", "minLength": 1 },
+        "test_type": { "type": "string", "minLength": 1 },
+        "lab_name": { "type": "string", "minLength": 1 },
+        "test_date": { "type": "string", "format": "date" },
+        "doctor_name": { "type": "string" },
+        "results": { "type": "object", "minProperties": 1 }
+    }
+}'),
+('transcript', 'Academic transcript', '{
+    "type": "object",
+    "required": ["transcript_id", "institution", "program", "graduation_year"],
+    "properties": {
+        "transcript_id": { "type": "string", "minLength": 1 },
+        "institution": { "type": "string", "minLength": 1 },
+        "program": { "type": "string", "minLength": 1 },
+        "graduation_year": { "type": "integer", "minimum": 1900, "maximum": 2100 },
+        "cgpa": { "type": "number", "minimum": 0, "maximum": 10 },
+        "honors": { "type": "string" }
+    }
+}'),
+('vehicle_rc', 'Vehicle registration certificate', '{
+    "type": "object",
+    "required": ["rc_number", "vehicle_type", "make", "model", "registration_date"],
+    "properties": {
+        "rc_number": { "type": "string", "minLength": 1 },
+        "vehicle_type": { "type": "string", "minLength": 1 },
+        "make": { "type": "string", "minLength": 1 },
+        "model": { "type": "string", "minLength": 1 },
+        "year": { "type": "integer", "minimum": 1900 },
+        "engine_number": { "type": "string" },
+        "chassis_number": { "type": "string" },
+        "registration_date": { "type": "string", "format": "date" }
+    }
+}')
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,20 @@
+-- Indexes behind the GET /api/records filters
+-- (on very large tables, create these by hand with CREATE INDEX CONCURRENTLY before migrating)
+
+-- Default listing order and created_at ranges
+CREATE INDEX IF NOT EXISTS records_created_at_idx ON records (created_at DESC);
+
+-- owner_name equality, newest first
+CREATE INDEX IF NOT EXISTS records_owner_name_idx ON records (owner_name, created_at DESC);
+
+-- anchor_status equality, newest first
+CREATE INDEX IF NOT EXISTS records_anchor_status_idx ON records (anchor_status, created_at DESC);
+
+-- title partial match (ILIKE '%...%')
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+-- pg_trgm may already be installed in another schema (usually public)
+SELECT set_config('search_path', current_schema() || ', public', true);
+CREATE INDEX IF NOT EXISTS records_title_trgm_idx ON records USING GIN (title gin_trgm_ops);
+
+-- data_json containment predicates (data_json @> '{"issuer": "Tech Academy"}')
+CREATE INDEX IF NOT EXISTS records_data_json_idx ON records USING GIN (data_json jsonb_path_ops);
@@ -0,0 +1,13 @@
+-- Keyset pagination of GET /api/records orders by (created_at DESC, id DESC);
+-- the id tie-breaker is added to the listing indexes from 012
+DROP INDEX IF EXISTS records_created_at_idx;
+CREATE INDEX IF NOT EXISTS records_created_at_id_idx ON records (created_at DESC, id DESC);
+
+DROP INDEX IF EXISTS records_owner_name_idx;
+CREATE INDEX IF NOT EXISTS records_owner_name_created_idx ON records (owner_name, created_at DESC, id DESC);
+
+DROP INDEX IF EXISTS records_anchor_status_idx;
+CREATE INDEX IF NOT EXISTS records_anchor_status_created_idx ON records (anchor_status, created_at DESC, id DESC);
+
+DROP INDEX IF EXISTS records_record_type_idx;
+CREATE INDEX IF NOT EXISTS records_record_type_created_idx ON records (record_type, created_at DESC, id DESC);
@@ -0,0 +1,22 @@
+-- Binary attachments of a record. The bytes live in blob storage; the row keeps
+-- what is folded into the record hash (filename, content type, size, content hash)
+CREATE TABLE IF NOT EXISTS record_attachments (
+    id               UUID PRIMARY KEY,
+    record_id        UUID NOT NULL REFERENCES records(id) ON DELETE CASCADE,
+    filename         VARCHAR(255) NOT NULL,
+    content_type     VARCHAR(255) NOT NULL,
+    size_bytes       BIGINT NOT NULL,
+    content_hash     VARCHAR(200) NOT NULL,
+    hash_algorithm   VARCHAR(30) NOT NULL,
+    storage_driver   VARCHAR(30) NOT NULL,
+    storage_key      VARCHAR(500) NOT NULL,
+    created_at       TIMESTAMP DEFAULT NOW(),
+    -- Removed attachments are kept: earlier versions of the record still reference them
+    removed_at       TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS record_attachments_record_idx
+    ON record_attachments (record_id, created_at) WHERE removed_at IS NULL;
+
+-- Attachment manifest each version was hashed with (NULL: the version had no attachments)
+ALTER TABLE record_versions ADD COLUMN IF NOT EXISTS attachments JSONB;
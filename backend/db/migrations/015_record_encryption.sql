@@ -0,0 +1,20 @@
+-- Per-record data keys, wrapped by a master key (envelope encryption of data_json)
+CREATE TABLE IF NOT EXISTS record_keys (
+    record_id        UUID PRIMARY KEY REFERENCES records(id) ON DELETE CASCADE,
+    master_key_id    VARCHAR(100) NOT NULL,
+    wrapped_key      TEXT NOT NULL,
+    created_at       TIMESTAMP DEFAULT NOW(),
+    rotated_at       TIMESTAMP
+);
+
+-- Rotation looks up keys still wrapped with an old master key
+CREATE INDEX IF NOT EXISTS record_keys_master_key_idx ON record_keys (master_key_id);
+
+-- Encrypted records keep data_json NULL and the ciphertext next to it;
+-- records stored before encryption was enabled keep their plain data_json
+ALTER TABLE records ALTER COLUMN data_json DROP NOT NULL;
+ALTER TABLE records ADD COLUMN IF NOT EXISTS data_ciphertext TEXT;
+
+ALTER TABLE record_versions ALTER COLUMN data_json DROP NOT NULL;
+ALTER TABLE record_versions ADD COLUMN IF NOT EXISTS data_ciphertext TEXT;
+ALTER TABLE record_versions ADD COLUMN IF NOT EXISTS canonical_ciphertext TEXT;
@@ -0,0 +1,45 @@
+-- Erasure on request (right to erasure): personal data is destroyed and the record
+-- row stays behind as a tombstone with its hash and transaction ID
+ALTER TABLE records ADD COLUMN IF NOT EXISTS erased_at TIMESTAMP;
+ALTER TABLE records ADD COLUMN IF NOT EXISTS erased_by VARCHAR(255);
+ALTER TABLE records ADD COLUMN IF NOT EXISTS erasure_reason TEXT;
+ALTER TABLE records ALTER COLUMN title DROP NOT NULL;
+ALTER TABLE records ALTER COLUMN owner_name DROP NOT NULL;
+
+ALTER TABLE record_versions ADD COLUMN IF NOT EXISTS erased_at TIMESTAMP;
+ALTER TABLE record_versions ALTER COLUMN title DROP NOT NULL;
+ALTER TABLE record_versions ALTER COLUMN owner_name DROP NOT NULL;
+
+-- File names can be personal data too; the content hash stays
+ALTER TABLE record_attachments ALTER COLUMN filename DROP NOT NULL;
+
+-- Versions stay immutable except for erasure, which may only clear personal data:
+-- hash, canonicalization, algorithm and transaction ID are kept
+CREATE OR REPLACE FUNCTION record_versions_immutable()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.erased_at IS NULL AND NEW.erased_at IS NOT NULL
+       AND NEW.id = OLD.id
+       AND NEW.record_id = OLD.record_id
+       AND NEW.version = OLD.version
+       AND NEW.hash_value = OLD.hash_value
+       AND NEW.canonicalization = OLD.canonicalization
+       AND NEW.hash_algorithm = OLD.hash_algorithm
+       AND NEW.blockchain_tx_id IS NOT DISTINCT FROM OLD.blockchain_tx_id
+       AND NEW.created_at IS NOT DISTINCT FROM OLD.created_at
+       AND NEW.title IS NULL AND NEW.owner_name IS NULL
+       AND NEW.data_json IS NULL AND NEW.data_ciphertext IS NULL
+       AND NEW.canonical_data IS NULL AND NEW.canonical_ciphertext IS NULL
+       AND NEW.attachments IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'record_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Integrity audits report erased records separately
+ALTER TABLE integrity_audit_results DROP CONSTRAINT IF EXISTS integrity_audit_results_status_check;
+ALTER TABLE integrity_audit_results ADD CONSTRAINT integrity_audit_results_status_check
+    CHECK (status IN ('valid', 'db_mismatch', 'chain_mismatch', 'not_anchored', 'error', 'erased'));
+ALTER TABLE integrity_audits ADD COLUMN IF NOT EXISTS erased_count INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,12 @@
+-- Revocation replaces hard deletion: the record stays, its revocation is anchored
+-- on-chain and verification reports it as revoked
+ALTER TABLE records ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+ALTER TABLE records ADD COLUMN IF NOT EXISTS revoked_by VARCHAR(255);
+ALTER TABLE records ADD COLUMN IF NOT EXISTS revocation_reason TEXT;
+ALTER TABLE records ADD COLUMN IF NOT EXISTS revocation_tx_id VARCHAR(200);
+
+-- Integrity audits report revoked records separately
+ALTER TABLE integrity_audit_results DROP CONSTRAINT IF EXISTS integrity_audit_results_status_check;
+ALTER TABLE integrity_audit_results ADD CONSTRAINT integrity_audit_results_status_check
+    CHECK (status IN ('valid', 'db_mismatch', 'chain_mismatch', 'not_anchored', 'error', 'erased', 'revoked'));
+ALTER TABLE integrity_audits ADD COLUMN IF NOT EXISTS revoked_count INTEGER NOT NULL DEFAULT 0;
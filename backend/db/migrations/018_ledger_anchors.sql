@@ -0,0 +1,17 @@
+-- Multi-ledger anchoring: one row per transaction on each ledger, so every ledger's
+-- tx ID is kept (records.blockchain_tx_id holds the primary ledger's)
+CREATE TABLE IF NOT EXISTS ledger_anchors (
+    id               BIGSERIAL PRIMARY KEY,
+    -- Record ID, or the Merkle batch ID for records anchored through a batch
+    anchor_id        VARCHAR(100) NOT NULL,
+    ledger           VARCHAR(30) NOT NULL,
+    operation        VARCHAR(20) NOT NULL CHECK (operation IN ('store', 'update', 'revoke')),
+    hash_value       VARCHAR(200) NOT NULL,
+    tx_id            VARCHAR(200) NOT NULL,
+    anchored_at      TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ledger_anchors_anchor_idx ON ledger_anchors (anchor_id, ledger, id);
+
+-- Audits record every configured ledger (e.g. "fabric+polygon")
+ALTER TABLE integrity_audits ALTER COLUMN blockchain_mode TYPE VARCHAR(100);
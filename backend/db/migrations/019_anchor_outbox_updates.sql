@@ -0,0 +1,6 @@
+-- Record updates are anchored through the outbox too (operation 'update'). A newer
+-- change of a record supersedes its entries that have not been sent yet, so a stale
+-- hash is never anchored.
+ALTER TABLE anchor_outbox DROP CONSTRAINT IF EXISTS anchor_outbox_status_check;
+ALTER TABLE anchor_outbox ADD CONSTRAINT anchor_outbox_status_check
+    CHECK (status IN ('pending', 'processing', 'done', 'failed', 'superseded'));
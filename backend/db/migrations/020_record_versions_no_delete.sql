@@ -0,0 +1,14 @@
+-- Versions are an audit trail: deleting them is refused as well, not only changing them.
+-- This also stops a record from being deleted together with its versions (ON DELETE CASCADE);
+-- records are revoked or erased instead.
+CREATE OR REPLACE FUNCTION record_versions_no_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'record_versions rows cannot be deleted';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_versions_no_delete ON record_versions;
+CREATE TRIGGER record_versions_no_delete
+    BEFORE DELETE ON record_versions
+    FOR EACH ROW EXECUTE FUNCTION record_versions_no_delete();
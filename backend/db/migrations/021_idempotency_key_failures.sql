@@ -0,0 +1,5 @@
+-- A key whose response could not be stored is marked failed, so repeats get an
+-- error instead of waiting on an 'in_progress' key until it expires
+ALTER TABLE idempotency_keys DROP CONSTRAINT IF EXISTS idempotency_keys_status_check;
+ALTER TABLE idempotency_keys ADD CONSTRAINT idempotency_keys_status_check
+    CHECK (status IN ('in_progress', 'completed', 'failed'));
@@ -0,0 +1,11 @@
+-- Stored responses echo the created record's data_json; with data encryption enabled they are
+-- stored encrypted with that record's data key (response_ciphertext, response_body NULL)
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS record_id UUID;
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS response_ciphertext TEXT;
+
+UPDATE idempotency_keys
+SET record_id = (response_body #>> '{data,record,id}')::uuid
+WHERE record_id IS NULL AND response_body #>> '{data,record,id}' IS NOT NULL;
+
+-- Erasure and the encryption backfill look stored responses up by record
+CREATE INDEX IF NOT EXISTS idempotency_keys_record_idx ON idempotency_keys (record_id);
@@ -0,0 +1,7 @@
+-- Revocations are saved before they are anchored; revocation_anchored_at is set once the
+-- revocation is on-chain (revocation_tx_id can stay NULL on ledgers that do not report one)
+ALTER TABLE records ADD COLUMN IF NOT EXISTS revocation_anchored_at TIMESTAMP;
+
+-- Revocations made before this migration were anchored before they were saved
+UPDATE records SET revocation_anchored_at = revoked_at
+WHERE revoked_at IS NOT NULL AND revocation_anchored_at IS NULL;
@@ -0,0 +1,59 @@
+-- Versions stay immutable except for two updates:
+-- * erasure, which may only clear personal data (see 016_record_erasure.sql)
+-- * the encryption backfill (scripts/encrypt-existing-data.js), which may only move plain
+--   data_json / canonical_data into data_ciphertext / canonical_ciphertext: the plain column
+--   is cleared only where the ciphertext is set, and everything else stays as it was
+CREATE OR REPLACE FUNCTION record_versions_immutable()
+RETURNS TRIGGER AS $$
+DECLARE
+    data_moved BOOLEAN;
+    data_kept BOOLEAN;
+    canonical_moved BOOLEAN;
+    canonical_kept BOOLEAN;
+BEGIN
+    IF OLD.erased_at IS NULL AND NEW.erased_at IS NOT NULL
+       AND NEW.id = OLD.id
+       AND NEW.record_id = OLD.record_id
+       AND NEW.version = OLD.version
+       AND NEW.hash_value = OLD.hash_value
+       AND NEW.canonicalization = OLD.canonicalization
+       AND NEW.hash_algorithm = OLD.hash_algorithm
+       AND NEW.blockchain_tx_id IS NOT DISTINCT FROM OLD.blockchain_tx_id
+       AND NEW.created_at IS NOT DISTINCT FROM OLD.created_at
+       AND NEW.title IS NULL AND NEW.owner_name IS NULL
+       AND NEW.data_json IS NULL AND NEW.data_ciphertext IS NULL
+       AND NEW.canonical_data IS NULL AND NEW.canonical_ciphertext IS NULL
+       AND NEW.attachments IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    data_moved := OLD.data_json IS NOT NULL AND OLD.data_ciphertext IS NULL
+        AND NEW.data_json IS NULL AND NEW.data_ciphertext IS NOT NULL;
+    data_kept := NEW.data_json IS NOT DISTINCT FROM OLD.data_json
+        AND NEW.data_ciphertext IS NOT DISTINCT FROM OLD.data_ciphertext;
+    canonical_moved := OLD.canonical_data IS NOT NULL AND OLD.canonical_ciphertext IS NULL
+        AND NEW.canonical_data IS NULL AND NEW.canonical_ciphertext IS NOT NULL;
+    canonical_kept := NEW.canonical_data IS NOT DISTINCT FROM OLD.canonical_data
+        AND NEW.canonical_ciphertext IS NOT DISTINCT FROM OLD.canonical_ciphertext;
+
+    IF OLD.erased_at IS NULL AND NEW.erased_at IS NULL
+       AND (data_moved OR canonical_moved)
+       AND (data_moved OR data_kept)
+       AND (canonical_moved OR canonical_kept)
+       AND NEW.id = OLD.id
+       AND NEW.record_id = OLD.record_id
+       AND NEW.version = OLD.version
+       AND NEW.hash_value = OLD.hash_value
+       AND NEW.canonicalization = OLD.canonicalization
+       AND NEW.hash_algorithm = OLD.hash_algorithm
+       AND NEW.blockchain_tx_id IS NOT DISTINCT FROM OLD.blockchain_tx_id
+       AND NEW.created_at IS NOT DISTINCT FROM OLD.created_at
+       AND NEW.title IS NOT DISTINCT FROM OLD.title
+       AND NEW.owner_name IS NOT DISTINCT FROM OLD.owner_name
+       AND NEW.attachments IS NOT DISTINCT FROM OLD.attachments THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'record_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,3 @@
+-- Replayed responses carry the Location header of the original response
+-- (e.g. the status URL of a record created with Prefer: respond-async)
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS response_location TEXT;
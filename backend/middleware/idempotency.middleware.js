@@ -0,0 +1,114 @@
+/**
+ * Idempotency Middleware
+ * Honours the Idempotency-Key header: the first response is stored and
+ * replayed for repeats, a repeat with a different body is rejected
+ */
+
+const idempotencyService = require('../services/idempotency.service');
+const { computeHash } = require('../utils/hash');
+const { errorResponse } = require('../utils/response.helper');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Store the response for a key (or release the key after a server error)
+ * A key that cannot be stored is marked failed rather than left in progress.
+ * @param {string} key - Idempotency key
+ * @param {number} statusCode - HTTP status code being sent
+ * @param {Object} body - JSON body being sent
+ * @param {string|undefined} location - Location header being sent
+ * @returns {Promise<void>} Never rejects
+ */
+const persistResponse = async (key, statusCode, body, location) => {
+    try {
+        if (statusCode >= 500) {
+            await idempotencyService.release(key);
+        } else {
+            await idempotencyService.complete(key, statusCode, body, location);
+        }
+    } catch (error) {
+        logger.error(`Failed to persist Idempotency-Key ${key}:`, error);
+        try {
+            await idempotencyService.fail(key);
+        } catch (failError) {
+            logger.error(`Failed to mark Idempotency-Key ${key} as failed:`, failError);
+        }
+    }
+};
+
+/**
+ * Idempotency middleware
+ * Requests without an Idempotency-Key header pass through unchanged.
+ */
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return errorResponse(res, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, 400);
+    }
+
+    let request;
+    try {
+        request = {
+            method: req.method,
+            path: req.baseUrl + req.path,
+            hash: computeHash({ method: req.method, path: req.baseUrl + req.path, body: req.body })
+        };
+    } catch (error) {
+        // The body holds a value the canonicalization rejects (a non-finite number, a lone surrogate)
+        return errorResponse(res, `Request body cannot be canonicalized: ${error.message}`, 400);
+    }
+
+    try {
+        const { reserved, existing } = await idempotencyService.reserve(key, request);
+
+        if (!reserved) {
+            // The key was released or expired between the insert and the lookup
+            if (!existing) {
+                res.set('Retry-After', '1');
+                return errorResponse(res, 'Idempotency-Key changed state while it was being checked; retry the request', 503);
+            }
+
+            if (existing.request_hash !== request.hash) {
+                return errorResponse(res, 'Idempotency-Key was already used with a different request', 409);
+            }
+
+            if (existing.status === 'failed') {
+                return errorResponse(res, 'The response to this Idempotency-Key could not be stored; the request may have been applied', 500);
+            }
+
+            if (existing.status !== 'completed') {
+                return errorResponse(res, 'A request with this Idempotency-Key is still being processed', 409);
+            }
+
+            logger.info(`Replaying stored response for Idempotency-Key ${key}`);
+            res.set('Idempotent-Replayed', 'true');
+            if (existing.response_location) {
+                res.set('Location', existing.response_location);
+            }
+            return res.status(existing.response_status).json(existing.response_body);
+        }
+
+        // Capture the response and store it before it is sent, so a repeat that
+        // arrives right after the response finds it
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            persistResponse(key, res.statusCode, body, res.get('Location')).then(() => originalJson(body));
+            return res;
+        };
+
+        next();
+    } catch (error) {
+        logger.error('Idempotency check failed:', error);
+        return errorResponse(res, 'Failed to process Idempotency-Key', 500, error);
+    }
+};
+
+module.exports = {
+    idempotent
+};
@@ -0,0 +1,34 @@
+/**
+ * Audit Routes
+ * API endpoints for full-database integrity audits
+ */
+
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/audit.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+/**
+ * @route   GET /api/audits
+ * @desc    List integrity audit runs with per-run summary
+ * @access  Public
+ * @query   limit, offset
+ */
+router.get('/', auditController.getAudits);
+
+/**
+ * @route   POST /api/audits
+ * @desc    Start an integrity audit run now
+ * @access  Admin
+ */
+router.post('/', authenticate, authorize('admin'), auditController.startAudit);
+
+/**
+ * @route   GET /api/audits/:runId
+ * @desc    Get an audit run with its per-record results
+ * @access  Public
+ * @query   status (valid | db_mismatch | chain_mismatch | not_anchored | error | erased | revoked), limit, offset
+ */
+router.get('/:runId', auditController.getAudit);
+
+module.exports = router;
@@ -9,11 +9,17 @@ const router = express.Router();
 const authRoutes = require('./auth.routes');
 const fabricRoutes = require('./fabric.routes');
 const recordRoutes = require('./record.routes');
+const verifyRoutes = require('./verify.routes');
+const auditRoutes = require('./audit.routes');
+const recordTypeRoutes = require('./record-type.routes');
 
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/fabric', fabricRoutes);
 router.use('/records', recordRoutes);
+router.use('/verify', verifyRoutes);
+router.use('/audits', auditRoutes);
+router.use('/record-types', recordTypeRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
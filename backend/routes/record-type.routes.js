@@ -0,0 +1,48 @@
+/**
+ * Record Type Routes
+ * API endpoints for the record type registry (JSON Schema per type)
+ */
+
+const express = require('express');
+const router = express.Router();
+const recordTypeController = require('../controllers/record-type.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+/**
+ * @route   GET /api/record-types
+ * @desc    List all record types
+ * @access  Public
+ */
+router.get('/', recordTypeController.getRecordTypes);
+
+/**
+ * @route   POST /api/record-types
+ * @desc    Register a record type
+ * @access  Admin
+ * @body    { name, description, schema }
+ */
+router.post('/', authenticate, authorize('admin'), recordTypeController.createRecordType);
+
+/**
+ * @route   GET /api/record-types/:name
+ * @desc    Get a record type with its JSON Schema
+ * @access  Public
+ */
+router.get('/:name', recordTypeController.getRecordType);
+
+/**
+ * @route   PUT /api/record-types/:name
+ * @desc    Update a record type's description and/or schema
+ * @access  Admin
+ * @body    { description, schema }
+ */
+router.put('/:name', authenticate, authorize('admin'), recordTypeController.updateRecordType);
+
+/**
+ * @route   DELETE /api/record-types/:name
+ * @desc    Delete a record type that no record uses
+ * @access  Admin
+ */
+router.delete('/:name', authenticate, authorize('admin'), recordTypeController.deleteRecordType);
+
+module.exports = router;
@@ -6,20 +6,35 @@
 const express = require('express');
 const router = express.Router();
 const recordController = require('../controllers/record.controller');
+const attachmentController = require('../controllers/attachment.controller');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
 
 /**
  * @route   POST /api/records
  * @desc    Create a new record (store in DB + blockchain)
  * @access  Public (add auth middleware as needed)
- * @body    { title, owner_name, data_json }
+ * @body    { title, owner_name, data_json, record_type? }
+ * @query   async=true (or header Prefer: respond-async) to return 202 without waiting for the chain
+ * @header  Idempotency-Key (optional) - repeats with the same key replay the first response
  */
-router.post('/', recordController.createRecord);
+router.post('/', idempotent, recordController.createRecord);
+
+/**
+ * @route   POST /api/records/batch
+ * @desc    Create many records in one DB transaction, anchored as one Merkle batch
+ * @access  Public (add auth middleware as needed)
+ * @body    [{ title, owner_name, data_json, record_type? }, ...] or { records: [...] }
+ * @query   async=true to return without waiting for the chain
+ */
+router.post('/batch', recordController.createRecordsBatch);
 
 /**
  * @route   GET /api/records
- * @desc    Get all records with pagination
+ * @desc    Get all records with pagination and optional filters
  * @access  Public
- * @query   limit, offset
+ * @query   limit, cursor, include_total (or legacy offset), owner_name, title (partial), record_type, anchor_status,
+ *          created_from, created_to, data_json.<path>=<value>
  */
 router.get('/', recordController.getAllRecords);
 
@@ -30,6 +45,36 @@ router.get('/', recordController.getAllRecords);
  */
 router.get('/blockchain/status', recordController.getBlockchainStatus);
 
+/**
+ * @route   GET /api/records/blockchain/faults
+ * @desc    Get the fault injection settings of the mock blockchain (mock mode only)
+ * @access  Admin
+ */
+router.get('/blockchain/faults', authenticate, authorize('admin'), recordController.getMockFaults);
+
+/**
+ * @route   PUT /api/records/blockchain/faults
+ * @desc    Change the fault injection settings of the mock blockchain (mock mode only)
+ * @access  Admin
+ * @body    { profile?, failureRate?, timeoutRate?, timeoutMs?, confirmationDelayMs?, dropRate?, reorgRate?, reorgDepth? }
+ */
+router.put('/blockchain/faults', authenticate, authorize('admin'), recordController.updateMockFaults);
+
+/**
+ * @route   POST /api/records/blockchain/reorg
+ * @desc    Simulate a reorg that removes the most recent mock blocks (mock mode only)
+ * @access  Admin
+ * @body    { depth? } - blocks to remove, default 1
+ */
+router.post('/blockchain/reorg', authenticate, authorize('admin'), recordController.reorgMockLedger);
+
+/**
+ * @route   GET /api/records/proof/public-key
+ * @desc    Get the public key that verifies proof bundle signatures
+ * @access  Public
+ */
+router.get('/proof/public-key', recordController.getProofPublicKey);
+
 /**
  * @route   GET /api/records/:id
  * @desc    Get a single record by ID
@@ -37,6 +82,13 @@ router.get('/blockchain/status', recordController.getBlockchainStatus);
  */
 router.get('/:id', recordController.getRecord);
 
+/**
+ * @route   GET /api/records/:id/status
+ * @desc    Get blockchain anchoring status (pending / anchored / failed)
+ * @access  Public
+ */
+router.get('/:id/status', recordController.getAnchorStatus);
+
 /**
  * @route   GET /api/records/:id/verify
  * @desc    Verify record integrity (compare DB hash with blockchain)
@@ -45,10 +97,71 @@ router.get('/:id', recordController.getRecord);
 router.get('/:id/verify', recordController.verifyRecord);
 
 /**
- * @route   DELETE /api/records/:id
- * @desc    Delete a record
+ * @route   GET /api/records/:id/proof
+ * @desc    Get a signed proof bundle that can be verified offline
+ * @access  Public
+ * @query   download=true to receive the bundle itself as a JSON file
+ */
+router.get('/:id/proof', recordController.getRecordProof);
+
+/**
+ * @route   GET /api/records/:id/history
+ * @desc    Get all versions of a record matched against on-chain hash history
+ * @access  Public
+ */
+router.get('/:id/history', recordController.getRecordHistory);
+
+/**
+ * @route   POST /api/records/:id/attachments
+ * @desc    Upload attachments (re-hash over data_json + attachments, update hash on blockchain)
+ * @access  Public (add auth middleware as needed)
+ * @body    multipart/form-data with one or more file parts
+ */
+router.post('/:id/attachments', attachmentController.uploadAttachments);
+
+/**
+ * @route   GET /api/records/:id/attachments
+ * @desc    List the attachments of a record
+ * @access  Public
+ */
+router.get('/:id/attachments', attachmentController.getAttachments);
+
+/**
+ * @route   GET /api/records/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Public
+ */
+router.get('/:id/attachments/:attachmentId', attachmentController.downloadAttachment);
+
+/**
+ * @route   DELETE /api/records/:id/attachments/:attachmentId
+ * @desc    Remove an attachment (re-hash without it + update hash on blockchain)
  * @access  Public (add auth middleware as needed)
  */
-router.delete('/:id', recordController.deleteRecord);
+router.delete('/:id/attachments/:attachmentId', attachmentController.deleteAttachment);
+
+/**
+ * @route   PUT /api/records/:id
+ * @desc    Update record data (re-hash + update hash on blockchain)
+ * @access  Public (add auth middleware as needed)
+ * @body    { data_json, title?, owner_name?, record_type? }
+ */
+router.put('/:id', recordController.updateRecord);
+
+/**
+ * @route   POST /api/records/:id/erasure
+ * @desc    Erase a record's personal data on request (crypto-shredding); keeps a tombstone with hash + tx id
+ * @access  Admin
+ * @body    { reason? } - request reference; must not itself contain personal data
+ */
+router.post('/:id/erasure', authenticate, authorize('admin'), recordController.eraseRecord);
+
+/**
+ * @route   DELETE /api/records/:id
+ * @desc    Revoke a record (anchor the revocation on blockchain; the record is kept and verifies as revoked)
+ * @access  Admin
+ * @body    { reason? }
+ */
+router.delete('/:id', authenticate, authorize('admin'), recordController.revokeRecord);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Verify Routes
+ * API endpoints for content-based document verification
+ */
+
+const express = require('express');
+const router = express.Router();
+const verifyController = require('../controllers/verify.controller');
+
+/**
+ * @route   POST /api/verify
+ * @desc    Check whether a document's content was ever anchored (no record ID needed)
+ * @access  Public
+ * @body    { data_json }
+ */
+router.post('/', verifyController.verifyDocument);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * Data Encryption Backfill Script
+ * Encrypts data stored in plain before DATA_MASTER_KEYS was set: record data_json,
+ * version snapshots and stored Idempotency-Key responses. Hashes are computed over
+ * the plaintext, so anchored hashes and proofs are unaffected. Safe to run again.
+ * Usage: node scripts/encrypt-existing-data.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const pool = require('../config/db.config');
+const recordService = require('../services/record.service');
+
+const printCounts = ({ records, versions, responses }) => {
+    console.log(`   records: ${records}, versions: ${versions}, stored responses: ${responses}`);
+};
+
+async function backfill() {
+    try {
+        console.log('🔓 Rows stored in plain before the backfill:');
+        printCounts(await recordService.countUnencryptedData());
+
+        const encrypted = await recordService.encryptExistingData();
+        console.log('\n✅ Encrypted:');
+        printCounts(encrypted);
+
+        const remaining = await recordService.countUnencryptedData();
+        if (remaining.records + remaining.versions + remaining.responses > 0) {
+            console.log('⚠️  Rows still in plain (locked during the backfill, run again):');
+            printCounts(remaining);
+            process.exitCode = 1;
+        }
+
+    } catch (error) {
+        console.error('❌ Backfill failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+backfill();
@@ -0,0 +1,71 @@
+/**
+ * Database Migration Script
+ * Applies the SQL files in db/migrations (in filename order) to the configured schema
+ * Usage: node scripts/migrate.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const fs = require('fs');
+const pool = require('../config/db.config');
+
+const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+
+async function migrate() {
+    console.log(`🔄 Running migrations on schema "${SCHEMA}"...\n`);
+
+    const client = await pool.connect();
+
+    try {
+        await client.query(`CREATE SCHEMA IF NOT EXISTS ${SCHEMA}`);
+        await client.query(`SET search_path TO ${SCHEMA}`);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                name       VARCHAR(255) PRIMARY KEY,
+                applied_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        const appliedResult = await client.query('SELECT name FROM schema_migrations');
+        const applied = new Set(appliedResult.rows.map(row => row.name));
+
+        const files = fs.readdirSync(MIGRATIONS_DIR)
+            .filter(file => file.endsWith('.sql'))
+            .sort();
+
+        let count = 0;
+        for (const file of files) {
+            if (applied.has(file)) {
+                continue;
+            }
+
+            const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+            await client.query('BEGIN');
+            try {
+                await client.query(sql);
+                await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`${file}: ${error.message}`);
+            }
+
+            console.log(`✅ Applied ${file}`);
+            count++;
+        }
+
+        console.log(`\n📊 ${count} migration(s) applied, ${files.length - count} already up to date`);
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        client.release();
+        await pool.end();
+    }
+}
+
+migrate();
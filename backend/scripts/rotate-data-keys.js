@@ -0,0 +1,40 @@
+/**
+ * Data Key Rotation Script
+ * Re-wraps every record data key with the active master key (DATA_MASTER_KEY_ID).
+ * Record data is not re-encrypted. Keep the old master key in DATA_MASTER_KEYS
+ * until this has finished, then remove it.
+ * Usage: node scripts/rotate-data-keys.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const pool = require('../config/db.config');
+const dataKeyService = require('../services/data-key.service');
+
+async function rotate() {
+    try {
+        console.log('🔑 Data keys per master key before rotation:');
+        for (const { master_key_id, count } of await dataKeyService.getKeyUsage()) {
+            console.log(`   ${master_key_id}: ${count}`);
+        }
+
+        const { masterKeyId, rewrapped } = await dataKeyService.rotate();
+        console.log(`\n✅ Re-wrapped ${rewrapped} data key(s) with master key "${masterKeyId}"`);
+
+        const remaining = (await dataKeyService.getKeyUsage()).filter(usage => usage.master_key_id !== masterKeyId);
+        if (remaining.length > 0) {
+            console.log('⚠️  Keys still wrapped with an old master key (locked during rotation, run again):');
+            remaining.forEach(({ master_key_id, count }) => console.log(`   ${master_key_id}: ${count}`));
+            process.exitCode = 1;
+        }
+
+    } catch (error) {
+        console.error('❌ Rotation failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+rotate();
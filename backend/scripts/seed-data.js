@@ -9,7 +9,7 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const { v4: uuidv4 } = require('uuid');
 const pool = require('../config/db.config');
-const { computeHash } = require('../utils/hash');
+const { DEFAULT_CANONICALIZATION, DEFAULT_HASH_ALGORITHM, computeHash } = require('../utils/hash');
 
 const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
 
@@ -17,6 +17,7 @@ const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
 const dummyRecords = [
     {
         title: "Backend Developer Course Certificate",
+        record_type: "certificate",
         owner_name: "Rohan Sharma",
         data_json: {
             certificate_id: "CERT-2025-001",
@@ -30,6 +31,7 @@ const dummyRecords = [
     },
     {
         title: "Property Ownership Document",
+        record_type: "property_deed",
         owner_name: "Priya Patel",
         data_json: {
             document_id: "DOC-PROP-2025-042",
@@ -42,6 +44,7 @@ const dummyRecords = [
     },
     {
         title: "Medical Record - Lab Report",
+        record_type: "lab_report",
         owner_name: "Amit Kumar",
         data_json: {
             report_id: "LAB-2025-00789",
@@ -58,6 +61,7 @@ const dummyRecords = [
     },
     {
         title: "Academic Transcript",
+        record_type: "transcript",
         owner_name: "Sneha Reddy",
         data_json: {
             transcript_id: "TRANS-2025-1234",
@@ -70,6 +74,7 @@ const dummyRecords = [
     },
     {
         title: "Vehicle Registration Certificate",
+        record_type: "vehicle_rc",
         owner_name: "Vikram Singh",
         data_json: {
             rc_number: "MH-01-AB-1234",
@@ -96,8 +101,9 @@ async function seedData() {
 
             const query = `
                 INSERT INTO ${SCHEMA}.records 
-                (id, title, owner_name, data_json, hash_value, blockchain_tx_id, created_at)
-                VALUES ($1, $2, $3, $4, $5, $6, NOW())
+                (id, title, owner_name, record_type, data_json, hash_value, canonicalization, hash_algorithm,
+                 blockchain_tx_id, anchor_status, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'anchored', NOW())
                 RETURNING id, title, owner_name
             `;
 
@@ -105,8 +111,11 @@ async function seedData() {
                 id,
                 record.title,
                 record.owner_name,
+                record.record_type,
                 record.data_json,
                 hash,
+                DEFAULT_CANONICALIZATION,
+                DEFAULT_HASH_ALGORITHM,
                 mockTxId
             ];
 
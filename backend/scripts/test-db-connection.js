@@ -59,7 +59,8 @@ async function testConnection() {
             console.log(`📈 Total records in table: ${countResult.rows[0].count}\n`);
         } else {
             console.log('⚠️  Table "records" does not exist yet.\n');
-            console.log('   You can create it with the following SQL:\n');
+            console.log('   Run the migrations to create it: node scripts/migrate.js\n');
+            console.log('   Or create it manually with the following SQL:\n');
             console.log(`   CREATE TABLE records (
        id             UUID PRIMARY KEY,
        title          VARCHAR(255) NOT NULL,
@@ -0,0 +1,388 @@
+/**
+ * Offline Proof Bundle Verifier
+ * Checks a proof bundle from GET /api/records/:id/proof without calling our API:
+ * canonical data → hash, backend signature, Merkle path and (optionally) the on-chain value
+ *
+ * Usage: node scripts/verify-proof.js <bundle.json> [options]
+ *
+ * Options:
+ *   --public-key <file>       Trusted backend public key (PEM)
+ *   --key-id <id>             Pinned backend key ID (from GET /api/records/proof/public-key):
+ *                             the key embedded in the bundle is trusted only if it has this ID
+ *   --rpc-url <url>           Polygon JSON-RPC endpoint: checks the anchoring transaction
+ *   --fabric-profile <file>   Fabric connection profile: queries GetRecordHash on the ledger
+ *   --wallet <dir>            Fabric wallet directory (default: ./wallet)
+ *   --identity <label>        Fabric wallet identity (default: admin)
+ *   --json                    Print the result as JSON
+ *
+ * Exit codes:
+ *   0  bundle is valid
+ *   1  bundle is invalid (a check failed)
+ *   2  usage error or unreadable bundle
+ *   3  on-chain check requested but could not be performed
+ *   4  signature checks out only against the bundle's own key: no --public-key or --key-id given
+ *   5  bundle checks out, but the record has been revoked on-chain (--fabric-profile only)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    CANONICALIZATION_LEGACY,
+    CANONICALIZATION_VERSIONS,
+    HASH_ALGORITHM_NAMES,
+    canonicalizeJSON,
+    hashCanonicalString
+} = require('../utils/hash');
+const { computeRoot } = require('../utils/merkle');
+const { BUNDLE_SIGNATURE_CANONICALIZATION, getKeyId, verifyPayload } = require('../utils/signature');
+
+const EXIT_VALID = 0;
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+const EXIT_CHAIN_UNAVAILABLE = 3;
+const EXIT_UNTRUSTED_KEY = 4;
+const EXIT_REVOKED = 5;
+
+const KEY_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+// keccak256("submitChange(uint256,string)") first 4 bytes
+const SUBMIT_CHANGE_SELECTOR = '0x8be40791';
+
+function parseArgs(argv) {
+    const options = { wallet: './wallet', identity: 'admin', json: false };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg.startsWith('--')) {
+            const key = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options[key] = argv[++i];
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    if (positional.length !== 1) {
+        throw new Error('Expected exactly one proof bundle file');
+    }
+
+    options.bundlePath = positional[0];
+    return options;
+}
+
+// Version 1 bundles name the legacy canonicalization 'sorted-keys'
+const CANONICALIZATION_ALIASES = { 'sorted-keys': CANONICALIZATION_LEGACY };
+
+function checkHash(bundle) {
+    const canonical = bundle.data.canonical;
+    const canonicalization = CANONICALIZATION_ALIASES[bundle.hash.canonicalization] || bundle.hash.canonicalization;
+
+    if (!CANONICALIZATION_VERSIONS.includes(canonicalization)) {
+        return { ok: false, reason: `Unknown canonicalization: ${bundle.hash.canonicalization}`, expected: bundle.hash.value };
+    }
+
+    if (!HASH_ALGORITHM_NAMES.includes(bundle.hash.algorithm)) {
+        return { ok: false, reason: `Unknown hash algorithm: ${bundle.hash.algorithm}`, expected: bundle.hash.value };
+    }
+
+    const recomputed = hashCanonicalString(canonical, bundle.hash.algorithm);
+
+    // The canonical string must itself be in canonical form, or the hash proves nothing about the JSON
+    let isCanonical = false;
+    try {
+        isCanonical = canonicalizeJSON(JSON.parse(canonical), canonicalization) === canonical;
+    } catch {
+        isCanonical = false;
+    }
+
+    return {
+        ok: isCanonical && recomputed === bundle.hash.value,
+        algorithm: bundle.hash.algorithm,
+        canonicalization,
+        expected: bundle.hash.value,
+        recomputed,
+        canonicalForm: isCanonical
+    };
+}
+
+/**
+ * Check the backend signature
+ * The key embedded in the bundle proves nothing on its own: anyone who alters a bundle can
+ * re-sign it and embed their key. A signature that only checks out against it is reported
+ * as untrusted (ok: null), not valid.
+ * @param {Object} bundle - Proof bundle
+ * @param {Object} trust - { publicKey (PEM) | null, keyId | null }
+ */
+function checkSignature(bundle, trust) {
+    const { signature, ...payload } = bundle;
+    if (!signature || !signature.value) {
+        return { ok: false, reason: 'Bundle is not signed' };
+    }
+
+    // The signed form follows from the signed bundleVersion, not the unsigned signature block
+    const canonicalization = BUNDLE_SIGNATURE_CANONICALIZATION[bundle.bundleVersion];
+    if (!canonicalization) {
+        return { ok: false, reason: `Unknown bundle version: ${bundle.bundleVersion}` };
+    }
+
+    const keyPem = trust.publicKey || signature.publicKey;
+    let keyId;
+    try {
+        keyId = getKeyId(keyPem);
+    } catch {
+        return { ok: false, reason: 'Bundle carries no valid public key' };
+    }
+
+    const result = {
+        algorithm: signature.algorithm,
+        keyId,
+        trustedKey: !!trust.publicKey || keyId === trust.keyId
+    };
+    const verified = keyId === signature.keyId && verifyPayload(keyPem, payload, signature.value, canonicalization);
+
+    if (!verified) {
+        return { ...result, ok: false, reason: 'Signature does not match' };
+    }
+    if (trust.keyId && keyId !== trust.keyId) {
+        return { ...result, ok: false, reason: `Signed with key ${keyId}, not the pinned key ${trust.keyId}` };
+    }
+    if (!result.trustedKey) {
+        return { ...result, ok: null, untrusted: true, reason: 'Checked against the key embedded in the bundle only' };
+    }
+    return { ...result, ok: true };
+}
+
+function checkMerkle(bundle) {
+    const { merkle, anchoredValue } = bundle.anchor;
+
+    if (!merkle) {
+        return {
+            ok: anchoredValue === bundle.hash.value,
+            batched: false,
+            anchoredValue
+        };
+    }
+
+    const computedRoot = computeRoot(bundle.hash.value, merkle.proof || []);
+    return {
+        ok: computedRoot === merkle.root && merkle.root === anchoredValue,
+        batched: true,
+        computedRoot,
+        anchoredRoot: anchoredValue
+    };
+}
+
+async function rpcCall(rpcUrl, method, params) {
+    const response = await fetch(rpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+    });
+    const result = await response.json();
+    if (result.error) {
+        throw new Error(result.error.message);
+    }
+    return result.result;
+}
+
+/**
+ * Decode the string argument of submitChange(uint256 userId, string hash) from tx input
+ */
+function decodeSubmitChangeHash(input) {
+    if (!input || !input.startsWith(SUBMIT_CHANGE_SELECTOR)) {
+        return null;
+    }
+    const data = Buffer.from(input.slice(10), 'hex');
+    const offset = Number(BigInt('0x' + data.subarray(32, 64).toString('hex')));
+    const length = Number(BigInt('0x' + data.subarray(offset, offset + 32).toString('hex')));
+    return data.subarray(offset + 32, offset + 32 + length).toString('utf8');
+}
+
+async function checkPolygon(bundle, rpcUrl) {
+    const txHash = bundle.anchor.transactionId;
+    const [tx, receipt] = await Promise.all([
+        rpcCall(rpcUrl, 'eth_getTransactionByHash', [txHash]),
+        rpcCall(rpcUrl, 'eth_getTransactionReceipt', [txHash])
+    ]);
+
+    if (!tx || !receipt) {
+        return { ok: false, source: 'polygon', reason: `Transaction ${txHash} not found` };
+    }
+
+    const onChainValue = decodeSubmitChangeHash(tx.input);
+    const contractMatches = !bundle.anchor.contractAddress ||
+        (tx.to || '').toLowerCase() === bundle.anchor.contractAddress.toLowerCase();
+
+    return {
+        ok: receipt.status === '0x1' && contractMatches && onChainValue === bundle.anchor.anchoredValue,
+        source: 'polygon',
+        transactionId: txHash,
+        blockNumber: parseInt(receipt.blockNumber, 16),
+        succeeded: receipt.status === '0x1',
+        contractMatches,
+        onChainValue
+    };
+}
+
+/**
+ * Look up the anchored value and whether the record was revoked: RevokeRecord keeps the hash
+ * on-chain, and a record anchored in a Merkle batch is revoked under its own ID
+ */
+async function checkFabric(bundle, options) {
+    const { Gateway, Wallets } = require('fabric-network');
+
+    const ccp = JSON.parse(fs.readFileSync(options.fabricProfile, 'utf8'));
+    const wallet = await Wallets.newFileSystemWallet(path.resolve(options.wallet));
+    const gateway = new Gateway();
+
+    try {
+        await gateway.connect(ccp, {
+            wallet,
+            identity: options.identity,
+            discovery: { enabled: true, asLocalhost: true }
+        });
+
+        const network = await gateway.getNetwork(bundle.anchor.channel);
+        const contract = network.getContract(bundle.anchor.chaincode);
+        const getRecordHash = async (key) => JSON.parse((await contract.evaluateTransaction('GetRecordHash', key)).toString());
+
+        const result = await getRecordHash(bundle.anchor.ledgerKey);
+        const revocationEntry = bundle.anchor.ledgerKey === bundle.recordId ? result : await getRecordHash(bundle.recordId);
+        const revoked = !!revocationEntry.exists && revocationEntry.status === 'revoked';
+
+        return {
+            ok: !!result.exists && result.hash === bundle.anchor.anchoredValue && !revoked,
+            source: 'fabric',
+            ledgerKey: bundle.anchor.ledgerKey,
+            onChainValue: result.hash || null,
+            onChainTransactionId: result.txId || null,
+            ...(revoked && {
+                revoked: true,
+                reason: `Record was revoked on-chain${revocationEntry.revocationReason ? `: ${revocationEntry.revocationReason}` : ''}`,
+                revocation: {
+                    reason: revocationEntry.revocationReason || null,
+                    revokedBy: revocationEntry.revokedBy || null,
+                    revokedAt: revocationEntry.timestamp || null,
+                    transactionId: revocationEntry.txId || null
+                }
+            })
+        };
+    } finally {
+        gateway.disconnect();
+    }
+}
+
+async function checkOnChain(bundle, options) {
+    if (options.rpcUrl) {
+        return await checkPolygon(bundle, options.rpcUrl);
+    }
+    if (options.fabricProfile) {
+        return await checkFabric(bundle, options);
+    }
+    return { ok: null, skipped: true, reason: 'No --rpc-url or --fabric-profile given' };
+}
+
+function printHuman(result) {
+    const mark = (check) => check.ok === null ? '➖' : (check.ok ? '✅' : '❌');
+
+    console.log(`🔍 Proof bundle for record ${result.recordId}\n`);
+    console.log(`${mark(result.checks.hash)} Hash        ${result.checks.hash.recomputed || result.checks.hash.reason}`);
+    const signature = result.checks.signature;
+    console.log(`${signature.untrusted ? '⚠️ ' : mark(signature)} Signature   key ${signature.keyId || '-'}${signature.ok === false || signature.untrusted ? ` - ${signature.reason}` : ''}`);
+    console.log(`${mark(result.checks.merkle)} Anchor      ${result.checks.merkle.batched ? `Merkle root ${result.checks.merkle.computedRoot}` : 'direct hash'}`);
+    console.log(`${mark(result.checks.onChain)} On-chain    ${result.checks.onChain.skipped ? result.checks.onChain.reason : (result.checks.onChain.reason || result.checks.onChain.onChainValue)}`);
+    console.log('');
+    if (result.valid) {
+        console.log('✅ Proof is VALID');
+    } else if (result.exitCode === EXIT_REVOKED) {
+        console.log(`❌ Proof is REVOKED: ${result.checks.onChain.reason}`);
+    } else if (result.exitCode === EXIT_UNTRUSTED_KEY) {
+        console.log('⚠️  Proof is UNVERIFIED: the signing key is not trusted (pass --public-key or --key-id)');
+    } else {
+        console.log('❌ Proof is INVALID');
+    }
+}
+
+async function main() {
+    let options;
+    let bundle;
+    const trust = { publicKey: null, keyId: null };
+
+    try {
+        options = parseArgs(process.argv.slice(2));
+
+        if (options.publicKey) {
+            trust.publicKey = fs.readFileSync(options.publicKey, 'utf8');
+            crypto.createPublicKey(trust.publicKey);
+        }
+        if (options.keyId) {
+            if (!KEY_ID_PATTERN.test(options.keyId)) {
+                throw new Error('--key-id must be the 16 hex character key ID from GET /api/records/proof/public-key');
+            }
+            trust.keyId = options.keyId;
+        }
+
+        bundle = JSON.parse(fs.readFileSync(options.bundlePath, 'utf8'));
+        // Bundles downloaded without ?download=true are wrapped in the API envelope
+        if (bundle.success !== undefined && bundle.data && bundle.data.bundleVersion) {
+            bundle = bundle.data;
+        }
+        if (!bundle.data || !bundle.hash || !bundle.anchor) {
+            throw new Error('File is not a proof bundle');
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error('Usage: node scripts/verify-proof.js <bundle.json> (--public-key key.pem | --key-id id) [--rpc-url url | --fabric-profile ccp.json] [--json]');
+        process.exit(EXIT_USAGE);
+    }
+
+    const checks = {
+        hash: checkHash(bundle),
+        signature: checkSignature(bundle, trust),
+        merkle: checkMerkle(bundle)
+    };
+
+    let exitCode;
+    try {
+        checks.onChain = await checkOnChain(bundle, options);
+    } catch (error) {
+        checks.onChain = { ok: null, skipped: true, reason: `On-chain check failed: ${error.message}` };
+        exitCode = EXIT_CHAIN_UNAVAILABLE;
+    }
+
+    const failed = Object.values(checks).filter(check => check.ok === false);
+    if (failed.length > 0) {
+        // A revocation is reported as such only when the bundle and its anchor otherwise check out
+        const revokedOnly = failed.length === 1 && checks.onChain.revoked &&
+            checks.onChain.onChainValue === bundle.anchor.anchoredValue;
+        exitCode = revokedOnly ? EXIT_REVOKED : EXIT_INVALID;
+    } else if (checks.signature.untrusted) {
+        exitCode = EXIT_UNTRUSTED_KEY;
+    } else if (exitCode === undefined) {
+        exitCode = EXIT_VALID;
+    }
+    const valid = exitCode === EXIT_VALID;
+
+    const result = {
+        recordId: bundle.recordId,
+        valid,
+        exitCode,
+        checks
+    };
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printHuman(result);
+    }
+
+    process.exit(exitCode);
+}
+
+main();
@@ -0,0 +1,399 @@
+/**
+ * Anchor Service
+ * Drains the anchor_outbox table: sends queued record hashes to the
+ * blockchain and records the result, retrying failures with backoff.
+ * In merkle batch mode, due hashes are anchored together through one Merkle root.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../config/db.config');
+const anchorConfig = require('../config/anchor.config');
+const recordService = require('./record.service');
+const blockchainService = require('./blockchain.service');
+const ledgerAnchorService = require('./ledger-anchor.service');
+const { buildMerkleTree, getProof } = require('../utils/merkle');
+const logger = require('../utils/logger');
+
+// Schema name from environment
+const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
+
+class AnchorService {
+    /**
+     * Claim outbox entries that are due for (re)processing
+     * Uses SKIP LOCKED so several workers never claim the same entry.
+     * @param {number} limit - Maximum number of entries to claim
+     * @returns {Promise<Array>} Claimed outbox entries
+     */
+    async claimDue(limit = anchorConfig.batchSize) {
+        const query = `
+            UPDATE ${SCHEMA}.anchor_outbox
+            SET status = 'processing', locked_at = NOW(), updated_at = NOW()
+            WHERE id IN (
+                SELECT id FROM ${SCHEMA}.anchor_outbox
+                WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                   OR (status = 'processing' AND locked_at < NOW() - ($2 * INTERVAL '1 millisecond'))
+                ORDER BY next_attempt_at
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `;
+
+        try {
+            const result = await pool.query(query, [limit, anchorConfig.lockTimeoutMs]);
+            return result.rows;
+        } catch (error) {
+            logger.error('Error claiming outbox entries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Claim the pending outbox entry of a single record
+     * @param {string} recordId - Record ID
+     * @returns {Promise<Object|null>} Claimed entry or null if none is pending
+     */
+    async claimForRecord(recordId) {
+        const query = `
+            UPDATE ${SCHEMA}.anchor_outbox
+            SET status = 'processing', locked_at = NOW(), updated_at = NOW()
+            WHERE id = (
+                SELECT id FROM ${SCHEMA}.anchor_outbox
+                WHERE record_id = $1 AND status = 'pending'
+                ORDER BY id
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `;
+
+        try {
+            const result = await pool.query(query, [recordId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Error claiming outbox entry:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Claim the pending outbox entries of several records
+     * @param {string[]} recordIds - Record IDs
+     * @returns {Promise<Array>} Claimed entries
+     */
+    async claimForRecords(recordIds) {
+        const query = `
+            UPDATE ${SCHEMA}.anchor_outbox
+            SET status = 'processing', locked_at = NOW(), updated_at = NOW()
+            WHERE id IN (
+                SELECT id FROM ${SCHEMA}.anchor_outbox
+                WHERE record_id = ANY($1::uuid[]) AND status = 'pending'
+                ORDER BY id
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `;
+
+        try {
+            const result = await pool.query(query, [recordIds]);
+            return result.rows;
+        } catch (error) {
+            logger.error('Error claiming outbox entries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Anchor one claimed outbox entry
+     * @param {Object} entry - Claimed outbox entry
+     * @returns {Promise<Object>} { anchored, record?, blockchainResult?, error? }
+     */
+    async processEntry(entry) {
+        try {
+            const blockchainResult = await this._anchor(entry);
+            const record = await this._markAnchored(entry, blockchainResult.tx_id, null, blockchainResult.ledgers);
+
+            logger.info(`Anchored record ${entry.record_id} (outbox #${entry.id}), TX: ${blockchainResult.tx_id}`);
+            return { anchored: true, record, blockchainResult };
+        } catch (error) {
+            await this._recordFailure(entry, error);
+            return { anchored: false, error };
+        }
+    }
+
+    /**
+     * Anchor claimed outbox entries together through one Merkle root
+     * Each record gets its leaf index and inclusion proof.
+     * @param {Array} entries - Claimed outbox entries
+     * @returns {Promise<Object>} { anchored, batchId, root, blockchainResult?, records?, error? }
+     */
+    async processBatch(entries) {
+        const batchId = uuidv4();
+        const tree = buildMerkleTree(entries.map(entry => entry.hash_value));
+
+        let batchCreated = false;
+        let blockchainResult;
+        try {
+            await pool.query(
+                `INSERT INTO ${SCHEMA}.anchor_batches (id, merkle_root, leaf_count, status, created_at)
+                 VALUES ($1, $2, $3, 'pending', NOW())`,
+                [batchId, tree.root, entries.length]
+            );
+            batchCreated = true;
+
+            blockchainResult = await blockchainService.storeRecordHash(batchId, tree.root);
+        } catch (error) {
+            if (batchCreated) {
+                await pool.query(
+                    `UPDATE ${SCHEMA}.anchor_batches SET status = 'failed', last_error = $2 WHERE id = $1`,
+                    [batchId, error.message]
+                ).catch(updateError => logger.error(`Error marking Merkle batch ${batchId} failed:`, updateError));
+            }
+            // Release the claimed entries for a retry instead of leaving them in processing
+            for (const entry of entries) {
+                await this._recordFailure(entry, error);
+            }
+            return { anchored: false, batchId, root: tree.root, error };
+        }
+
+        // The root is on-chain whether or not this is recorded; the records are marked below either way
+        await this._markBatchAnchored(batchId, tree.root, blockchainResult)
+            .catch(error => logger.error(`Error marking Merkle batch ${batchId} anchored:`, error));
+
+        const records = [];
+        for (const [leafIndex, entry] of entries.entries()) {
+            const merkle = { batchId, leafIndex, proof: getProof(tree, leafIndex) };
+            try {
+                await this._markAnchored(entry, blockchainResult.tx_id, merkle);
+                records.push({ recordId: entry.record_id, anchored: true, merkle });
+            } catch (error) {
+                // Root is on-chain; the retry re-anchors this record on its own
+                await this._recordFailure(entry, error);
+                records.push({ recordId: entry.record_id, anchored: false, error });
+            }
+        }
+
+        logger.info(`Anchored Merkle batch ${batchId} (${entries.length} records), root: ${tree.root}, TX: ${blockchainResult.tx_id}`);
+        return { anchored: true, batchId, root: tree.root, blockchainResult, records };
+    }
+
+    /**
+     * Claim and process every entry that is currently due
+     * @returns {Promise<number>} Number of entries processed
+     */
+    async processDue() {
+        if (anchorConfig.batchMode === 'merkle') {
+            return await this._processDueBatches();
+        }
+
+        const entries = await this.claimDue();
+
+        for (const entry of entries) {
+            await this.processEntry(entry);
+        }
+
+        return entries.length;
+    }
+
+    /**
+     * Get the anchoring status of a record, including its latest outbox entry
+     * @param {string} recordId - Record ID
+     * @returns {Promise<Object|null>} Status or null if the record does not exist
+     */
+    async getStatus(recordId) {
+        const record = await recordService.findById(recordId);
+
+        if (!record) {
+            return null;
+        }
+
+        const result = await pool.query(
+            `SELECT status, attempts, next_attempt_at, last_error, created_at, updated_at
+             FROM ${SCHEMA}.anchor_outbox
+             WHERE record_id = $1
+             ORDER BY id DESC
+             LIMIT 1`,
+            [recordId]
+        );
+
+        return {
+            recordId,
+            anchorStatus: record.anchor_status,
+            hash: record.hash_value,
+            transactionId: record.blockchain_tx_id,
+            merkle: record.merkle_batch_id
+                ? {
+                    batchId: record.merkle_batch_id,
+                    leafIndex: record.merkle_leaf_index,
+                    proof: record.merkle_proof
+                }
+                : null,
+            outbox: result.rows[0] || null
+        };
+    }
+
+    /**
+     * Anchor Merkle batches while a full batch is waiting or the oldest
+     * due entry has been waiting longer than the batch window
+     */
+    async _processDueBatches() {
+        let processed = 0;
+
+        while (await this._batchIsDue()) {
+            const entries = await this.claimDue(anchorConfig.merkleBatchMaxSize);
+            if (entries.length === 0) {
+                break;
+            }
+
+            await this.processBatch(entries);
+            processed += entries.length;
+
+            if (entries.length < anchorConfig.merkleBatchMaxSize) {
+                break;
+            }
+        }
+
+        return processed;
+    }
+
+    /**
+     * Whether the due outbox entries should be anchored as a batch now
+     */
+    async _batchIsDue() {
+        const result = await pool.query(
+            `SELECT COUNT(*) AS due,
+                    COALESCE(MIN(created_at) <= NOW() - ($1 * INTERVAL '1 millisecond'), false) AS expired
+             FROM ${SCHEMA}.anchor_outbox
+             WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                OR (status = 'processing' AND locked_at < NOW() - ($2 * INTERVAL '1 millisecond'))`,
+            [anchorConfig.merkleBatchWindowMs, anchorConfig.lockTimeoutMs]
+        );
+
+        const { due, expired } = result.rows[0];
+        return parseInt(due, 10) >= anchorConfig.merkleBatchMaxSize || (parseInt(due, 10) > 0 && expired);
+    }
+
+    /**
+     * Store the blockchain result of a Merkle batch, with its per-ledger transactions
+     */
+    async _markBatchAnchored(batchId, root, blockchainResult) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `UPDATE ${SCHEMA}.anchor_batches
+                 SET status = 'anchored', blockchain_tx_id = $2, anchored_at = NOW()
+                 WHERE id = $1`,
+                [batchId, blockchainResult.tx_id]
+            );
+            await ledgerAnchorService.record(batchId, root, blockchainResult.ledgers, client);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Store the blockchain result on the record and close the outbox entry
+     */
+    async _markAnchored(entry, txId, merkle = null, ledgers = []) {
+        const record = await recordService.updateBlockchainInfo(
+            entry.record_id,
+            entry.hash_value,
+            txId,
+            merkle,
+            ledgers
+        );
+
+        await pool.query(
+            `UPDATE ${SCHEMA}.anchor_outbox
+             SET status = 'done', attempts = attempts + 1, locked_at = NULL,
+                 last_error = NULL, updated_at = NOW()
+             WHERE id = $1`,
+            [entry.id]
+        );
+
+        return record;
+    }
+
+    /**
+     * Send the entry's hash to the blockchain
+     * A retry first checks the ledger, because a previous attempt may have
+     * reached the chain before failing to record the result. An update is
+     * stored instead when the record has no entry of its own on-chain yet
+     * (its creation was still pending, or it was anchored through a Merkle batch).
+     * A write that fails because the hash is on-chain already counts as done: the entry may
+     * have been reclaimed after the lock timeout while another worker was still anchoring it.
+     */
+    async _anchor(entry) {
+        const isUpdate = entry.operation === 'update';
+
+        // The primary ledger's entry says nothing about the other ledgers: MultiLedgerService checks
+        // each one, skips those that already hold the hash and stores where an update finds nothing
+        if (blockchainService.getLedgers().length > 1) {
+            return isUpdate
+                ? await blockchainService.updateRecordHash(entry.record_id, entry.hash_value)
+                : await blockchainService.storeRecordHash(entry.record_id, entry.hash_value);
+        }
+
+        const onChain = entry.attempts > 0 || isUpdate
+            ? await blockchainService.getRecordHash(entry.record_id)
+            : null;
+
+        if (onChain && onChain.hash === entry.hash_value && onChain.tx_id) {
+            logger.info(`Record ${entry.record_id} already anchored, reusing TX: ${onChain.tx_id}`);
+            return onChain;
+        }
+
+        try {
+            if (isUpdate && onChain) {
+                return await blockchainService.updateRecordHash(entry.record_id, entry.hash_value);
+            }
+            return await blockchainService.storeRecordHash(entry.record_id, entry.hash_value);
+        } catch (error) {
+            const current = await blockchainService.getRecordHash(entry.record_id).catch(() => null);
+            if (current && current.hash === entry.hash_value && current.tx_id) {
+                logger.info(`Record ${entry.record_id} was anchored concurrently, reusing TX: ${current.tx_id}`);
+                return current;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule a retry with exponential backoff, or give up after maxAttempts
+     */
+    async _recordFailure(entry, error) {
+        const attempts = entry.attempts + 1;
+        const exhausted = attempts >= anchorConfig.maxAttempts;
+        const delayMs = Math.min(
+            anchorConfig.retryBaseDelayMs * Math.pow(2, attempts - 1),
+            anchorConfig.retryMaxDelayMs
+        );
+
+        try {
+            await pool.query(
+                `UPDATE ${SCHEMA}.anchor_outbox
+                 SET status = $2, attempts = $3, locked_at = NULL, last_error = $4,
+                     next_attempt_at = NOW() + ($5 * INTERVAL '1 millisecond'), updated_at = NOW()
+                 WHERE id = $1`,
+                [entry.id, exhausted ? 'failed' : 'pending', attempts, error.message, delayMs]
+            );
+
+            if (exhausted) {
+                await recordService.updateAnchorStatus(entry.record_id, 'failed');
+                logger.error(`Anchoring record ${entry.record_id} failed permanently after ${attempts} attempts:`, error);
+            } else {
+                logger.warn(`Anchoring record ${entry.record_id} failed (attempt ${attempts}), retrying in ${delayMs}ms: ${error.message}`);
+            }
+        } catch (updateError) {
+            // Entry stays in processing and is reclaimed after the lock timeout
+            logger.error('Error recording anchoring failure:', updateError);
+        }
+    }
+}
+
+module.exports = new AnchorService();
@@ -0,0 +1,194 @@
+/**
+ * Attachment Service
+ * Binary documents attached to a record
+ *
+ * Each attachment is hashed while it streams into blob storage. The record hash
+ * covers its attachments through a manifest ({ id, filename, contentType, size, hash }
+ * per attachment, ordered by attachment ID): a record with attachments is hashed as
+ * { data_json, attachments: manifest }, a record without any as data_json alone,
+ * so records that never had attachments keep their hash.
+ */
+
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../config/db.config');
+const blobStorageService = require('./blob-storage.service');
+const { createHasher, DEFAULT_HASH_ALGORITHM } = require('../utils/hash');
+const logger = require('../utils/logger');
+
+// Schema name from environment
+const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
+
+/**
+ * Pass-through stream that hashes and counts the bytes flowing through it
+ * @param {string} algorithm - Hash algorithm
+ * @returns {Transform} Stream with a result() method → { hash, size }
+ */
+const hashingStream = (algorithm) => {
+    const hasher = createHasher(algorithm);
+    let size = 0;
+
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            hasher.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+    stream.result = () => ({ hash: hasher.digest(), size });
+    return stream;
+};
+
+class AttachmentService {
+    /**
+     * Get the current attachments of a record, oldest first
+     * @param {string} recordId - Record ID
+     * @param {Object} [queryable] - Pool, or a client inside an open transaction
+     * @returns {Promise<Array>} Attachment rows
+     */
+    async findByRecord(recordId, queryable = pool) {
+        const query = `
+            SELECT * FROM ${SCHEMA}.record_attachments
+            WHERE record_id = $1 AND removed_at IS NULL
+            ORDER BY created_at, id
+        `;
+
+        try {
+            const result = await queryable.query(query, [recordId]);
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching attachments:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a current attachment of a record
+     * @param {string} recordId - Record ID
+     * @param {string} attachmentId - Attachment ID
+     * @returns {Promise<Object|null>} Attachment row or null
+     */
+    async findById(recordId, attachmentId) {
+        const query = `
+            SELECT * FROM ${SCHEMA}.record_attachments
+            WHERE id = $1 AND record_id = $2 AND removed_at IS NULL
+        `;
+
+        try {
+            const result = await pool.query(query, [attachmentId, recordId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Error fetching attachment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stream a file into blob storage, hashing it on the way
+     * Nothing is written to the database: the returned attachment is saved together
+     * with the record update that folds it into the record hash (recordService.update).
+     * @param {string} recordId - Record ID
+     * @param {Readable} stream - File content
+     * @param {Object} info - { filename, contentType }
+     * @returns {Promise<Object>} Unsaved attachment row (id, record_id, filename, content_type, size_bytes,
+     *          content_hash, hash_algorithm, storage_driver, storage_key)
+     */
+    async store(recordId, stream, { filename, contentType }) {
+        const id = uuidv4();
+        const hashing = hashingStream(DEFAULT_HASH_ALGORITHM);
+
+        const hashed = stream.pipe(hashing);
+        stream.once('error', (error) => hashed.destroy(error));
+        const location = await blobStorageService.put(`${recordId}/${id}`, hashed);
+        const { hash, size } = hashing.result();
+
+        return {
+            id,
+            record_id: recordId,
+            filename,
+            content_type: contentType,
+            size_bytes: size,
+            content_hash: hash,
+            hash_algorithm: DEFAULT_HASH_ALGORITHM,
+            storage_driver: location.driver,
+            storage_key: location.key
+        };
+    }
+
+    /**
+     * Remove the blobs of attachments that were stored but never saved
+     * @param {Array} attachments - Attachments returned by store()
+     * @returns {Promise<void>}
+     */
+    async discard(attachments) {
+        for (const attachment of attachments) {
+            try {
+                await blobStorageService.delete(attachment.storage_driver, attachment.storage_key);
+            } catch (error) {
+                logger.warn(`Could not remove blob ${attachment.storage_key}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Open the stored content of an attachment
+     * @param {Object} attachment - Attachment row
+     * @returns {Promise<Readable|null>} Content, or null if the blob is missing
+     */
+    async open(attachment) {
+        return await blobStorageService.get(attachment.storage_driver, attachment.storage_key);
+    }
+
+    /**
+     * Re-hash the stored content of an attachment
+     * @param {Object} attachment - Attachment row
+     * @returns {Promise<Object|null>} { hash, size } of the stored bytes, or null if the blob is missing
+     */
+    async rehash(attachment) {
+        const stream = await this.open(attachment);
+
+        if (!stream) {
+            return null;
+        }
+
+        // Only the hash is needed, so the output is drained rather than read
+        const hashing = hashingStream(attachment.hash_algorithm);
+        hashing.resume();
+        await pipeline(stream, hashing);
+        return hashing.result();
+    }
+
+    /**
+     * Build the manifest that is folded into the record hash
+     * Entries are ordered by ID, which unlike upload time is identical for
+     * attachments stored in the same transaction.
+     * @param {Array} attachments - Attachment rows
+     * @returns {Array} [{ id, filename, contentType, size, hash }]
+     */
+    toManifest(attachments) {
+        const sorted = [...attachments].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        return sorted.map(attachment => ({
+            id: attachment.id,
+            filename: attachment.filename,
+            contentType: attachment.content_type,
+            size: Number(attachment.size_bytes),
+            hash: attachment.content_hash
+        }));
+    }
+
+    /**
+     * The document a record hash is computed over
+     * @param {Object} data_json - Record data
+     * @param {Array|null} manifest - Attachment manifest (see toManifest)
+     * @returns {Object} data_json alone without attachments, else { data_json, attachments }
+     */
+    hashedDocument(data_json, manifest) {
+        if (!manifest || manifest.length === 0) {
+            return data_json;
+        }
+        return { data_json, attachments: manifest };
+    }
+}
+
+module.exports = new AttachmentService();
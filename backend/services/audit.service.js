@@ -0,0 +1,315 @@
+/**
+ * Audit Service
+ * Full-database integrity audit: walks every record, recomputes its hash and
+ * compares it with both the stored hash_value and the on-chain hash
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../config/db.config');
+const auditConfig = require('../config/audit.config');
+const recordService = require('./record.service');
+const blockchainService = require('./blockchain.service');
+const verificationService = require('./verification.service');
+const logger = require('../utils/logger');
+
+// Schema name from environment
+const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
+
+// Advisory lock key that keeps audit runs from overlapping (across processes too)
+const AUDIT_LOCK_KEY = 7301;
+
+// Result status → summary column
+const SUMMARY_COLUMNS = {
+    valid: 'valid_count',
+    db_mismatch: 'db_mismatch',
+    chain_mismatch: 'chain_mismatch',
+    not_anchored: 'not_anchored',
+    error: 'error_count',
+    erased: 'erased_count',
+    revoked: 'revoked_count'
+};
+
+class AuditService {
+    /**
+     * Start an audit run in the background
+     * @param {string} trigger - scheduled | manual
+     * @returns {Promise<Object|null>} The new run, or null if another run is in progress
+     */
+    async start(trigger = 'scheduled') {
+        const client = await pool.connect();
+
+        try {
+            const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [AUDIT_LOCK_KEY]);
+            if (!lock.rows[0].locked) {
+                client.release();
+                return null;
+            }
+
+            const result = await client.query(
+                `INSERT INTO ${SCHEMA}.integrity_audits (id, trigger, status, blockchain_mode, started_at)
+                 VALUES ($1, $2, 'running', $3, NOW())
+                 RETURNING *`,
+                [uuidv4(), trigger, blockchainService.getMode()]
+            );
+            const run = result.rows[0];
+
+            logger.info(`[AUDIT] Run ${run.id} started (${trigger})`);
+
+            this._run(run.id)
+                .catch(error => logger.error(`[AUDIT] Run ${run.id} crashed:`, error))
+                .finally(async () => {
+                    await client.query('SELECT pg_advisory_unlock($1)', [AUDIT_LOCK_KEY]).catch(() => {});
+                    client.release();
+                });
+
+            return run;
+        } catch (error) {
+            await client.query('SELECT pg_advisory_unlock($1)', [AUDIT_LOCK_KEY]).catch(() => {});
+            client.release();
+            logger.error('Error starting audit run:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check a single record
+     * @param {Object} record - Record row
+     * @returns {Promise<Object>} Audit result for the record
+     */
+    async checkRecord(record) {
+        const result = {
+            record_id: record.id,
+            computed_hash: null,
+            db_hash: record.hash_value,
+            chain_hash: null,
+            db_match: null,
+            chain_match: null,
+            detail: null
+        };
+
+        try {
+            // Erased records have no data left to hash; their tombstone hash must still match the chain
+            if (record.erased_at) {
+                return await this._checkErasedRecord(record, result);
+            }
+
+            const current = await verificationService.computeCurrentHash(record);
+            result.computed_hash = current.hash;
+            result.db_match = result.computed_hash === record.hash_value;
+            const damaged = current.attachments.filter(attachment => !attachment.intact);
+
+            // Not anchored yet, or its latest change is still waiting to be anchored
+            if (!record.hash_value || (record.anchor_status !== 'anchored' && result.db_match)) {
+                result.status = 'not_anchored';
+                result.detail = `Anchoring status: ${record.anchor_status || 'unknown'}`;
+                return result;
+            }
+
+            const verification = await verificationService.verifyOnChain(record, result.computed_hash);
+            result.chain_hash = verification.onChainHash;
+            result.chain_match = verification.hashMatches;
+
+            if (!verification.onChainHash) {
+                result.status = 'not_anchored';
+                result.detail = verification.reason;
+            } else if (!result.db_match) {
+                result.status = 'db_mismatch';
+                result.detail = damaged.length > 0
+                    ? `Attachment content no longer matches: ${damaged.map(attachment => attachment.filename).join(', ')}`
+                    : 'data_json or the attachment manifest no longer matches the stored hash_value';
+            } else if (!result.chain_match) {
+                result.status = 'chain_mismatch';
+                result.detail = 'Stored hash_value does not match the on-chain hash';
+            } else if (verification.revoked) {
+                result.status = 'revoked';
+                result.detail = verification.reason;
+            } else {
+                result.status = 'valid';
+            }
+        } catch (error) {
+            result.status = 'error';
+            result.detail = error.message;
+        }
+
+        return result;
+    }
+
+    /**
+     * Check the tombstone of an erased record against the chain
+     * @param {Object} record - Erased record
+     * @param {Object} result - Audit result to fill in
+     * @returns {Promise<Object>} Audit result for the record
+     */
+    async _checkErasedRecord(record, result) {
+        const erasedOn = new Date(record.erased_at).toISOString().slice(0, 10);
+
+        if (!record.hash_value) {
+            result.status = 'erased';
+            result.detail = `Erased by request on ${erasedOn}, before it was anchored`;
+            return result;
+        }
+
+        const verification = await verificationService.verifyOnChain(record, record.hash_value);
+        result.chain_hash = verification.onChainHash;
+        result.chain_match = verification.hashMatches;
+
+        if (verification.onChainHash && !verification.hashMatches) {
+            result.status = 'chain_mismatch';
+            result.detail = `Erased by request on ${erasedOn}; tombstone hash does not match the on-chain hash`;
+        } else {
+            result.status = 'erased';
+            result.detail = `Erased by request on ${erasedOn}`;
+        }
+        return result;
+    }
+
+    /**
+     * List audit runs, newest first
+     * @param {number} limit - Number of runs to return
+     * @param {number} offset - Offset for pagination
+     * @returns {Promise<Object>} { runs, total }
+     */
+    async findRuns(limit = 50, offset = 0) {
+        try {
+            const [runs, count] = await Promise.all([
+                pool.query(
+                    `SELECT * FROM ${SCHEMA}.integrity_audits ORDER BY started_at DESC LIMIT $1 OFFSET $2`,
+                    [limit, offset]
+                ),
+                pool.query(`SELECT COUNT(*) FROM ${SCHEMA}.integrity_audits`)
+            ]);
+            return { runs: runs.rows, total: parseInt(count.rows[0].count, 10) };
+        } catch (error) {
+            logger.error('Error fetching audit runs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get one audit run
+     * @param {string} runId - Audit run ID
+     * @returns {Promise<Object|null>} Run or null
+     */
+    async findRun(runId) {
+        try {
+            const result = await pool.query(`SELECT * FROM ${SCHEMA}.integrity_audits WHERE id = $1`, [runId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Error fetching audit run:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the per-record results of an audit run
+     * @param {string} runId - Audit run ID
+     * @param {Object} options - { status, limit, offset }
+     * @returns {Promise<Object>} { results, total }
+     */
+    async findResults(runId, { status = null, limit = 100, offset = 0 } = {}) {
+        const where = status ? 'WHERE audit_id = $1 AND status = $2' : 'WHERE audit_id = $1';
+        const params = status ? [runId, status] : [runId];
+
+        try {
+            const [results, count] = await Promise.all([
+                pool.query(
+                    `SELECT record_id, status, computed_hash, db_hash, chain_hash, db_match, chain_match, detail, checked_at
+                     FROM ${SCHEMA}.integrity_audit_results ${where}
+                     ORDER BY id
+                     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                    [...params, limit, offset]
+                ),
+                pool.query(`SELECT COUNT(*) FROM ${SCHEMA}.integrity_audit_results ${where}`, params)
+            ]);
+            return { results: results.rows, total: parseInt(count.rows[0].count, 10) };
+        } catch (error) {
+            logger.error('Error fetching audit results:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Walk every record page by page, storing results and running totals
+     */
+    async _run(runId) {
+        const totals = {
+            total_records: 0, valid_count: 0, db_mismatch: 0, chain_mismatch: 0, not_anchored: 0, error_count: 0, erased_count: 0,
+            revoked_count: 0
+        };
+
+        try {
+            let afterId = null;
+
+            for (;;) {
+                const records = await recordService.findPageAfter(afterId, auditConfig.pageSize);
+                if (records.length === 0) {
+                    break;
+                }
+
+                const results = [];
+                for (const record of records) {
+                    results.push(await this.checkRecord(record));
+                }
+
+                await this._saveResults(runId, results);
+
+                results.forEach(result => {
+                    totals.total_records++;
+                    totals[SUMMARY_COLUMNS[result.status]]++;
+                });
+                await this._updateTotals(runId, totals);
+
+                afterId = records[records.length - 1].id;
+            }
+
+            await pool.query(
+                `UPDATE ${SCHEMA}.integrity_audits SET status = 'completed', finished_at = NOW() WHERE id = $1`,
+                [runId]
+            );
+            logger.info(`[AUDIT] Run ${runId} completed: ${totals.valid_count}/${totals.total_records} valid`);
+        } catch (error) {
+            await pool.query(
+                `UPDATE ${SCHEMA}.integrity_audits SET status = 'failed', last_error = $2, finished_at = NOW() WHERE id = $1`,
+                [runId, error.message]
+            );
+            logger.error(`[AUDIT] Run ${runId} failed:`, error);
+        }
+    }
+
+    /**
+     * Insert one page of results with a single multi-row INSERT
+     */
+    async _saveResults(runId, results) {
+        const columns = ['audit_id', 'record_id', 'status', 'computed_hash', 'db_hash', 'chain_hash', 'db_match', 'chain_match', 'detail'];
+        const values = [];
+        const rows = results.map((result, i) => {
+            const base = i * columns.length;
+            values.push(
+                runId, result.record_id, result.status, result.computed_hash, result.db_hash,
+                result.chain_hash, result.db_match, result.chain_match, result.detail
+            );
+            return `(${columns.map((_, j) => `$${base + j + 1}`).join(', ')})`;
+        });
+
+        await pool.query(
+            `INSERT INTO ${SCHEMA}.integrity_audit_results (${columns.join(', ')}) VALUES ${rows.join(', ')}`,
+            values
+        );
+    }
+
+    /**
+     * Store the running totals so progress is visible while the run is going
+     */
+    async _updateTotals(runId, totals) {
+        await pool.query(
+            `UPDATE ${SCHEMA}.integrity_audits
+             SET total_records = $2, valid_count = $3, db_mismatch = $4,
+                 chain_mismatch = $5, not_anchored = $6, error_count = $7, erased_count = $8, revoked_count = $9
+             WHERE id = $1`,
+            [runId, totals.total_records, totals.valid_count, totals.db_mismatch,
+                totals.chain_mismatch, totals.not_anchored, totals.error_count, totals.erased_count, totals.revoked_count]
+        );
+    }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,133 @@
+/**
+ * Blob Storage Service
+ * Stores attachment bytes behind a pluggable driver
+ *
+ * A driver is an object with:
+ *   put(key, stream)  → Promise<void>            consume the stream and store it under key
+ *   get(key)          → Promise<Readable|null>   stream the blob, or null if it does not exist
+ *   delete(key)       → Promise<void>            remove the blob (no error if it does not exist)
+ * Every stored blob remembers the driver it was written with, so changing
+ * STORAGE_DRIVER does not orphan existing attachments as long as the old
+ * driver stays registered.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const storageConfig = require('../config/storage.config');
+const logger = require('../utils/logger');
+
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*(\/[A-Za-z0-9_-][A-Za-z0-9._-]*)*$/;
+
+/**
+ * Local filesystem driver
+ * Blobs are written to a temporary file and renamed into place, so a
+ * failed or aborted upload never leaves a partial blob under its key.
+ */
+class LocalBlobDriver {
+    constructor(baseDir) {
+        this.baseDir = path.resolve(baseDir);
+    }
+
+    _path(key) {
+        if (!KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid blob key: ${key}`);
+        }
+        return path.join(this.baseDir, ...key.split('/'));
+    }
+
+    async put(key, stream) {
+        const target = this._path(key);
+        const temp = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        try {
+            await pipeline(stream, fs.createWriteStream(temp, { flags: 'wx' }));
+            await fs.promises.rename(temp, target);
+        } catch (error) {
+            await fs.promises.rm(temp, { force: true });
+            throw error;
+        }
+    }
+
+    async get(key) {
+        const stream = fs.createReadStream(this._path(key));
+
+        return new Promise((resolve, reject) => {
+            stream.once('open', () => resolve(stream));
+            stream.once('error', (error) => (error.code === 'ENOENT' ? resolve(null) : reject(error)));
+        });
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this._path(key), { force: true });
+    }
+}
+
+class BlobStorageService {
+    constructor() {
+        this.drivers = {
+            local: new LocalBlobDriver(storageConfig.localDir)
+        };
+        this.driver = storageConfig.driver;
+    }
+
+    /**
+     * Register a blob storage driver (e.g. an object store client)
+     * @param {string} name - Driver name, as used in STORAGE_DRIVER
+     * @param {Object} driver - { put, get, delete } (see top of file)
+     */
+    registerDriver(name, driver) {
+        for (const method of ['put', 'get', 'delete']) {
+            if (typeof driver[method] !== 'function') {
+                throw new Error(`Blob storage driver "${name}" is missing ${method}()`);
+            }
+        }
+        this.drivers[name] = driver;
+        logger.info(`Blob storage driver registered: ${name}`);
+    }
+
+    _getDriver(name) {
+        const driver = this.drivers[name];
+
+        if (!driver) {
+            throw new Error(`Unknown blob storage driver: ${name}`);
+        }
+
+        return driver;
+    }
+
+    /**
+     * Store a blob with the configured driver
+     * @param {string} key - Blob key (slash-separated path segments)
+     * @param {Readable} stream - Blob content
+     * @returns {Promise<Object>} { driver, key } - where the blob was stored
+     */
+    async put(key, stream) {
+        await this._getDriver(this.driver).put(key, stream);
+        return { driver: this.driver, key };
+    }
+
+    /**
+     * Open a stored blob
+     * @param {string} driver - Driver the blob was stored with
+     * @param {string} key - Blob key
+     * @returns {Promise<Readable|null>} Blob content, or null if it does not exist
+     */
+    async get(driver, key) {
+        return await this._getDriver(driver).get(key);
+    }
+
+    /**
+     * Remove a stored blob
+     * @param {string} driver - Driver the blob was stored with
+     * @param {string} key - Blob key
+     * @returns {Promise<void>}
+     */
+    async delete(driver, key) {
+        await this._getDriver(driver).delete(key);
+    }
+}
+
+module.exports = new BlobStorageService();
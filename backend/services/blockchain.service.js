@@ -2,50 +2,182 @@
  * Blockchain Integration Service
  * Handles communication with Polygon Smart Contract for storing/retrieving hashes
  * 
- * This service provides an abstraction layer that can work in two modes:
+ * This service provides an abstraction layer that can work in four modes:
  * 1. MOCK mode (default for development) - Simulates blockchain responses
  * 2. POLYGON mode - Calls the sc_blockchain API (Polygon smart contract)
+ * 3. FABRIC mode - Calls RecordHashContract on Hyperledger Fabric as the
+ *    configured service identity (FABRIC_USER_ID)
+ * 4. CHAINCODE-SIM mode - Runs the same RecordHashContract calls in-process
+ *    against a simulated world state (no network needed)
  * 
- * Set BLOCKCHAIN_MODE=polygon in .env to use real Polygon network
+ * Set BLOCKCHAIN_MODE=polygon or BLOCKCHAIN_MODE=fabric in .env to use a real network.
+ * A comma-separated list (e.g. fabric,polygon) anchors to all of them, see MultiLedgerService.
  */
 
+const fabricService = require('./fabric.service');
+const chaincodeSimService = require('./chaincode-sim.service');
+const mockLedgerService = require('./mock-ledger.service');
+const mockFaultService = require('./mock-fault.service');
+const MultiLedgerService = require('./multi-ledger.service');
+const blockchainConfig = require('../config/blockchain.config');
+const fabricConfig = require('../config/fabric.config');
 const logger = require('../utils/logger');
 
-// In-memory store for mock mode (simulates blockchain ledger)
-const mockLedger = new Map();
+// Status the sc_blockchain contract gives a rejected change request (enum Pending, Approved, Rejected)
+const POLYGON_STATUS_REJECTED = 2;
+
+// Modes that call RecordHashContract, and the client each submits through
+const CONTRACT_CLIENTS = {
+    fabric: fabricService,
+    'chaincode-sim': chaincodeSimService
+};
 
 class BlockchainService {
-    constructor() {
-        this.mode = process.env.BLOCKCHAIN_MODE || 'mock';
+    /**
+     * @param {string} mode - mock | polygon | fabric | chaincode-sim
+     */
+    constructor(mode) {
+        this.mode = mode;
         this.scBlockchainUrl = process.env.SC_BLOCKCHAIN_URL || 'http://localhost:5000';
+        this.fabricUserId = fabricConfig.serviceIdentity;
+        // Client RecordHashContract transactions go through (fabric and chaincode-sim modes)
+        this.contractClient = CONTRACT_CLIENTS[this.mode] || null;
+        this.logTag = `[${this.mode.toUpperCase()}]`;
+        // Mock transactions not yet committed, in order
+        this.mockQueue = Promise.resolve();
         logger.info(`Blockchain service initialized in ${this.mode.toUpperCase()} mode`);
+
+        if (this.mode === 'mock') {
+            // Replay and check the persisted mock chain now, so a broken ledger stops startup
+            mockLedgerService.load();
+        }
     }
 
     /**
      * Store record hash on blockchain
      * @param {string} recordId - Unique record identifier
-     * @param {string} hash - SHA-256 hash of record data
+     * @param {string} hash - Hash of record data
      * @returns {Promise<Object>} Transaction result with tx_id
      */
     async storeRecordHash(recordId, hash) {
+        if (this.contractClient) {
+            return await this._storeOnFabric(recordId, hash);
+        }
         if (this.mode === 'polygon') {
             return await this._storeOnPolygon(recordId, hash);
         }
         return await this._storeOnMock(recordId, hash);
     }
 
+    /**
+     * Update an existing record hash on blockchain (after off-chain data edit)
+     * @param {string} recordId - Record identifier
+     * @param {string} newHash - New hash of record data
+     * @returns {Promise<Object>} Transaction result with tx_id and previousHash
+     */
+    async updateRecordHash(recordId, newHash) {
+        if (this.contractClient) {
+            return await this._updateOnFabric(recordId, newHash);
+        }
+        if (this.mode === 'polygon') {
+            return await this._updateOnPolygon(recordId, newHash);
+        }
+        return await this._updateOnMock(recordId, newHash);
+    }
+
+    /**
+     * Revoke a record on blockchain
+     * The hash stays on-chain but is marked revoked, so verification of the
+     * record (or a copy of its document) reports it as revoked. A record already
+     * revoked on-chain with the same hash (an earlier attempt whose result was not
+     * recorded) is returned as is.
+     * @param {string} recordId - Record identifier
+     * @param {string} hash - Hash of the record data being revoked
+     * @param {Object} revocation - { reason, revokedBy }
+     * @returns {Promise<Object>} Transaction result with tx_id
+     */
+    async revokeRecordHash(recordId, hash, { reason = null, revokedBy = null } = {}) {
+        const existing = await this.getRecordHash(recordId);
+        if (existing && existing.status === 'revoked' && existing.hash === hash) {
+            logger.info(`Record ${recordId} already revoked on-chain, TX: ${existing.tx_id}`);
+            return {
+                success: true,
+                tx_id: existing.tx_id,
+                recordId,
+                hash,
+                status: 'revoked',
+                timestamp: existing.timestamp,
+                blockNumber: existing.blockNumber || null
+            };
+        }
+
+        if (this.contractClient) {
+            return await this._revokeOnFabric(recordId, hash, reason, revokedBy);
+        }
+        if (this.mode === 'polygon') {
+            return await this._revokeOnPolygon(recordId);
+        }
+        return await this._revokeOnMock(recordId, hash, reason, revokedBy);
+    }
+
     /**
      * Retrieve record hash from blockchain
      * @param {string} recordId - Record identifier
      * @returns {Promise<Object>} Stored hash data
      */
     async getRecordHash(recordId) {
+        if (this.contractClient) {
+            return await this._getFromFabric(recordId);
+        }
         if (this.mode === 'polygon') {
             return await this._getFromPolygon(recordId);
         }
         return await this._getFromMock(recordId);
     }
 
+    /**
+     * Get the on-chain revocation of a record
+     * @param {string} recordId - Record identifier
+     * @returns {Promise<Object|null>} { reason, revokedBy, revokedAt, transactionId }, or null if not revoked
+     */
+    async getRevocation(recordId) {
+        return this._revocationOf(await this.getRecordHash(recordId));
+    }
+
+    /**
+     * Retrieve the full hash history of a record from blockchain
+     * @param {string} recordId - Record identifier
+     * @returns {Promise<Array|null>} Entries ({ tx_id, hash, timestamp }) oldest first,
+     *          or null if the mode cannot provide history
+     */
+    async getRecordHistory(recordId) {
+        if (this.contractClient) {
+            return await this._getHistoryFromFabric(recordId);
+        }
+        if (this.mode === 'polygon') {
+            // sc_blockchain only exposes the latest change per request id
+            return null;
+        }
+        return await this._getHistoryFromMock(recordId);
+    }
+
+    /**
+     * Reverse lookup: find records anchored with a given hash
+     * @param {string} hash - Content hash
+     * @returns {Promise<Array|null>} Entries ({ recordId, tx_id, timestamp }),
+     *          or null if the mode cannot search by hash
+     */
+    async findByHash(hash) {
+        if (this.contractClient) {
+            return await this._findByHashOnFabric(hash);
+        }
+        if (this.mode === 'polygon') {
+            // The contract has no index from hash to change request
+            return null;
+        }
+        return await this._findByHashOnMock(hash);
+    }
+
     /**
      * Verify if a hash matches the on-chain stored hash
      * @param {string} recordId - Record identifier
@@ -59,6 +191,7 @@ class BlockchainService {
             if (!storedData || !storedData.hash) {
                 return {
                     valid: false,
+                    hashMatches: false,
                     reason: 'Record not found on blockchain',
                     onChainHash: null,
                     providedHash: hash
@@ -66,15 +199,21 @@ class BlockchainService {
             }
 
             const isValid = storedData.hash === hash;
-            
-            return {
+            const revocation = this._revocationOf(storedData);
+
+            const result = {
                 valid: isValid,
+                hashMatches: isValid,
                 reason: isValid ? 'Hash matches on-chain record' : 'Hash mismatch - data may have been tampered',
                 onChainHash: storedData.hash,
                 providedHash: hash,
                 storedAt: storedData.timestamp,
-                transactionId: storedData.tx_id
+                transactionId: storedData.tx_id,
+                blockNumber: storedData.blockNumber || null
             };
+
+            // A revoked record is never valid, whether or not its hash still matches
+            return revocation ? { ...result, ...this.revokedVerification(revocation, isValid) } : result;
         } catch (error) {
             logger.error('Error verifying record hash:', error);
             throw error;
@@ -82,46 +221,80 @@ class BlockchainService {
     }
 
     // ==================== MOCK MODE METHODS ====================
+    // Writes run RecordHashContract against the mock ledger (see mockLedgerService.worldState),
+    // so mock mode accepts and rejects exactly what the chaincode does. The contract's writes
+    // then become a mock block, which fault injection may delay, drop or reorg away.
 
     /**
      * Store hash in mock ledger (development/testing)
      */
     async _storeOnMock(recordId, hash) {
-        // Simulate network delay
-        await this._simulateDelay(100, 300);
+        const submittedAt = new Date().toISOString();
+        const { tx_id, blockNumber } = await this._submitOnMock('StoreRecordHash', recordId, hash, submittedAt);
 
-        // Generate mock transaction ID
-        const tx_id = `mock_tx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        const ledgerEntry = {
+        logger.info(`[MOCK] Stored hash on blockchain - Record: ${recordId}, TX: ${tx_id}`);
+
+        return {
+            success: true,
+            tx_id,
             recordId,
             hash,
+            timestamp: submittedAt,
+            blockNumber
+        };
+    }
+
+    /**
+     * Update hash in mock ledger via RecordHashContract.UpdateRecordHash
+     */
+    async _updateOnMock(recordId, newHash) {
+        const submittedAt = new Date().toISOString();
+        const { result, tx_id, blockNumber } = await this._submitOnMock('UpdateRecordHash', recordId, newHash, submittedAt);
+
+        logger.info(`[MOCK] Updated hash on blockchain - Record: ${recordId}, TX: ${tx_id}`);
+
+        return {
+            success: true,
             tx_id,
-            timestamp: new Date().toISOString(),
-            blockNumber: mockLedger.size + 1
+            recordId,
+            hash: newHash,
+            previousHash: result.previousHash,
+            timestamp: submittedAt,
+            blockNumber
         };
+    }
+
+    /**
+     * Revoke a record in mock ledger via RecordHashContract.RevokeRecord
+     */
+    async _revokeOnMock(recordId, hash, reason, revokedBy) {
+        const submittedAt = new Date().toISOString();
+        const { tx_id, blockNumber } = await this._submitOnMock(
+            'RevokeRecord', recordId, hash, reason || '', revokedBy || '', submittedAt
+        );
+
+        logger.info(`[MOCK] Revoked record on blockchain - Record: ${recordId}, TX: ${tx_id}`);
 
-        mockLedger.set(recordId, ledgerEntry);
-        
-        logger.info(`[MOCK] Stored hash on blockchain - Record: ${recordId}, TX: ${tx_id}`);
-        
         return {
             success: true,
             tx_id,
             recordId,
             hash,
-            timestamp: ledgerEntry.timestamp,
-            blockNumber: ledgerEntry.blockNumber
+            status: 'revoked',
+            timestamp: submittedAt,
+            blockNumber
         };
     }
 
     /**
      * Retrieve hash from mock ledger
+     * Reads the entry directly (GetRecordHash only returns the state), so it keeps its block number.
      */
     async _getFromMock(recordId) {
         await this._simulateDelay(50, 150);
+        await mockFaultService.beforeCall('GetRecordHash');
 
-        const entry = mockLedger.get(recordId);
+        const entry = mockLedgerService.get(recordId);
         
         if (!entry) {
             logger.warn(`[MOCK] Record not found on blockchain: ${recordId}`);
@@ -132,6 +305,98 @@ class BlockchainService {
         return entry;
     }
 
+    /**
+     * Retrieve hash history from mock ledger
+     */
+    async _getHistoryFromMock(recordId) {
+        await this._simulateDelay(50, 150);
+        await mockFaultService.beforeCall('GetRecordHistory');
+
+        return mockLedgerService.getHistory(recordId).map(entry => ({
+            tx_id: entry.tx_id,
+            hash: entry.hash,
+            status: entry.status || 'active',
+            timestamp: entry.timestamp,
+            blockNumber: entry.blockNumber,
+            isDelete: false
+        }));
+    }
+
+    /**
+     * Find records by hash via RecordHashContract.GetRecordsByHash
+     * Like on Fabric, only the current hash of each record is searched.
+     */
+    async _findByHashOnMock(hash) {
+        await this._simulateDelay(50, 150);
+        await mockFaultService.beforeCall('GetRecordsByHash');
+
+        const { result } = await chaincodeSimService.execute(
+            mockLedgerService.worldState(),
+            this.fabricUserId,
+            'GetRecordsByHash',
+            hash
+        );
+
+        return result.map(record => ({
+            recordId: record.recordId,
+            tx_id: record.txId,
+            timestamp: record.timestamp
+        }));
+    }
+
+    /**
+     * Submit a RecordHashContract transaction to the mock ledger
+     * Transactions run one at a time, as the ordering service would order them.
+     * @param {string} functionName - Contract function name
+     * @param {...string} args - Function arguments
+     * @returns {Promise<Object>} { result, tx_id, blockNumber }
+     */
+    async _submitOnMock(functionName, ...args) {
+        await this._simulateDelay(100, 300);
+        await mockFaultService.beforeWrite(functionName);
+
+        const run = this.mockQueue.then(async () => {
+            const { result, txId, writes } = await chaincodeSimService.execute(
+                mockLedgerService.worldState(),
+                this.fabricUserId,
+                functionName,
+                ...args
+            );
+            const blockNumber = await this._commitOnMock(txId, mockLedgerService.entriesOf(writes));
+            return { result, tx_id: txId, blockNumber };
+        });
+        this.mockQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Write a mock transaction to the ledger, unless fault injection drops it
+     * A configured reorg may remove it (and the blocks before it) right after.
+     * @param {string} txId - Transaction ID
+     * @param {Array} entries - Ledger entries the transaction wrote
+     * @returns {Promise<number|null>} Block number, or null if the transaction was dropped
+     *          or its block was removed by the reorg
+     */
+    async _commitOnMock(txId, entries) {
+        if (mockFaultService.dropsWrite()) {
+            logger.warn(`[MOCK] Injected drop - TX ${txId} acknowledged but never written`);
+            return null;
+        }
+
+        const block = await mockLedgerService.append(entries);
+
+        const reorgDepth = mockFaultService.reorgDepthAfterWrite();
+        if (reorgDepth > 0) {
+            const { removed } = await this.reorgMockLedger(reorgDepth);
+            if (removed.some(removedBlock => removedBlock.height === block.height)) {
+                logger.warn(`[MOCK] Injected reorg - TX ${txId} acknowledged but its block ${block.height} was removed`);
+                return null;
+            }
+        }
+
+        return block.height;
+    }
+
     /**
      * Simulate network delay for realistic testing
      */
@@ -186,6 +451,32 @@ class BlockchainService {
         }
     }
 
+    /**
+     * Update hash on Polygon network via sc_blockchain API
+     * The contract has no update function, so a new change request is
+     * submitted for the same userId carrying the new hash.
+     */
+    async _updateOnPolygon(recordId, newHash) {
+        const existing = await this._getFromPolygon(recordId);
+        const result = await this._storeOnPolygon(recordId, newHash);
+
+        return {
+            ...result,
+            previousHash: existing ? existing.hash : null
+        };
+    }
+
+    /**
+     * Revoke a record on Polygon network
+     * Not supported: the contract has no revocation of its own, and the only way to mark a
+     * hash is rejecting its change request. Change requests are keyed by the counter
+     * submitChange assigns, which sc_blockchain does not return, so the backend cannot tell
+     * which one to reject.
+     */
+    async _revokeOnPolygon(recordId) {
+        throw new Error(`Revocation is not supported on polygon: the change request of record ${recordId} is not known`);
+    }
+
     /**
      * Retrieve hash from Polygon network via sc_blockchain API
      * Calls: GET /api/get-change/:id
@@ -212,8 +503,9 @@ class BlockchainService {
                 hash: result.change.hash,
                 tx_id: null, // Not available from get-change
                 timestamp: null,
-                status: result.change.status,
-                reason: result.change.reason
+                status: result.change.status === POLYGON_STATUS_REJECTED ? 'revoked' : result.change.status,
+                reason: result.change.reason,
+                ...(result.change.status === POLYGON_STATUS_REJECTED && { revocationReason: result.change.reason })
             };
         } catch (error) {
             logger.error('[POLYGON] Error retrieving hash:', error);
@@ -231,8 +523,245 @@ class BlockchainService {
         return parseInt(hexPart, 16);
     }
 
+    // ==================== FABRIC MODE METHODS ====================
+    // Also used by chaincode-sim mode, which runs the contract in-process.
+    // Transactions are submitted as the service identity and wait for commit.
+    // tx_id is the committed transaction's ID; timestamp is its transaction timestamp
+    // as recorded in the block (falling back to the submission time for chaincode
+    // versions that do not report it).
+
+    /**
+     * Store hash on Fabric network via RecordHashContract.StoreRecordHash
+     */
+    async _storeOnFabric(recordId, hash) {
+        try {
+            logger.info(`${this.logTag} Storing hash on blockchain - Record: ${recordId}`);
+
+            const submittedAt = new Date().toISOString();
+            const { result, txId } = await this.contractClient.submitTransactionWithReceipt(
+                this.fabricUserId,
+                'StoreRecordHash',
+                recordId,
+                hash,
+                submittedAt
+            );
+
+            logger.info(`${this.logTag} Hash stored successfully - Record: ${recordId}, TX: ${txId}`);
+
+            return {
+                success: true,
+                tx_id: txId,
+                recordId,
+                hash,
+                timestamp: result.proposalTimestamp || submittedAt
+            };
+        } catch (error) {
+            logger.error(`${this.logTag} Error storing hash:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieve hash from Fabric network via RecordHashContract.GetRecordHash
+     */
+    async _getFromFabric(recordId) {
+        try {
+            logger.info(`${this.logTag} Retrieving hash from blockchain - Record: ${recordId}`);
+
+            const record = await this.contractClient.evaluateTransaction(
+                this.fabricUserId,
+                'GetRecordHash',
+                recordId
+            );
+
+            if (!record || !record.exists) {
+                logger.warn(`${this.logTag} Record not found on blockchain: ${recordId}`);
+                return null;
+            }
+
+            return {
+                recordId,
+                hash: record.hash,
+                previousHash: record.previousHash || null,
+                tx_id: record.txId,
+                timestamp: record.proposalTimestamp || record.timestamp,
+                originalTimestamp: record.originalTimestamp || null,
+                status: record.status || 'active',
+                revocationReason: record.revocationReason || null,
+                revokedBy: record.revokedBy || null
+            };
+        } catch (error) {
+            logger.error(`${this.logTag} Error retrieving hash:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update hash on Fabric network via RecordHashContract.UpdateRecordHash
+     */
+    async _updateOnFabric(recordId, newHash) {
+        try {
+            logger.info(`${this.logTag} Updating hash on blockchain - Record: ${recordId}`);
+
+            const submittedAt = new Date().toISOString();
+            const { result, txId } = await this.contractClient.submitTransactionWithReceipt(
+                this.fabricUserId,
+                'UpdateRecordHash',
+                recordId,
+                newHash,
+                submittedAt
+            );
+
+            logger.info(`${this.logTag} Hash updated successfully - Record: ${recordId}, TX: ${txId}`);
+
+            return {
+                success: true,
+                tx_id: txId,
+                recordId,
+                hash: newHash,
+                previousHash: result.previousHash,
+                timestamp: result.proposalTimestamp || submittedAt
+            };
+        } catch (error) {
+            logger.error(`${this.logTag} Error updating hash:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a record on Fabric network via RecordHashContract.RevokeRecord
+     */
+    async _revokeOnFabric(recordId, hash, reason, revokedBy) {
+        try {
+            logger.info(`${this.logTag} Revoking record on blockchain - Record: ${recordId}`);
+
+            const submittedAt = new Date().toISOString();
+            const { result, txId } = await this.contractClient.submitTransactionWithReceipt(
+                this.fabricUserId,
+                'RevokeRecord',
+                recordId,
+                hash,
+                reason || '',
+                revokedBy || '',
+                submittedAt
+            );
+
+            logger.info(`${this.logTag} Record revoked successfully - Record: ${recordId}, TX: ${txId}`);
+
+            return {
+                success: true,
+                tx_id: txId,
+                recordId,
+                hash,
+                status: 'revoked',
+                timestamp: result.proposalTimestamp || submittedAt
+            };
+        } catch (error) {
+            logger.error(`${this.logTag} Error revoking record:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieve hash history from Fabric via RecordHashContract.GetRecordHistory
+     */
+    async _getHistoryFromFabric(recordId) {
+        try {
+            logger.info(`${this.logTag} Retrieving hash history - Record: ${recordId}`);
+
+            const history = await this.contractClient.evaluateTransaction(
+                this.fabricUserId,
+                'GetRecordHistory',
+                recordId
+            );
+
+            return history.map(entry => ({
+                tx_id: entry.txId,
+                hash: entry.value ? entry.value.hash : null,
+                status: entry.value ? entry.value.status || 'active' : null,
+                timestamp: this._fabricTimestampToISO(entry.timestamp),
+                isDelete: entry.isDelete
+            }));
+        } catch (error) {
+            logger.error(`${this.logTag} Error retrieving hash history:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find records by hash via RecordHashContract.GetRecordsByHash (rich query)
+     */
+    async _findByHashOnFabric(hash) {
+        try {
+            logger.info(`${this.logTag} Looking up records by hash: ${hash}`);
+
+            const records = await this.contractClient.evaluateTransaction(
+                this.fabricUserId,
+                'GetRecordsByHash',
+                hash
+            );
+
+            return records.map(record => ({
+                recordId: record.recordId,
+                tx_id: record.txId,
+                timestamp: record.timestamp
+            }));
+        } catch (error) {
+            logger.error(`${this.logTag} Error looking up records by hash:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert a Fabric protobuf timestamp ({ seconds, nanos }) to ISO string
+     * History entries arrive as JSON, so a Long seconds value is a plain { low, high } object here.
+     */
+    _fabricTimestampToISO(timestamp) {
+        if (!timestamp) {
+            return null;
+        }
+        const seconds = timestamp.seconds && timestamp.seconds.low !== undefined
+            ? (timestamp.seconds.high || 0) * 2 ** 32 + (timestamp.seconds.low >>> 0)
+            : Number(timestamp.seconds);
+        const millis = Math.floor((timestamp.nanos || 0) / 1e6);
+        return new Date(seconds * 1000 + millis).toISOString();
+    }
+
     // ==================== UTILITY METHODS ====================
 
+    /**
+     * Verification result fields for a revoked record
+     * @param {Object} revocation - Result of getRevocation
+     * @param {boolean} hashMatches - Whether the data still matches what was anchored
+     * @returns {Object} { valid: false, revoked: true, hashMatches, reason, revocation }
+     */
+    revokedVerification(revocation, hashMatches) {
+        return {
+            valid: false,
+            revoked: true,
+            hashMatches,
+            reason: revocation.reason ? `Record revoked: ${revocation.reason}` : 'Record revoked',
+            revocation
+        };
+    }
+
+    /**
+     * Revocation details of an on-chain entry
+     * @param {Object|null} storedData - Result of getRecordHash
+     * @returns {Object|null} { reason, revokedBy, revokedAt, transactionId }, or null if not revoked
+     */
+    _revocationOf(storedData) {
+        if (!storedData || storedData.status !== 'revoked') {
+            return null;
+        }
+        return {
+            reason: storedData.revocationReason || null,
+            revokedBy: storedData.revokedBy || null,
+            revokedAt: storedData.timestamp,
+            transactionId: storedData.tx_id
+        };
+    }
+
     /**
      * Get current mode
      */
@@ -240,6 +769,49 @@ class BlockchainService {
         return this.mode;
     }
 
+    /**
+     * Single-ledger services behind this one (just this one; see MultiLedgerService)
+     */
+    getLedgers() {
+        return [this];
+    }
+
+    /**
+     * Whether this service anchors to a ledger running in a mode
+     */
+    hasLedger(mode) {
+        return this.mode === mode;
+    }
+
+    /**
+     * Describe the ledger the current mode anchors to (embedded in proof bundles)
+     */
+    getNetworkInfo() {
+        if (this.mode === 'chaincode-sim') {
+            return {
+                mode: this.mode,
+                chaincode: 'RecordHashContract (in-process simulator)',
+                mspId: fabricConfig.mspId
+            };
+        }
+        if (this.mode === 'fabric') {
+            return {
+                mode: this.mode,
+                channel: fabricConfig.channelName,
+                chaincode: fabricConfig.chaincodeName,
+                mspId: fabricConfig.mspId
+            };
+        }
+        if (this.mode === 'polygon') {
+            return {
+                mode: this.mode,
+                network: process.env.POLYGON_NETWORK || 'polygon-amoy',
+                contractAddress: process.env.CONTRACT_ADDRESS || null
+            };
+        }
+        return { mode: this.mode };
+    }
+
     /**
      * Get mock ledger contents (for debugging)
      */
@@ -247,18 +819,66 @@ class BlockchainService {
         if (this.mode !== 'mock') {
             return { error: 'Only available in mock mode' };
         }
-        return Object.fromEntries(mockLedger);
+        return mockLedgerService.getContents();
+    }
+
+    /**
+     * Get height and tip of the mock chain
+     */
+    getMockChainInfo() {
+        if (this.mode !== 'mock') {
+            return { error: 'Only available in mock mode' };
+        }
+        return mockLedgerService.getChainInfo();
     }
 
     /**
-     * Clear mock ledger (for testing)
+     * Get the simulated world state (for debugging)
+     */
+    getSimulatedWorldState() {
+        if (this.mode !== 'chaincode-sim') {
+            return { error: 'Only available in chaincode-sim mode' };
+        }
+        return chaincodeSimService.getWorldState();
+    }
+
+    /**
+     * Simulate a chain reorganization that removes the most recent mock blocks
+     * @param {number} depth - Number of blocks to remove
+     * @returns {Promise<Object>} { removed: [{ height, hash, entries: [{ recordId, tx_id }] }], chain }
+     */
+    async reorgMockLedger(depth) {
+        if (this.mode !== 'mock') {
+            return { error: 'Only available in mock mode' };
+        }
+
+        const removed = (await mockLedgerService.rollback(depth)).map(block => ({
+            height: block.height,
+            hash: block.hash,
+            entries: block.entries.map(entry => ({ recordId: entry.recordId, tx_id: entry.tx_id }))
+        }));
+
+        logger.warn(`[MOCK] Reorg removed ${removed.length} block(s): ${removed.map(block => block.height).join(', ') || 'none'}`);
+        return { removed, chain: mockLedgerService.getChainInfo() };
+    }
+
+    /**
+     * Clear mock ledger or simulated world state (for testing)
      */
     clearMockLedger() {
         if (this.mode === 'mock') {
-            mockLedger.clear();
+            mockLedgerService.clear();
             logger.info('[MOCK] Ledger cleared');
         }
+        if (this.mode === 'chaincode-sim') {
+            chaincodeSimService.reset();
+            logger.info('[CHAINCODE-SIM] World state cleared');
+        }
     }
 }
 
-module.exports = new BlockchainService();
+const ledgers = blockchainConfig.ledgers.map(mode => new BlockchainService(mode));
+
+module.exports = ledgers.length > 1
+    ? new MultiLedgerService(ledgers, blockchainConfig.quorum)
+    : ledgers[0];
@@ -0,0 +1,392 @@
+/**
+ * Chaincode Simulator Service
+ * Runs the real RecordHashContract (chaincode/) inside the backend against an
+ * in-memory world state, for BLOCKCHAIN_MODE=chaincode-sim
+ *
+ * The stub implements the parts of the Fabric ChaincodeStub the contract uses:
+ * getState/putState/deleteState, getHistoryForKey, rich queries (CouchDB
+ * equality selectors) with pagination, events, transaction IDs/timestamps and
+ * the client identity. Like Fabric, writes only become visible once the
+ * transaction commits, a failed transaction changes nothing, and transactions
+ * are ordered one at a time. The client interface mirrors fabricService, so
+ * BlockchainService drives both the same way.
+ *
+ * execute() runs the contract against another world state without committing,
+ * which is how mock mode applies the contract's rules to its own block file.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Long = require('long');
+const fabricConfig = require('../config/fabric.config');
+const logger = require('../utils/logger');
+
+/**
+ * Iterator over query or history results, shaped like the Fabric shim's
+ * ({ value, done } from next(), close())
+ */
+class ResultIterator {
+    constructor(results) {
+        this.results = results;
+        this.position = 0;
+    }
+
+    async next() {
+        if (this.position >= this.results.length) {
+            return { value: undefined, done: true };
+        }
+        return { value: this.results[this.position++], done: false };
+    }
+
+    async close() {
+        this.position = this.results.length;
+    }
+}
+
+/**
+ * Client identity of the submitting wallet user
+ */
+class SimulatedClientIdentity {
+    constructor(userId) {
+        this.userId = userId;
+    }
+
+    getID() {
+        return `x509::/OU=client/CN=${this.userId}::/C=US/ST=North Carolina/O=Hyperledger/OU=Fabric/CN=fabric-ca-server`;
+    }
+
+    getMSPID() {
+        return fabricConfig.mspId;
+    }
+
+    getAttributeValue() {
+        return null;
+    }
+
+    assertAttributeValue() {
+        return false;
+    }
+}
+
+/**
+ * ChaincodeStub for one transaction
+ * Reads see committed state only; writes and events are buffered until commit.
+ */
+class SimulatedStub {
+    constructor(ledger, { txId, timestamp, functionName, args }) {
+        this.ledger = ledger;
+        this.txId = txId;
+        this.timestamp = timestamp;
+        this.functionName = functionName;
+        this.args = args;
+        this.writes = new Map();
+        this.event = null;
+    }
+
+    getTxID() {
+        return this.txId;
+    }
+
+    getTxTimestamp() {
+        const millis = this.timestamp.getTime();
+        // Seconds is a Long in the Fabric shim, as in the protobuf Timestamp
+        return { seconds: Long.fromNumber(Math.floor(millis / 1000)), nanos: (millis % 1000) * 1e6 };
+    }
+
+    getDateTimestamp() {
+        return new Date(this.timestamp);
+    }
+
+    getChannelID() {
+        return fabricConfig.channelName;
+    }
+
+    getFunctionAndParameters() {
+        return { fcn: this.functionName, params: this.args };
+    }
+
+    async getState(key) {
+        const entry = this.ledger.state.get(key);
+        return entry ? Buffer.from(entry) : Buffer.alloc(0);
+    }
+
+    async putState(key, value) {
+        if (!key) {
+            throw new Error('key must not be an empty string');
+        }
+        this.writes.set(key, Buffer.from(value));
+    }
+
+    async deleteState(key) {
+        this.writes.set(key, null);
+    }
+
+    async getHistoryForKey(key) {
+        const history = this.ledger.history.get(key) || [];
+        return new ResultIterator(history.map(entry => ({
+            txId: entry.txId,
+            timestamp: entry.timestamp,
+            isDelete: entry.isDelete,
+            value: entry.value ? Buffer.from(entry.value) : Buffer.alloc(0)
+        })));
+    }
+
+    async getQueryResult(query) {
+        return new ResultIterator(this._query(query));
+    }
+
+    async getQueryResultWithPagination(query, pageSize, bookmark = '') {
+        const matches = this._query(query);
+        const start = bookmark ? matches.findIndex(match => match.key > bookmark) : 0;
+        const page = start === -1 ? [] : matches.slice(start, start + pageSize);
+
+        return {
+            iterator: new ResultIterator(page),
+            metadata: {
+                fetchedRecordsCount: page.length,
+                bookmark: page.length > 0 ? page[page.length - 1].key : bookmark
+            }
+        };
+    }
+
+    setEvent(name, payload) {
+        if (!name) {
+            throw new Error('Event name must be a non-empty string');
+        }
+        // Fabric keeps only the last event set by a transaction
+        this.event = { name, payload: Buffer.from(payload) };
+    }
+
+    /**
+     * Evaluate a CouchDB selector against committed state, ordered by key
+     * Only field equality ({ field: value } or { field: { $eq: value } }) is supported.
+     */
+    _query(query) {
+        const { selector } = JSON.parse(query);
+
+        if (!selector || typeof selector !== 'object') {
+            throw new Error('Rich query must have a selector');
+        }
+
+        const conditions = Object.entries(selector).map(([field, condition]) => {
+            if (condition !== null && typeof condition === 'object') {
+                const operators = Object.keys(condition);
+                if (operators.length !== 1 || operators[0] !== '$eq') {
+                    throw new Error(`Unsupported selector for ${field}: only equality is simulated`);
+                }
+                return [field, condition.$eq];
+            }
+            return [field, condition];
+        });
+
+        return [...this.ledger.state.entries()]
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .map(([key, value]) => ({ key, value: Buffer.from(value) }))
+            .filter(({ value }) => {
+                let document;
+                try {
+                    document = JSON.parse(value.toString());
+                } catch {
+                    return false;
+                }
+                return conditions.every(([field, expected]) => document[field] === expected);
+            });
+    }
+}
+
+class ChaincodeSimService extends EventEmitter {
+    constructor() {
+        super();
+        this.contract = null;
+        this.queue = Promise.resolve();
+        this.reset();
+    }
+
+    /**
+     * Empty the simulated ledger (for testing)
+     */
+    reset() {
+        this.ledger = {
+            state: new Map(),      // key → committed value (Buffer)
+            history: new Map(),    // key → [{ txId, timestamp, isDelete, value }]
+            events: [],            // [{ name, payload, txId, blockNumber }]
+            height: 0
+        };
+    }
+
+    _getContract() {
+        if (!this.contract) {
+            const RecordHashContract = require('../chaincode/recordhash-contract');
+            this.contract = new RecordHashContract();
+            logger.info(`[CHAINCODE-SIM] Loaded ${this.contract.getName()}`);
+        }
+        return this.contract;
+    }
+
+    /**
+     * Submit a transaction and wait until it is committed
+     * Same interface as fabricService.submitTransactionWithReceipt.
+     * @param {string} userId - Identity the transaction is submitted as
+     * @param {string} functionName - Contract function name
+     * @param {...string} args - Function arguments
+     * @returns {Promise<Object>} { result, txId, blockNumber }
+     */
+    async submitTransactionWithReceipt(userId, functionName, ...args) {
+        return this._ordered(async () => {
+            const { stub, result } = await this._invoke(userId, functionName, args);
+            const blockNumber = this._commit(stub);
+
+            logger.info(`[CHAINCODE-SIM] Committed ${functionName} - TX: ${stub.txId}, block ${blockNumber}`);
+            return { result, txId: stub.txId, blockNumber };
+        });
+    }
+
+    /**
+     * Submit a transaction (write operation)
+     * @returns {Promise<Object>} Transaction result
+     */
+    async submitTransaction(userId, functionName, ...args) {
+        const { result } = await this.submitTransactionWithReceipt(userId, functionName, ...args);
+        return result;
+    }
+
+    /**
+     * Evaluate a transaction (read operation - nothing is committed)
+     * @returns {Promise<Object>} Query result
+     */
+    async evaluateTransaction(userId, functionName, ...args) {
+        const { result } = await this._invoke(userId, functionName, args);
+        return result;
+    }
+
+    /**
+     * Committed state of every key (for debugging)
+     * @returns {Object} { height, state: { key: value } }
+     */
+    getWorldState() {
+        const state = {};
+        this.ledger.state.forEach((value, key) => {
+            try {
+                state[key] = JSON.parse(value.toString());
+            } catch {
+                state[key] = value.toString();
+            }
+        });
+        return { height: this.ledger.height, state };
+    }
+
+    /**
+     * Events emitted by committed transactions, oldest first
+     * Each is also emitted live as 'event' ({ name, payload, txId, blockNumber }).
+     * @returns {Array} Events
+     */
+    getEvents() {
+        return [...this.ledger.events];
+    }
+
+    /**
+     * Run a contract function against another world state, without committing it
+     * The caller decides what becomes of the writes (see mockLedgerService.worldState).
+     * @param {Object} ledger - World state: { state, history } maps shaped like this simulator's
+     * @param {string} userId - Identity the transaction is submitted as
+     * @param {string} functionName - Contract function name
+     * @param {...string} args - Function arguments
+     * @returns {Promise<Object>} { result, txId, writes } - writes maps each key to its new value (null if deleted)
+     */
+    async execute(ledger, userId, functionName, ...args) {
+        const { stub, result } = await this._invoke(userId, functionName, args, ledger);
+        return { result, txId: stub.txId, writes: stub.writes };
+    }
+
+    /**
+     * Run a contract function the way the Fabric contract runtime does
+     */
+    async _invoke(userId, functionName, args, ledger = this.ledger) {
+        const contract = this._getContract();
+
+        const timestamp = new Date();
+        const nonce = crypto.randomBytes(24);
+        const txId = crypto.createHash('sha256').update(nonce).update(userId).digest('hex');
+        const stringArgs = args.map(arg => String(arg));
+        const stub = new SimulatedStub(ledger, { txId, timestamp, functionName, args: stringArgs });
+
+        const ctx = contract.createContext();
+        ctx.setChaincodeStub(stub);
+        ctx.setClientIdentity(new SimulatedClientIdentity(userId));
+
+        let result;
+        if (this._isTransaction(contract, functionName)) {
+            await contract.beforeTransaction(ctx);
+            result = await contract.aroundTransaction(ctx, functionName, stringArgs);
+            await contract.afterTransaction(ctx, result);
+        } else {
+            await contract.unknownTransaction(ctx);
+        }
+
+        return { stub, result: this._parseResult(result) };
+    }
+
+    _isTransaction(contract, functionName) {
+        const prototype = Object.getPrototypeOf(contract);
+        return functionName !== 'constructor'
+            && !functionName.startsWith('_')
+            && Object.prototype.hasOwnProperty.call(prototype, functionName)
+            && typeof prototype[functionName] === 'function';
+    }
+
+    /**
+     * Apply a transaction's writes, record them in key history and emit its event
+     * @returns {number} Block number the transaction was committed in
+     */
+    _commit(stub) {
+        const blockNumber = ++this.ledger.height;
+        const timestamp = stub.getTxTimestamp();
+
+        stub.writes.forEach((value, key) => {
+            if (value === null) {
+                this.ledger.state.delete(key);
+            } else {
+                this.ledger.state.set(key, value);
+            }
+
+            const history = this.ledger.history.get(key) || [];
+            history.push({ txId: stub.txId, timestamp, isDelete: value === null, value });
+            this.ledger.history.set(key, history);
+        });
+
+        if (stub.event) {
+            const event = { ...stub.event, txId: stub.txId, blockNumber };
+            this.ledger.events.push(event);
+            this.emit('event', event);
+        }
+
+        return blockNumber;
+    }
+
+    /**
+     * Order transactions one at a time, as the ordering service would
+     */
+    _ordered(task) {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Parse a contract result if it is JSON
+     */
+    _parseResult(result) {
+        if (result === undefined || result === null) {
+            return '';
+        }
+        const text = Buffer.isBuffer(result) ? result.toString() : String(result);
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new ChaincodeSimService();
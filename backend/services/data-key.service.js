@@ -0,0 +1,215 @@
+/**
+ * Data Key Service
+ * Per-record data keys for encrypting data_json at rest (envelope encryption)
+ *
+ * Every record gets its own random AES-256 data key. Only the data key wrapped
+ * by a master key (DATA_MASTER_KEYS) is stored, in record_keys. Rotating the
+ * master key re-wraps these keys; record data is never re-encrypted.
+ */
+
+const pool = require('../config/db.config');
+const encryptionConfig = require('../config/encryption.config');
+const { generateDataKey, encrypt, decrypt } = require('../utils/envelope');
+const logger = require('../utils/logger');
+
+// Schema name from environment
+const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
+
+if (encryptionConfig.activeKeyId && !encryptionConfig.masterKeys[encryptionConfig.activeKeyId]) {
+    throw new Error(`DATA_MASTER_KEY_ID "${encryptionConfig.activeKeyId}" is not listed in DATA_MASTER_KEYS`);
+}
+
+// Associated data: a wrapped key or ciphertext only opens for the record it was made for
+const recordAad = (recordId) => `record:${recordId}`;
+
+class DataKeyService {
+    /**
+     * Whether new and updated record data is encrypted
+     * @returns {boolean} True if a master key is configured
+     */
+    isEnabled() {
+        return !!encryptionConfig.activeKeyId;
+    }
+
+    _getMasterKey(keyId) {
+        const masterKey = encryptionConfig.masterKeys[keyId];
+
+        if (!masterKey) {
+            throw new Error(`Master key "${keyId}" is not configured (DATA_MASTER_KEYS)`);
+        }
+
+        return masterKey;
+    }
+
+    _wrap(recordId, dataKey) {
+        const keyId = encryptionConfig.activeKeyId;
+        return {
+            master_key_id: keyId,
+            wrapped_key: encrypt(this._getMasterKey(keyId), dataKey, recordAad(recordId))
+        };
+    }
+
+    _unwrap(row) {
+        return decrypt(this._getMasterKey(row.master_key_id), row.wrapped_key, recordAad(row.record_id));
+    }
+
+    /**
+     * Generate a data key for a new record, wrapped with the active master key
+     * @param {string} recordId - Record ID
+     * @returns {Object} { dataKey, master_key_id, wrapped_key } - save with saveKey() once the record exists
+     */
+    createKey(recordId) {
+        const dataKey = generateDataKey();
+        return { dataKey, ...this._wrap(recordId, dataKey) };
+    }
+
+    /**
+     * Store a wrapped data key
+     * @param {Object} client - Pool client inside an open transaction
+     * @param {string} recordId - Record ID
+     * @param {Object} key - Result of createKey()
+     * @returns {Promise<void>}
+     */
+    async saveKey(client, recordId, key) {
+        await client.query(
+            `INSERT INTO ${SCHEMA}.record_keys (record_id, master_key_id, wrapped_key, created_at)
+             VALUES ($1, $2, $3, NOW())`,
+            [recordId, key.master_key_id, key.wrapped_key]
+        );
+    }
+
+    /**
+     * Get the data keys of several records
+     * @param {Object} queryable - Pool or pool client
+     * @param {string[]} recordIds - Record IDs
+     * @returns {Promise<Map>} Map of record ID → data key (records without a key are absent)
+     */
+    async findKeys(queryable, recordIds) {
+        if (recordIds.length === 0) {
+            return new Map();
+        }
+
+        const result = await queryable.query(
+            `SELECT record_id, master_key_id, wrapped_key FROM ${SCHEMA}.record_keys
+             WHERE record_id = ANY($1::uuid[])`,
+            [recordIds]
+        );
+        return new Map(result.rows.map(row => [row.record_id, this._unwrap(row)]));
+    }
+
+    /**
+     * Get a record's data key, creating one if the record has none yet
+     * (records stored before encryption was enabled)
+     * @param {Object} client - Pool client inside an open transaction
+     * @param {string} recordId - Record ID
+     * @returns {Promise<Buffer>} Data key
+     */
+    async getOrCreateKey(client, recordId) {
+        const keys = await this.findKeys(client, [recordId]);
+
+        if (keys.has(recordId)) {
+            return keys.get(recordId);
+        }
+
+        const key = this.createKey(recordId);
+        await this.saveKey(client, recordId, key);
+        return key.dataKey;
+    }
+
+    /**
+     * Encrypt text with a record's data key
+     * @param {Buffer} dataKey - Data key
+     * @param {string} recordId - Record ID
+     * @param {string} text - Plaintext
+     * @returns {string} Base64 ciphertext
+     */
+    encryptText(dataKey, recordId, text) {
+        return encrypt(dataKey, text, recordAad(recordId));
+    }
+
+    /**
+     * Decrypt text encrypted with encryptText()
+     * @param {Buffer} dataKey - Data key
+     * @param {string} recordId - Record ID
+     * @param {string} ciphertext - Base64 ciphertext
+     * @returns {string} Plaintext
+     */
+    decryptText(dataKey, recordId, ciphertext) {
+        return decrypt(dataKey, ciphertext, recordAad(recordId)).toString('utf8');
+    }
+
+    /**
+     * Re-wrap every data key that is not wrapped with the active master key
+     * Runs in batches, one transaction each; record data is not touched.
+     * @returns {Promise<Object>} { masterKeyId, rewrapped }
+     */
+    async rotate() {
+        const activeKeyId = encryptionConfig.activeKeyId;
+
+        if (!activeKeyId) {
+            throw new Error('Data encryption is not enabled (DATA_MASTER_KEYS is empty)');
+        }
+
+        let rewrapped = 0;
+
+        for (;;) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const result = await client.query(
+                    `SELECT record_id, master_key_id, wrapped_key FROM ${SCHEMA}.record_keys
+                     WHERE master_key_id <> $1
+                     ORDER BY record_id
+                     LIMIT $2
+                     FOR UPDATE SKIP LOCKED`,
+                    [activeKeyId, encryptionConfig.rotationBatchSize]
+                );
+
+                for (const row of result.rows) {
+                    const wrapped = this._wrap(row.record_id, this._unwrap(row));
+                    await client.query(
+                        `UPDATE ${SCHEMA}.record_keys
+                         SET master_key_id = $2, wrapped_key = $3, rotated_at = NOW()
+                         WHERE record_id = $1`,
+                        [row.record_id, wrapped.master_key_id, wrapped.wrapped_key]
+                    );
+                }
+
+                await client.query('COMMIT');
+                rewrapped += result.rows.length;
+
+                if (result.rows.length < encryptionConfig.rotationBatchSize) {
+                    break;
+                }
+            } catch (error) {
+                await client.query('ROLLBACK');
+                logger.error('Error rotating data keys:', error);
+                throw error;
+            } finally {
+                client.release();
+            }
+        }
+
+        logger.info(`Re-wrapped ${rewrapped} data key(s) with master key ${activeKeyId}`);
+        return { masterKeyId: activeKeyId, rewrapped };
+    }
+
+    /**
+     * Count data keys per master key
+     * @returns {Promise<Array>} [{ master_key_id, count }]
+     */
+    async getKeyUsage() {
+        try {
+            const result = await pool.query(
+                `SELECT master_key_id, COUNT(*)::int AS count FROM ${SCHEMA}.record_keys
+                 GROUP BY master_key_id ORDER BY master_key_id`
+            );
+            return result.rows;
+        } catch (error) {
+            logger.error('Error counting data keys:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new DataKeyService();
@@ -12,9 +12,6 @@ const logger = require('../utils/logger');
 
 class FabricService {
     constructor() {
-        this.gateway = null;
-        this.network = null;
-        this.contract = null;
         this.wallet = null;
     }
 
@@ -162,8 +159,10 @@ class FabricService {
 
     /**
      * Connect to the Fabric network
+     * Every call gets its own gateway, so concurrent transactions do not share
+     * (or close) each other's connection.
      * @param {string} userId - User ID to use for connection
-     * @returns {Promise<void>}
+     * @returns {Promise<Object>} Connection { gateway, network, contract } - close with disconnect()
      */
     async connect(userId) {
         try {
@@ -177,22 +176,23 @@ class FabricService {
             }
 
             // Create a new gateway instance
-            this.gateway = new Gateway();
+            const gateway = new Gateway();
 
             // Connect to the gateway
-            await this.gateway.connect(ccp, {
+            await gateway.connect(ccp, {
                 wallet,
                 identity: userId,
                 discovery: fabricConfig.gatewayDiscovery
             });
 
             // Get the network (channel)
-            this.network = await this.gateway.getNetwork(fabricConfig.channelName);
+            const network = await gateway.getNetwork(fabricConfig.channelName);
 
             // Get the contract
-            this.contract = this.network.getContract(fabricConfig.chaincodeName);
+            const contract = network.getContract(fabricConfig.chaincodeName);
 
             logger.info(`Connected to Fabric network as ${userId}`);
+            return { gateway, network, contract };
         } catch (error) {
             logger.error('Failed to connect to Fabric network:', error);
             throw error;
@@ -201,13 +201,11 @@ class FabricService {
 
     /**
      * Disconnect from the Fabric network
+     * @param {Object} connection - Result of connect()
      */
-    disconnect() {
-        if (this.gateway) {
-            this.gateway.disconnect();
-            this.gateway = null;
-            this.network = null;
-            this.contract = null;
+    disconnect(connection) {
+        if (connection && connection.gateway) {
+            connection.gateway.disconnect();
             logger.info('Disconnected from Fabric network');
         }
     }
@@ -220,25 +218,33 @@ class FabricService {
      * @returns {Promise<Object>} Transaction result
      */
     async submitTransaction(userId, functionName, ...args) {
+        const { result } = await this.submitTransactionWithReceipt(userId, functionName, ...args);
+        return result;
+    }
+
+    /**
+     * Submit a transaction and wait until it is committed
+     * @param {string} userId - User ID for the transaction
+     * @param {string} functionName - Chaincode function name
+     * @param {...string} args - Function arguments
+     * @returns {Promise<Object>} { result, txId } - chaincode result and the ID of the committed transaction
+     */
+    async submitTransactionWithReceipt(userId, functionName, ...args) {
+        let connection = null;
         try {
-            await this.connect(userId);
+            connection = await this.connect(userId);
 
             logger.info(`Submitting transaction: ${functionName} with args: ${args.join(', ')}`);
-            
-            const result = await this.contract.submitTransaction(functionName, ...args);
-            
-            this.disconnect();
 
-            // Parse result if it's JSON
-            try {
-                return JSON.parse(result.toString());
-            } catch {
-                return result.toString();
-            }
+            const transaction = connection.contract.createTransaction(functionName);
+            const result = await transaction.submit(...args);
+
+            return { result: this._parseResult(result), txId: transaction.getTransactionId() };
         } catch (error) {
-            this.disconnect();
             logger.error(`Failed to submit transaction ${functionName}:`, error);
             throw error;
+        } finally {
+            this.disconnect(connection);
         }
     }
 
@@ -250,25 +256,31 @@ class FabricService {
      * @returns {Promise<Object>} Query result
      */
     async evaluateTransaction(userId, functionName, ...args) {
+        let connection = null;
         try {
-            await this.connect(userId);
+            connection = await this.connect(userId);
 
             logger.info(`Evaluating transaction: ${functionName} with args: ${args.join(', ')}`);
             
-            const result = await this.contract.evaluateTransaction(functionName, ...args);
-            
-            this.disconnect();
+            const result = await connection.contract.evaluateTransaction(functionName, ...args);
 
-            // Parse result if it's JSON
-            try {
-                return JSON.parse(result.toString());
-            } catch {
-                return result.toString();
-            }
+            return this._parseResult(result);
         } catch (error) {
-            this.disconnect();
             logger.error(`Failed to evaluate transaction ${functionName}:`, error);
             throw error;
+        } finally {
+            this.disconnect(connection);
+        }
+    }
+
+    /**
+     * Parse a chaincode result if it is JSON
+     */
+    _parseResult(result) {
+        try {
+            return JSON.parse(result.toString());
+        } catch {
+            return result.toString();
         }
     }
 
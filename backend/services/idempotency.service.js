@@ -0,0 +1,200 @@
+/**
+ * Idempotency Service
+ * Stores the first response for each Idempotency-Key so retried requests
+ * can be answered without executing them again
+ *
+ * A stored response echoes the record it created, data_json included. When data
+ * encryption is enabled it is stored encrypted with that record's data key, so it
+ * is as protected as the record itself and is shredded with it on erasure.
+ */
+
+const pool = require('../config/db.config');
+const dataKeyService = require('./data-key.service');
+const logger = require('../utils/logger');
+
+// Schema name from environment
+const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
+
+// Keys older than this are forgotten and may be reused
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+// Record a response body belongs to (the record created by POST /api/records)
+const responseRecordId = (body) => {
+    return (body && body.data && body.data.record && body.data.record.id) || null;
+};
+
+class IdempotencyService {
+    /**
+     * Reserve a key for a new request
+     * Expired keys are removed first so they can be claimed again.
+     * @param {string} key - Idempotency key
+     * @param {Object} request - { method, path, hash }
+     * @returns {Promise<Object>} { reserved: true } or { reserved: false, existing }
+     */
+    async reserve(key, request) {
+        try {
+            await pool.query(
+                `DELETE FROM ${SCHEMA}.idempotency_keys
+                 WHERE idempotency_key = $1 AND created_at < NOW() - ($2 * INTERVAL '1 hour')`,
+                [key, TTL_HOURS]
+            );
+
+            const inserted = await pool.query(
+                `INSERT INTO ${SCHEMA}.idempotency_keys
+                 (idempotency_key, request_method, request_path, request_hash, status, created_at)
+                 VALUES ($1, $2, $3, $4, 'in_progress', NOW())
+                 ON CONFLICT (idempotency_key) DO NOTHING
+                 RETURNING idempotency_key`,
+                [key, request.method, request.path, request.hash]
+            );
+
+            if (inserted.rows.length > 0) {
+                return { reserved: true };
+            }
+
+            const existing = await pool.query(
+                `SELECT * FROM ${SCHEMA}.idempotency_keys WHERE idempotency_key = $1`,
+                [key]
+            );
+
+            return { reserved: false, existing: existing.rows[0] ? await this._open(existing.rows[0]) : null };
+        } catch (error) {
+            logger.error('Error reserving idempotency key:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the response of a completed request
+     * @param {string} key - Idempotency key
+     * @param {number} statusCode - HTTP status code sent
+     * @param {Object} body - JSON body sent
+     * @param {string} [location] - Location header sent, replayed with the body
+     * @returns {Promise<void>}
+     */
+    async complete(key, statusCode, body, location) {
+        try {
+            const recordId = responseRecordId(body);
+            const stored = await this._seal(pool, recordId, body);
+            await pool.query(
+                `UPDATE ${SCHEMA}.idempotency_keys
+                 SET status = 'completed', response_status = $2, response_body = $3, response_ciphertext = $4,
+                     record_id = $5, response_location = $6, completed_at = NOW()
+                 WHERE idempotency_key = $1`,
+                [key, statusCode, stored.response_body, stored.response_ciphertext, recordId, location || null]
+            );
+        } catch (error) {
+            logger.error('Error storing idempotent response:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a key whose response could not be stored
+     * The request may have been applied, so it is not released for a retry.
+     * @param {string} key - Idempotency key
+     * @returns {Promise<void>}
+     */
+    async fail(key) {
+        try {
+            await pool.query(
+                `UPDATE ${SCHEMA}.idempotency_keys
+                 SET status = 'failed', completed_at = NOW()
+                 WHERE idempotency_key = $1 AND status = 'in_progress'`,
+                [key]
+            );
+        } catch (error) {
+            logger.error('Error marking idempotency key failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Encrypt the plaintext responses stored for the given records
+     * Used by the encryption backfill; the records' data keys must exist.
+     * @param {Object} client - Pool client inside an open transaction
+     * @param {string[]} recordIds - Record IDs
+     * @returns {Promise<number>} Number of responses encrypted
+     */
+    async encryptStoredResponses(client, recordIds) {
+        const result = await client.query(
+            `SELECT idempotency_key, record_id, response_body FROM ${SCHEMA}.idempotency_keys
+             WHERE record_id = ANY($1::uuid[]) AND response_body IS NOT NULL
+             FOR UPDATE`,
+            [recordIds]
+        );
+
+        for (const row of result.rows) {
+            const stored = await this._seal(client, row.record_id, row.response_body);
+            await client.query(
+                `UPDATE ${SCHEMA}.idempotency_keys SET response_body = $2, response_ciphertext = $3
+                 WHERE idempotency_key = $1`,
+                [row.idempotency_key, stored.response_body, stored.response_ciphertext]
+            );
+        }
+
+        return result.rows.length;
+    }
+
+    /**
+     * Columns to store a response body in
+     * Encrypted with the record's data key when encryption is enabled and the record has one.
+     * @param {Object} queryable - Pool or pool client
+     * @param {string|null} recordId - Record the response belongs to
+     * @param {Object} body - JSON body
+     * @returns {Promise<Object>} { response_body, response_ciphertext }
+     */
+    async _seal(queryable, recordId, body) {
+        if (recordId && dataKeyService.isEnabled()) {
+            const dataKey = (await dataKeyService.findKeys(queryable, [recordId])).get(recordId);
+            if (dataKey) {
+                return {
+                    response_body: null,
+                    response_ciphertext: dataKeyService.encryptText(dataKey, recordId, JSON.stringify(body))
+                };
+            }
+        }
+
+        return { response_body: JSON.stringify(body), response_ciphertext: null };
+    }
+
+    /**
+     * A stored key row with its response body decrypted
+     * @param {Object} row - idempotency_keys row
+     * @returns {Promise<Object>} Row with a plaintext response_body
+     */
+    async _open(row) {
+        const { response_ciphertext, ...existing } = row;
+
+        if (!response_ciphertext) {
+            return existing;
+        }
+
+        const dataKey = (await dataKeyService.findKeys(pool, [row.record_id])).get(row.record_id);
+        if (!dataKey) {
+            throw new Error(`Data key of record ${row.record_id} is missing`);
+        }
+
+        existing.response_body = JSON.parse(dataKeyService.decryptText(dataKey, row.record_id, response_ciphertext));
+        return existing;
+    }
+
+    /**
+     * Release a key whose request failed so the client can retry it
+     * @param {string} key - Idempotency key
+     * @returns {Promise<void>}
+     */
+    async release(key) {
+        try {
+            await pool.query(
+                `DELETE FROM ${SCHEMA}.idempotency_keys WHERE idempotency_key = $1 AND status = 'in_progress'`,
+                [key]
+            );
+        } catch (error) {
+            logger.error('Error releasing idempotency key:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new IdempotencyService();
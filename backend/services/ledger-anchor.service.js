@@ -0,0 +1,96 @@
+/**
+ * Ledger Anchor Service
+ * Transaction IDs per ledger when records are anchored to several ledgers
+ * (BLOCKCHAIN_MODE with more than one mode)
+ */
+
+const pool = require('../config/db.config');
+const logger = require('../utils/logger');
+
+// Schema name from environment
+const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
+
+class LedgerAnchorService {
+    /**
+     * Record the transactions of one anchoring operation
+     * Pass the caller's transaction client, so the rows commit or roll back with the
+     * write that completes the anchoring. Ledgers that could not report a tx ID are skipped.
+     * @param {string} anchorId - Record ID, or Merkle batch ID
+     * @param {string} hash - Anchored hash
+     * @param {Array} anchors - [{ ledger, operation, tx_id }] (see MultiLedgerService)
+     * @param {Object} [client] - Database client, defaults to the pool
+     * @returns {Promise<void>}
+     */
+    async record(anchorId, hash, anchors = [], client = pool) {
+        const recorded = anchors.filter(anchor => anchor.tx_id);
+        if (recorded.length === 0) {
+            return;
+        }
+
+        const values = [];
+        const params = [anchorId, hash];
+        recorded.forEach(anchor => {
+            params.push(anchor.ledger, anchor.operation, anchor.tx_id);
+            values.push(`($1, $${params.length - 2}, $${params.length - 1}, $2, $${params.length}, NOW())`);
+        });
+
+        try {
+            await client.query(
+                `INSERT INTO ${SCHEMA}.ledger_anchors (anchor_id, ledger, operation, hash_value, tx_id, anchored_at)
+                 VALUES ${values.join(', ')}`,
+                params
+            );
+        } catch (error) {
+            logger.error('Error recording ledger anchors:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Transaction ID recorded for a hash on one ledger
+     * @param {string} anchorId - Record ID, or Merkle batch ID
+     * @param {string} ledger - Ledger mode
+     * @param {string} hash - Anchored hash
+     * @returns {Promise<string|null>} Latest matching tx ID, or null
+     */
+    async findTxId(anchorId, ledger, hash) {
+        const query = `
+            SELECT tx_id FROM ${SCHEMA}.ledger_anchors
+            WHERE anchor_id = $1 AND ledger = $2 AND hash_value = $3
+            ORDER BY id DESC
+            LIMIT 1
+        `;
+
+        try {
+            const result = await pool.query(query, [anchorId, ledger, hash]);
+            return result.rows.length > 0 ? result.rows[0].tx_id : null;
+        } catch (error) {
+            logger.error('Error fetching ledger anchor:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Latest transaction on each ledger
+     * @param {string} anchorId - Record ID, or Merkle batch ID
+     * @returns {Promise<Array>} [{ ledger, operation, hash_value, tx_id, anchored_at }]
+     */
+    async findLatest(anchorId) {
+        const query = `
+            SELECT DISTINCT ON (ledger) ledger, operation, hash_value, tx_id, anchored_at
+            FROM ${SCHEMA}.ledger_anchors
+            WHERE anchor_id = $1
+            ORDER BY ledger, id DESC
+        `;
+
+        try {
+            const result = await pool.query(query, [anchorId]);
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching ledger anchors:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new LedgerAnchorService();
@@ -0,0 +1,150 @@
+/**
+ * Mock Fault Service
+ * Injects chain failures into BLOCKCHAIN_MODE=mock
+ *
+ * The active settings start from a named profile (MOCK_FAULT_PROFILE) plus any
+ * MOCK_FAULT_* overrides, and can be changed at runtime through
+ * PUT /api/records/blockchain/faults. Failures and timeouts apply to every call;
+ * slow confirmations, dropped transactions and reorgs only to writes.
+ */
+
+const mockFaultsConfig = require('../config/mock-faults.config');
+const logger = require('../utils/logger');
+
+const RATE_SETTINGS = ['failureRate', 'timeoutRate', 'dropRate', 'reorgRate'];
+const DURATION_SETTINGS = ['timeoutMs', 'confirmationDelayMs'];
+const SETTINGS = [...RATE_SETTINGS, ...DURATION_SETTINGS, 'reorgDepth'];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class MockFaultService {
+    constructor() {
+        const { profile, overrides } = mockFaultsConfig;
+        const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+
+        const problem = this.validate({ profile, ...defined });
+        if (problem) {
+            throw new Error(`Invalid mock fault configuration: ${problem}`);
+        }
+
+        this.profile = profile;
+        this.settings = { ...mockFaultsConfig.defaults, ...mockFaultsConfig.PROFILES[profile], ...defined };
+    }
+
+    /**
+     * Check fault settings before applying them
+     * @param {Object} changes - { profile?, failureRate?, timeoutRate?, timeoutMs?, confirmationDelayMs?,
+     *        dropRate?, reorgRate?, reorgDepth? }
+     * @returns {string|null} Problem found, or null if the settings are valid
+     */
+    validate(changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return 'settings must be an object';
+        }
+
+        for (const [key, value] of Object.entries(changes)) {
+            if (key === 'profile') {
+                if (!Object.prototype.hasOwnProperty.call(mockFaultsConfig.PROFILES, value)) {
+                    return `unknown profile "${value}" (expected one of: ${Object.keys(mockFaultsConfig.PROFILES).join(', ')})`;
+                }
+            } else if (RATE_SETTINGS.includes(key)) {
+                if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+                    return `${key} must be a number between 0 and 1`;
+                }
+            } else if (DURATION_SETTINGS.includes(key)) {
+                if (!Number.isInteger(value) || value < 0) {
+                    return `${key} must be a non-negative integer (milliseconds)`;
+                }
+            } else if (key === 'reorgDepth') {
+                if (!Number.isInteger(value) || value < 1) {
+                    return 'reorgDepth must be a positive integer';
+                }
+            } else {
+                return `unknown setting "${key}" (expected profile or one of: ${SETTINGS.join(', ')})`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Active profile and settings
+     * The profile is 'custom' once any setting differs from the profile the settings started from.
+     * @returns {Object} { profile, failureRate, timeoutRate, timeoutMs, confirmationDelayMs, dropRate, reorgRate, reorgDepth }
+     */
+    getSettings() {
+        const expected = { ...mockFaultsConfig.defaults, ...mockFaultsConfig.PROFILES[this.profile] };
+        const matches = SETTINGS.every(key => this.settings[key] === expected[key]);
+
+        return { profile: matches ? this.profile : 'custom', ...this.settings };
+    }
+
+    /**
+     * Change the active settings
+     * With a profile, settings start over from that profile; otherwise they are changed in place.
+     * @param {Object} changes - Validated with validate()
+     * @returns {Object} New settings (see getSettings)
+     */
+    configure({ profile, ...overrides }) {
+        if (profile) {
+            this.profile = profile;
+            this.settings = { ...mockFaultsConfig.defaults, ...mockFaultsConfig.PROFILES[profile] };
+        }
+        this.settings = { ...this.settings, ...overrides };
+
+        logger.warn(`[MOCK] Fault injection set to ${JSON.stringify(this.getSettings())}`);
+        return this.getSettings();
+    }
+
+    /**
+     * Fail or time out a call, as configured
+     * @param {string} operation - Contract-style operation name, for the error message
+     * @returns {Promise<void>} Rejects if a failure or timeout was injected
+     */
+    async beforeCall(operation) {
+        if (this._roll(this.settings.failureRate)) {
+            logger.warn(`[MOCK] Injected failure - ${operation}`);
+            throw new Error(`Injected fault: ${operation} was rejected by the mock blockchain`);
+        }
+
+        if (this._roll(this.settings.timeoutRate)) {
+            logger.warn(`[MOCK] Injected timeout - ${operation} (${this.settings.timeoutMs}ms)`);
+            await wait(this.settings.timeoutMs);
+            throw new Error(`Injected fault: ${operation} timed out after ${this.settings.timeoutMs}ms`);
+        }
+    }
+
+    /**
+     * Fail, time out or slow down a write, as configured
+     * @param {string} operation - Contract-style operation name
+     * @returns {Promise<void>}
+     */
+    async beforeWrite(operation) {
+        await this.beforeCall(operation);
+
+        if (this.settings.confirmationDelayMs > 0) {
+            await wait(this.settings.confirmationDelayMs);
+        }
+    }
+
+    /**
+     * Whether a write should be acknowledged but never reach the ledger
+     * @returns {boolean}
+     */
+    dropsWrite() {
+        return this._roll(this.settings.dropRate);
+    }
+
+    /**
+     * How many blocks a reorg after this write removes
+     * @returns {number} Depth, or 0 for no reorg
+     */
+    reorgDepthAfterWrite() {
+        return this._roll(this.settings.reorgRate) ? this.settings.reorgDepth : 0;
+    }
+
+    _roll(rate) {
+        return rate > 0 && Math.random() < rate;
+    }
+}
+
+module.exports = new MockFaultService();
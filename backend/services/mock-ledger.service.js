@@ -0,0 +1,375 @@
+/**
+ * Mock Ledger Service
+ * Hash-chained ledger behind BLOCKCHAIN_MODE=mock
+ *
+ * Every mock transaction is written as a block { height, previousHash,
+ * merkleRoot, timestamp, entries, hash }: merkleRoot covers the block's
+ * entries, hash covers the header, and previousHash links it to the block
+ * before. Blocks are appended to a file (MOCK_LEDGER_FILE) and replayed on
+ * startup, after the whole chain is checked, so anchored hashes survive
+ * restarts. Current state and per-record history are derived from the blocks.
+ *
+ * Entries are the documents RecordHashContract writes, run against this
+ * ledger through worldState(), so mock mode follows the contract's rules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Long = require('long');
+const mockLedgerConfig = require('../config/mock-ledger.config');
+const { canonicalizeJCS } = require('../utils/hash');
+const { buildMerkleTree } = require('../utils/merkle');
+const logger = require('../utils/logger');
+
+// previousHash of the first block
+const GENESIS_HASH = `0x${'0'.repeat(64)}`;
+
+const sha256 = (value) => {
+    return `0x${crypto.createHash('sha256').update(canonicalizeJCS(value)).digest('hex')}`;
+};
+
+/**
+ * Merkle root over the entries of a block
+ * @param {Array} entries - Ledger entries
+ * @returns {string} Root hash
+ */
+const merkleRootOf = (entries) => buildMerkleTree(entries.map(sha256)).root;
+
+/**
+ * Hash of a block header
+ * @param {Object} block - Block
+ * @returns {string} Block hash
+ */
+const blockHashOf = (block) => sha256({
+    height: block.height,
+    previousHash: block.previousHash,
+    merkleRoot: block.merkleRoot,
+    timestamp: block.timestamp
+});
+
+/**
+ * RecordHashContract document of a ledger entry
+ * Entries use the backend's field names (tx_id, blockNumber); the contract stores docType and txId.
+ */
+const toDocument = ({ tx_id, blockNumber, ...fields }) => ({ docType: 'recordHash', ...fields, txId: tx_id });
+
+/**
+ * Ledger entry of a document the contract wrote
+ */
+const toEntry = (recordId, value) => {
+    const { docType, txId, ...fields } = JSON.parse(value.toString());
+    return { ...fields, recordId, tx_id: txId };
+};
+
+/**
+ * Protobuf timestamp of an ISO time, as the Fabric shim reports it in key history
+ */
+const toTxTimestamp = (iso) => {
+    const millis = Date.parse(iso);
+    return { seconds: Long.fromNumber(Math.floor(millis / 1000)), nanos: (millis % 1000) * 1e6 };
+};
+
+/**
+ * Check a block against the block before it
+ * @param {Object} block - Block to check
+ * @param {Object|null} previous - Previous block, null for the first one
+ * @returns {string|null} Problem found, or null if the block is intact
+ */
+const checkBlock = (block, previous) => {
+    const expectedHeight = previous ? previous.height + 1 : 1;
+
+    if (block.height !== expectedHeight) {
+        return `expected height ${expectedHeight}, found ${block.height}`;
+    }
+    if (block.previousHash !== (previous ? previous.hash : GENESIS_HASH)) {
+        return 'previousHash does not match the previous block';
+    }
+    if (!Array.isArray(block.entries) || block.entries.length === 0) {
+        return 'block has no entries';
+    }
+    if (block.merkleRoot !== merkleRootOf(block.entries)) {
+        return 'merkleRoot does not match the block entries';
+    }
+    if (block.hash !== blockHashOf(block)) {
+        return 'block hash does not match the block header';
+    }
+    return null;
+};
+
+class MockLedgerService {
+    constructor() {
+        this.blocks = [];
+        this.state = new Map();      // recordId → latest entry
+        this.history = new Map();    // recordId → every entry, oldest first
+        this.loaded = false;
+        // Appends and rollbacks, one at a time
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Replay the block file, checking the chain on the way
+     * Throws if any block is broken, rather than serving a ledger that was tampered with.
+     * A torn last line (the process died while appending it) is cut off with a warning:
+     * that block was never acknowledged, so nothing else refers to it.
+     */
+    load() {
+        if (this.loaded) {
+            return;
+        }
+        this.loaded = true;
+
+        if (!mockLedgerConfig.persist || !fs.existsSync(mockLedgerConfig.file)) {
+            logger.info('[MOCK] Starting a new ledger');
+            return;
+        }
+
+        const content = fs.readFileSync(mockLedgerConfig.file, 'utf8');
+        const lines = content.split('\n');
+        // Every block ends with a newline, so anything after the last one is an unfinished append
+        const tail = lines.pop();
+
+        if (tail) {
+            if (this._isBlock(tail)) {
+                // Complete, only its newline is missing; add it so the next block starts a line
+                lines.push(tail);
+                fs.appendFileSync(mockLedgerConfig.file, '\n');
+            } else {
+                logger.warn(`[MOCK] Ledger ${mockLedgerConfig.file} ends with an unfinished block at line ${lines.length + 1}, removing it`);
+                fs.truncateSync(mockLedgerConfig.file, Buffer.byteLength(content) - Buffer.byteLength(tail));
+            }
+        }
+
+        lines.filter(Boolean).forEach((line, index) => {
+            let block;
+            try {
+                block = JSON.parse(line);
+            } catch {
+                throw this._corruption(index + 1, 'block is not valid JSON');
+            }
+
+            const problem = checkBlock(block, this.blocks[this.blocks.length - 1] || null);
+            if (problem) {
+                throw this._corruption(index + 1, problem);
+            }
+            this._apply(block);
+        });
+
+        logger.info(`[MOCK] Ledger loaded and verified - ${this.blocks.length} block(s), tip ${this.getChainInfo().lastBlockHash}`);
+    }
+
+    _isBlock(line) {
+        try {
+            JSON.parse(line);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    _corruption(line, problem) {
+        return new Error(
+            `Mock ledger ${mockLedgerConfig.file} failed its integrity check at line ${line}: ${problem}. ` +
+            'Restore the file or move it aside to start a new ledger.'
+        );
+    }
+
+    /**
+     * Write entries to the ledger as a new block
+     * The block is only applied once it is in the block file.
+     * @param {Array} entries - Ledger entries ({ recordId, hash, tx_id, timestamp, ... })
+     * @returns {Promise<Object>} The new block
+     */
+    append(entries) {
+        return this._serialized(() => this._append(entries));
+    }
+
+    async _append(entries) {
+        this.load();
+
+        const previous = this.blocks[this.blocks.length - 1];
+        // Entries are stored as JSON, so hash them in the form they are read back in
+        const stored = JSON.parse(JSON.stringify(entries));
+
+        const block = {
+            height: previous ? previous.height + 1 : 1,
+            previousHash: previous ? previous.hash : GENESIS_HASH,
+            merkleRoot: merkleRootOf(stored),
+            timestamp: new Date().toISOString(),
+            entries: stored
+        };
+        block.hash = blockHashOf(block);
+
+        if (mockLedgerConfig.persist) {
+            await fs.promises.mkdir(path.dirname(mockLedgerConfig.file), { recursive: true });
+            await fs.promises.appendFile(mockLedgerConfig.file, `${JSON.stringify(block)}\n`);
+        }
+
+        this._apply(block);
+        return block;
+    }
+
+    /**
+     * The ledger as a Fabric world state, for running RecordHashContract against it
+     * Shaped like the chaincode simulator's ledger, see chaincodeSimService.execute.
+     * @returns {Object} { state, history } - latest document per key, and every document written under it
+     */
+    worldState() {
+        this.load();
+
+        const documentOf = entry => Buffer.from(JSON.stringify(toDocument(entry)));
+        return {
+            state: {
+                get: key => (this.state.has(key) ? documentOf(this.state.get(key)) : undefined),
+                entries: () => [...this.state].map(([key, entry]) => [key, documentOf(entry)])
+            },
+            history: {
+                get: key => (this.history.get(key) || []).map(entry => ({
+                    txId: entry.tx_id,
+                    timestamp: toTxTimestamp(entry.proposalTimestamp || entry.timestamp),
+                    isDelete: false,
+                    value: documentOf(entry)
+                }))
+            }
+        };
+    }
+
+    /**
+     * Ledger entries for the writes of a contract transaction
+     * @param {Map} writes - Key → new value, from chaincodeSimService.execute
+     * @returns {Array} Entries to append
+     */
+    entriesOf(writes) {
+        return [...writes].map(([key, value]) => {
+            if (value === null) {
+                throw new Error(`The mock ledger cannot delete ${key}`);
+            }
+            return toEntry(key, value);
+        });
+    }
+
+    /**
+     * Remove the most recent blocks, as a chain reorganization would
+     * Their entries disappear from state and history; the block file is rewritten.
+     * @param {number} depth - Number of blocks to remove
+     * @returns {Promise<Array>} Removed blocks, oldest first
+     */
+    rollback(depth) {
+        return this._serialized(() => this._rollback(depth));
+    }
+
+    async _rollback(depth) {
+        this.load();
+
+        const kept = this.blocks.slice(0, Math.max(0, this.blocks.length - depth));
+        const removed = this.blocks.slice(kept.length);
+
+        if (mockLedgerConfig.persist && removed.length > 0) {
+            const temp = `${mockLedgerConfig.file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+            await fs.promises.writeFile(temp, kept.map(block => `${JSON.stringify(block)}\n`).join(''));
+            await fs.promises.rename(temp, mockLedgerConfig.file);
+        }
+
+        this.blocks = [];
+        this.state.clear();
+        this.history.clear();
+        kept.forEach(block => this._apply(block));
+
+        return removed;
+    }
+
+    _serialized(task) {
+        const run = this.writes.then(task);
+        this.writes = run.catch(() => {});
+        return run;
+    }
+
+    _apply(block) {
+        this.blocks.push(block);
+
+        block.entries.forEach(entry => {
+            const located = { ...entry, blockNumber: block.height };
+            this.state.set(entry.recordId, located);
+
+            const history = this.history.get(entry.recordId) || [];
+            history.push(located);
+            this.history.set(entry.recordId, history);
+        });
+    }
+
+    /**
+     * Latest entry of a record
+     * @param {string} recordId - Record identifier
+     * @returns {Object|null} Entry with its blockNumber, or null
+     */
+    get(recordId) {
+        this.load();
+        return this.state.get(recordId) || null;
+    }
+
+    /**
+     * Every entry of a record, oldest first
+     * @param {string} recordId - Record identifier
+     * @returns {Array} Entries with their blockNumber
+     */
+    getHistory(recordId) {
+        this.load();
+        return this.history.get(recordId) || [];
+    }
+
+    /**
+     * Every entry written with a given hash
+     * @param {string} hash - Content hash
+     * @returns {Array} Entries with their blockNumber
+     */
+    findByHash(hash) {
+        this.load();
+
+        const matches = [];
+        this.history.forEach(history => {
+            matches.push(...history.filter(entry => entry.hash === hash));
+        });
+        return matches;
+    }
+
+    /**
+     * Latest entry of every record
+     * @returns {Object} recordId → entry
+     */
+    getContents() {
+        this.load();
+        return Object.fromEntries(this.state);
+    }
+
+    /**
+     * Summary of the chain
+     * @returns {Object} { height, lastBlockHash, persisted, file }
+     */
+    getChainInfo() {
+        this.load();
+
+        const tip = this.blocks[this.blocks.length - 1];
+        return {
+            height: tip ? tip.height : 0,
+            lastBlockHash: tip ? tip.hash : GENESIS_HASH,
+            persisted: mockLedgerConfig.persist,
+            file: mockLedgerConfig.persist ? mockLedgerConfig.file : null
+        };
+    }
+
+    /**
+     * Remove every block, including the block file (for testing)
+     */
+    clear() {
+        this.blocks = [];
+        this.state.clear();
+        this.history.clear();
+        this.loaded = true;
+
+        if (mockLedgerConfig.persist) {
+            fs.rmSync(mockLedgerConfig.file, { force: true });
+        }
+    }
+}
+
+module.exports = new MockLedgerService();
@@ -0,0 +1,317 @@
+/**
+ * Multi-Ledger Service
+ * Anchors every record to several ledgers at once (BLOCKCHAIN_MODE=fabric,polygon)
+ *
+ * Has the same interface as a single-ledger BlockchainService, so callers do not
+ * need to know how many ledgers are configured:
+ * - Writes go to every ledger. The result lists each ledger's tx ID (ledgers), which
+ *   the caller keeps in ledger_anchors when it records the anchoring; the returned
+ *   tx_id is the primary (first) ledger's. If some ledgers fail the write fails, the
+ *   tx IDs of the others are kept right away, and a retry skips the ledgers that
+ *   already hold the hash.
+ * - verifyRecordHash checks every ledger and is valid when the hash matches on as
+ *   many ledgers as the quorum (BLOCKCHAIN_QUORUM: all, any or a number) requires.
+ *   A record revoked on any ledger is revoked.
+ * - Other lookups (state, history, reverse lookup by hash) use the primary ledger.
+ */
+
+const ledgerAnchorService = require('./ledger-anchor.service');
+const logger = require('../utils/logger');
+
+class MultiLedgerService {
+    /**
+     * @param {Array} ledgers - Single-ledger BlockchainService instances, primary first
+     * @param {string} quorum - all, any or the number of ledgers that must confirm a hash
+     */
+    constructor(ledgers, quorum) {
+        const modes = ledgers.map(ledger => ledger.getMode());
+        const duplicate = modes.find((mode, i) => modes.indexOf(mode) !== i);
+
+        if (duplicate) {
+            throw new Error(`BLOCKCHAIN_MODE lists ${duplicate} more than once`);
+        }
+
+        this.ledgers = ledgers;
+        this.primary = ledgers[0];
+        this.mode = modes.join('+');
+        this.quorum = { rule: quorum, required: this._requiredConfirmations(quorum), total: ledgers.length };
+
+        logger.info(`Anchoring to ${ledgers.length} ledgers (${this.mode}), quorum: ${quorum}`);
+    }
+
+    _requiredConfirmations(quorum) {
+        if (quorum === 'all') {
+            return this.ledgers.length;
+        }
+        if (quorum === 'any') {
+            return 1;
+        }
+
+        const required = Number(quorum);
+        if (!Number.isInteger(required) || required < 1 || required > this.ledgers.length) {
+            throw new Error(`BLOCKCHAIN_QUORUM must be all, any or a number from 1 to ${this.ledgers.length}`);
+        }
+        return required;
+    }
+
+    /**
+     * Store record hash on every ledger
+     * @returns {Promise<Object>} Primary ledger's result, plus ledgers: [{ ledger, operation, tx_id, timestamp, blockNumber }]
+     */
+    async storeRecordHash(recordId, hash) {
+        return this._anchor('store', recordId, hash,
+            ledger => ledger.storeRecordHash(recordId, hash),
+            existing => existing.hash === hash && existing.status !== 'revoked');
+    }
+
+    /**
+     * Update record hash on every ledger
+     * A ledger that does not hold the record yet (an earlier store failed there) gets it stored.
+     * @returns {Promise<Object>} Primary ledger's result, plus ledgers
+     */
+    async updateRecordHash(recordId, newHash) {
+        return this._anchor('update', recordId, newHash,
+            (ledger, existing) => (existing
+                ? ledger.updateRecordHash(recordId, newHash)
+                : ledger.storeRecordHash(recordId, newHash)),
+            existing => existing.hash === newHash && existing.status !== 'revoked');
+    }
+
+    /**
+     * Revoke a record on every ledger
+     * @returns {Promise<Object>} Primary ledger's result, plus ledgers
+     */
+    async revokeRecordHash(recordId, hash, revocation = {}) {
+        return this._anchor('revoke', recordId, hash,
+            ledger => ledger.revokeRecordHash(recordId, hash, revocation),
+            existing => existing.status === 'revoked' && existing.hash === hash);
+    }
+
+    /**
+     * Write to every ledger in parallel
+     * On success the caller records the returned ledgers (ledgerAnchorService.record) together with
+     * its own result. On failure nothing completes the write, so the ledgers that took it are recorded here.
+     * @param {string} operation - store | update | revoke
+     * @param {string} recordId - Record identifier (or Merkle batch ID)
+     * @param {string} hash - Hash being anchored
+     * @param {Function} write - (ledger, on-chain entry or null) → Promise of the ledger's result
+     * @param {Function} isDone - On-chain entry → whether this write already happened (a retry, or a
+     *        concurrent write of the same outbox entry reclaimed after its lock timed out)
+     * @returns {Promise<Object>} Primary ledger's result, plus ledgers: [{ ledger, operation, tx_id, timestamp, blockNumber }]
+     */
+    async _anchor(operation, recordId, hash, write, isDone) {
+        const alreadyDone = async (ledger, existing) => {
+            // Polygon cannot report the tx of an entry; use the one kept when it was written
+            const txId = existing.tx_id || await ledgerAnchorService.findTxId(recordId, ledger.getMode(), hash);
+            logger.info(`[${ledger.getMode().toUpperCase()}] ${operation} of ${recordId} already on-chain, TX: ${txId}`);
+            return {
+                success: true,
+                tx_id: txId,
+                recordId,
+                hash: existing.hash,
+                previousHash: existing.previousHash || null,
+                ...(existing.status === 'revoked' && { status: 'revoked' }),
+                timestamp: existing.timestamp,
+                blockNumber: existing.blockNumber || null
+            };
+        };
+
+        const outcomes = await Promise.allSettled(this.ledgers.map(async ledger => {
+            const existing = await ledger.getRecordHash(recordId);
+
+            if (existing && isDone(existing)) {
+                return await alreadyDone(ledger, existing);
+            }
+
+            try {
+                return await write(ledger, existing);
+            } catch (error) {
+                const current = await ledger.getRecordHash(recordId).catch(() => null);
+                if (current && isDone(current)) {
+                    return await alreadyDone(ledger, current);
+                }
+                throw error;
+            }
+        }));
+
+        const anchors = [];
+        const failures = [];
+        outcomes.forEach((outcome, i) => {
+            const ledger = this.ledgers[i].getMode();
+            if (outcome.status === 'fulfilled') {
+                anchors.push({
+                    ledger,
+                    operation,
+                    tx_id: outcome.value.tx_id,
+                    timestamp: outcome.value.timestamp,
+                    blockNumber: outcome.value.blockNumber || null
+                });
+            } else {
+                failures.push(`${ledger}: ${outcome.reason.message}`);
+            }
+        });
+
+        if (failures.length > 0) {
+            logger.error(`Anchoring ${recordId} failed on ${failures.length} of ${this.ledgers.length} ledgers - ${failures.join('; ')}`);
+            await ledgerAnchorService.record(recordId, hash, anchors)
+                .catch(error => logger.error(`Error keeping the ledger anchors of ${recordId}:`, error));
+            throw new Error(`Anchoring failed on ${failures.join('; ')}`);
+        }
+
+        return { ...outcomes[0].value, ledgers: anchors };
+    }
+
+    /**
+     * Retrieve record hash from the primary ledger
+     */
+    async getRecordHash(recordId) {
+        return await this.primary.getRecordHash(recordId);
+    }
+
+    /**
+     * Get the on-chain revocation of a record from whichever ledger has one
+     * @returns {Promise<Object|null>} Revocation, or null if no ledger has the record revoked
+     */
+    async getRevocation(recordId) {
+        const outcomes = await Promise.allSettled(this.ledgers.map(ledger => ledger.getRevocation(recordId)));
+        const found = outcomes.find(outcome => outcome.status === 'fulfilled' && outcome.value);
+
+        if (found) {
+            return found.value;
+        }
+        if (outcomes.every(outcome => outcome.status === 'rejected')) {
+            throw outcomes[0].reason;
+        }
+        return null;
+    }
+
+    /**
+     * Retrieve hash history from the primary ledger
+     */
+    async getRecordHistory(recordId) {
+        return await this.primary.getRecordHistory(recordId);
+    }
+
+    /**
+     * Reverse lookup on the primary ledger
+     */
+    async findByHash(hash) {
+        return await this.primary.findByHash(hash);
+    }
+
+    /**
+     * Verify a hash on every ledger and apply the quorum rule
+     * @returns {Promise<Object>} Verification result (fields of the first ledger the hash matches on),
+     *          plus quorum: { rule, required, total, matched } and ledgers: [{ ledger, ...result }]
+     */
+    async verifyRecordHash(recordId, hash) {
+        const outcomes = await Promise.allSettled(this.ledgers.map(ledger => ledger.verifyRecordHash(recordId, hash)));
+
+        const results = outcomes.map((outcome, i) => {
+            const ledger = this.ledgers[i].getMode();
+            if (outcome.status === 'fulfilled') {
+                return { ledger, ...outcome.value };
+            }
+            logger.error(`[${ledger.toUpperCase()}] Verification of ${recordId} failed:`, outcome.reason);
+            return { ledger, valid: false, hashMatches: false, reason: 'Ledger unavailable', error: outcome.reason.message };
+        });
+
+        const matched = results.filter(result => result.hashMatches).length;
+        const unavailable = results.filter(result => result.error);
+        const hashMatches = matched >= this.quorum.required;
+
+        // Ledgers that could not be asked might have tipped the verdict: report an error, not a mismatch
+        if (!hashMatches && matched + unavailable.length >= this.quorum.required) {
+            throw new Error(`Quorum undecided: ${unavailable.map(result => `${result.ledger} (${result.error})`).join(', ')} unavailable`);
+        }
+
+        const { ledger, ...base } = results.find(result => result.hashMatches) || results[0];
+        const combined = {
+            ...base,
+            valid: hashMatches,
+            hashMatches,
+            reason: hashMatches
+                ? `Hash matches on ${matched} of ${results.length} ledgers (quorum: ${this.quorum.rule})`
+                : `Quorum not met - hash matches on ${matched} of ${results.length} ledgers, ${this.quorum.required} required`,
+            quorum: { ...this.quorum, matched },
+            ledgers: results
+        };
+        delete combined.revoked;
+        delete combined.revocation;
+
+        const revoked = results.find(result => result.revoked);
+        return revoked ? { ...combined, ...this.revokedVerification(revoked.revocation, hashMatches) } : combined;
+    }
+
+    /**
+     * Verification result fields for a revoked record (see BlockchainService)
+     */
+    revokedVerification(revocation, hashMatches) {
+        return this.primary.revokedVerification(revocation, hashMatches);
+    }
+
+    /**
+     * Configured modes, e.g. "fabric+polygon"
+     */
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * Single-ledger services, primary first
+     */
+    getLedgers() {
+        return this.ledgers;
+    }
+
+    /**
+     * Whether one of the ledgers runs in a mode
+     */
+    hasLedger(mode) {
+        return this.ledgers.some(ledger => ledger.getMode() === mode);
+    }
+
+    /**
+     * Quorum rule verification applies
+     * @returns {Object} { rule, required, total }
+     */
+    getQuorum() {
+        return this.quorum;
+    }
+
+    /**
+     * Network of the primary ledger (the one record tx IDs refer to)
+     */
+    getNetworkInfo() {
+        return this.primary.getNetworkInfo();
+    }
+
+    // Debugging helpers of the simulated ledgers
+
+    getMockLedgerContents() {
+        return this._ledger('mock').getMockLedgerContents();
+    }
+
+    getMockChainInfo() {
+        return this._ledger('mock').getMockChainInfo();
+    }
+
+    reorgMockLedger(depth) {
+        return this._ledger('mock').reorgMockLedger(depth);
+    }
+
+    getSimulatedWorldState() {
+        return this._ledger('chaincode-sim').getSimulatedWorldState();
+    }
+
+    clearMockLedger() {
+        this.ledgers.forEach(ledger => ledger.clearMockLedger());
+    }
+
+    _ledger(mode) {
+        // Falls back to the primary, which answers with "Only available in ... mode"
+        return this.ledgers.find(ledger => ledger.getMode() === mode) || this.primary;
+    }
+}
+
+module.exports = MultiLedgerService;
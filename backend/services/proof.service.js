@@ -0,0 +1,171 @@
+/**
+ * Proof Service
+ * Builds self-contained, signed proof bundles that let an external auditor
+ * check a record's anchoring without calling this API
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const proofConfig = require('../config/proof.config');
+const blockchainService = require('./blockchain.service');
+const { canonicalizeJSON } = require('../utils/hash');
+const { BUNDLE_SIGNATURE_CANONICALIZATION, getKeyId, signPayload, verifyPayload } = require('../utils/signature');
+const logger = require('../utils/logger');
+
+// Version 2: canonicalization and hash algorithm are per record, signatures are over the JCS form
+const BUNDLE_VERSION = 2;
+
+class ProofService {
+    constructor() {
+        this.privateKey = null;
+        this.publicKey = null;
+    }
+
+    /**
+     * Get the public key that verifies proof bundle signatures
+     * @returns {Object} { algorithm, keyId, publicKey (PEM) }
+     */
+    getPublicKey() {
+        this._loadKeys();
+        return {
+            algorithm: 'Ed25519',
+            keyId: getKeyId(this.publicKey),
+            publicKey: this.publicKey.export({ type: 'spki', format: 'pem' })
+        };
+    }
+
+    /**
+     * Build and sign the proof bundle of a verified record
+     * @param {Object} record - Record row
+     * @param {Object} current - Result of verificationService.computeCurrentHash ({ hash, document })
+     * @param {Object} verification - Successful result of verificationService.verifyOnChain
+     * @returns {Object} Signed proof bundle
+     */
+    createBundle(record, { hash, document }, verification) {
+        const merkle = verification.merkle
+            ? {
+                batchId: verification.merkle.batchId,
+                leafIndex: verification.merkle.leafIndex,
+                leafHash: verification.merkle.leafHash,
+                proof: verification.merkle.proof,
+                root: verification.merkle.anchoredRoot
+            }
+            : null;
+
+        const bundle = {
+            bundleVersion: BUNDLE_VERSION,
+            issuer: proofConfig.issuer,
+            issuedAt: new Date().toISOString(),
+            recordId: record.id,
+            data: {
+                // Includes the attachment manifest (filename, size, content hash per file) when there is one
+                canonical: canonicalizeJSON(document, record.canonicalization)
+            },
+            hash: {
+                algorithm: record.hash_algorithm,
+                canonicalization: record.canonicalization,
+                value: hash
+            },
+            anchor: {
+                ...blockchainService.getNetworkInfo(),
+                ledgerKey: merkle ? merkle.batchId : record.id,
+                anchoredValue: verification.onChainHash,
+                transactionId: verification.transactionId || record.blockchain_tx_id,
+                blockNumber: verification.blockNumber || null,
+                timestamp: verification.storedAt || null,
+                merkle,
+                // Anchored to several ledgers: where the same value sits on each of them
+                ...(verification.ledgers && { ledgers: this._ledgerAnchors(verification) })
+            }
+        };
+
+        return this.sign(bundle);
+    }
+
+    /**
+     * Per-ledger anchor details of a multi-ledger verification
+     * @param {Object} verification - Result of verificationService.verifyOnChain
+     * @returns {Array} [{ ...network info, anchoredValue, transactionId, blockNumber, timestamp, confirmed }]
+     */
+    _ledgerAnchors(verification) {
+        const networks = new Map(blockchainService.getLedgers().map(ledger => [ledger.getMode(), ledger.getNetworkInfo()]));
+
+        return verification.ledgers.map(result => ({
+            ...networks.get(result.ledger),
+            anchoredValue: result.onChainHash || null,
+            transactionId: result.transactionId || null,
+            blockNumber: result.blockNumber || null,
+            timestamp: result.storedAt || null,
+            confirmed: !!result.hashMatches
+        }));
+    }
+
+    /**
+     * Attach the backend signature to a bundle
+     * @param {Object} bundle - Unsigned bundle
+     * @returns {Object} Bundle with a signature block
+     */
+    sign(bundle) {
+        const { algorithm, keyId, publicKey } = this.getPublicKey();
+        const canonicalization = BUNDLE_SIGNATURE_CANONICALIZATION[bundle.bundleVersion];
+
+        return {
+            ...bundle,
+            signature: {
+                algorithm,
+                keyId,
+                publicKey,
+                canonicalization,
+                value: signPayload(this.privateKey, bundle, canonicalization)
+            }
+        };
+    }
+
+    /**
+     * Check a bundle's signature
+     * Only a trusted key is used: the embedded signature.publicKey is not, since anyone who
+     * alters a bundle can re-sign it and embed their own key. The signed form follows from
+     * the signed bundleVersion, not from the unsigned signature.canonicalization.
+     * @param {Object} signedBundle - Bundle with a signature block
+     * @param {string} [publicKeyPem] - Trusted key; defaults to this backend's own key
+     * @returns {boolean} True if the signature is valid
+     */
+    verifySignature(signedBundle, publicKeyPem = null) {
+        const { signature, ...bundle } = signedBundle;
+        const canonicalization = BUNDLE_SIGNATURE_CANONICALIZATION[bundle.bundleVersion];
+        if (!signature || !signature.value || !canonicalization) {
+            return false;
+        }
+        const trustedKey = publicKeyPem || this.getPublicKey().publicKey;
+        return verifyPayload(trustedKey, bundle, signature.value, canonicalization);
+    }
+
+    /**
+     * Load the signing key, generating and saving one if none is configured
+     */
+    _loadKeys() {
+        if (this.privateKey) {
+            return;
+        }
+
+        let pem = proofConfig.signingKey;
+
+        if (!pem && fs.existsSync(proofConfig.signingKeyPath)) {
+            pem = fs.readFileSync(proofConfig.signingKeyPath, 'utf8');
+        }
+
+        if (!pem) {
+            const { privateKey } = crypto.generateKeyPairSync('ed25519');
+            pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+            fs.mkdirSync(path.dirname(proofConfig.signingKeyPath), { recursive: true });
+            fs.writeFileSync(proofConfig.signingKeyPath, pem, { mode: 0o600 });
+            logger.warn(`No proof signing key configured - generated a new one at ${proofConfig.signingKeyPath}`);
+        }
+
+        this.privateKey = crypto.createPrivateKey(pem);
+        this.publicKey = crypto.createPublicKey(this.privateKey);
+    }
+}
+
+module.exports = new ProofService();
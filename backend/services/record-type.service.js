@@ -0,0 +1,196 @@
+/**
+ * Record Type Service
+ * Registry of record types and the JSON Schema their data_json must satisfy
+ */
+
+const pool = require('../config/db.config');
+const { checkSchema, validate } = require('../utils/json-schema');
+const logger = require('../utils/logger');
+
+// Schema name from environment
+const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,99}$/;
+
+class RecordTypeService {
+    /**
+     * Check a record type definition before it is stored
+     * @param {string} name - Type name
+     * @param {Object} schema - JSON Schema for data_json
+     * @returns {Array} [{ field, message }] - empty if the definition is valid
+     */
+    checkDefinition(name, schema) {
+        const errors = [];
+
+        if (name !== undefined && (typeof name !== 'string' || !NAME_PATTERN.test(name))) {
+            errors.push({ field: 'name', message: 'must be lowercase letters, digits and underscores, starting with a letter (max 100)' });
+        }
+
+        if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+            errors.push({ field: 'schema', message: 'must be a JSON Schema object' });
+            return errors;
+        }
+
+        if (schema.type !== 'object') {
+            errors.push({ field: 'schema.type', message: 'must be "object" (data_json is always an object)' });
+        }
+
+        checkSchema(schema).forEach(error => errors.push({
+            field: error.path === '$' ? 'schema' : `schema.${error.path}`,
+            message: error.message
+        }));
+        return errors;
+    }
+
+    /**
+     * Validate data_json against a record type's schema
+     * @param {Object} recordType - Record type row
+     * @param {Object} data_json - Record data
+     * @returns {Array} [{ field, message }] - empty if the data is valid
+     */
+    validateData(recordType, data_json) {
+        return validate(recordType.schema, data_json).map(error => ({
+            field: error.path === '$' ? 'data_json' : `data_json.${error.path}`,
+            message: error.message
+        }));
+    }
+
+    /**
+     * Get all record types
+     * @returns {Promise<Array>} Record types, by name
+     */
+    async findAll() {
+        try {
+            const result = await pool.query(`SELECT * FROM ${SCHEMA}.record_types ORDER BY name`);
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching record types:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a record type by name
+     * @param {string} name - Type name
+     * @returns {Promise<Object|null>} Record type or null
+     */
+    async findByName(name) {
+        try {
+            const result = await pool.query(`SELECT * FROM ${SCHEMA}.record_types WHERE name = $1`, [name]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Error fetching record type:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get several record types at once
+     * @param {string[]} names - Type names
+     * @returns {Promise<Map>} Map of name → record type (unknown names are absent)
+     */
+    async findByNames(names) {
+        if (names.length === 0) {
+            return new Map();
+        }
+
+        try {
+            const result = await pool.query(
+                `SELECT * FROM ${SCHEMA}.record_types WHERE name = ANY($1::varchar[])`,
+                [names]
+            );
+            return new Map(result.rows.map(row => [row.name, row]));
+        } catch (error) {
+            logger.error('Error fetching record types:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a record type
+     * @param {Object} typeData - { name, description, schema }
+     * @returns {Promise<Object|null>} Created type, or null if the name is taken
+     */
+    async create({ name, description, schema }) {
+        try {
+            const result = await pool.query(
+                `INSERT INTO ${SCHEMA}.record_types (name, description, schema, created_at, updated_at)
+                 VALUES ($1, $2, $3, NOW(), NOW())
+                 ON CONFLICT (name) DO NOTHING
+                 RETURNING *`,
+                [name, description || null, JSON.stringify(schema)]
+            );
+
+            if (result.rows[0]) {
+                logger.info(`Record type created: ${name}`);
+            }
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Error creating record type:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a record type's description and/or schema
+     * The new schema applies to records created or updated afterwards.
+     * An omitted field is left as is; a null description clears it.
+     * @param {string} name - Type name
+     * @param {Object} typeData - { description, schema }
+     * @returns {Promise<Object|null>} Updated type or null if not found
+     */
+    async update(name, { description, schema }) {
+        try {
+            const result = await pool.query(
+                `UPDATE ${SCHEMA}.record_types
+                 SET description = CASE WHEN $4::boolean THEN $2 ELSE description END,
+                     schema = COALESCE($3, schema),
+                     updated_at = NOW()
+                 WHERE name = $1
+                 RETURNING *`,
+                [
+                    name,
+                    description === undefined ? null : description,
+                    schema === undefined ? null : JSON.stringify(schema),
+                    description !== undefined
+                ]
+            );
+
+            if (result.rows[0]) {
+                logger.info(`Record type updated: ${name}`);
+            }
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Error updating record type:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a record type that no record uses
+     * @param {string} name - Type name
+     * @returns {Promise<Object>} { deleted, inUse }
+     */
+    async delete(name) {
+        try {
+            const result = await pool.query(
+                `DELETE FROM ${SCHEMA}.record_types WHERE name = $1 RETURNING name`,
+                [name]
+            );
+
+            if (result.rows.length > 0) {
+                logger.info(`Record type deleted: ${name}`);
+            }
+            return { deleted: result.rows.length > 0, inUse: false };
+        } catch (error) {
+            // foreign_key_violation: records still reference the type
+            if (error.code === '23503') {
+                return { deleted: false, inUse: true };
+            }
+            logger.error('Error deleting record type:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new RecordTypeService();
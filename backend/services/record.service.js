@@ -1,39 +1,94 @@
 /**
  * Record Service
  * Handles all database operations for records
+ *
+ * When a master key is configured, data_json (and the canonical snapshots of
+ * record versions) are stored encrypted with a per-record data key; every
+ * method here takes and returns plaintext data_json.
  */
 
 const pool = require('../config/db.config');
+const attachmentService = require('./attachment.service');
+const dataKeyService = require('./data-key.service');
+const idempotencyService = require('./idempotency.service');
+const ledgerAnchorService = require('./ledger-anchor.service');
+const encryptionConfig = require('../config/encryption.config');
+const { DEFAULT_CANONICALIZATION, DEFAULT_HASH_ALGORITHM, canonicalizeJSON, computeHash } = require('../utils/hash');
+const { AppError } = require('../utils/error.handler');
 const logger = require('../utils/logger');
 
 // Schema name from environment
 const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CURSOR_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}$/;
+
+const whereClause = (conditions) => {
+    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+};
+
 class RecordService {
     /**
-     * Create a new record
+     * Create a new record and queue its hash for blockchain anchoring
+     * The record and its outbox entry are written in one transaction, so a
+     * record can never exist without a pending anchoring job.
      * @param {Object} recordData - Record data
+     * @param {string} [anchorHash] - Hash to anchor; omit to skip the outbox
      * @returns {Promise<Object>} Created record
      */
-    async create(recordData) {
-        const { id, title, owner_name, data_json, hash_value, blockchain_tx_id } = recordData;
-        
-        const query = `
-            INSERT INTO ${SCHEMA}.records 
-            (id, title, owner_name, data_json, hash_value, blockchain_tx_id, created_at)
-            VALUES ($1, $2, $3, $4, $5, $6, NOW())
-            RETURNING *
-        `;
-        
-        const values = [id, title, owner_name, data_json, hash_value, blockchain_tx_id];
-        
+    async create(recordData, anchorHash = null) {
+        const client = await pool.connect();
         try {
-            const result = await pool.query(query, values);
-            logger.info(`Record created: ${id}`);
-            return result.rows[0];
+            await client.query('BEGIN');
+            const record = await this._insertRecord(client, recordData, anchorHash);
+            await client.query('COMMIT');
+            logger.info(`Record created: ${record.id}`);
+            return record;
         } catch (error) {
+            await client.query('ROLLBACK');
             logger.error('Error creating record:', error);
             throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Create many records in one transaction, each with its outbox entry
+     * Every item runs inside its own savepoint, so a failing insert only
+     * rolls back that item.
+     * @param {Array} items - [{ recordData, anchorHash }]
+     * @returns {Promise<Array>} Per-item results: { record } or { error }, in input order
+     */
+    async createMany(items) {
+        const results = [];
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            for (const { recordData, anchorHash } of items) {
+                await client.query('SAVEPOINT record_item');
+                try {
+                    const record = await this._insertRecord(client, recordData, anchorHash);
+                    await client.query('RELEASE SAVEPOINT record_item');
+                    results.push({ record });
+                } catch (error) {
+                    await client.query('ROLLBACK TO SAVEPOINT record_item');
+                    logger.warn(`Skipping record ${recordData.id} in batch: ${error.message}`);
+                    results.push({ error });
+                }
+            }
+
+            await client.query('COMMIT');
+            logger.info(`Batch created ${results.filter(r => r.record).length}/${items.length} records`);
+            return results;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error creating record batch:', error);
+            throw error;
+        } finally {
+            client.release();
         }
     }
 
@@ -47,7 +102,8 @@ class RecordService {
         
         try {
             const result = await pool.query(query, [id]);
-            return result.rows[0] || null;
+            const [record] = await this._decryptRows(result.rows);
+            return record || null;
         } catch (error) {
             logger.error('Error finding record:', error);
             throw error;
@@ -55,87 +111,999 @@ class RecordService {
     }
 
     /**
-     * Get all records
+     * Get all records, optionally filtered
      * @param {number} limit - Number of records to return
      * @param {number} offset - Offset for pagination
+     * @param {Object} [filters] - See _buildFilters
      * @returns {Promise<Array>} Array of records
      */
-    async findAll(limit = 50, offset = 0) {
+    async findAll(limit = 50, offset = 0, filters = {}) {
+        const { conditions, params } = this._buildFilters(filters);
         const query = `
             SELECT * FROM ${SCHEMA}.records 
+            ${whereClause(conditions)}
             ORDER BY created_at DESC 
-            LIMIT $1 OFFSET $2
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
         `;
         
         try {
-            const result = await pool.query(query, [limit, offset]);
-            return result.rows;
+            const result = await pool.query(query, [...params, limit, offset]);
+            return await this._decryptRows(result.rows);
         } catch (error) {
             logger.error('Error fetching records:', error);
             throw error;
         }
     }
 
+    /**
+     * Get a page of records, newest first, using keyset pagination on (created_at, id)
+     * Unlike findAll, the cost of a page does not grow with its depth.
+     * @param {number} limit - Page size
+     * @param {string|null} cursor - nextCursor of the previous page, or null for the first page
+     * @param {Object} [filters] - See _buildFilters
+     * @returns {Promise<Object>} { records, nextCursor } - nextCursor is null on the last page
+     */
+    async findPage(limit, cursor = null, filters = {}) {
+        const { conditions, params } = this._buildFilters(filters);
+
+        if (cursor) {
+            const position = this.decodeCursor(cursor);
+            if (!position) {
+                throw new Error('Invalid cursor');
+            }
+            params.push(position.createdAt, position.id);
+            conditions.push(`(created_at, id) < ($${params.length - 1}::timestamp, $${params.length}::uuid)`);
+        }
+
+        // One extra row tells whether another page exists
+        const query = `
+            SELECT *, to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') AS cursor_created_at
+            FROM ${SCHEMA}.records
+            ${whereClause(conditions)}
+            ORDER BY created_at DESC, id DESC
+            LIMIT $${params.length + 1}
+        `;
+
+        try {
+            const result = await pool.query(query, [...params, limit + 1]);
+            const rows = result.rows.slice(0, limit);
+            const last = rows[rows.length - 1];
+            const nextCursor = result.rows.length > limit
+                ? this.encodeCursor(last.cursor_created_at, last.id)
+                : null;
+            const records = await this._decryptRows(rows.map(({ cursor_created_at, ...record }) => record));
+
+            return { records, nextCursor };
+        } catch (error) {
+            logger.error('Error fetching records page:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Encode a page position as an opaque cursor
+     * created_at is carried at full (microsecond) precision so no rows are skipped.
+     * @param {string} createdAt - created_at as YYYY-MM-DDTHH24:MI:SS.US
+     * @param {string} id - Record ID
+     * @returns {string} Cursor (base64url)
+     */
+    encodeCursor(createdAt, id) {
+        return Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+    }
+
+    /**
+     * Decode a cursor from encodeCursor
+     * @param {string} cursor - Cursor
+     * @returns {Object|null} { createdAt, id }, or null if the cursor is malformed
+     */
+    decodeCursor(cursor) {
+        try {
+            const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            if (!CURSOR_TIMESTAMP_PATTERN.test(createdAt) || !UUID_PATTERN.test(id)) {
+                return null;
+            }
+            return { createdAt, id };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Get a page of records ordered by ID (keyset pagination for full-table walks)
+     * @param {string|null} afterId - Last ID of the previous page, or null for the first page
+     * @param {number} limit - Page size
+     * @returns {Promise<Array>} Array of records
+     */
+    async findPageAfter(afterId, limit) {
+        const query = afterId
+            ? `SELECT * FROM ${SCHEMA}.records WHERE id > $2 ORDER BY id LIMIT $1`
+            : `SELECT * FROM ${SCHEMA}.records ORDER BY id LIMIT $1`;
+
+        try {
+            const result = await pool.query(query, afterId ? [limit, afterId] : [limit]);
+            return await this._decryptRows(result.rows);
+        } catch (error) {
+            logger.error('Error fetching records page:', error);
+            throw error;
+        }
+    }
+
     /**
      * Update record with blockchain info
      * @param {string} id - Record ID
      * @param {string} hash_value - Computed hash
      * @param {string} blockchain_tx_id - Blockchain transaction ID
+     * @param {Object} [merkle] - { batchId, leafIndex, proof } when anchored through a Merkle batch
+     * @param {Array} [ledgers] - Per-ledger transactions when anchored to several ledgers
      * @returns {Promise<Object>} Updated record
      */
-    async updateBlockchainInfo(id, hash_value, blockchain_tx_id) {
+    async updateBlockchainInfo(id, hash_value, blockchain_tx_id, merkle = null, ledgers = []) {
         const query = `
             UPDATE ${SCHEMA}.records 
-            SET hash_value = $2, blockchain_tx_id = $3
+            SET hash_value = $2, blockchain_tx_id = $3, anchor_status = 'anchored',
+                merkle_batch_id = $4, merkle_leaf_index = $5, merkle_proof = $6
             WHERE id = $1
             RETURNING *
         `;
+
+        const values = [
+            id,
+            hash_value,
+            blockchain_tx_id,
+            merkle ? merkle.batchId : null,
+            merkle ? merkle.leafIndex : null,
+            merkle ? JSON.stringify(merkle.proof) : null
+        ];
         
+        const client = await pool.connect();
         try {
-            const result = await pool.query(query, [id, hash_value, blockchain_tx_id]);
+            await client.query('BEGIN');
+            const result = await client.query(query, values);
             if (result.rows.length === 0) {
                 throw new Error('Record not found');
             }
+            const [record] = await this._decryptRows(result.rows, client);
+            const attachments = attachmentService.toManifest(await attachmentService.findByRecord(id, client));
+            await this._insertVersion(client, record, attachments);
+            await ledgerAnchorService.record(id, hash_value, ledgers, client);
+            await client.query('COMMIT');
             logger.info(`Record updated with blockchain info: ${id}`);
-            return result.rows[0];
+            return record;
         } catch (error) {
+            await client.query('ROLLBACK');
             logger.error('Error updating record:', error);
             throw error;
+        } finally {
+            client.release();
         }
     }
 
     /**
-     * Delete a record
+     * Set the anchoring status of a record
      * @param {string} id - Record ID
-     * @returns {Promise<boolean>} True if deleted
+     * @param {string} anchor_status - pending | anchored | failed
+     * @returns {Promise<void>}
      */
-    async delete(id) {
-        const query = `DELETE FROM ${SCHEMA}.records WHERE id = $1 RETURNING id`;
-        
+    async updateAnchorStatus(id, anchor_status) {
+        const query = `UPDATE ${SCHEMA}.records SET anchor_status = $2 WHERE id = $1`;
+
+        try {
+            await pool.query(query, [id, anchor_status]);
+        } catch (error) {
+            logger.error('Error updating anchor status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update record data
+     * With anchorHash the new hash is queued for anchoring in the same transaction: the record
+     * goes back to pending and its version is written once the hash is on-chain.
+     * @param {string} id - Record ID
+     * @param {Object} recordData - Fields to update (title, owner_name, record_type, data_json, hash_value,
+     *                              canonicalization, hash_algorithm, blockchain_tx_id), plus:
+     *                              anchorHash - new hash to anchor (omit when the hash is unchanged),
+     *                              attachments - manifest the hash was computed with (see attachmentService);
+     *                              the update is refused if the record's attachments no longer match it
+     * @returns {Promise<Object|null>} Updated record or null if not found
+     * @throws {AppError} 409 while an earlier change of the record is being sent to the blockchain,
+     *                    or if its attachments changed since the hash was computed
+     */
+    async update(id, recordData) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const previous = await client.query(
+                `SELECT hash_value FROM ${SCHEMA}.records WHERE id = $1 FOR UPDATE`,
+                [id]
+            );
+
+            if (previous.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            if (recordData.attachments) {
+                const current = attachmentService.toManifest(await attachmentService.findByRecord(id, client));
+                if (JSON.stringify(current) !== JSON.stringify(recordData.attachments)) {
+                    throw new AppError('The attachments of this record changed during the update; retry', 409);
+                }
+            }
+
+            const updated = await this._writeUpdate(client, id, previous.rows[0].hash_value, recordData);
+            await client.query('COMMIT');
+            logger.info(`Record updated: ${id}`);
+            return updated;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error updating record:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Add and/or remove attachments of a record and queue its new hash for anchoring
+     * The record row stays locked from reading its attachments to saving the new hash, so
+     * concurrent attachment changes are applied one after the other and every hash covers
+     * all attachments the record has at that point.
+     * @param {string} id - Record ID
+     * @param {Object} changes - { added: [attachment rows], removed: [attachment IDs] }
+     * @returns {Promise<Object|null>} { record, previousHash, hash }, or null if not found
+     * @throws {AppError} 410 if the record was erased or revoked, 409 while an earlier change is being anchored
+     */
+    async updateAttachments(id, changes) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const locked = await client.query(`SELECT * FROM ${SCHEMA}.records WHERE id = $1 FOR UPDATE`, [id]);
+
+            if (locked.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const [record] = await this._decryptRows(locked.rows, client);
+            if (record.erased_at || record.revoked_at) {
+                throw new AppError(`Record was ${record.erased_at ? 'erased by request' : 'revoked'}`, 410);
+            }
+
+            const removed = new Set(changes.removed || []);
+            const attachments = [
+                ...(await attachmentService.findByRecord(id, client)).filter(row => !removed.has(row.id)),
+                ...(changes.added || [])
+            ];
+            const manifest = attachmentService.toManifest(attachments);
+            const hash = computeHash(
+                attachmentService.hashedDocument(record.data_json, manifest),
+                DEFAULT_CANONICALIZATION,
+                DEFAULT_HASH_ALGORITHM
+            );
+
+            const updated = await this._writeUpdate(client, id, record.hash_value, {
+                record_type: record.record_type,
+                data_json: record.data_json,
+                hash_value: hash,
+                canonicalization: DEFAULT_CANONICALIZATION,
+                hash_algorithm: DEFAULT_HASH_ALGORITHM,
+                anchorHash: hash,
+                attachments: manifest,
+                attachmentChanges: changes
+            });
+            await client.query('COMMIT');
+            logger.info(`Record attachments updated: ${id}, new hash ${hash}`);
+            return { record: updated, previousHash: record.hash_value, hash };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error updating record attachments:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Get all stored versions of a record, oldest first
+     * @param {string} id - Record ID
+     * @returns {Promise<Array>} Array of record versions
+     */
+    async findVersions(id) {
+        const query = `
+            SELECT version, title, owner_name, data_json, data_ciphertext, hash_value, canonicalization, hash_algorithm,
+                   blockchain_tx_id, attachments, created_at
+            FROM ${SCHEMA}.record_versions
+            WHERE record_id = $1
+            ORDER BY version ASC
+        `;
+
         try {
             const result = await pool.query(query, [id]);
-            return result.rows.length > 0;
+            return await this._decryptRows(result.rows, pool, () => id);
+        } catch (error) {
+            logger.error('Error fetching record versions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find every record version anchored with any of the given hashes
+     * Merkle proof fields are returned for the version that is still current.
+     * @param {Array<string>} hashValues - Content hashes
+     * @returns {Promise<Array>} Matching versions (with their hash_value), oldest first
+     */
+    async findByHashes(hashValues) {
+        const query = `
+            SELECT v.record_id, v.version, v.hash_value, v.canonicalization, v.hash_algorithm, v.blockchain_tx_id, v.created_at,
+                   r.erased_at, r.revoked_at, r.revocation_reason, (r.hash_value = v.hash_value) AS is_current,
+                   CASE WHEN r.hash_value = v.hash_value THEN r.merkle_batch_id END AS merkle_batch_id,
+                   CASE WHEN r.hash_value = v.hash_value THEN r.merkle_proof END AS merkle_proof
+            FROM ${SCHEMA}.record_versions v
+            JOIN ${SCHEMA}.records r ON r.id = v.record_id
+            WHERE v.hash_value = ANY($1)
+            ORDER BY v.created_at ASC
+        `;
+
+        try {
+            const result = await pool.query(query, [hashValues]);
+            return result.rows;
+        } catch (error) {
+            logger.error('Error finding records by hash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the latest version of a record that was anchored with the given hash
+     * @param {string} id - Record ID
+     * @param {string} hash_value - Anchored hash
+     * @returns {Promise<Object|null>} Version (including canonical_data) or null
+     */
+    async findVersionByHash(id, hash_value) {
+        const query = `
+            SELECT version, data_json, data_ciphertext, canonical_data, canonical_ciphertext, canonicalization,
+                   hash_algorithm, hash_value, blockchain_tx_id, attachments, created_at
+            FROM ${SCHEMA}.record_versions
+            WHERE record_id = $1 AND hash_value = $2
+            ORDER BY version DESC
+            LIMIT 1
+        `;
+
+        try {
+            const result = await pool.query(query, [id, hash_value]);
+            const [version] = await this._decryptRows(result.rows, pool, () => id);
+            return version || null;
+        } catch (error) {
+            logger.error('Error finding record version:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Insert a record row and, if given, its anchoring outbox entry
+     * @param {Object} client - Pool client inside an open transaction
+     * @param {Object} recordData - Record data
+     * @param {string} [anchorHash] - Hash to anchor
+     * @returns {Promise<Object>} Inserted record
+     */
+    async _insertRecord(client, recordData, anchorHash) {
+        const { id, title, owner_name, record_type, data_json, hash_value, canonicalization, hash_algorithm, blockchain_tx_id } = recordData;
+
+        const query = `
+            INSERT INTO ${SCHEMA}.records 
+            (id, title, owner_name, record_type, data_json, data_ciphertext, hash_value, canonicalization, hash_algorithm,
+             blockchain_tx_id, anchor_status, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', NOW())
+            RETURNING *
+        `;
+
+        const key = dataKeyService.isEnabled() ? dataKeyService.createKey(id) : null;
+        const stored = await this._encryptData(client, id, data_json, key && key.dataKey);
+        const values = [
+            id, title, owner_name, record_type || null, stored.data_json, stored.data_ciphertext, hash_value,
+            canonicalization, hash_algorithm, blockchain_tx_id
+        ];
+
+        const result = await client.query(query, values);
+        if (key) {
+            await dataKeyService.saveKey(client, id, key);
+        }
+        if (anchorHash) {
+            await client.query(
+                `INSERT INTO ${SCHEMA}.anchor_outbox (record_id, operation, hash_value)
+                 VALUES ($1, 'store', $2)`,
+                [id, anchorHash]
+            );
+        }
+        return this._withData(result.rows[0], data_json);
+    }
+
+    /**
+     * Write a record update on its locked row
+     * @param {Object} client - Pool client inside an open transaction, holding the row lock
+     * @param {string} id - Record ID
+     * @param {string} previousHash - Hash the record had before the update
+     * @param {Object} recordData - See update(), plus attachmentChanges - { added, removed } saved with it
+     * @returns {Promise<Object>} Updated record
+     */
+    async _writeUpdate(client, id, previousHash, recordData) {
+        const { title, owner_name, record_type, data_json, hash_value, canonicalization, hash_algorithm } = recordData;
+        const { anchorHash = null, attachments = null, attachmentChanges = null } = recordData;
+        const blockchain_tx_id = anchorHash ? null : recordData.blockchain_tx_id;
+
+        const query = `
+            UPDATE ${SCHEMA}.records 
+            SET title = COALESCE($2, title),
+                owner_name = COALESCE($3, owner_name),
+                data_json = $4,
+                data_ciphertext = $10,
+                hash_value = $5,
+                blockchain_tx_id = $6,
+                canonicalization = $7,
+                hash_algorithm = $8,
+                record_type = $9,
+                anchor_status = CASE WHEN $11::boolean THEN 'pending' ELSE anchor_status END,
+                merkle_batch_id = CASE WHEN hash_value = $5 THEN merkle_batch_id END,
+                merkle_leaf_index = CASE WHEN hash_value = $5 THEN merkle_leaf_index END,
+                merkle_proof = CASE WHEN hash_value = $5 THEN merkle_proof END
+            WHERE id = $1
+            RETURNING *
+        `;
+
+        if (anchorHash) {
+            await this._queueAnchor(client, id, 'update', anchorHash);
+        }
+
+        const stored = await this._encryptData(client, id, data_json);
+        const values = [
+            id, title, owner_name, stored.data_json, hash_value, blockchain_tx_id, canonicalization, hash_algorithm,
+            record_type, stored.data_ciphertext, Boolean(anchorHash)
+        ];
+        const result = await client.query(query, values);
+        const updated = this._withData(result.rows[0], data_json);
+
+        if (attachmentChanges) {
+            await this._applyAttachmentChanges(client, id, attachmentChanges);
+        }
+
+        // Only a new hash is a new version; metadata-only edits are not re-anchored.
+        // A queued hash gets its version when it is anchored (updateBlockchainInfo).
+        if (!anchorHash && previousHash !== updated.hash_value) {
+            await this._insertVersion(client, updated, attachments);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Queue a hash of a record for anchoring
+     * Entries of the record that were not sent yet are superseded, so only the latest hash is anchored.
+     * @param {Object} client - Pool client inside an open transaction
+     * @param {string} id - Record ID
+     * @param {string} operation - Outbox operation (update)
+     * @param {string} hash - Hash to anchor
+     * @returns {Promise<void>}
+     * @throws {AppError} 409 if an entry of the record is being sent right now
+     */
+    async _queueAnchor(client, id, operation, hash) {
+        const open = await client.query(
+            `SELECT id, status FROM ${SCHEMA}.anchor_outbox
+             WHERE record_id = $1 AND status IN ('pending', 'processing')
+             FOR UPDATE`,
+            [id]
+        );
+
+        if (open.rows.some(entry => entry.status === 'processing')) {
+            throw new AppError('The previous change of this record is being anchored; retry shortly', 409);
+        }
+
+        if (open.rows.length > 0) {
+            await client.query(
+                `UPDATE ${SCHEMA}.anchor_outbox SET status = 'superseded', updated_at = NOW() WHERE id = ANY($1)`,
+                [open.rows.map(entry => entry.id)]
+            );
+        }
+
+        await client.query(
+            `INSERT INTO ${SCHEMA}.anchor_outbox (record_id, operation, hash_value)
+             VALUES ($1, $2, $3)`,
+            [id, operation, hash]
+        );
+    }
+
+    /**
+     * Append the current state of a record as its next version
+     * canonical_data is the exact document the hash was computed over, attachment manifest included.
+     * @param {Object} client - Pool client inside an open transaction
+     * @param {Object} record - Record with plaintext data_json
+     * @param {Array|null} [attachments] - Attachment manifest the hash was computed with
+     * @returns {Promise<void>}
+     */
+    async _insertVersion(client, record, attachments = null) {
+        const manifest = !record.erased_at && attachments && attachments.length > 0 ? attachments : null;
+        const query = `
+            INSERT INTO ${SCHEMA}.record_versions
+            (record_id, version, title, owner_name, data_json, data_ciphertext, canonical_data, canonical_ciphertext,
+             canonicalization, hash_algorithm, hash_value, blockchain_tx_id, attachments, erased_at, created_at)
+            SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW()
+            FROM ${SCHEMA}.record_versions
+            WHERE record_id = $1
+        `;
+
+        // A record erased while its anchoring was pending gets a version without content
+        let stored = { data_json: null, data_ciphertext: null, canonical_data: null, canonical_ciphertext: null };
+
+        if (!record.erased_at) {
+            const canonical = canonicalizeJSON(attachmentService.hashedDocument(record.data_json, manifest), record.canonicalization);
+
+            if (dataKeyService.isEnabled()) {
+                const dataKey = await dataKeyService.getOrCreateKey(client, record.id);
+                stored.data_ciphertext = dataKeyService.encryptText(dataKey, record.id, JSON.stringify(record.data_json));
+                stored.canonical_ciphertext = dataKeyService.encryptText(dataKey, record.id, canonical);
+            } else {
+                stored.data_json = record.data_json;
+                stored.canonical_data = canonical;
+            }
+        }
+
+        await client.query(query, [
+            record.id,
+            record.title,
+            record.owner_name,
+            stored.data_json,
+            stored.data_ciphertext,
+            stored.canonical_data,
+            stored.canonical_ciphertext,
+            record.canonicalization,
+            record.hash_algorithm,
+            record.hash_value,
+            record.blockchain_tx_id,
+            manifest ? JSON.stringify(manifest) : null,
+            record.erased_at || null
+        ]);
+    }
+
+    /**
+     * Prepare data_json for storage: encrypted with the record's data key when encryption is enabled
+     * @param {Object} client - Pool client inside an open transaction
+     * @param {string} id - Record ID
+     * @param {Object} data_json - Plaintext data
+     * @param {Buffer} [dataKey] - Data key to use; looked up (or created) when omitted
+     * @returns {Promise<Object>} { data_json, data_ciphertext } column values
+     */
+    async _encryptData(client, id, data_json, dataKey = null) {
+        if (!dataKeyService.isEnabled()) {
+            return { data_json, data_ciphertext: null };
+        }
+
+        const key = dataKey || await dataKeyService.getOrCreateKey(client, id);
+        return { data_json: null, data_ciphertext: dataKeyService.encryptText(key, id, JSON.stringify(data_json)) };
+    }
+
+    /**
+     * Replace stored ciphertext with plaintext data_json (and canonical_data for versions)
+     * @param {Array} rows - Rows of records or record_versions
+     * @param {Object} [queryable] - Pool or pool client to load data keys with
+     * @param {Function} [recordIdOf] - Record ID of a row (default: row.id)
+     * @returns {Promise<Array>} Rows without ciphertext columns
+     */
+    async _decryptRows(rows, queryable = pool, recordIdOf = row => row.id) {
+        const encryptedIds = [...new Set(rows.filter(row => row.data_ciphertext).map(recordIdOf))];
+        const keys = await dataKeyService.findKeys(queryable, encryptedIds);
+
+        return rows.map(({ data_ciphertext, canonical_ciphertext, ...row }) => {
+            if (!data_ciphertext) {
+                return row;
+            }
+
+            const recordId = recordIdOf(row);
+            const dataKey = keys.get(recordId);
+            if (!dataKey) {
+                throw new Error(`Data key of record ${recordId} is missing`);
+            }
+
+            row.data_json = JSON.parse(dataKeyService.decryptText(dataKey, recordId, data_ciphertext));
+            if (canonical_ciphertext) {
+                row.canonical_data = dataKeyService.decryptText(dataKey, recordId, canonical_ciphertext);
+            }
+            return row;
+        });
+    }
+
+    /**
+     * A row returned by INSERT/UPDATE ... RETURNING *, with its plaintext data_json
+     * @param {Object} row - Stored row
+     * @param {Object} data_json - Plaintext data that was stored
+     * @returns {Object} Row without the ciphertext column
+     */
+    _withData(row, data_json) {
+        const { data_ciphertext, ...record } = row;
+        return { ...record, data_json };
+    }
+
+    /**
+     * Save new attachments and mark removed ones
+     * @param {Object} client - Pool client inside an open transaction
+     * @param {string} id - Record ID
+     * @param {Object} changes - { added: [attachment rows], removed: [attachment IDs] }
+     * @returns {Promise<void>}
+     */
+    async _applyAttachmentChanges(client, id, { added = [], removed = [] }) {
+        for (const attachment of added) {
+            await client.query(
+                `INSERT INTO ${SCHEMA}.record_attachments
+                 (id, record_id, filename, content_type, size_bytes, content_hash, hash_algorithm,
+                  storage_driver, storage_key, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+                [
+                    attachment.id, id, attachment.filename, attachment.content_type, attachment.size_bytes,
+                    attachment.content_hash, attachment.hash_algorithm, attachment.storage_driver, attachment.storage_key
+                ]
+            );
+        }
+
+        if (removed.length > 0) {
+            await client.query(
+                `UPDATE ${SCHEMA}.record_attachments SET removed_at = NOW()
+                 WHERE record_id = $1 AND id = ANY($2::uuid[]) AND removed_at IS NULL`,
+                [id, removed]
+            );
+        }
+    }
+
+    /**
+     * Encrypt data stored in plain before encryption was enabled
+     * Covers each record's data_json, the data_json and canonical snapshots of its versions and
+     * the responses stored for its Idempotency-Key. Runs in batches of records, one transaction
+     * each; records locked by a concurrent update are skipped (run again to pick them up).
+     * @returns {Promise<Object>} { records, versions, responses } - number of rows encrypted
+     */
+    async encryptExistingData() {
+        if (!dataKeyService.isEnabled()) {
+            throw new Error('Data encryption is not enabled (DATA_MASTER_KEYS is empty)');
+        }
+
+        const totals = { records: 0, versions: 0, responses: 0 };
+
+        for (;;) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const result = await client.query(
+                    `SELECT r.id, r.data_json FROM ${SCHEMA}.records r
+                     WHERE r.data_json IS NOT NULL
+                        OR EXISTS (SELECT 1 FROM ${SCHEMA}.record_versions v
+                                   WHERE v.record_id = r.id AND (v.data_json IS NOT NULL OR v.canonical_data IS NOT NULL))
+                        OR EXISTS (SELECT 1 FROM ${SCHEMA}.idempotency_keys k
+                                   WHERE k.record_id = r.id AND k.response_body IS NOT NULL)
+                     ORDER BY r.id
+                     LIMIT $1
+                     FOR UPDATE OF r SKIP LOCKED`,
+                    [encryptionConfig.backfillBatchSize]
+                );
+
+                const ids = result.rows.map(row => row.id);
+                for (const row of result.rows) {
+                    const dataKey = await dataKeyService.getOrCreateKey(client, row.id);
+
+                    if (row.data_json !== null) {
+                        const stored = await this._encryptData(client, row.id, row.data_json, dataKey);
+                        await client.query(
+                            `UPDATE ${SCHEMA}.records SET data_json = NULL, data_ciphertext = $2 WHERE id = $1`,
+                            [row.id, stored.data_ciphertext]
+                        );
+                        totals.records++;
+                    }
+
+                    totals.versions += await this._encryptVersions(client, row.id, dataKey);
+                }
+
+                if (ids.length > 0) {
+                    totals.responses += await idempotencyService.encryptStoredResponses(client, ids);
+                }
+
+                await client.query('COMMIT');
+
+                if (result.rows.length < encryptionConfig.backfillBatchSize) {
+                    break;
+                }
+            } catch (error) {
+                await client.query('ROLLBACK');
+                logger.error('Error encrypting existing data:', error);
+                throw error;
+            } finally {
+                client.release();
+            }
+        }
+
+        logger.info(`Encrypted ${totals.records} record(s), ${totals.versions} version(s), ${totals.responses} stored response(s)`);
+        return totals;
+    }
+
+    /**
+     * Count rows that still hold data in plain
+     * @returns {Promise<Object>} { records, versions, responses }
+     */
+    async countUnencryptedData() {
+        try {
+            const result = await pool.query(
+                `SELECT (SELECT COUNT(*) FROM ${SCHEMA}.records WHERE data_json IS NOT NULL) AS records,
+                        (SELECT COUNT(*) FROM ${SCHEMA}.record_versions
+                         WHERE data_json IS NOT NULL OR canonical_data IS NOT NULL) AS versions,
+                        (SELECT COUNT(*) FROM ${SCHEMA}.idempotency_keys
+                         WHERE record_id IS NOT NULL AND response_body IS NOT NULL) AS responses`
+            );
+            const { records, versions, responses } = result.rows[0];
+            return { records: Number(records), versions: Number(versions), responses: Number(responses) };
         } catch (error) {
-            logger.error('Error deleting record:', error);
+            logger.error('Error counting unencrypted data:', error);
             throw error;
         }
     }
 
     /**
-     * Count total records
+     * Encrypt the plain snapshots of a record's versions
+     * @param {Object} client - Pool client inside an open transaction, holding the record lock
+     * @param {string} id - Record ID
+     * @param {Buffer} dataKey - The record's data key
+     * @returns {Promise<number>} Number of versions encrypted
+     */
+    async _encryptVersions(client, id, dataKey) {
+        const versions = await client.query(
+            `SELECT version, data_json, canonical_data FROM ${SCHEMA}.record_versions
+             WHERE record_id = $1 AND (data_json IS NOT NULL OR canonical_data IS NOT NULL)`,
+            [id]
+        );
+
+        for (const version of versions.rows) {
+            await client.query(
+                `UPDATE ${SCHEMA}.record_versions
+                 SET data_json = NULL, data_ciphertext = COALESCE($3, data_ciphertext),
+                     canonical_data = NULL, canonical_ciphertext = COALESCE($4, canonical_ciphertext)
+                 WHERE record_id = $1 AND version = $2`,
+                [
+                    id,
+                    version.version,
+                    version.data_json !== null ? dataKeyService.encryptText(dataKey, id, JSON.stringify(version.data_json)) : null,
+                    version.canonical_data !== null ? dataKeyService.encryptText(dataKey, id, version.canonical_data) : null
+                ]
+            );
+        }
+
+        return versions.rows.length;
+    }
+
+    /**
+     * Erase a record's personal data on request, keeping a tombstone
+     * The data key is destroyed (crypto-shredding, which also covers backups of the
+     * ciphertext) and every plaintext copy is cleared: record, versions, attachment
+     * names and stored idempotent responses. Hashes, transaction IDs and Merkle
+     * proofs stay, so the on-chain anchor can still be explained.
+     * Attachment blobs are returned for the caller to delete once this has committed.
+     * @param {string} id - Record ID
+     * @param {Object} erasure - { reason, erasedBy }
+     * @returns {Promise<Object|null>} { record (tombstone), attachments, alreadyErased }, or null if not found
+     */
+    async erase(id, { reason = null, erasedBy = null } = {}) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const existing = await client.query(
+                `SELECT id, erased_at FROM ${SCHEMA}.records WHERE id = $1 FOR UPDATE`,
+                [id]
+            );
+
+            if (existing.rows.length === 0 || existing.rows[0].erased_at) {
+                await client.query('ROLLBACK');
+                return existing.rows.length === 0 ? null : { record: await this.findById(id), attachments: [], alreadyErased: true };
+            }
+
+            await client.query(`DELETE FROM ${SCHEMA}.record_keys WHERE record_id = $1`, [id]);
+
+            const result = await client.query(
+                `UPDATE ${SCHEMA}.records
+                 SET title = NULL, owner_name = NULL, data_json = NULL, data_ciphertext = NULL,
+                     erased_at = NOW(), erased_by = $2, erasure_reason = $3
+                 WHERE id = $1
+                 RETURNING *`,
+                [id, erasedBy, reason]
+            );
+
+            await client.query(
+                `UPDATE ${SCHEMA}.record_versions
+                 SET title = NULL, owner_name = NULL, data_json = NULL, data_ciphertext = NULL,
+                     canonical_data = NULL, canonical_ciphertext = NULL, attachments = NULL, erased_at = NOW()
+                 WHERE record_id = $1`,
+                [id]
+            );
+
+            const attachments = await client.query(
+                `UPDATE ${SCHEMA}.record_attachments SET filename = NULL
+                 WHERE record_id = $1
+                 RETURNING storage_driver, storage_key`,
+                [id]
+            );
+
+            await client.query(
+                `DELETE FROM ${SCHEMA}.idempotency_keys WHERE record_id = $1`,
+                [id]
+            );
+
+            await client.query('COMMIT');
+            logger.info(`Record erased: ${id}`);
+
+            const [record] = await this._decryptRows(result.rows);
+            return { record, attachments: attachments.rows, alreadyErased: false };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error erasing record:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Mark a record as revoked, before its revocation is anchored on-chain
+     * The record and its versions are kept; only new writes are refused from here on.
+     * Only an anchored hash can be revoked: while a change is still waiting in the outbox the
+     * record's hash_value is not on-chain yet, and the queued update would fail against the revoked key.
+     * @param {string} id - Record ID
+     * @param {Object} revocation - { reason, revokedBy }
+     * @returns {Promise<Object|null>} Revoked record, or null if not found or already revoked
+     * @throws {AppError} 409 while the record's latest change is not anchored
+     */
+    async revoke(id, { reason = null, revokedBy = null } = {}) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const locked = await client.query(
+                `SELECT anchor_status, revoked_at FROM ${SCHEMA}.records WHERE id = $1 FOR UPDATE`,
+                [id]
+            );
+
+            if (locked.rows.length === 0 || locked.rows[0].revoked_at) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const open = await client.query(
+                `SELECT 1 FROM ${SCHEMA}.anchor_outbox
+                 WHERE record_id = $1 AND status IN ('pending', 'processing')
+                 LIMIT 1`,
+                [id]
+            );
+
+            if (locked.rows[0].anchor_status !== 'anchored' || open.rows.length > 0) {
+                throw new AppError('The latest change of this record is not anchored yet; revoke it once anchoring has completed', 409);
+            }
+
+            const result = await client.query(
+                `UPDATE ${SCHEMA}.records
+                 SET revoked_at = NOW(), revoked_by = $2, revocation_reason = $3
+                 WHERE id = $1
+                 RETURNING *`,
+                [id, revokedBy, reason]
+            );
+            const [record] = await this._decryptRows(result.rows, client);
+            await client.query('COMMIT');
+            logger.info(`Record revoked: ${id}`);
+            return record;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error revoking record:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Record that a revocation is anchored on-chain
+     * @param {string} id - Record ID
+     * @param {string|null} txId - Revocation transaction ID (null if the ledger does not report one)
+     * @param {Array} [ledgers] - Per-ledger transactions when anchored to several ledgers
+     * @returns {Promise<Object|null>} Record, or null if not found or not revoked
+     */
+    async markRevocationAnchored(id, txId, ledgers = []) {
+        const query = `
+            UPDATE ${SCHEMA}.records
+            SET revocation_tx_id = $2, revocation_anchored_at = COALESCE(revocation_anchored_at, NOW())
+            WHERE id = $1 AND revoked_at IS NOT NULL
+            RETURNING *
+        `;
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(query, [id, txId]);
+            const [record] = await this._decryptRows(result.rows, client);
+            if (record) {
+                await ledgerAnchorService.record(id, record.hash_value, ledgers, client);
+            }
+            await client.query('COMMIT');
+            return record || null;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error recording revocation transaction:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Count total records, optionally filtered
+     * @param {Object} [filters] - See _buildFilters
      * @returns {Promise<number>} Total count
      */
-    async count() {
-        const query = `SELECT COUNT(*) FROM ${SCHEMA}.records`;
+    async count(filters = {}) {
+        const { conditions, params } = this._buildFilters(filters);
+        const query = `SELECT COUNT(*) FROM ${SCHEMA}.records ${whereClause(conditions)}`;
         
         try {
-            const result = await pool.query(query);
+            const result = await pool.query(query, params);
             return parseInt(result.rows[0].count, 10);
         } catch (error) {
             logger.error('Error counting records:', error);
             throw error;
         }
     }
+
+    /**
+     * Build the WHERE clause for record filters
+     * Every filter is backed by an index (see migration 012).
+     * @param {Object} filters - {
+     *     owner_name, title (partial, case-insensitive), record_type, anchor_status,
+     *     created_from, created_to (inclusive),
+     *     data: [{ path: ['results', 'hemoglobin'], values: [...] }] - data_json must contain
+     *           one of the values at the path,
+     *     include_revoked - revoked records are left out unless true
+     * }
+     * @returns {Object} { conditions, params } - SQL conditions to AND together, with their parameters
+     */
+    _buildFilters(filters) {
+        const conditions = [];
+        const params = [];
+        const param = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+
+        if (!filters.include_revoked) {
+            conditions.push('revoked_at IS NULL');
+        }
+        if (filters.owner_name) {
+            conditions.push(`owner_name = ${param(filters.owner_name)}`);
+        }
+        if (filters.title) {
+            const pattern = `%${filters.title.replace(/[\\%_]/g, '\\$&')}%`;
+            conditions.push(`title ILIKE ${param(pattern)}`);
+        }
+        if (filters.record_type) {
+            conditions.push(`record_type = ${param(filters.record_type)}`);
+        }
+        if (filters.anchor_status) {
+            conditions.push(`anchor_status = ${param(filters.anchor_status)}`);
+        }
+        if (filters.created_from) {
+            conditions.push(`created_at >= ${param(filters.created_from)}`);
+        }
+        if (filters.created_to) {
+            conditions.push(`created_at <= ${param(filters.created_to)}`);
+        }
+
+        // Containment (@>) rather than ->> comparisons so the GIN index is used
+        for (const { path, values } of filters.data || []) {
+            const alternatives = values.map(value => {
+                const document = path.reduceRight((inner, key) => ({ [key]: inner }), value);
+                return `data_json @> ${param(JSON.stringify(document))}::jsonb`;
+            });
+            conditions.push(alternatives.length === 1 ? alternatives[0] : `(${alternatives.join(' OR ')})`);
+        }
+
+        return { conditions, params };
+    }
 }
 
 module.exports = new RecordService();
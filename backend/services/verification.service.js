@@ -0,0 +1,193 @@
+/**
+ * Verification Service
+ * Checks a record's data against what was anchored on blockchain.
+ * Shared by on-demand verification and the integrity audit job.
+ */
+
+const recordService = require('./record.service');
+const attachmentService = require('./attachment.service');
+const blockchainService = require('./blockchain.service');
+const { computeHash, hashCanonicalString } = require('../utils/hash');
+const { diffJSON } = require('../utils/diff');
+const { hashLeaf, computeRoot, verifyProof } = require('../utils/merkle');
+const logger = require('../utils/logger');
+
+const MANIFEST_FIELDS = ['filename', 'contentType', 'size', 'hash'];
+
+class VerificationService {
+    /**
+     * Recompute a record's hash from its current data_json and attachments
+     * Every attachment is re-hashed from the bytes in blob storage, so a swapped,
+     * modified or missing file changes the hash just like a changed data_json does.
+     * @param {Object} record - Record row
+     * @returns {Promise<Object>} { hash, document (what was hashed), manifest, attachments: [{ id, filename,
+     *          recordedHash, currentHash, intact }] } - currentHash is null if the blob is missing
+     */
+    async computeCurrentHash(record) {
+        const rows = await attachmentService.findByRecord(record.id);
+        const current = [];
+
+        for (const row of rows) {
+            const stored = await attachmentService.rehash(row);
+            current.push({
+                ...row,
+                content_hash: stored ? stored.hash : null,
+                size_bytes: stored ? stored.size : null
+            });
+        }
+
+        const manifest = attachmentService.toManifest(current);
+        const document = attachmentService.hashedDocument(record.data_json, manifest);
+
+        return {
+            hash: computeHash(document, record.canonicalization, record.hash_algorithm),
+            document,
+            manifest,
+            attachments: rows.map((row, i) => ({
+                id: row.id,
+                filename: row.filename,
+                recordedHash: row.content_hash,
+                currentHash: current[i].content_hash,
+                intact: current[i].content_hash === row.content_hash
+            }))
+        };
+    }
+
+    /**
+     * Compare a record's current hash with what was anchored on blockchain
+     * Records anchored through a Merkle batch are verified by folding the
+     * current hash up their proof path and comparing with the anchored root;
+     * their revocation is a separate on-chain entry under the record ID.
+     * @param {Object} record - Record row
+     * @param {string} currentHash - Hash recomputed from current data_json
+     * @returns {Promise<Object>} Verification result, plus anchoredHash (the record
+     *          hash that was anchored, if known) and merkle details for batched records.
+     *          A revoked record is never valid: revoked is true and hashMatches tells
+     *          whether its data still matches what was anchored.
+     */
+    async verifyOnChain(record, currentHash) {
+        if (!record.merkle_batch_id) {
+            const result = await blockchainService.verifyRecordHash(record.id, currentHash);
+            return { ...result, anchoredHash: result.onChainHash };
+        }
+
+        const proof = record.merkle_proof || [];
+        const computedRoot = computeRoot(currentHash, proof);
+        const [batchResult, revocation] = await Promise.all([
+            blockchainService.verifyRecordHash(record.merkle_batch_id, computedRoot),
+            blockchainService.getRevocation(record.id)
+        ]);
+        const result = revocation
+            ? { ...batchResult, ...blockchainService.revokedVerification(revocation, batchResult.valid) }
+            : batchResult;
+
+        // The stored record hash is only trusted as "what was anchored" if its proof reaches the on-chain root
+        const anchoredHash = result.onChainHash && verifyProof(record.hash_value, proof, result.onChainHash)
+            ? record.hash_value
+            : null;
+
+        return {
+            ...result,
+            reason: result.valid ? 'Merkle proof matches on-chain root' : result.reason,
+            anchoredHash,
+            merkle: {
+                batchId: record.merkle_batch_id,
+                leafIndex: record.merkle_leaf_index,
+                leafHash: hashLeaf(currentHash),
+                proof,
+                computedRoot,
+                anchoredRoot: result.onChainHash
+            }
+        };
+    }
+
+    /**
+     * Diff a record's current data_json and attachments against the snapshot that was anchored
+     * @param {Object} record - Current record row
+     * @param {string} anchoredHash - Hash stored on blockchain
+     * @param {Array} [manifest] - Current attachment manifest (from computeCurrentHash)
+     * @returns {Promise<Object|null>} Field-level diff, or null if no readable snapshot exists for the hash
+     */
+    async buildTamperDiff(record, anchoredHash, manifest = []) {
+        const snapshot = await recordService.findVersionByHash(record.id, anchoredHash);
+
+        if (!snapshot) {
+            return null;
+        }
+
+        const anchoredData = this._snapshotData(snapshot);
+        if (anchoredData === undefined) {
+            logger.warn(`Snapshot of record ${record.id} version ${snapshot.version} cannot be read, no diff`);
+            return null;
+        }
+
+        const snapshotVerified = snapshot.canonical_data
+            ? hashCanonicalString(snapshot.canonical_data, snapshot.hash_algorithm) === anchoredHash
+            : computeHash(snapshot.data_json, snapshot.canonicalization, snapshot.hash_algorithm) === anchoredHash;
+
+        const diff = {
+            snapshotVersion: snapshot.version,
+            snapshotTransactionId: snapshot.blockchain_tx_id,
+            snapshotVerified,
+            ...diffJSON(anchoredData, record.data_json)
+        };
+
+        const anchoredAttachments = snapshot.attachments || [];
+        if (anchoredAttachments.length > 0 || manifest.length > 0) {
+            diff.attachments = this._diffAttachments(anchoredAttachments, manifest);
+        }
+
+        return diff;
+    }
+
+    /**
+     * data_json of a version snapshot
+     * Versions written before snapshots existed have no canonical_data; the stored JSONB
+     * copy is used for those. A snapshot that cannot be parsed gives no diff rather than an error.
+     * @param {Object} snapshot - record_versions row
+     * @returns {*} Anchored data_json, or undefined if the snapshot is unreadable
+     */
+    _snapshotData(snapshot) {
+        if (!snapshot.canonical_data) {
+            return snapshot.data_json;
+        }
+
+        let document;
+        try {
+            document = JSON.parse(snapshot.canonical_data);
+        } catch {
+            return undefined;
+        }
+
+        if (!snapshot.attachments) {
+            return document;
+        }
+        return document && typeof document === 'object' ? document.data_json : undefined;
+    }
+
+    /**
+     * Compare two attachment manifests by attachment ID
+     * @param {Array} anchored - Manifest of the anchored snapshot
+     * @param {Array} current - Current manifest
+     * @returns {Object} { added: [entry], removed: [entry], changed: [{ id, filename, anchored, current }] }
+     */
+    _diffAttachments(anchored, current) {
+        const diff = { added: [], removed: [], changed: [] };
+        const currentById = new Map(current.map(entry => [entry.id, entry]));
+        const anchoredIds = new Set(anchored.map(entry => entry.id));
+
+        for (const entry of anchored) {
+            const now = currentById.get(entry.id);
+            if (!now) {
+                diff.removed.push(entry);
+            } else if (MANIFEST_FIELDS.some(field => entry[field] !== now[field])) {
+                diff.changed.push({ id: entry.id, filename: entry.filename, anchored: entry, current: now });
+            }
+        }
+        diff.added = current.filter(entry => !anchoredIds.has(entry.id));
+
+        return diff;
+    }
+}
+
+module.exports = new VerificationService();
@@ -0,0 +1,170 @@
+/**
+ * Anchor Service tests
+ * Outbox entries against the in-memory mock ledger
+ */
+
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const pool = require('../config/db.config');
+const anchorConfig = require('../config/anchor.config');
+const recordService = require('../services/record.service');
+const blockchainService = require('../services/blockchain.service');
+const mockLedgerService = require('../services/mock-ledger.service');
+const anchorService = require('../services/anchor.service');
+
+const RECORD_ID = '2b9c2c9e-4a53-4a8e-9a43-0d3d4c2f6a10';
+
+blockchainService._simulateDelay = async () => {};
+
+beforeEach(() => {
+    mockLedgerService.clear();
+});
+
+const entry = (fields) => ({ id: 1, record_id: RECORD_ID, operation: 'store', attempts: 0, ...fields });
+
+test('store entry stores the hash', async () => {
+    const result = await anchorService._anchor(entry({ hash_value: '0xaaa' }));
+
+    assert.strictEqual(mockLedgerService.get(RECORD_ID).hash, '0xaaa');
+    assert.strictEqual(result.tx_id, mockLedgerService.get(RECORD_ID).tx_id);
+});
+
+test('update entry updates a record that is on-chain', async () => {
+    await blockchainService.storeRecordHash(RECORD_ID, '0xaaa');
+
+    const result = await anchorService._anchor(entry({ operation: 'update', hash_value: '0xbbb' }));
+
+    assert.strictEqual(result.previousHash, '0xaaa');
+    assert.strictEqual(mockLedgerService.get(RECORD_ID).hash, '0xbbb');
+    assert.strictEqual(mockLedgerService.getHistory(RECORD_ID).length, 2);
+});
+
+test('update entry stores a record that never reached the chain', async () => {
+    const result = await anchorService._anchor(entry({ operation: 'update', hash_value: '0xbbb' }));
+
+    assert.strictEqual(result.hash, '0xbbb');
+    assert.strictEqual(mockLedgerService.get(RECORD_ID).previousHash, undefined);
+});
+
+test('update entry reuses the transaction when the hash is already on-chain', async () => {
+    const stored = await blockchainService.storeRecordHash(RECORD_ID, '0xbbb');
+
+    const result = await anchorService._anchor(entry({ operation: 'update', hash_value: '0xbbb' }));
+
+    assert.strictEqual(result.tx_id, stored.tx_id);
+    assert.strictEqual(mockLedgerService.getChainInfo().height, 1);
+});
+
+test('processBatch releases the claimed entries when the batch cannot be created', async (t) => {
+    const queries = [];
+    t.mock.method(pool, 'query', async (text, params) => {
+        queries.push({ text, params });
+        if (/INSERT INTO .*anchor_batches/.test(text)) {
+            throw new Error('connection reset');
+        }
+        return { rows: [] };
+    });
+    const entries = [entry({ id: 1, hash_value: '0xaaa' }), entry({ id: 2, hash_value: '0xbbb' })];
+
+    const result = await anchorService.processBatch(entries);
+
+    assert.strictEqual(result.anchored, false);
+    assert.strictEqual(result.error.message, 'connection reset');
+    const released = queries.filter(query => /UPDATE .*anchor_outbox/.test(query.text));
+    assert.deepStrictEqual(released.map(query => [query.params[0], query.params[1]]), [[1, 'pending'], [2, 'pending']]);
+    assert.strictEqual(mockLedgerService.getChainInfo().height, 0);
+});
+
+test('with several ledgers a retry goes to every ledger instead of reusing the primary entry', async (t) => {
+    await blockchainService.storeRecordHash(RECORD_ID, '0xaaa');
+    t.mock.method(blockchainService, 'getLedgers', () => [blockchainService, blockchainService]);
+    const store = t.mock.method(blockchainService, 'storeRecordHash', async () => ({ tx_id: 'multi-tx', ledgers: [] }));
+
+    const result = await anchorService._anchor(entry({ hash_value: '0xaaa', attempts: 1 }));
+
+    assert.strictEqual(result.tx_id, 'multi-tx');
+    assert.strictEqual(store.mock.callCount(), 1);
+});
+
+test('a retried store reuses the transaction that reached the chain last time', async () => {
+    const stored = await blockchainService.storeRecordHash(RECORD_ID, '0xaaa');
+
+    const result = await anchorService._anchor(entry({ hash_value: '0xaaa', attempts: 1 }));
+
+    assert.strictEqual(result.tx_id, stored.tx_id);
+    assert.strictEqual(mockLedgerService.getChainInfo().height, 1);
+});
+
+/**
+ * Make storeRecordHash lose a race: another worker stores hash first, then this write is rejected
+ */
+const concurrentStore = (t, hash) => {
+    let stored;
+    t.mock.method(blockchainService, 'storeRecordHash', async (recordId) => {
+        stored = await blockchainService.constructor.prototype.storeRecordHash.call(blockchainService, recordId, hash);
+        throw new Error(`Record ${recordId} already exists on the blockchain`);
+    });
+    return () => stored;
+};
+
+test('a first attempt whose store lost a race with another worker reuses that transaction', async (t) => {
+    const stored = concurrentStore(t, '0xaaa');
+
+    const result = await anchorService._anchor(entry({ hash_value: '0xaaa' }));
+
+    assert.strictEqual(result.tx_id, stored().tx_id);
+});
+
+test('a failed store is not taken as done when another hash is on-chain', async (t) => {
+    concurrentStore(t, '0xbbb');
+
+    await assert.rejects(anchorService._anchor(entry({ hash_value: '0xaaa' })), /already exists/);
+});
+
+test('processEntry marks the record anchored with the transaction', async (t) => {
+    const markAnchored = t.mock.method(anchorService, '_markAnchored', async () => ({ id: RECORD_ID }));
+
+    const result = await anchorService.processEntry(entry({ hash_value: '0xaaa' }));
+
+    assert.strictEqual(result.anchored, true);
+    assert.strictEqual(markAnchored.mock.calls[0].arguments[1], mockLedgerService.get(RECORD_ID).tx_id);
+});
+
+/**
+ * Outbox updates made by _recordFailure for an entry with the given attempts so far
+ */
+const failEntry = async (t, attempts) => {
+    const queries = [];
+    t.mock.method(pool, 'query', async (text, params) => {
+        queries.push({ text, params });
+        return { rows: [] };
+    });
+    await anchorService.processEntry(entry({ operation: 'update', hash_value: '0xbbb', attempts }));
+    return queries.filter(query => /UPDATE .*anchor_outbox/.test(query.text));
+};
+
+test('a failed entry is retried with exponential backoff up to the maximum delay', async (t) => {
+    t.mock.method(blockchainService, 'getRecordHash', async () => { throw new Error('peer unreachable'); });
+
+    const [first] = await failEntry(t, 0);
+    const [second] = await failEntry(t, 1);
+    const [late] = await failEntry(t, anchorConfig.maxAttempts - 2);
+
+    assert.deepStrictEqual(first.params, [1, 'pending', 1, 'peer unreachable', anchorConfig.retryBaseDelayMs]);
+    assert.strictEqual(second.params[4], anchorConfig.retryBaseDelayMs * 2);
+    assert.strictEqual(late.params[4], Math.min(anchorConfig.retryBaseDelayMs * Math.pow(2, anchorConfig.maxAttempts - 2), anchorConfig.retryMaxDelayMs));
+});
+
+test('an entry that fails its last attempt is given up and the record marked failed', async (t) => {
+    t.mock.method(blockchainService, 'getRecordHash', async () => { throw new Error('peer unreachable'); });
+    const updateAnchorStatus = t.mock.method(recordService, 'updateAnchorStatus', async () => {});
+
+    const [update] = await failEntry(t, anchorConfig.maxAttempts - 1);
+
+    assert.strictEqual(update.params[1], 'failed');
+    assert.strictEqual(update.params[2], anchorConfig.maxAttempts);
+    assert.deepStrictEqual(updateAnchorStatus.mock.calls[0].arguments, [RECORD_ID, 'failed']);
+});
@@ -0,0 +1,146 @@
+/**
+ * Audit Service tests
+ * Records are checked against the in-memory mock ledger; run bookkeeping goes to a mocked pool.
+ */
+
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const pool = require('../config/db.config');
+const auditConfig = require('../config/audit.config');
+const attachmentService = require('../services/attachment.service');
+const blockchainService = require('../services/blockchain.service');
+const mockLedgerService = require('../services/mock-ledger.service');
+const recordService = require('../services/record.service');
+const auditService = require('../services/audit.service');
+const { computeHash } = require('../utils/hash');
+
+const RECORD_ID = '9d3e5a71-6c2b-4f08-8e14-2b7a0c5d3f19';
+
+blockchainService._simulateDelay = async () => {};
+
+beforeEach(() => {
+    mockLedgerService.clear();
+    mock.method(attachmentService, 'findByRecord', async () => []);
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const data = { name: 'Amit Kumar', course: 'Blockchain Basics' };
+
+const record = (fields) => ({
+    id: RECORD_ID,
+    data_json: data,
+    hash_value: computeHash(data),
+    anchor_status: 'anchored',
+    ...fields
+});
+
+test('a record matching its stored and on-chain hash is valid', async () => {
+    await blockchainService.storeRecordHash(RECORD_ID, computeHash(data));
+
+    const result = await auditService.checkRecord(record());
+
+    assert.strictEqual(result.status, 'valid');
+    assert.strictEqual(result.db_match, true);
+    assert.strictEqual(result.chain_match, true);
+});
+
+test('data changed after anchoring is a db mismatch', async () => {
+    await blockchainService.storeRecordHash(RECORD_ID, computeHash(data));
+
+    const result = await auditService.checkRecord(record({ data_json: { ...data, course: 'Forged' } }));
+
+    assert.strictEqual(result.status, 'db_mismatch');
+    assert.strictEqual(result.db_match, false);
+    assert.strictEqual(result.chain_match, false);
+});
+
+test('a stored hash that differs from the chain is a chain mismatch', async () => {
+    await blockchainService.storeRecordHash(RECORD_ID, '0xfff');
+
+    const result = await auditService.checkRecord(record());
+
+    assert.strictEqual(result.status, 'chain_mismatch');
+    assert.strictEqual(result.chain_hash, '0xfff');
+});
+
+test('a record whose anchoring is pending is not anchored', async () => {
+    const result = await auditService.checkRecord(record({ anchor_status: 'pending' }));
+
+    assert.strictEqual(result.status, 'not_anchored');
+    assert.strictEqual(result.detail, 'Anchoring status: pending');
+});
+
+test('a revoked record with intact data is reported as revoked', async () => {
+    await blockchainService.storeRecordHash(RECORD_ID, computeHash(data));
+    await blockchainService.revokeRecordHash(RECORD_ID, computeHash(data), { reason: 'Issued in error' });
+
+    const result = await auditService.checkRecord(record());
+
+    assert.strictEqual(result.status, 'revoked');
+});
+
+test('an erased record is checked by its tombstone hash', async () => {
+    await blockchainService.storeRecordHash(RECORD_ID, computeHash(data));
+    const erasedAt = '2026-03-01T10:00:00.000Z';
+
+    const intact = await auditService.checkRecord(record({ data_json: null, erased_at: erasedAt }));
+    const tampered = await auditService.checkRecord(record({ data_json: null, erased_at: erasedAt, hash_value: '0xfff' }));
+
+    assert.strictEqual(intact.status, 'erased');
+    assert.strictEqual(intact.detail, 'Erased by request on 2026-03-01');
+    assert.strictEqual(tampered.status, 'chain_mismatch');
+});
+
+test('a failing check is recorded as an error instead of stopping the audit', async () => {
+    mock.method(blockchainService, 'verifyRecordHash', async () => { throw new Error('peer unreachable'); });
+
+    const result = await auditService.checkRecord(record());
+
+    assert.strictEqual(result.status, 'error');
+    assert.strictEqual(result.detail, 'peer unreachable');
+});
+
+test('a run walks every page and keeps running totals', async (t) => {
+    await blockchainService.storeRecordHash(RECORD_ID, computeHash(data));
+    const { pageSize } = auditConfig;
+    auditConfig.pageSize = 2;
+    t.after(() => { auditConfig.pageSize = pageSize; });
+    const pages = [
+        [record(), record({ id: 'b0000000-0000-4000-8000-000000000002', anchor_status: 'pending' })],
+        [record({ id: 'b0000000-0000-4000-8000-000000000003', hash_value: null, anchor_status: 'pending' })],
+        []
+    ];
+    const findPageAfter = t.mock.method(recordService, 'findPageAfter', async () => pages.shift());
+    const queries = [];
+    t.mock.method(pool, 'query', async (text, params) => {
+        queries.push({ text, params });
+        return { rows: [] };
+    });
+
+    await auditService._run('run-1');
+
+    assert.deepStrictEqual(findPageAfter.mock.calls.map(call => call.arguments), [
+        [null, 2],
+        ['b0000000-0000-4000-8000-000000000002', 2],
+        ['b0000000-0000-4000-8000-000000000003', 2]
+    ]);
+    const inserts = queries.filter(query => /INSERT INTO .*integrity_audit_results/.test(query.text));
+    assert.deepStrictEqual(inserts.map(query => query.params.length), [18, 9]);
+    const totals = queries.filter(query => /SET total_records/.test(query.text)).pop();
+    assert.deepStrictEqual(totals.params, ['run-1', 3, 1, 0, 0, 2, 0, 0, 0]);
+    assert.match(queries[queries.length - 1].text, /SET status = 'completed'/);
+});
+
+test('a run is not started while another one holds the lock', async (t) => {
+    const client = { query: async () => ({ rows: [{ locked: false }] }), release: mock.fn() };
+    t.mock.method(pool, 'connect', async () => client);
+
+    assert.strictEqual(await auditService.start('manual'), null);
+    assert.strictEqual(client.release.mock.callCount(), 1);
+});
@@ -0,0 +1,93 @@
+/**
+ * Blockchain Service tests
+ * Mock mode runs RecordHashContract against the in-memory mock ledger.
+ */
+
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const blockchainService = require('../services/blockchain.service');
+const BlockchainService = blockchainService.constructor;
+const mockLedgerService = require('../services/mock-ledger.service');
+
+const RECORD_ID = '7f0c8f4e-2d1b-4f7a-9b0e-5a1c3d2e4f60';
+
+blockchainService._simulateDelay = async () => {};
+
+beforeEach(() => {
+    mockLedgerService.clear();
+});
+
+test('storing a record twice is rejected, as by the chaincode', async () => {
+    const stored = await blockchainService.storeRecordHash(RECORD_ID, '0xaaa');
+
+    await assert.rejects(blockchainService.storeRecordHash(RECORD_ID, '0xbbb'), /already exists/);
+    assert.strictEqual(mockLedgerService.getChainInfo().height, 1);
+
+    const entry = mockLedgerService.get(RECORD_ID);
+    assert.strictEqual(entry.tx_id, stored.tx_id);
+    assert.strictEqual(entry.hash, '0xaaa');
+    assert.strictEqual(entry.docType, undefined);
+    assert.ok(entry.createdBy);
+});
+
+test('updating a record that is not on the ledger is rejected', async () => {
+    await assert.rejects(blockchainService.updateRecordHash(RECORD_ID, '0xbbb'), /does not exist/);
+    assert.strictEqual(mockLedgerService.getChainInfo().height, 0);
+});
+
+test('a revoked record cannot be updated or revoked again', async () => {
+    await blockchainService.storeRecordHash(RECORD_ID, '0xaaa');
+    const revoked = await blockchainService.revokeRecordHash(RECORD_ID, '0xaaa', { reason: 'issued in error' });
+
+    await assert.rejects(blockchainService.updateRecordHash(RECORD_ID, '0xbbb'), /revoked/);
+
+    const again = await blockchainService.revokeRecordHash(RECORD_ID, '0xaaa');
+    assert.strictEqual(again.tx_id, revoked.tx_id);
+
+    const revocation = await blockchainService.getRevocation(RECORD_ID);
+    assert.strictEqual(revocation.reason, 'issued in error');
+    assert.strictEqual(revocation.transactionId, revoked.tx_id);
+});
+
+test('findByHash only matches the current hash of a record', async () => {
+    await blockchainService.storeRecordHash(RECORD_ID, '0xaaa');
+    const updated = await blockchainService.updateRecordHash(RECORD_ID, '0xbbb');
+
+    assert.deepStrictEqual(await blockchainService.findByHash('0xaaa'), []);
+    const matches = await blockchainService.findByHash('0xbbb');
+    assert.deepStrictEqual(matches.map(match => [match.recordId, match.tx_id]), [[RECORD_ID, updated.tx_id]]);
+
+    const history = await blockchainService.getRecordHistory(RECORD_ID);
+    assert.deepStrictEqual(history.map(entry => entry.hash), ['0xaaa', '0xbbb']);
+});
+
+test('concurrent stores of the same record commit only one', async () => {
+    const results = await Promise.allSettled([
+        blockchainService.storeRecordHash(RECORD_ID, '0xaaa'),
+        blockchainService.storeRecordHash(RECORD_ID, '0xbbb')
+    ]);
+
+    assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.strictEqual(mockLedgerService.getChainInfo().height, 1);
+});
+
+test('entries written before the contract backed mock mode are still readable by it', async () => {
+    await mockLedgerService.append([{ recordId: RECORD_ID, hash: '0xaaa', tx_id: 'mock_tx_1', timestamp: new Date().toISOString() }]);
+
+    const updated = await blockchainService.updateRecordHash(RECORD_ID, '0xbbb');
+
+    assert.strictEqual(updated.previousHash, '0xaaa');
+    assert.strictEqual(mockLedgerService.get(RECORD_ID).hash, '0xbbb');
+});
+
+test('polygon refuses to revoke instead of rejecting an unrelated change request', async (t) => {
+    const polygon = new BlockchainService('polygon');
+    t.mock.method(polygon, 'getRecordHash', async () => ({ hash: '0xaaa', status: 0 }));
+    const fetch = t.mock.method(global, 'fetch', async () => assert.fail('nothing may be sent'));
+
+    await assert.rejects(polygon.revokeRecordHash(RECORD_ID, '0xaaa'), /Revocation is not supported on polygon/);
+    assert.strictEqual(fetch.mock.callCount(), 0);
+});
@@ -0,0 +1,31 @@
+/**
+ * JSON diff tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffJSON } = require('../utils/diff');
+
+test('nested fields and array items are compared by path', () => {
+    const diff = diffJSON(
+        { name: 'Alice', results: { hemoglobin: 13.5 }, tags: ['a', 'b'] },
+        { name: 'Alice', results: { hemoglobin: 9.1, glucose: 5 }, tags: ['a'] }
+    );
+
+    assert.deepStrictEqual(diff, {
+        added: [{ path: 'results.glucose', value: 5 }],
+        removed: [{ path: 'tags[1]', value: 'b' }],
+        changed: [{ path: 'results.hemoglobin', oldValue: 13.5, newValue: 9.1 }]
+    });
+});
+
+test('fields named like Object.prototype members are reported as added or removed', () => {
+    const diff = diffJSON(
+        { toString: 'x', hasOwnProperty: true },
+        { constructor: 'y', valueOf: 1 }
+    );
+
+    assert.deepStrictEqual(diff.added, [{ path: 'constructor', value: 'y' }, { path: 'valueOf', value: 1 }]);
+    assert.deepStrictEqual(diff.removed, [{ path: 'hasOwnProperty', value: true }, { path: 'toString', value: 'x' }]);
+    assert.deepStrictEqual(diff.changed, []);
+});
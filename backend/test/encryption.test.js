@@ -0,0 +1,155 @@
+/**
+ * Data encryption tests
+ * Envelope encryption, encrypted idempotent responses and the rules that depend on encryption.
+ * Database access is replaced with mocks.
+ */
+
+const crypto = require('crypto');
+
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+process.env.DATA_MASTER_KEYS = `test-key:${crypto.randomBytes(32).toString('base64')}`;
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const pool = require('../config/db.config');
+const { generateDataKey, encrypt, decrypt } = require('../utils/envelope');
+const dataKeyService = require('../services/data-key.service');
+const idempotencyService = require('../services/idempotency.service');
+const recordService = require('../services/record.service');
+const { getAllRecords } = require('../controllers/record.controller');
+
+const RECORD_ID = '6f1c2a4e-0b7d-4c35-9a8e-2d4b6c8e0f12';
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('envelope: ciphertext only opens with the same key and associated data', () => {
+    const key = generateDataKey();
+    const ciphertext = encrypt(key, '{"a":1}', 'record:1');
+
+    assert.strictEqual(decrypt(key, ciphertext, 'record:1').toString('utf8'), '{"a":1}');
+    assert.throws(() => decrypt(key, ciphertext, 'record:2'));
+    assert.throws(() => decrypt(generateDataKey(), ciphertext, 'record:1'));
+    assert.notStrictEqual(encrypt(key, '{"a":1}', 'record:1'), ciphertext);
+});
+
+test('data keys are wrapped by the master key and bound to their record', () => {
+    const key = dataKeyService.createKey(RECORD_ID);
+
+    assert.strictEqual(key.master_key_id, 'test-key');
+    assert.deepStrictEqual(dataKeyService._unwrap({ ...key, record_id: RECORD_ID }), key.dataKey);
+    assert.throws(() => dataKeyService._unwrap({ ...key, record_id: 'another-record' }));
+});
+
+test('a stored idempotent response is encrypted with the record key and replayed in plain', async () => {
+    const dataKey = generateDataKey();
+    mock.method(dataKeyService, 'findKeys', async () => new Map([[RECORD_ID, dataKey]]));
+
+    let stored = null;
+    mock.method(pool, 'query', async (text, params) => {
+        if (/^\s*UPDATE/.test(text)) {
+            stored = params;
+            return { rows: [] };
+        }
+        if (/^\s*INSERT/.test(text)) {
+            return { rows: [] };
+        }
+        if (/^\s*SELECT/.test(text)) {
+            return {
+                rows: [{
+                    idempotency_key: 'key-1', status: 'completed', record_id: RECORD_ID,
+                    response_status: 201, response_body: stored[2], response_ciphertext: stored[3]
+                }]
+            };
+        }
+        return { rows: [] };
+    });
+
+    const body = { success: true, data: { record: { id: RECORD_ID, data_json: { name: 'Ana' } } } };
+    await idempotencyService.complete('key-1', 201, body);
+
+    const [, , responseBody, ciphertext, recordId] = stored;
+    assert.strictEqual(responseBody, null);
+    assert.strictEqual(recordId, RECORD_ID);
+    assert.ok(!ciphertext.includes('Ana'));
+
+    const { existing } = await idempotencyService.reserve('key-1', { method: 'POST', path: '/api/records', hash: '0x' });
+    assert.deepStrictEqual(existing.response_body, body);
+    assert.strictEqual(existing.response_ciphertext, undefined);
+});
+
+test('responses without a record are stored in plain', async () => {
+    const findKeys = mock.method(dataKeyService, 'findKeys', async () => new Map());
+    let stored = null;
+    mock.method(pool, 'query', async (text, params) => { stored = params; return { rows: [] }; });
+
+    await idempotencyService.complete('key-2', 400, { success: false, message: 'Missing required field' });
+
+    assert.strictEqual(stored[2], '{"success":false,"message":"Missing required field"}');
+    assert.strictEqual(stored[3], null);
+    assert.strictEqual(findKeys.mock.callCount(), 0);
+});
+
+test('data_json filters are rejected while encryption is enabled', async () => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status: (code) => { res.statusCode = code; return res; },
+        json: (body) => { res.body = body; return res; }
+    };
+
+    await getAllRecords({ query: { 'data_json.issuer': 'Tech Academy' } }, res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.body.message, /encryption/);
+});
+
+test('the backfill encrypts plain records, versions and stored responses', async () => {
+    const dataKey = generateDataKey();
+    mock.method(dataKeyService, 'findKeys', async () => new Map([[RECORD_ID, dataKey]]));
+
+    const updates = [];
+    const client = {
+        release: () => {},
+        query: async (text, params) => {
+            const sql = text.replace(/\s+/g, ' ').trim();
+            if (/^SELECT r\.id/.test(sql)) {
+                return { rows: [{ id: RECORD_ID, data_json: { name: 'Ana' } }] };
+            }
+            if (/^SELECT version/.test(sql)) {
+                return { rows: [{ version: 1, data_json: { name: 'Ana' }, canonical_data: '{"name":"Ana"}' }] };
+            }
+            if (/^SELECT idempotency_key/.test(sql)) {
+                return { rows: [{ idempotency_key: 'key-1', record_id: RECORD_ID, response_body: { data: { record: { id: RECORD_ID } } } }] };
+            }
+            if (/^UPDATE/.test(sql)) {
+                updates.push({ sql, params });
+            }
+            return { rows: [] };
+        }
+    };
+    mock.method(pool, 'connect', async () => client);
+
+    const totals = await recordService.encryptExistingData();
+
+    assert.deepStrictEqual(totals, { records: 1, versions: 1, responses: 1 });
+    const [record, version, response] = updates;
+    assert.match(record.sql, /SET data_json = NULL, data_ciphertext = \$2/);
+    assert.deepStrictEqual(JSON.parse(decrypt(dataKey, record.params[1], `record:${RECORD_ID}`)), { name: 'Ana' });
+    assert.strictEqual(decrypt(dataKey, version.params[3], `record:${RECORD_ID}`).toString('utf8'), '{"name":"Ana"}');
+    assert.strictEqual(response.params[1], null);
+    assert.ok(response.params[2]);
+});
+
+test('ciphertext left behind after its data key was shredded cannot be read', async () => {
+    const dataKey = generateDataKey();
+    const row = { id: RECORD_ID, data_json: null, data_ciphertext: dataKeyService.encryptText(dataKey, RECORD_ID, '{"name":"Ana"}') };
+
+    mock.method(dataKeyService, 'findKeys', async () => new Map([[RECORD_ID, dataKey]]));
+    assert.deepStrictEqual((await recordService._decryptRows([row]))[0].data_json, { name: 'Ana' });
+
+    mock.method(dataKeyService, 'findKeys', async () => new Map());
+    await assert.rejects(recordService._decryptRows([row]), /Data key of record .* is missing/);
+});
@@ -0,0 +1,136 @@
+/**
+ * Hash utility tests
+ * Canonicalization (RFC 8785 vectors and the legacy form) and multihash encoding
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+    CANONICALIZATION_LEGACY,
+    HASH_ALGORITHM_LEGACY,
+    HASH_ALGORITHM_NAMES,
+    canonicalizeJCS,
+    canonicalizeJSON,
+    computeHash,
+    createHasher,
+    hashCanonicalString
+} = require('../utils/hash');
+
+test('JCS: RFC 8785 section 3.2.2 example', () => {
+    const input = JSON.parse(
+        '{"numbers": [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001], ' +
+        '"string": "\\u20ac$\\u000F\\u000aA\'\\u0042\\u0022\\u005c\\\\\\"\\/", "literals": [null, true, false]}'
+    );
+
+    assert.strictEqual(
+        canonicalizeJCS(input),
+        '{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],' +
+        '"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}'
+    );
+});
+
+test('JCS: RFC 8785 section 3.2.3 property sorting by UTF-16 code units', () => {
+    const input = JSON.parse(
+        '{"\\u20ac": "Euro Sign", "\\r": "Carriage Return", "\\ufb33": "Hebrew Letter Dalet With Dagesh", ' +
+        '"1": "One", "\\ud83d\\ude00": "Emoji: Grinning Face", "\\u0080": "Control", ' +
+        '"\\u00f6": "Latin Small Letter O With Diaeresis"}'
+    );
+
+    assert.strictEqual(
+        canonicalizeJCS(input),
+        '{"\\r":"Carriage Return","1":"One","\u0080":"Control","\u00f6":"Latin Small Letter O With Diaeresis",' +
+        '"\u20ac":"Euro Sign","\ud83d\ude00":"Emoji: Grinning Face","\ufb33":"Hebrew Letter Dalet With Dagesh"}'
+    );
+});
+
+test('JCS: RFC 8785 appendix B number serialization', () => {
+    const vectors = [
+        [0, '0'],
+        [-0, '0'],
+        [5e-324, '5e-324'],
+        [1.7976931348623157e308, '1.7976931348623157e+308'],
+        [9007199254740992, '9007199254740992'],
+        [-9007199254740992, '-9007199254740992'],
+        [295147905179352830000, '295147905179352830000'],
+        [9.999999999999997e22, '9.999999999999997e+22'],
+        [1e23, '1e+23'],
+        [1e21, '1e+21'],
+        [1e-7, '1e-7'],
+        [0.000001, '0.000001'],
+        [333333333.3333332, '333333333.3333332']
+    ];
+
+    for (const [value, expected] of vectors) {
+        assert.strictEqual(canonicalizeJCS(value), expected, `${value}`);
+    }
+});
+
+test('JCS: values outside I-JSON are rejected', () => {
+    assert.throws(() => canonicalizeJCS({ a: NaN }), TypeError);
+    assert.throws(() => canonicalizeJCS([Infinity]), TypeError);
+    assert.throws(() => canonicalizeJCS({ a: '\ud800' }), TypeError);
+    assert.throws(() => canonicalizeJCS({ a: 1n }), TypeError);
+});
+
+test('JCS: undefined properties are omitted and undefined array items become null', () => {
+    assert.strictEqual(canonicalizeJCS({ b: undefined, a: [undefined, 1] }), '{"a":[null,1]}');
+});
+
+test('legacy canonicalization is unchanged', () => {
+    assert.strictEqual(
+        canonicalizeJSON({ b: 1, a: [1, { d: null, c: 'x' }], e: 'é' }, CANONICALIZATION_LEGACY),
+        '{"a":[1,{"c":"x","d":null}],"b":1,"e":"é"}'
+    );
+});
+
+test('multihash: each algorithm is prefixed with its code and digest length', () => {
+    const prefixes = {
+        'sha2-256': '0x1220',
+        'sha3-256': '0x1620',
+        'sha3-512': '0x1440',
+        'keccak-256': '0x1b20',
+        'blake2b-512': '0xc0e40240',
+        'blake2s-256': '0xe0e40220'
+    };
+
+    for (const [algorithm, prefix] of Object.entries(prefixes)) {
+        const hash = hashCanonicalString('{"a":1}', algorithm);
+        const digestLength = parseInt(prefix.slice(-2), 16);
+        assert.ok(hash.startsWith(prefix), `${algorithm}: ${hash}`);
+        assert.strictEqual((hash.length - prefix.length) / 2, digestLength, algorithm);
+    }
+});
+
+test('multihash: sha2-256 digest matches plain SHA-256', () => {
+    const digest = crypto.createHash('sha256').update('{"a":1}').digest('hex');
+    assert.strictEqual(hashCanonicalString('{"a":1}', 'sha2-256'), `0x1220${digest}`);
+});
+
+test('multihash: legacy sha256 stays a bare digest', () => {
+    const digest = crypto.createHash('sha256').update('{"a":1}').digest('hex');
+    assert.strictEqual(computeHash({ a: 1 }, CANONICALIZATION_LEGACY, HASH_ALGORITHM_LEGACY), `0x${digest}`);
+});
+
+test('multihash: keccak-256 matches the known empty-input digest', () => {
+    assert.strictEqual(
+        hashCanonicalString('', 'keccak-256'),
+        '0x1b20c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470'
+    );
+});
+
+test('createHasher: chunked input hashes the same as one-shot', () => {
+    const content = Buffer.from('chunked upload content '.repeat(100));
+
+    for (const algorithm of HASH_ALGORITHM_NAMES) {
+        const hasher = createHasher(algorithm);
+        for (let offset = 0; offset < content.length; offset += 97) {
+            hasher.update(content.subarray(offset, offset + 97));
+        }
+        assert.strictEqual(hasher.digest(), hashCanonicalString(content.toString('utf8'), algorithm), algorithm);
+    }
+});
+
+test('unknown hash algorithm is rejected', () => {
+    assert.throws(() => createHasher('md5'), /Unknown hash algorithm/);
+});
@@ -0,0 +1,132 @@
+/**
+ * Idempotency Middleware tests
+ * The idempotency service is replaced with mocks; no database is needed.
+ */
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const idempotencyService = require('../services/idempotency.service');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const { computeHash } = require('../utils/hash');
+
+const request = (key, body = { title: 'A' }) => ({
+    method: 'POST',
+    baseUrl: '/api/records',
+    path: '/',
+    body,
+    get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+const response = () => {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        sent: null,
+        set: (name, value) => { res.headers[name] = value; return res; },
+        get: (name) => res.headers[name],
+        status: (code) => { res.statusCode = code; return res; },
+        json: (body) => { res.sent = body; return res; }
+    };
+    return res;
+};
+
+// Lets pending promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('a key that vanished before the lookup gets a retryable error, not a conflict', async () => {
+    mock.method(idempotencyService, 'reserve', async () => ({ reserved: false, existing: null }));
+    const res = response();
+
+    await idempotent(request('key-1'), res, () => assert.fail('handler must not run'));
+
+    assert.strictEqual(res.statusCode, 503);
+    assert.strictEqual(res.headers['Retry-After'], '1');
+});
+
+test('the response is stored before it is sent', async () => {
+    const events = [];
+    mock.method(idempotencyService, 'reserve', async () => ({ reserved: true }));
+    mock.method(idempotencyService, 'complete', async (key, statusCode) => {
+        await flush();
+        events.push(`stored ${statusCode}`);
+    });
+    const res = response();
+    const originalJson = res.json;
+    res.json = (body) => { events.push('sent'); return originalJson(body); };
+
+    await idempotent(request('key-1'), res, () => res.status(201).json({ success: true }));
+    await flush();
+    await flush();
+
+    assert.deepStrictEqual(events, ['stored 201', 'sent']);
+});
+
+test('a response that cannot be stored marks the key failed and is still sent', async () => {
+    mock.method(idempotencyService, 'reserve', async () => ({ reserved: true }));
+    mock.method(idempotencyService, 'complete', async () => { throw new Error('db down'); });
+    const fail = mock.method(idempotencyService, 'fail', async () => {});
+    const res = response();
+
+    await idempotent(request('key-1'), res, () => res.status(201).json({ success: true }));
+    await flush();
+
+    assert.strictEqual(fail.mock.callCount(), 1);
+    assert.deepStrictEqual(res.sent, { success: true });
+});
+
+test('a repeat of a failed key is reported as such', async () => {
+    const hash = computeHash({ method: 'POST', path: '/api/records/', body: { title: 'A' } });
+    mock.method(idempotencyService, 'reserve', async () => ({
+        reserved: false,
+        existing: { request_hash: hash, status: 'failed' }
+    }));
+    const res = response();
+
+    await idempotent(request('key-1'), res, () => assert.fail('handler must not run'));
+
+    assert.strictEqual(res.statusCode, 500);
+});
+
+test('a body that cannot be canonicalized is rejected without reserving the key', async () => {
+    const reserve = mock.method(idempotencyService, 'reserve', async () => ({ reserved: true }));
+
+    for (const body of [{ value: Infinity }, { title: '\ud800' }]) {
+        const res = response();
+        await idempotent(request('key-1', body), res, () => assert.fail('handler must not run'));
+
+        assert.strictEqual(res.statusCode, 400);
+        assert.match(res.sent.message, /cannot be canonicalized/);
+    }
+    assert.strictEqual(reserve.mock.callCount(), 0);
+});
+
+test('the Location header is stored with the response and replayed', async () => {
+    mock.method(idempotencyService, 'reserve', async () => ({ reserved: true }));
+    const complete = mock.method(idempotencyService, 'complete', async () => {});
+    const res = response();
+
+    await idempotent(request('key-1'), res, () => {
+        res.set('Location', '/api/records/record-1/status');
+        res.status(202).json({ success: true });
+    });
+    await flush();
+
+    assert.deepStrictEqual(complete.mock.calls[0].arguments, ['key-1', 202, { success: true }, '/api/records/record-1/status']);
+
+    const hash = computeHash({ method: 'POST', path: '/api/records/', body: { title: 'A' } });
+    mock.method(idempotencyService, 'reserve', async () => ({
+        reserved: false,
+        existing: { request_hash: hash, status: 'completed', response_status: 202, response_body: { success: true }, response_location: '/api/records/record-1/status' }
+    }));
+    const replay = response();
+
+    await idempotent(request('key-1'), replay, () => assert.fail('handler must not run'));
+
+    assert.strictEqual(replay.statusCode, 202);
+    assert.strictEqual(replay.headers.Location, '/api/records/record-1/status');
+    assert.strictEqual(replay.headers['Idempotent-Replayed'], 'true');
+});
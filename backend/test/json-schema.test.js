@@ -0,0 +1,80 @@
+/**
+ * JSON Schema utility tests
+ * Schema checks, field-level validation errors and the pattern safety check
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { checkSchema, validate } = require('../utils/json-schema');
+
+const certificate = {
+    type: 'object',
+    required: ['holder', 'issue_date'],
+    additionalProperties: false,
+    properties: {
+        holder: { type: 'string', minLength: 1 },
+        issue_date: { type: 'string', format: 'date' },
+        grades: { type: 'array', items: { type: 'number', minimum: 0, maximum: 100 } },
+        code: { type: 'string', pattern: '^[A-Z]{3}-\\d{4}$' }
+    }
+};
+
+test('checkSchema accepts a well-formed schema', () => {
+    assert.deepStrictEqual(checkSchema(certificate), []);
+});
+
+test('checkSchema rejects unknown keywords and malformed values', () => {
+    assert.match(checkSchema({ type: 'object', colour: 'red' })[0].message, /unknown keyword: "colour"/);
+    assert.deepStrictEqual(checkSchema({ type: 'object', minProperties: -1 })[0].path, 'minProperties');
+    assert.strictEqual(checkSchema({ type: 'string', pattern: '(' }).length, 1);
+});
+
+test('checkSchema rejects patterns with nested quantifiers', () => {
+    const errors = checkSchema({ type: 'object', properties: { name: { type: 'string', pattern: '^(a+)+$' } } });
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /nested quantifiers/);
+
+    assert.strictEqual(checkSchema({ type: 'object', patternProperties: { '^(x+x+)+y$': {} } }).length, 1);
+});
+
+test('validate accepts matching data', () => {
+    assert.deepStrictEqual(validate(certificate, { holder: 'Ana', issue_date: '2025-02-28', code: 'ABC-1234' }), []);
+});
+
+test('validate reports field-level errors', () => {
+    const errors = validate(certificate, {
+        issue_date: '2025-02-30',
+        grades: [90, 101],
+        code: 'abc',
+        extra: true
+    });
+
+    assert.deepStrictEqual(errors.map(error => error.path).sort(), [
+        'code', 'extra', 'grades[1]', 'holder', 'issue_date'
+    ]);
+    assert.deepStrictEqual(errors.find(error => error.path === 'holder'), { path: 'holder', message: 'is required' });
+    assert.deepStrictEqual(errors.find(error => error.path === 'extra'), { path: 'extra', message: 'is not an allowed property' });
+});
+
+test('validate reports a root type mismatch at $', () => {
+    assert.deepStrictEqual(validate({ type: 'object' }, []), [{ path: '$', message: 'must be object' }]);
+});
+
+test('validate counts string length in code points and handles decimal multipleOf', () => {
+    assert.deepStrictEqual(validate({ type: 'string', maxLength: 2 }, '😀😀'), []);
+    assert.deepStrictEqual(validate({ type: 'number', multipleOf: 0.1 }, 0.3), []);
+});
+
+test('validate reuses the compiled schema for equal schemas', () => {
+    const first = JSON.parse(JSON.stringify(certificate));
+    const second = JSON.parse(JSON.stringify(certificate));
+
+    assert.deepStrictEqual(validate(first, { holder: 'A', issue_date: '2025-01-01' }), []);
+    assert.deepStrictEqual(validate(second, { holder: 'B', issue_date: '2025-01-02' }), []);
+});
+
+test('validate handles schemas with $id more than once', () => {
+    const schema = () => ({ $id: 'https://example.com/cert', type: 'object', required: ['a'] });
+    assert.strictEqual(validate(schema(), {}).length, 1);
+    assert.strictEqual(validate({ ...schema(), required: ['b'] }, { a: 1 }).length, 1);
+});
@@ -0,0 +1,69 @@
+/**
+ * Merkle tree tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { hashLeaf, buildMerkleTree, getProof, computeRoot, verifyProof } = require('../utils/merkle');
+
+const recordHash = (i) => `0x${crypto.createHash('sha256').update(`record-${i}`).digest('hex')}`;
+const sha256 = (...parts) => `0x${crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex')}`;
+const bytes = (hex) => Buffer.from(hex.slice(2), 'hex');
+
+test('a single leaf is its own root', () => {
+    const tree = buildMerkleTree([recordHash(0)]);
+
+    assert.strictEqual(tree.root, hashLeaf(recordHash(0)));
+    assert.deepStrictEqual(getProof(tree, 0), []);
+});
+
+test('leaves and inner nodes are hashed with different prefixes', () => {
+    const [a, b] = [recordHash(0), recordHash(1)];
+    const leafA = sha256(Buffer.from([0x00]), bytes(a));
+    const leafB = sha256(Buffer.from([0x00]), bytes(b));
+
+    assert.strictEqual(hashLeaf(a), leafA);
+    assert.strictEqual(buildMerkleTree([a, b]).root, sha256(Buffer.from([0x01]), bytes(leafA), bytes(leafB)));
+});
+
+test('every leaf proves into the root, for even and odd tree sizes', () => {
+    for (const size of [2, 3, 5, 8, 13]) {
+        const hashes = Array.from({ length: size }, (_, i) => recordHash(i));
+        const tree = buildMerkleTree(hashes);
+
+        hashes.forEach((hash, i) => {
+            const proof = getProof(tree, i);
+            assert.strictEqual(computeRoot(hash, proof), tree.root, `leaf ${i} of ${size}`);
+            assert.ok(verifyProof(hash, proof, tree.root));
+        });
+    }
+});
+
+test('an odd last node is promoted without a sibling', () => {
+    const tree = buildMerkleTree([recordHash(0), recordHash(1), recordHash(2)]);
+
+    assert.deepStrictEqual(getProof(tree, 2).map(step => step.position), ['left']);
+});
+
+test('a proof fails for another hash, another root or a tampered path', () => {
+    const hashes = Array.from({ length: 4 }, (_, i) => recordHash(i));
+    const tree = buildMerkleTree(hashes);
+    const proof = getProof(tree, 1);
+
+    assert.strictEqual(verifyProof(recordHash(9), proof, tree.root), false);
+    assert.strictEqual(verifyProof(hashes[1], proof, buildMerkleTree(hashes.slice(0, 3)).root), false);
+    assert.strictEqual(verifyProof(hashes[1], [{ ...proof[0], position: 'right' }, ...proof.slice(1)], tree.root), false);
+});
+
+test('an inner node cannot be passed off as a leaf', () => {
+    const hashes = Array.from({ length: 4 }, (_, i) => recordHash(i));
+    const tree = buildMerkleTree(hashes);
+    const innerNode = tree.levels[1][0];
+
+    assert.strictEqual(verifyProof(innerNode, [{ position: 'right', hash: tree.levels[1][1] }], tree.root), false);
+});
+
+test('an empty tree is rejected', () => {
+    assert.throws(() => buildMerkleTree([]), /without leaves/);
+});
@@ -0,0 +1,114 @@
+/**
+ * Migration tests
+ * db/migrations are applied to an in-process PostgreSQL (PGlite), so triggers run for real.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+process.env.DATA_MASTER_KEYS = `test-key:${crypto.randomBytes(32).toString('base64')}`;
+
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const pool = require('../config/db.config');
+const recordService = require('../services/record.service');
+
+const SCHEMA = process.env.DB_SCHEMA || 'fabric_test';
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+const RECORD_ID = '3f7b1c9e-5a2d-4e86-b0c4-9d1e7a3f5b28';
+
+let db;
+
+before(async () => {
+    const { PGlite } = await import('@electric-sql/pglite');
+    const { pg_trgm } = await import('@electric-sql/pglite/contrib/pg_trgm');
+    db = new PGlite({ extensions: { pg_trgm } });
+
+    await db.exec(`CREATE SCHEMA ${SCHEMA}; SET search_path TO ${SCHEMA}`);
+    for (const file of fs.readdirSync(MIGRATIONS_DIR).filter(name => name.endsWith('.sql')).sort()) {
+        await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+    }
+});
+
+after(async () => {
+    await db.close();
+});
+
+beforeEach(async () => {
+    await db.exec(`TRUNCATE ${SCHEMA}.records CASCADE`);
+    await db.query(
+        `INSERT INTO ${SCHEMA}.records (id, title, owner_name, data_json, hash_value) VALUES ($1, 'Report', 'Ana', $2, '0xaaa')`,
+        [RECORD_ID, { name: 'Ana' }]
+    );
+    await db.query(
+        `INSERT INTO ${SCHEMA}.record_versions (record_id, version, title, owner_name, data_json, canonical_data, hash_value, blockchain_tx_id)
+         VALUES ($1, 1, 'Report', 'Ana', $2, '{"name":"Ana"}', '0xaaa', 'tx-1')`,
+        [RECORD_ID, { name: 'Ana' }]
+    );
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const client = () => ({ query: (text, params) => db.query(text, params), release: () => {} });
+
+const updateVersion = (assignments, params = []) => db.query(
+    `UPDATE ${SCHEMA}.record_versions SET ${assignments} WHERE record_id = $1 AND version = 1`,
+    [RECORD_ID, ...params]
+);
+
+const storedVersion = async () => (await db.query(`SELECT * FROM ${SCHEMA}.record_versions WHERE record_id = $1`, [RECORD_ID])).rows[0];
+
+test('the encryption backfill moves version snapshots into ciphertext', async () => {
+    mock.method(pool, 'connect', async () => client());
+
+    const totals = await recordService.encryptExistingData();
+
+    assert.deepStrictEqual(totals, { records: 1, versions: 1, responses: 0 });
+    const version = await storedVersion();
+    assert.strictEqual(version.data_json, null);
+    assert.strictEqual(version.canonical_data, null);
+    assert.strictEqual(version.hash_value, '0xaaa');
+    assert.strictEqual(version.blockchain_tx_id, 'tx-1');
+
+    const [decrypted] = await recordService._decryptRows([version], client(), row => row.record_id);
+    assert.deepStrictEqual(decrypted.data_json, { name: 'Ana' });
+    assert.strictEqual(decrypted.canonical_data, '{"name":"Ana"}');
+});
+
+test('versions otherwise stay immutable', async () => {
+    const rejected = [
+        ['data_json = $2', [{ name: 'Eve' }]],
+        ['data_json = NULL'],
+        ['data_json = NULL, data_ciphertext = $2, hash_value = $3', ['ciphertext', '0xbbb']],
+        ['data_json = NULL, data_ciphertext = $2, blockchain_tx_id = NULL', ['ciphertext']],
+        ['data_json = NULL, data_ciphertext = $2, canonical_data = NULL', ['ciphertext']],
+        ['data_json = NULL, data_ciphertext = $2, title = NULL', ['ciphertext']]
+    ];
+
+    for (const [assignments, params] of rejected) {
+        await assert.rejects(updateVersion(assignments, params), /record_versions rows are immutable/, assignments);
+    }
+});
+
+test('encrypted snapshots cannot be replaced or decrypted back in place', async () => {
+    await updateVersion('data_json = NULL, data_ciphertext = $2', ['ciphertext']);
+
+    await assert.rejects(updateVersion('data_ciphertext = $2', ['other']), /immutable/);
+    await assert.rejects(updateVersion('data_json = $2, data_ciphertext = NULL', [{ name: 'Ana' }]), /immutable/);
+});
+
+test('erasure still clears a version', async () => {
+    await updateVersion(
+        `title = NULL, owner_name = NULL, data_json = NULL, data_ciphertext = NULL,
+         canonical_data = NULL, canonical_ciphertext = NULL, attachments = NULL, erased_at = NOW()`
+    );
+
+    const version = await storedVersion();
+    assert.ok(version.erased_at);
+    assert.strictEqual(version.hash_value, '0xaaa');
+});
@@ -0,0 +1,90 @@
+/**
+ * Mock Fault Service tests
+ * Faults are injected into the in-memory mock ledger; every test starts from the 'none' profile.
+ */
+
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const blockchainService = require('../services/blockchain.service');
+const mockLedgerService = require('../services/mock-ledger.service');
+const mockFaultService = require('../services/mock-fault.service');
+
+const RECORD_ID = 'c5d1a0f2-8e47-4b3c-a1d9-3f6e2b7c9d04';
+
+blockchainService._simulateDelay = async () => {};
+
+beforeEach(() => {
+    mockLedgerService.clear();
+});
+
+afterEach(() => {
+    mockFaultService.configure({ profile: 'none' });
+});
+
+test('a profile sets every setting and is reported while they match it', () => {
+    const settings = mockFaultService.configure({ profile: 'flaky' });
+
+    assert.strictEqual(settings.profile, 'flaky');
+    assert.strictEqual(settings.failureRate, 0.2);
+    assert.strictEqual(settings.dropRate, 0);
+});
+
+test('overriding a setting reports the profile as custom', () => {
+    mockFaultService.configure({ profile: 'flaky' });
+
+    assert.strictEqual(mockFaultService.configure({ failureRate: 0.2 }).profile, 'flaky');
+
+    const settings = mockFaultService.configure({ failureRate: 0.5 });
+    assert.strictEqual(settings.profile, 'custom');
+    assert.strictEqual(settings.failureRate, 0.5);
+    assert.strictEqual(settings.timeoutRate, 0.05);
+
+    assert.strictEqual(mockFaultService.configure({ profile: 'flaky' }).profile, 'flaky');
+});
+
+test('validate rejects unknown profiles and out of range settings', () => {
+    assert.match(mockFaultService.validate({ profile: 'stormy' }), /unknown profile "stormy"/);
+    assert.match(mockFaultService.validate({ failureRate: 2 }), /between 0 and 1/);
+    assert.match(mockFaultService.validate({ timeoutMs: -1 }), /non-negative integer/);
+    assert.match(mockFaultService.validate({ reorgDepth: 0 }), /positive integer/);
+    assert.match(mockFaultService.validate({ latency: 5 }), /unknown setting "latency"/);
+    assert.strictEqual(mockFaultService.validate({ profile: 'lossy', dropRate: 0.5 }), null);
+});
+
+test('an injected failure rejects the write before it reaches the ledger', async () => {
+    mockFaultService.configure({ profile: 'outage' });
+
+    await assert.rejects(blockchainService.storeRecordHash(RECORD_ID, '0xaaa'), /Injected fault: StoreRecordHash was rejected/);
+    assert.strictEqual(mockLedgerService.getChainInfo().height, 0);
+});
+
+test('an injected timeout fails the call after timeoutMs', async () => {
+    mockFaultService.configure({ timeoutRate: 1, timeoutMs: 0 });
+
+    await assert.rejects(blockchainService.getRecordHash(RECORD_ID), /GetRecordHash timed out after 0ms/);
+});
+
+test('a dropped write returns a tx id but no block', async () => {
+    mockFaultService.configure({ dropRate: 1 });
+
+    const result = await blockchainService.storeRecordHash(RECORD_ID, '0xaaa');
+
+    assert.ok(result.tx_id);
+    assert.strictEqual(result.blockNumber, null);
+    assert.strictEqual(mockLedgerService.get(RECORD_ID), null);
+});
+
+test('a write whose block the injected reorg removes returns no block', async () => {
+    await blockchainService.storeRecordHash('a0b1c2d3-0000-4000-8000-000000000001', '0x111');
+    mockFaultService.configure({ reorgRate: 1, reorgDepth: 1 });
+
+    const result = await blockchainService.storeRecordHash(RECORD_ID, '0xaaa');
+
+    assert.ok(result.tx_id);
+    assert.strictEqual(result.blockNumber, null);
+    assert.strictEqual(mockLedgerService.getChainInfo().height, 1);
+    assert.strictEqual((await blockchainService.verifyRecordHash(RECORD_ID, '0xaaa')).reason, 'Record not found on blockchain');
+});
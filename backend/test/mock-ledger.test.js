@@ -0,0 +1,118 @@
+/**
+ * Mock Ledger Service tests
+ * Each test persists to its own block file in a temporary directory.
+ */
+
+process.env.MOCK_LEDGER_PERSIST = 'false';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mockLedgerConfig = require('../config/mock-ledger.config');
+const logger = require('../utils/logger');
+const MockLedgerService = require('../services/mock-ledger.service').constructor;
+
+let directory;
+
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-ledger-'));
+    mockLedgerConfig.persist = true;
+    mockLedgerConfig.file = path.join(directory, 'blocks.jsonl');
+});
+
+afterEach(() => {
+    mockLedgerConfig.persist = false;
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const entry = (recordId, hash) => ({ recordId, hash, tx_id: `tx-${recordId}-${hash}`, timestamp: new Date().toISOString() });
+
+/**
+ * Ledger file with the given blocks written by a first ledger instance
+ */
+const writeBlocks = async (...entries) => {
+    const ledger = new MockLedgerService();
+    for (const written of entries) {
+        await ledger.append([written]);
+    }
+    return ledger;
+};
+
+test('blocks are replayed and verified by a new instance', async () => {
+    const written = await writeBlocks(entry('r1', '0xaaa'), entry('r1', '0xbbb'), entry('r2', '0xccc'));
+
+    const reloaded = new MockLedgerService();
+
+    assert.deepStrictEqual(reloaded.getChainInfo(), written.getChainInfo());
+    assert.strictEqual(reloaded.get('r1').hash, '0xbbb');
+    assert.strictEqual(reloaded.getHistory('r1').length, 2);
+});
+
+test('appends are written one at a time in order', async () => {
+    const ledger = new MockLedgerService();
+
+    const blocks = await Promise.all([ledger.append([entry('r1', '0xaaa')]), ledger.append([entry('r2', '0xbbb')])]);
+
+    assert.deepStrictEqual(blocks.map(block => block.height), [1, 2]);
+    assert.strictEqual(new MockLedgerService().getChainInfo().height, 2);
+});
+
+test('a torn last line is cut off with a warning', async (t) => {
+    await writeBlocks(entry('r1', '0xaaa'), entry('r2', '0xbbb'));
+    const intact = fs.readFileSync(mockLedgerConfig.file, 'utf8');
+    fs.appendFileSync(mockLedgerConfig.file, '{"height":3,"previousHash":"0x');
+    const warn = t.mock.method(logger, 'warn', () => {});
+
+    const ledger = new MockLedgerService();
+
+    assert.strictEqual(ledger.getChainInfo().height, 2);
+    assert.match(warn.mock.calls[0].arguments[0], /unfinished block at line 3/);
+    assert.strictEqual(fs.readFileSync(mockLedgerConfig.file, 'utf8'), intact);
+
+    await ledger.append([entry('r3', '0xccc')]);
+    assert.strictEqual(new MockLedgerService().getChainInfo().height, 3);
+});
+
+test('a complete last block without its newline is kept', async () => {
+    await writeBlocks(entry('r1', '0xaaa'), entry('r2', '0xbbb'));
+    const content = fs.readFileSync(mockLedgerConfig.file, 'utf8');
+    fs.writeFileSync(mockLedgerConfig.file, content.slice(0, -1));
+
+    const ledger = new MockLedgerService();
+    await ledger.append([entry('r3', '0xccc')]);
+
+    assert.strictEqual(new MockLedgerService().getChainInfo().height, 3);
+});
+
+test('a broken hash link in a complete block stops the load', async () => {
+    await writeBlocks(entry('r1', '0xaaa'), entry('r2', '0xbbb'));
+    const lines = fs.readFileSync(mockLedgerConfig.file, 'utf8').split('\n');
+    const first = JSON.parse(lines[0]);
+    first.entries[0].hash = '0xfff';
+    lines[0] = JSON.stringify(first);
+    fs.writeFileSync(mockLedgerConfig.file, lines.join('\n'));
+
+    assert.throws(() => new MockLedgerService().load(), /at line 1: merkleRoot does not match/);
+});
+
+test('an unreadable block before the last one stops the load', async () => {
+    await writeBlocks(entry('r1', '0xaaa'), entry('r2', '0xbbb'));
+    const lines = fs.readFileSync(mockLedgerConfig.file, 'utf8').split('\n');
+    lines[0] = lines[0].slice(0, 20);
+    fs.writeFileSync(mockLedgerConfig.file, lines.join('\n'));
+
+    assert.throws(() => new MockLedgerService().load(), /at line 1: block is not valid JSON/);
+});
+
+test('rollback removes the latest blocks from memory and from the file', async () => {
+    const ledger = await writeBlocks(entry('r1', '0xaaa'), entry('r1', '0xbbb'), entry('r2', '0xccc'));
+
+    const removed = await ledger.rollback(2);
+
+    assert.deepStrictEqual(removed.map(block => block.height), [2, 3]);
+    assert.strictEqual(ledger.get('r1').hash, '0xaaa');
+    assert.strictEqual(ledger.get('r2'), null);
+    assert.strictEqual(new MockLedgerService().getChainInfo().height, 1);
+});
@@ -0,0 +1,208 @@
+/**
+ * Multi-Ledger Service tests
+ * Runs against in-memory fake ledgers; ledger_anchors queries go to a mocked pool.
+ */
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const pool = require('../config/db.config');
+const MultiLedgerService = require('../services/multi-ledger.service');
+
+const RECORD_ID = '0e6a4f3c-9b2d-4c8e-8f1a-7d5b3c2a1e90';
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+/**
+ * Ledger holding entries in memory; fail makes every write reject,
+ * reportsTxId false makes lookups return tx_id null like Polygon's
+ */
+const fakeLedger = (mode, { fail = false, reportsTxId = true } = {}) => {
+    const entries = new Map();
+    let transactions = 0;
+
+    const write = (recordId, fields) => {
+        if (fail) {
+            throw new Error(`${mode} is unreachable`);
+        }
+        const entry = { recordId, tx_id: `${mode}-tx-${++transactions}`, timestamp: new Date().toISOString(), ...fields };
+        entries.set(recordId, entry);
+        return { success: true, ...entry };
+    };
+
+    return {
+        entries,
+        writes: () => transactions,
+        getMode: () => mode,
+        getRecordHash: async (recordId) => {
+            const entry = entries.get(recordId);
+            return entry ? { ...entry, tx_id: reportsTxId ? entry.tx_id : null } : null;
+        },
+        storeRecordHash: async (recordId, hash) => write(recordId, { hash }),
+        updateRecordHash: async (recordId, hash) => write(recordId, { hash }),
+        revokeRecordHash: async (recordId, hash) => write(recordId, { hash, status: 'revoked' }),
+        verifyRecordHash: async (recordId, hash) => {
+            if (fail) {
+                throw new Error(`${mode} is unreachable`);
+            }
+            const entry = entries.get(recordId);
+            const hashMatches = !!entry && entry.hash === hash;
+            return {
+                valid: hashMatches,
+                hashMatches,
+                onChainHash: entry ? entry.hash : null,
+                ...(entry && entry.status === 'revoked' && { revoked: true, revocation: { reason: 'withdrawn' } })
+            };
+        },
+        revokedVerification: (revocation, hashMatches) => ({ valid: false, revoked: true, hashMatches, revocation })
+    };
+};
+
+/**
+ * Pool that records queries and answers ledger_anchors lookups with the given tx ID
+ */
+const mockPool = (recordedTxId = null) => {
+    const queries = [];
+    mock.method(pool, 'query', async (text, params) => {
+        queries.push({ text: text.replace(/\s+/g, ' ').trim(), params });
+        return { rows: /^\s*SELECT/.test(text) && recordedTxId ? [{ tx_id: recordedTxId }] : [] };
+    });
+    return queries;
+};
+
+test('the quorum rule is parsed against the number of ledgers', () => {
+    const ledgers = () => [fakeLedger('fabric'), fakeLedger('polygon'), fakeLedger('mock')];
+
+    assert.strictEqual(new MultiLedgerService(ledgers(), 'all').getQuorum().required, 3);
+    assert.strictEqual(new MultiLedgerService(ledgers(), 'any').getQuorum().required, 1);
+    assert.strictEqual(new MultiLedgerService(ledgers(), '2').getQuorum().required, 2);
+    assert.throws(() => new MultiLedgerService(ledgers(), '4'), /number from 1 to 3/);
+    assert.throws(() => new MultiLedgerService([fakeLedger('mock'), fakeLedger('mock')], 'all'), /lists mock more than once/);
+});
+
+test('a write returns every ledger transaction and leaves recording them to the caller', async () => {
+    const queries = mockPool();
+    const fabric = fakeLedger('fabric');
+    const polygon = fakeLedger('polygon');
+    const service = new MultiLedgerService([fabric, polygon], 'all');
+
+    const result = await service.storeRecordHash(RECORD_ID, '0xaaa');
+
+    assert.strictEqual(result.tx_id, 'fabric-tx-1');
+    assert.deepStrictEqual(result.ledgers.map(anchor => [anchor.ledger, anchor.operation, anchor.tx_id]), [
+        ['fabric', 'store', 'fabric-tx-1'],
+        ['polygon', 'store', 'polygon-tx-1']
+    ]);
+    assert.strictEqual(queries.length, 0);
+});
+
+test('a partial failure keeps the transactions of the ledgers that took the write', async () => {
+    const queries = mockPool();
+    const service = new MultiLedgerService([fakeLedger('fabric', { fail: true }), fakeLedger('polygon')], 'all');
+
+    await assert.rejects(service.storeRecordHash(RECORD_ID, '0xaaa'), /Anchoring failed on fabric: fabric is unreachable/);
+
+    assert.strictEqual(queries.length, 1);
+    assert.match(queries[0].text, /^INSERT INTO \S+\.ledger_anchors/);
+    assert.deepStrictEqual(queries[0].params, [RECORD_ID, '0xaaa', 'polygon', 'store', 'polygon-tx-1']);
+});
+
+test('a retry skips a ledger that cannot report its tx and reuses the recorded one', async () => {
+    const fabric = fakeLedger('fabric', { fail: true });
+    const polygon = fakeLedger('polygon', { reportsTxId: false });
+    const service = new MultiLedgerService([fabric, polygon], 'all');
+    mockPool();
+    await assert.rejects(service.storeRecordHash(RECORD_ID, '0xaaa'));
+    mock.restoreAll();
+
+    const lookups = mockPool('polygon-tx-1');
+    const retried = new MultiLedgerService([fakeLedger('fabric'), polygon], 'all');
+    const result = await retried.storeRecordHash(RECORD_ID, '0xaaa');
+
+    assert.strictEqual(polygon.writes(), 1);
+    assert.deepStrictEqual(result.ledgers.map(anchor => [anchor.ledger, anchor.tx_id]), [
+        ['fabric', 'fabric-tx-1'],
+        ['polygon', 'polygon-tx-1']
+    ]);
+    assert.match(lookups[0].text, /^SELECT tx_id FROM \S+\.ledger_anchors/);
+    assert.deepStrictEqual(lookups[0].params, [RECORD_ID, 'polygon', '0xaaa']);
+});
+
+test('a retry with no recorded tx for a ledger does not insert a null tx id', async () => {
+    const polygon = fakeLedger('polygon', { reportsTxId: false });
+    await polygon.storeRecordHash(RECORD_ID, '0xaaa');
+    const queries = mockPool();
+    const service = new MultiLedgerService([fakeLedger('fabric', { fail: true }), polygon], 'all');
+
+    await assert.rejects(service.storeRecordHash(RECORD_ID, '0xaaa'), /fabric is unreachable/);
+
+    assert.ok(!queries.some(query => /^INSERT/.test(query.text)));
+});
+
+test('an update stores the hash on a ledger that never got the record', async () => {
+    mockPool();
+    const fabric = fakeLedger('fabric');
+    const polygon = fakeLedger('polygon');
+    await fabric.storeRecordHash(RECORD_ID, '0xaaa');
+    const service = new MultiLedgerService([fabric, polygon], 'all');
+
+    const result = await service.updateRecordHash(RECORD_ID, '0xbbb');
+
+    assert.strictEqual(polygon.entries.get(RECORD_ID).hash, '0xbbb');
+    assert.deepStrictEqual(result.ledgers.map(anchor => anchor.operation), ['update', 'update']);
+});
+
+test('a write rejected because another worker stored the same hash meanwhile counts as done', async () => {
+    mockPool();
+    const fabric = fakeLedger('fabric');
+    const polygon = fakeLedger('polygon');
+    polygon.storeRecordHash = async (recordId, hash) => {
+        polygon.entries.set(recordId, { recordId, hash, tx_id: 'polygon-tx-other' });
+        throw new Error(`Record ${recordId} already exists`);
+    };
+    const service = new MultiLedgerService([fabric, polygon], 'all');
+
+    const result = await service.storeRecordHash(RECORD_ID, '0xaaa');
+
+    assert.deepStrictEqual(result.ledgers.map(anchor => [anchor.ledger, anchor.tx_id]), [
+        ['fabric', 'fabric-tx-1'],
+        ['polygon', 'polygon-tx-other']
+    ]);
+});
+
+test('verification passes when the hash matches on as many ledgers as the quorum requires', async () => {
+    const ledgers = [fakeLedger('fabric'), fakeLedger('polygon'), fakeLedger('mock')];
+    await ledgers[0].storeRecordHash(RECORD_ID, '0xaaa');
+    await ledgers[1].storeRecordHash(RECORD_ID, '0xaaa');
+    await ledgers[2].storeRecordHash(RECORD_ID, '0xfff');
+
+    const twoOfThree = await new MultiLedgerService(ledgers, '2').verifyRecordHash(RECORD_ID, '0xaaa');
+    assert.strictEqual(twoOfThree.valid, true);
+    assert.deepStrictEqual(twoOfThree.quorum, { rule: '2', required: 2, total: 3, matched: 2 });
+
+    const all = await new MultiLedgerService(ledgers, 'all').verifyRecordHash(RECORD_ID, '0xaaa');
+    assert.strictEqual(all.valid, false);
+    assert.match(all.reason, /Quorum not met - hash matches on 2 of 3 ledgers, 3 required/);
+});
+
+test('verification is undecided when unavailable ledgers could meet the quorum', async () => {
+    const fabric = fakeLedger('fabric');
+    await fabric.storeRecordHash(RECORD_ID, '0xaaa');
+    const service = new MultiLedgerService([fabric, fakeLedger('polygon', { fail: true })], 'all');
+
+    await assert.rejects(service.verifyRecordHash(RECORD_ID, '0xaaa'), /Quorum undecided: polygon \(polygon is unreachable\) unavailable/);
+});
+
+test('a record revoked on any ledger verifies as revoked', async () => {
+    const fabric = fakeLedger('fabric');
+    const polygon = fakeLedger('polygon');
+    await fabric.storeRecordHash(RECORD_ID, '0xaaa');
+    await polygon.revokeRecordHash(RECORD_ID, '0xaaa');
+
+    const result = await new MultiLedgerService([fabric, polygon], 'any').verifyRecordHash(RECORD_ID, '0xaaa');
+
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.revoked, true);
+    assert.strictEqual(result.hashMatches, true);
+});
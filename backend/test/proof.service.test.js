@@ -0,0 +1,84 @@
+/**
+ * Proof Service tests
+ * Ed25519 signing and verification of proof bundles
+ */
+
+const crypto = require('crypto');
+
+const signingKey = crypto.generateKeyPairSync('ed25519').privateKey;
+process.env.PROOF_SIGNING_KEY = signingKey.export({ type: 'pkcs8', format: 'pem' });
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const proofService = require('../services/proof.service');
+const { CANONICALIZATION_LEGACY, CANONICALIZATION_JCS } = require('../utils/hash');
+const { getKeyId, signPayload } = require('../utils/signature');
+
+const unsignedBundle = () => ({
+    bundleVersion: 2,
+    issuer: 'fabric-backend',
+    issuedAt: '2025-03-14T10:00:00.000Z',
+    recordId: '2b9c2c9e-4a53-4a8e-9a43-0d3d4c2f6a10',
+    data: { canonical: '{"name":"Alice"}' },
+    hash: { algorithm: 'sha256', canonicalization: 'jcs', value: '0xaaa' },
+    anchor: { mode: 'mock', anchoredValue: '0xaaa', merkle: null }
+});
+
+/**
+ * A bundle re-signed by someone else, with their key embedded
+ */
+const forge = (bundle) => {
+    const { signature, ...payload } = bundle;
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+        ...payload,
+        signature: {
+            ...signature,
+            keyId: getKeyId(publicKey),
+            publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+            value: signPayload(privateKey, payload, CANONICALIZATION_JCS)
+        }
+    };
+};
+
+test('a signed bundle verifies against the backend key', () => {
+    const bundle = proofService.sign(unsignedBundle());
+
+    assert.strictEqual(bundle.signature.algorithm, 'Ed25519');
+    assert.strictEqual(bundle.signature.canonicalization, CANONICALIZATION_JCS);
+    assert.strictEqual(bundle.signature.keyId, getKeyId(crypto.createPublicKey(signingKey)));
+    assert.strictEqual(proofService.verifySignature(bundle), true);
+});
+
+test('a changed bundle no longer verifies', () => {
+    const bundle = proofService.sign(unsignedBundle());
+
+    assert.strictEqual(proofService.verifySignature({ ...bundle, hash: { ...bundle.hash, value: '0xbbb' } }), false);
+    assert.strictEqual(proofService.verifySignature({ ...bundle, signature: { ...bundle.signature, value: undefined } }), false);
+});
+
+test('a bundle re-signed with an embedded key is rejected', () => {
+    const forged = forge(proofService.sign({ ...unsignedBundle(), hash: { ...unsignedBundle().hash, value: '0xbbb' } }));
+
+    assert.strictEqual(proofService.verifySignature(forged), false);
+    assert.strictEqual(proofService.verifySignature(forged, forged.signature.publicKey), true);
+});
+
+test('the signed form follows bundleVersion, not the unsigned canonicalization field', () => {
+    const bundle = proofService.sign(unsignedBundle());
+
+    const relabelled = { ...bundle, signature: { ...bundle.signature, canonicalization: CANONICALIZATION_LEGACY } };
+    assert.strictEqual(proofService.verifySignature(relabelled), true);
+
+    assert.strictEqual(proofService.verifySignature({ ...bundle, bundleVersion: 1 }), false);
+    assert.strictEqual(proofService.verifySignature({ ...bundle, bundleVersion: 99 }), false);
+});
+
+test('version 1 bundles verify over the legacy canonical form', () => {
+    const bundle = proofService.sign({ ...unsignedBundle(), bundleVersion: 1 });
+
+    assert.strictEqual(bundle.signature.canonicalization, CANONICALIZATION_LEGACY);
+    assert.strictEqual(proofService.verifySignature(bundle), true);
+});
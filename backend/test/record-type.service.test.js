@@ -0,0 +1,29 @@
+/**
+ * Record Type Service tests
+ * Queries are checked against a mocked pool; no database is needed.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const pool = require('../config/db.config');
+const recordTypeService = require('../services/record-type.service');
+
+test('update clears the description when it is null and keeps it when omitted', async (t) => {
+    const calls = [];
+    t.mock.method(pool, 'query', async (text, params) => {
+        calls.push(params);
+        return { rows: [{ name: params[0] }] };
+    });
+
+    await recordTypeService.update('certificate', { description: null });
+    await recordTypeService.update('certificate', { schema: { type: 'object' } });
+
+    assert.deepStrictEqual(calls[0], ['certificate', null, null, true]);
+    assert.deepStrictEqual(calls[1], ['certificate', null, '{"type":"object"}', false]);
+});
+
+test('checkDefinition reports root schema errors under "schema"', () => {
+    const errors = recordTypeService.checkDefinition('certificate', { type: 'object', colour: 'red' });
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].field, 'schema');
+});
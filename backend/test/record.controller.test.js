@@ -0,0 +1,475 @@
+/**
+ * Record Controller tests
+ * The record service is replaced with mocks; no database is needed.
+ */
+
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const recordService = require('../services/record.service');
+const mockLedgerService = require('../services/mock-ledger.service');
+const blockchainService = require('../services/blockchain.service');
+const anchorService = require('../services/anchor.service');
+const attachmentService = require('../services/attachment.service');
+const recordTypeService = require('../services/record-type.service');
+const { AppError } = require('../utils/error.handler');
+const { computeHash } = require('../utils/hash');
+const { createRecordsBatch, eraseRecord, getAllRecords, getRecordHistory, revokeRecord, updateRecord, verifyRecord } = require('../controllers/record.controller');
+
+const response = () => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status: (code) => { res.statusCode = code; return res; },
+        json: (body) => { res.body = body; return res; }
+    };
+    return res;
+};
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('listing defaults to offset pagination with a total', async () => {
+    mock.method(recordService, 'findAll', async () => [{ id: 'a' }, { id: 'b' }]);
+    mock.method(recordService, 'count', async () => 5);
+    const findPage = mock.method(recordService, 'findPage', async () => assert.fail('cursor mode must be opt-in'));
+    const res = response();
+
+    await getAllRecords({ query: { limit: '2' } }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.data.pagination, { total: 5, limit: 2, offset: 0, hasMore: true });
+    assert.strictEqual(findPage.mock.callCount(), 0);
+});
+
+test('cursor pagination is used with pagination=cursor or a cursor', async () => {
+    const findPage = mock.method(recordService, 'findPage', async () => ({ records: [], nextCursor: null }));
+    mock.method(recordService, 'decodeCursor', () => ({}));
+
+    const first = response();
+    await getAllRecords({ query: { pagination: 'cursor' } }, first);
+    const next = response();
+    await getAllRecords({ query: { cursor: 'abc' } }, next);
+
+    assert.strictEqual(findPage.mock.callCount(), 2);
+    assert.deepStrictEqual(first.body.data.pagination, { limit: 50, nextCursor: null, hasMore: false });
+    assert.strictEqual(findPage.mock.calls[1].arguments[1], 'abc');
+});
+
+test('an unknown pagination mode or offset with a cursor is rejected', async () => {
+    const unknown = response();
+    await getAllRecords({ query: { pagination: 'pages' } }, unknown);
+    const mixed = response();
+    await getAllRecords({ query: { cursor: 'abc', offset: '10' } }, mixed);
+
+    assert.strictEqual(unknown.statusCode, 400);
+    assert.strictEqual(mixed.statusCode, 400);
+});
+
+/**
+ * Filters getAllRecords passes to findAll for the given query, or its error response
+ */
+const listFilters = async (query) => {
+    const findAll = mock.method(recordService, 'findAll', async () => []);
+    mock.method(recordService, 'count', async () => 0);
+    const res = response();
+
+    await getAllRecords({ query }, res);
+
+    mock.restoreAll();
+    return res.statusCode === 200 ? findAll.mock.calls[0].arguments[2] : res;
+};
+
+test('list filters are read from the query string', async () => {
+    const filters = await listFilters({
+        owner_name: 'Amit Kumar',
+        anchor_status: 'anchored',
+        include_revoked: 'true',
+        'data_json.issuer': 'Tech Academy',
+        'data_json.details.year': '2024',
+        'data_json.code': '"007"',
+        limit: '10'
+    });
+
+    assert.strictEqual(filters.owner_name, 'Amit Kumar');
+    assert.strictEqual(filters.anchor_status, 'anchored');
+    assert.strictEqual(filters.include_revoked, true);
+    assert.strictEqual(filters.limit, undefined);
+    assert.deepStrictEqual(filters.data, [
+        { path: ['issuer'], values: ['Tech Academy'] },
+        { path: ['details', 'year'], values: ['2024', 2024] },
+        { path: ['code'], values: ['007'] }
+    ]);
+});
+
+test('a bare created_to date covers the whole day', async () => {
+    const filters = await listFilters({ created_from: '2026-01-01', created_to: '2026-01-31' });
+
+    assert.strictEqual(filters.created_from.toISOString(), '2026-01-01T00:00:00.000Z');
+    assert.strictEqual(filters.created_to.toISOString(), '2026-01-31T23:59:59.999Z');
+});
+
+test('invalid list filters are rejected', async () => {
+    for (const query of [
+        { anchor_status: 'lost' },
+        { include_revoked: 'yes' },
+        { created_from: 'last week' },
+        { 'data_json.a..b': 'x' },
+        { owner_name: ['Amit Kumar', 'Priya Singh'] }
+    ]) {
+        const res = await listFilters(query);
+        assert.strictEqual(res.statusCode, 400, JSON.stringify(query));
+    }
+});
+
+const revokeRequest = (id) => ({ params: { id }, body: { reason: 'Issued in error' }, user: { username: 'admin' } });
+
+test('revocation is saved before it is anchored', async () => {
+    const events = [];
+    const record = { id: 'record-1', hash_value: '0xaaa', anchor_status: 'anchored' };
+    const revoked = { ...record, revoked_at: new Date(), revoked_by: 'admin', revocation_reason: 'Issued in error' };
+    mock.method(recordService, 'findById', async () => record);
+    mock.method(recordService, 'revoke', async () => { events.push('db'); return revoked; });
+    mock.method(blockchainService, 'revokeRecordHash', async () => { events.push('chain'); return { tx_id: 'tx-1' }; });
+    mock.method(recordService, 'markRevocationAnchored', async (id, txId) => { events.push(`tx ${txId}`); return revoked; });
+    const res = response();
+
+    await revokeRecord(revokeRequest('record-1'), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(events, ['db', 'chain', 'tx tx-1']);
+});
+
+test('a failed revocation anchor keeps the record revoked and is retried by repeating the request', async () => {
+    const revoked = {
+        id: 'record-1', hash_value: '0xaaa', revoked_at: new Date(), revoked_by: 'admin',
+        revocation_reason: 'Issued in error', revocation_anchored_at: null
+    };
+    mock.method(recordService, 'findById', async () => revoked);
+    const revoke = mock.method(recordService, 'revoke', async () => assert.fail('already revoked in DB'));
+    const chain = mock.method(blockchainService, 'revokeRecordHash', async () => { throw new Error('peer unavailable'); });
+    const res = response();
+
+    await revokeRecord(revokeRequest('record-1'), res);
+
+    assert.strictEqual(res.statusCode, 202);
+    assert.strictEqual(res.body.data.anchoring.status, 'pending');
+    assert.strictEqual(revoke.mock.callCount(), 0);
+    assert.deepStrictEqual(chain.mock.calls[0].arguments[2], { reason: 'Issued in error', revokedBy: 'admin' });
+});
+
+test('an anchored revocation is not repeated', async () => {
+    mock.method(recordService, 'findById', async () => ({
+        id: 'record-1', hash_value: '0xaaa', revoked_at: new Date(), revocation_anchored_at: new Date()
+    }));
+    const res = response();
+
+    await revokeRecord(revokeRequest('record-1'), res);
+
+    assert.strictEqual(res.statusCode, 409);
+});
+
+test('a record whose latest change is not anchored cannot be revoked', async () => {
+    mock.method(recordService, 'findById', async () => ({ id: 'record-1', hash_value: '0xbbb', anchor_status: 'pending' }));
+    const chain = mock.method(blockchainService, 'revokeRecordHash', async () => assert.fail('hash is not on-chain'));
+    const res = response();
+
+    await revokeRecord(revokeRequest('record-1'), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(chain.mock.callCount(), 0);
+});
+
+test('a revocation refused because an update is queued is reported as a conflict', async () => {
+    mock.method(recordService, 'findById', async () => ({ id: 'record-1', hash_value: '0xbbb', anchor_status: 'anchored' }));
+    mock.method(recordService, 'revoke', async () => {
+        throw new AppError('The latest change of this record is not anchored yet; revoke it once anchoring has completed', 409);
+    });
+    const chain = mock.method(blockchainService, 'revokeRecordHash', async () => assert.fail('hash is not on-chain'));
+    const res = response();
+
+    await revokeRecord(revokeRequest('record-1'), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.match(res.body.message, /not anchored yet/);
+    assert.strictEqual(chain.mock.callCount(), 0);
+});
+
+test('revocation is refused when polygon is one of the ledgers', async () => {
+    mock.method(recordService, 'findById', async () => ({ id: 'record-1', hash_value: '0xaaa', anchor_status: 'anchored' }));
+    mock.method(blockchainService, 'hasLedger', mode => mode === 'polygon');
+    const revoke = mock.method(recordService, 'revoke', async () => assert.fail('must not be saved as revoked'));
+    const res = response();
+
+    await revokeRecord(revokeRequest('record-1'), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.match(res.body.message, /not supported on polygon/);
+    assert.strictEqual(revoke.mock.callCount(), 0);
+});
+
+test('a record already revoked on-chain with the same hash counts as revoked', async (t) => {
+    t.mock.method(blockchainService, 'getRecordHash', async () => ({ hash: '0xaaa', status: 'revoked', tx_id: 'tx-0', timestamp: 't' }));
+    const write = t.mock.method(blockchainService, '_revokeOnMock', async () => assert.fail('must not revoke twice'));
+
+    const result = await blockchainService.revokeRecordHash('record-1', '0xaaa');
+
+    assert.strictEqual(result.tx_id, 'tx-0');
+    assert.strictEqual(write.mock.callCount(), 0);
+});
+
+const version = (number, hash, txId) => ({ version: number, title: 'Certificate', owner_name: 'Amit Kumar', data_json: { v: number }, hash_value: hash, blockchain_tx_id: txId });
+
+test('history matches versions to ledger entries by tx id, then by hash', async () => {
+    mock.method(recordService, 'findById', async () => ({ id: 'record-1', title: 'Certificate', owner_name: 'Amit Kumar' }));
+    mock.method(recordService, 'findVersions', async () => [
+        version(1, '0xaaa', 'tx-1'),
+        version(2, '0xbbb', null),
+        version(3, '0xccc', null)
+    ]);
+    mock.method(blockchainService, 'getRecordHistory', async () => [
+        { tx_id: 'tx-2', hash: '0xbbb', timestamp: '2026-01-02T00:00:00.000Z' },
+        { tx_id: 'tx-1', hash: '0xaaa', timestamp: '2026-01-01T00:00:00.000Z' },
+        { tx_id: 'tx-9', hash: '0xfff', timestamp: '2026-01-09T00:00:00.000Z' }
+    ]);
+    const res = response();
+
+    await getRecordHistory({ params: { id: 'record-1' } }, res);
+
+    const { data } = res.body;
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(data.currentVersion, 3);
+    assert.strictEqual(data.ledgerHistoryAvailable, true);
+    assert.deepStrictEqual(data.versions.map(v => v.onChain.transactionId), ['tx-1', 'tx-2', null]);
+    assert.deepStrictEqual(data.versions.map(v => v.onChain.anchored), [true, true, false]);
+    assert.deepStrictEqual(data.unmatchedLedgerEntries.map(entry => entry.tx_id), ['tx-9']);
+    assert.strictEqual(data.revocation, undefined);
+});
+
+test('history reports a version whose tx id is on-chain with another hash as not anchored', async () => {
+    mock.method(recordService, 'findById', async () => ({ id: 'record-1' }));
+    mock.method(recordService, 'findVersions', async () => [version(1, '0xaaa', 'tx-1')]);
+    mock.method(blockchainService, 'getRecordHistory', async () => [{ tx_id: 'tx-1', hash: '0xfff', timestamp: '2026-01-01T00:00:00.000Z' }]);
+    const res = response();
+
+    await getRecordHistory({ params: { id: 'record-1' } }, res);
+
+    assert.deepStrictEqual(res.body.data.versions[0].onChain, { anchored: false, transactionId: 'tx-1', hash: '0xfff', anchoredAt: '2026-01-01T00:00:00.000Z' });
+});
+
+test('history reports the revocation entry apart from unmatched entries', async () => {
+    mock.method(recordService, 'findById', async () => ({
+        id: 'record-1',
+        revoked_at: '2026-02-01T00:00:00.000Z',
+        revoked_by: 'admin',
+        revocation_reason: 'Issued in error',
+        revocation_tx_id: 'tx-2'
+    }));
+    mock.method(recordService, 'findVersions', async () => [version(1, '0xaaa', 'tx-1')]);
+    mock.method(blockchainService, 'getRecordHistory', async () => [
+        { tx_id: 'tx-1', hash: '0xaaa' },
+        { tx_id: 'tx-2', hash: '0xaaa', status: 'revoked' }
+    ]);
+    const res = response();
+
+    await getRecordHistory({ params: { id: 'record-1' } }, res);
+
+    const { data } = res.body;
+    assert.deepStrictEqual(data.unmatchedLedgerEntries, []);
+    assert.strictEqual(data.revocation.transactionId, 'tx-2');
+    assert.strictEqual(data.revocation.onChain.status, 'revoked');
+});
+
+test('history without a ledger history leaves the on-chain details out', async () => {
+    mock.method(recordService, 'findById', async () => ({ id: 'record-1' }));
+    mock.method(recordService, 'findVersions', async () => [version(1, '0xaaa', 'tx-1')]);
+    mock.method(blockchainService, 'getRecordHistory', async () => null);
+    const res = response();
+
+    await getRecordHistory({ params: { id: 'record-1' } }, res);
+
+    assert.strictEqual(res.body.data.ledgerHistoryAvailable, false);
+    assert.strictEqual(res.body.data.versions[0].onChain, null);
+});
+
+test('history of an unknown record is not found', async () => {
+    mock.method(recordService, 'findById', async () => null);
+    const res = response();
+
+    await getRecordHistory({ params: { id: 'record-1' } }, res);
+
+    assert.strictEqual(res.statusCode, 404);
+});
+
+const eraseRequest = (id) => ({ params: { id }, body: { reason: 'GDPR request' }, user: { username: 'admin' } });
+
+test('erasure discards the attachment files and returns the tombstone', async () => {
+    const erase = mock.method(recordService, 'erase', async () => ({
+        record: { id: 'record-1', hash_value: '0xaaa', blockchain_tx_id: 'tx-1', title: null, data_json: null, erased_at: '2026-03-01T10:00:00.000Z' },
+        attachments: [{ storage_driver: 'local', storage_key: 'blob-1' }],
+        alreadyErased: false
+    }));
+    const discard = mock.method(attachmentService, 'discard', async () => {});
+    const res = response();
+
+    await eraseRecord(eraseRequest('record-1'), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(erase.mock.calls[0].arguments, ['record-1', { reason: 'GDPR request', erasedBy: 'admin' }]);
+    assert.deepStrictEqual(discard.mock.calls[0].arguments[0], [{ storage_driver: 'local', storage_key: 'blob-1' }]);
+    assert.strictEqual(res.body.data.hash_value, '0xaaa');
+    assert.strictEqual(res.body.data.blockchain_tx_id, 'tx-1');
+    assert.ok(!('title' in res.body.data) && !('data_json' in res.body.data));
+});
+
+test('erasing a record twice is a conflict', async () => {
+    mock.method(recordService, 'erase', async () => ({ record: { erased_at: '2026-03-01T10:00:00.000Z' }, attachments: [], alreadyErased: true }));
+    const discard = mock.method(attachmentService, 'discard', async () => {});
+    const res = response();
+
+    await eraseRecord(eraseRequest('record-1'), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.match(res.body.message, /already erased by request on 2026-03-01/);
+    assert.strictEqual(discard.mock.callCount(), 0);
+});
+
+test('an erased record is never valid but its tombstone is checked against the chain', async () => {
+    mockLedgerService.clear();
+    blockchainService._simulateDelay = async () => {};
+    const stored = await blockchainService.storeRecordHash('record-1', '0xaaa');
+    mock.method(recordService, 'findById', async () => ({ id: 'record-1', hash_value: '0xaaa', erased_at: '2026-03-01T10:00:00.000Z' }));
+    const res = response();
+
+    await verifyRecord({ params: { id: 'record-1' }, query: {} }, res);
+
+    const { verification } = res.body.data;
+    assert.strictEqual(verification.valid, false);
+    assert.strictEqual(verification.status, 'erased');
+    assert.strictEqual(verification.tombstoneMatchesChain, true);
+    assert.strictEqual(verification.transactionId, stored.tx_id);
+});
+
+test('a batch reports every item on its own and anchors the created records through one root', async () => {
+    mock.method(recordTypeService, 'findByNames', async () => new Map());
+    mock.method(recordService, 'createMany', async (toCreate) => toCreate.map(({ recordData }, i) => (
+        i === 1 ? { error: new Error('duplicate key') } : { record: recordData }
+    )));
+    const claim = mock.method(anchorService, 'claimForRecords', async (ids) => ids.map(id => ({ record_id: id })));
+    mock.method(anchorService, 'processBatch', async (entries) => ({
+        anchored: true,
+        blockchainResult: { tx_id: 'batch-tx' },
+        records: entries.map((entry, i) => ({ recordId: entry.record_id, anchored: true, merkle: { leafIndex: i } }))
+    }));
+    const res = response();
+
+    await createRecordsBatch({
+        baseUrl: '/api/records',
+        query: {},
+        get: () => undefined,
+        body: [
+            { title: 'A', owner_name: 'Amit Kumar', data_json: { a: 1 } },
+            { title: 'B', owner_name: 'Priya Singh', data_json: { b: 2 } },
+            { title: 'C', data_json: { c: 3 } },
+            { title: 'D', owner_name: 'Ravi Rao', data_json: { d: 4 } }
+        ]
+    }, res);
+
+    assert.strictEqual(res.statusCode, 207);
+    assert.deepStrictEqual(res.body.data.summary, { total: 4, created: 2, failed: 2, anchored: 2 });
+    const { results } = res.body.data;
+    assert.deepStrictEqual(results.map(result => result.success), [true, false, false, true]);
+    assert.strictEqual(results[1].error, 'Failed to store record');
+    assert.match(results[2].error, /Missing required fields/);
+    assert.deepStrictEqual(claim.mock.calls[0].arguments[0], [results[0].id, results[3].id]);
+    assert.deepStrictEqual(results[3].anchoring, { status: 'anchored', transactionId: 'batch-tx', merkle: { leafIndex: 1 } });
+});
+
+test('an empty batch is rejected', async () => {
+    const res = response();
+
+    await createRecordsBatch({ body: [], query: {} }, res);
+
+    assert.strictEqual(res.statusCode, 400);
+});
+
+const current = { id: 'record-1', title: 'Certificate', owner_name: 'Amit Kumar', data_json: { grade: 'A' }, hash_value: computeHash({ grade: 'A' }), blockchain_tx_id: 'tx-1' };
+
+const updateRequest = (data_json) => ({ params: { id: 'record-1' }, body: { data_json }, query: {}, baseUrl: '/api/records', get: () => undefined });
+
+/**
+ * Record service and outbox mocks for updating the current record; anchoring succeeds unless told otherwise
+ */
+const mockUpdate = ({ anchored = true } = {}) => {
+    const events = [];
+    mock.method(recordService, 'findById', async () => current);
+    mock.method(recordTypeService, 'findByNames', async () => new Map());
+    mock.method(attachmentService, 'findByRecord', async () => []);
+    const update = mock.method(recordService, 'update', async (id, fields) => {
+        events.push('update');
+        return { ...current, ...fields };
+    });
+    const claim = mock.method(anchorService, 'claimForRecord', async () => {
+        events.push('claim');
+        return { id: 1, record_id: 'record-1', operation: 'update' };
+    });
+    mock.method(anchorService, 'processEntry', async () => (anchored
+        ? { anchored: true, record: { ...current, data_json: { grade: 'B' } }, blockchainResult: { tx_id: 'tx-2', timestamp: '2026-03-01T00:00:00.000Z' } }
+        : { anchored: false, error: new Error('peer unreachable') }));
+    return { events, update, claim };
+};
+
+test('an update saves the new data first and returns the previous and new hash with the transaction', async () => {
+    const { events, update } = mockUpdate();
+    const res = response();
+
+    await updateRecord(updateRequest({ grade: 'B' }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(events, ['update', 'claim']);
+    assert.strictEqual(update.mock.calls[0].arguments[1].anchorHash, computeHash({ grade: 'B' }));
+    const proof = res.body.data.onChainProof;
+    assert.strictEqual(proof.previousHash, current.hash_value);
+    assert.strictEqual(proof.hash, computeHash({ grade: 'B' }));
+    assert.strictEqual(proof.transactionId, 'tx-2');
+    assert.strictEqual(proof.hashChanged, true);
+});
+
+test('an update with unchanged data sends nothing to the chain', async () => {
+    const { update, claim } = mockUpdate();
+    const res = response();
+
+    await updateRecord(updateRequest({ grade: 'A' }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(update.mock.calls[0].arguments[1].anchorHash, null);
+    assert.strictEqual(claim.mock.callCount(), 0);
+    assert.deepStrictEqual([res.body.data.onChainProof.hashChanged, res.body.data.onChainProof.transactionId], [false, 'tx-1']);
+});
+
+test('an update whose anchoring fails is kept and accepted for retry', async () => {
+    const { update } = mockUpdate({ anchored: false });
+    const res = response();
+    res.location = (url) => { res.locationUrl = url; return res; };
+
+    await updateRecord(updateRequest({ grade: 'B' }), res);
+
+    assert.strictEqual(res.statusCode, 202);
+    assert.strictEqual(update.mock.callCount(), 1);
+    assert.strictEqual(res.locationUrl, '/api/records/record-1/status');
+    assert.strictEqual(res.body.data.anchoring.hash, computeHash({ grade: 'B' }));
+});
+
+test('a revoked record cannot be updated', async () => {
+    const { update } = mockUpdate();
+    recordService.findById.mock.mockImplementation(async () => ({ ...current, revoked_at: '2026-02-01T00:00:00.000Z' }));
+    const res = response();
+
+    await updateRecord(updateRequest({ grade: 'B' }), res);
+
+    assert.strictEqual(res.statusCode, 410);
+    assert.strictEqual(update.mock.callCount(), 0);
+});
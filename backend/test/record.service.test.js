@@ -0,0 +1,343 @@
+/**
+ * Record Service tests
+ * Queries are checked against a recording client; no database is needed.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const pool = require('../config/db.config');
+const recordService = require('../services/record.service');
+const { AppError } = require('../utils/error.handler');
+const { computeHash } = require('../utils/hash');
+
+/**
+ * Client that records queries and answers SELECTs with the given rows
+ */
+const recordingClient = (rows = []) => {
+    const queries = [];
+    return {
+        queries,
+        query: async (text, params) => {
+            queries.push({ text: text.replace(/\s+/g, ' ').trim(), params });
+            return { rows: /^\s*SELECT/.test(text) ? rows : [] };
+        }
+    };
+};
+
+/**
+ * Transaction client that answers queries by table, for methods that lock a record and read its attachments
+ */
+const transactionClient = ({ record, attachments = [] }) => {
+    const queries = [];
+    return {
+        queries,
+        released: false,
+        release() { this.released = true; },
+        query: async (text, params) => {
+            const sql = text.replace(/\s+/g, ' ').trim();
+            queries.push({ text: sql, params });
+            if (/^SELECT .* FROM \S+\.records WHERE id = \$1 FOR UPDATE/.test(sql)) {
+                return { rows: record ? [record] : [] };
+            }
+            if (/^SELECT \* FROM \S+\.record_attachments/.test(sql)) {
+                return { rows: attachments };
+            }
+            if (/^UPDATE \S+\.records/.test(sql)) {
+                return { rows: [{ ...record, hash_value: params[4], canonicalization: params[6], hash_algorithm: params[7] }] };
+            }
+            return { rows: [] };
+        }
+    };
+};
+
+const attachmentRow = (id, hash) => ({
+    id, filename: `${id}.pdf`, content_type: 'application/pdf', size_bytes: '3', content_hash: hash
+});
+
+test('_queueAnchor supersedes entries that were not sent yet', async () => {
+    const client = recordingClient([{ id: 7, status: 'pending' }]);
+
+    await recordService._queueAnchor(client, 'record-1', 'update', '0xbbb');
+
+    assert.match(client.queries[1].text, /SET status = 'superseded'/);
+    assert.deepStrictEqual(client.queries[1].params, [[7]]);
+    assert.match(client.queries[2].text, /^INSERT INTO .*anchor_outbox/);
+    assert.deepStrictEqual(client.queries[2].params, ['record-1', 'update', '0xbbb']);
+});
+
+test('_queueAnchor refuses while an entry is being sent', async () => {
+    const client = recordingClient([{ id: 7, status: 'processing' }]);
+
+    await assert.rejects(
+        recordService._queueAnchor(client, 'record-1', 'update', '0xbbb'),
+        error => error instanceof AppError && error.statusCode === 409
+    );
+    assert.strictEqual(client.queries.length, 1);
+});
+
+test('findByHashes looks every candidate hash up in one query', async (t) => {
+    const client = recordingClient([{ record_id: 'record-1', version: 1, hash_value: '0xaaa' }]);
+    t.mock.method(pool, 'query', client.query);
+
+    const rows = await recordService.findByHashes(['0xaaa', '0xbbb']);
+
+    assert.strictEqual(client.queries.length, 1);
+    assert.match(client.queries[0].text, /WHERE v\.hash_value = ANY\(\$1\)/);
+    assert.deepStrictEqual(client.queries[0].params, [['0xaaa', '0xbbb']]);
+    assert.strictEqual(rows.length, 1);
+});
+
+test('updateAttachments hashes the locked record over all of its attachments', async (t) => {
+    const record = { id: 'record-1', data_json: { a: 1 }, hash_value: '0xold', record_type: null };
+    const client = transactionClient({ record, attachments: [attachmentRow('a1', '0x01'), attachmentRow('a2', '0x02')] });
+    t.mock.method(pool, 'connect', async () => client);
+
+    const added = attachmentRow('a3', '0x03');
+    const result = await recordService.updateAttachments('record-1', { added: [added], removed: ['a1'] });
+
+    const manifest = [attachmentRow('a2', '0x02'), added].map(row => ({
+        id: row.id, filename: row.filename, contentType: row.content_type, size: 3, hash: row.content_hash
+    }));
+    assert.strictEqual(result.previousHash, '0xold');
+    assert.strictEqual(result.hash, computeHash({ data_json: { a: 1 }, attachments: manifest }));
+
+    const statements = client.queries.map(query => query.text);
+    assert.strictEqual(statements[0], 'BEGIN');
+    assert.match(statements[1], /FOR UPDATE$/);
+    assert.ok(statements.some(text => /^INSERT INTO \S+\.anchor_outbox/.test(text)));
+    assert.strictEqual(statements[statements.length - 1], 'COMMIT');
+    assert.ok(client.released);
+});
+
+test('updateAttachments refuses a revoked record', async (t) => {
+    const client = transactionClient({ record: { id: 'record-1', data_json: {}, revoked_at: new Date() } });
+    t.mock.method(pool, 'connect', async () => client);
+
+    await assert.rejects(
+        recordService.updateAttachments('record-1', { removed: ['a1'] }),
+        error => error instanceof AppError && error.statusCode === 410
+    );
+    assert.strictEqual(client.queries[client.queries.length - 1].text, 'ROLLBACK');
+});
+
+test('update refuses a hash computed over attachments that have changed since', async (t) => {
+    const client = transactionClient({ record: { id: 'record-1', hash_value: '0xold' }, attachments: [attachmentRow('a1', '0x01')] });
+    t.mock.method(pool, 'connect', async () => client);
+
+    await assert.rejects(
+        recordService.update('record-1', { data_json: { a: 2 }, hash_value: '0xnew', anchorHash: '0xnew', attachments: [] }),
+        error => error instanceof AppError && error.statusCode === 409
+    );
+    assert.ok(!client.queries.some(query => /^UPDATE/.test(query.text)));
+});
+
+test('updateBlockchainInfo records the per-ledger transactions inside its transaction', async (t) => {
+    const client = transactionClient({ record: { id: 'record-1', data_json: { a: 1 }, hash_value: '0xaaa' } });
+    t.mock.method(pool, 'connect', async () => client);
+
+    await recordService.updateBlockchainInfo('record-1', '0xaaa', 'fabric-tx', null, [
+        { ledger: 'fabric', operation: 'store', tx_id: 'fabric-tx' },
+        { ledger: 'polygon', operation: 'store', tx_id: null }
+    ]);
+
+    const statements = client.queries.map(query => query.text);
+    const insert = client.queries.find(query => /^INSERT INTO \S+\.ledger_anchors/.test(query.text));
+    assert.deepStrictEqual(insert.params, ['record-1', '0xaaa', 'fabric', 'store', 'fabric-tx']);
+    assert.ok(statements.indexOf(insert.text) < statements.indexOf('COMMIT'));
+});
+
+test('_buildFilters leaves revoked records out unless asked for', () => {
+    assert.deepStrictEqual(recordService._buildFilters({}), { conditions: ['revoked_at IS NULL'], params: [] });
+    assert.deepStrictEqual(recordService._buildFilters({ include_revoked: true }), { conditions: [], params: [] });
+});
+
+test('_buildFilters numbers parameters in order and escapes LIKE wildcards in the title', () => {
+    const from = new Date('2026-01-01T00:00:00.000Z');
+    const { conditions, params } = recordService._buildFilters({
+        include_revoked: true,
+        owner_name: 'Amit Kumar',
+        title: '100%_done',
+        record_type: 'certificate',
+        anchor_status: 'anchored',
+        created_from: from
+    });
+
+    assert.deepStrictEqual(conditions, [
+        'owner_name = $1',
+        'title ILIKE $2',
+        'record_type = $3',
+        'anchor_status = $4',
+        'created_at >= $5'
+    ]);
+    assert.deepStrictEqual(params, ['Amit Kumar', '%100\\%\\_done%', 'certificate', 'anchored', from]);
+});
+
+test('_buildFilters matches data_json paths by containment, with OR across values', () => {
+    const { conditions, params } = recordService._buildFilters({
+        include_revoked: true,
+        data: [
+            { path: ['issuer'], values: ['Tech Academy'] },
+            { path: ['details', 'year'], values: ['2024', 2024] }
+        ]
+    });
+
+    assert.deepStrictEqual(conditions, [
+        'data_json @> $1::jsonb',
+        '(data_json @> $2::jsonb OR data_json @> $3::jsonb)'
+    ]);
+    assert.deepStrictEqual(params.map(param => JSON.parse(param)), [
+        { issuer: 'Tech Academy' },
+        { details: { year: '2024' } },
+        { details: { year: 2024 } }
+    ]);
+});
+
+/**
+ * Transaction client for erase, holding a record that was or was not erased before
+ */
+const erasureClient = ({ erasedAt = null } = {}) => {
+    const queries = [];
+    return {
+        queries,
+        released: false,
+        release() { this.released = true; },
+        query: async (text, params) => {
+            const sql = text.replace(/\s+/g, ' ').trim();
+            queries.push({ text: sql, params });
+            if (/^SELECT id, erased_at FROM/.test(sql)) {
+                return { rows: [{ id: params[0], erased_at: erasedAt }] };
+            }
+            if (/^UPDATE \S+\.records /.test(sql)) {
+                return { rows: [{ id: params[0], hash_value: '0xaaa', title: null, data_json: null, erased_by: params[1] }] };
+            }
+            if (/^UPDATE \S+\.record_attachments/.test(sql)) {
+                return { rows: [{ storage_driver: 'local', storage_key: 'blob-1' }] };
+            }
+            return { rows: [] };
+        }
+    };
+};
+
+test('erase shreds the data key and clears every plaintext copy in one transaction', async (t) => {
+    const client = erasureClient();
+    t.mock.method(pool, 'connect', async () => client);
+
+    const result = await recordService.erase('record-1', { reason: 'GDPR request', erasedBy: 'admin' });
+
+    const statements = client.queries.map(query => query.text);
+    assert.strictEqual(statements[0], 'BEGIN');
+    assert.match(statements[2], /^DELETE FROM \S+\.record_keys WHERE record_id = \$1/);
+    assert.match(statements[3], /^UPDATE \S+\.records SET title = NULL, owner_name = NULL, data_json = NULL, data_ciphertext = NULL/);
+    assert.match(statements[4], /^UPDATE \S+\.record_versions SET .*canonical_data = NULL, canonical_ciphertext = NULL, attachments = NULL/);
+    assert.match(statements[5], /^UPDATE \S+\.record_attachments SET filename = NULL/);
+    assert.match(statements[6], /^DELETE FROM \S+\.idempotency_keys WHERE record_id = \$1/);
+    assert.strictEqual(statements[7], 'COMMIT');
+    assert.ok(!statements.some(statement => /DELETE FROM \S+\.records\b/.test(statement)));
+    assert.deepStrictEqual(client.queries[3].params, ['record-1', 'admin', 'GDPR request']);
+
+    assert.strictEqual(result.alreadyErased, false);
+    assert.strictEqual(result.record.hash_value, '0xaaa');
+    assert.deepStrictEqual(result.attachments, [{ storage_driver: 'local', storage_key: 'blob-1' }]);
+    assert.ok(client.released);
+});
+
+test('erase leaves an erased record alone', async (t) => {
+    const client = erasureClient({ erasedAt: '2026-03-01T10:00:00.000Z' });
+    t.mock.method(pool, 'connect', async () => client);
+    t.mock.method(recordService, 'findById', async () => ({ id: 'record-1', erased_at: '2026-03-01T10:00:00.000Z' }));
+
+    const result = await recordService.erase('record-1');
+
+    assert.strictEqual(result.alreadyErased, true);
+    assert.deepStrictEqual(client.queries.map(query => query.text).slice(-1), ['ROLLBACK']);
+    assert.ok(!client.queries.some(query => /^(UPDATE|DELETE)/.test(query.text)));
+});
+
+test('a cursor round-trips and malformed cursors decode to null', () => {
+    const cursor = recordService.encodeCursor('2026-01-02T03:04:05.123456', '0e6a4f3c-9b2d-4c8e-8f1a-7d5b3c2a1e90');
+
+    assert.deepStrictEqual(recordService.decodeCursor(cursor), {
+        createdAt: '2026-01-02T03:04:05.123456',
+        id: '0e6a4f3c-9b2d-4c8e-8f1a-7d5b3c2a1e90'
+    });
+    assert.strictEqual(recordService.decodeCursor('not-a-cursor'), null);
+    assert.strictEqual(recordService.decodeCursor(recordService.encodeCursor("2026-01-02'; DROP TABLE", 'x')), null);
+});
+
+test('findPage reads one extra row to tell whether another page follows', async (t) => {
+    const rows = ['a', 'b', 'c'].map((letter, i) => ({
+        id: `0e6a4f3c-9b2d-4c8e-8f1a-7d5b3c2a1e9${i}`,
+        title: letter,
+        cursor_created_at: `2026-01-0${3 - i}T00:00:00.000000`
+    }));
+    const client = recordingClient(rows);
+    t.mock.method(pool, 'query', client.query);
+
+    const page = await recordService.findPage(2, null, { include_revoked: true });
+
+    assert.deepStrictEqual(client.queries[0].params, [3]);
+    assert.deepStrictEqual(page.records.map(record => record.title), ['a', 'b']);
+    assert.ok(!('cursor_created_at' in page.records[0]));
+    assert.deepStrictEqual(recordService.decodeCursor(page.nextCursor), { createdAt: rows[1].cursor_created_at, id: rows[1].id });
+});
+
+test('findPage continues after the cursor position and refuses a malformed cursor', async (t) => {
+    const client = recordingClient([]);
+    t.mock.method(pool, 'query', client.query);
+    const cursor = recordService.encodeCursor('2026-01-02T00:00:00.000000', '0e6a4f3c-9b2d-4c8e-8f1a-7d5b3c2a1e90');
+
+    const page = await recordService.findPage(2, cursor, { include_revoked: true });
+
+    assert.match(client.queries[0].text, /WHERE \(created_at, id\) < \(\$1::timestamp, \$2::uuid\) ORDER BY created_at DESC, id DESC LIMIT \$3/);
+    assert.deepStrictEqual(page, { records: [], nextCursor: null });
+    await assert.rejects(recordService.findPage(2, 'garbage'), /Invalid cursor/);
+});
+
+/**
+ * Transaction client for revoke, with the record's anchor status and whether it has an open outbox entry
+ */
+const revocationClient = ({ anchorStatus = 'anchored', queued = false } = {}) => {
+    const queries = [];
+    return {
+        queries,
+        release() {},
+        query: async (text, params) => {
+            const sql = text.replace(/\s+/g, ' ').trim();
+            queries.push({ text: sql, params });
+            if (/^SELECT anchor_status, revoked_at FROM/.test(sql)) {
+                return { rows: [{ anchor_status: anchorStatus, revoked_at: null }] };
+            }
+            if (/^SELECT 1 FROM \S+\.anchor_outbox/.test(sql)) {
+                return { rows: queued ? [{ '?column?': 1 }] : [] };
+            }
+            if (/^UPDATE \S+\.records/.test(sql)) {
+                return { rows: [{ id: params[0], hash_value: '0xaaa', revoked_by: params[1], revocation_reason: params[2] }] };
+            }
+            return { rows: [] };
+        }
+    };
+};
+
+test('revoke marks an anchored record revoked', async (t) => {
+    const client = revocationClient();
+    t.mock.method(pool, 'connect', async () => client);
+
+    const revoked = await recordService.revoke('record-1', { reason: 'Issued in error', revokedBy: 'admin' });
+
+    assert.strictEqual(revoked.revocation_reason, 'Issued in error');
+    assert.strictEqual(client.queries[client.queries.length - 1].text, 'COMMIT');
+});
+
+test('revoke refuses while a change of the record waits to be anchored', async (t) => {
+    for (const state of [{ anchorStatus: 'pending' }, { anchorStatus: 'anchored', queued: true }]) {
+        const client = revocationClient(state);
+        t.mock.method(pool, 'connect', async () => client);
+
+        await assert.rejects(
+            recordService.revoke('record-1', { reason: 'Issued in error' }),
+            error => error instanceof AppError && error.statusCode === 409
+        );
+        assert.ok(!client.queries.some(query => /^UPDATE/.test(query.text)), JSON.stringify(state));
+        assert.strictEqual(client.queries[client.queries.length - 1].text, 'ROLLBACK');
+    }
+});
@@ -0,0 +1,57 @@
+/**
+ * RecordHashContract tests
+ * The contract runs against a minimal stub; no Fabric network is needed.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Long = require('long');
+
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+
+const RecordHashContract = require('../chaincode/recordhash-contract');
+const blockchainService = require('../services/blockchain.service');
+
+/**
+ * Context whose proposal was created at the given time
+ */
+const contextAt = (millis) => {
+    const state = new Map();
+    return {
+        clientIdentity: { getID: () => 'x509::/CN=tester' },
+        stub: {
+            getTxID: () => 'tx-1',
+            getTxTimestamp: () => ({ seconds: Long.fromNumber(Math.floor(millis / 1000)), nanos: (millis % 1000) * 1e6 }),
+            getState: async key => state.get(key) || Buffer.alloc(0),
+            putState: async (key, value) => { state.set(key, value); },
+            setEvent: () => {}
+        }
+    };
+};
+
+test('StoreRecordHash records the proposal timestamp beyond 32-bit seconds', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    // 2^32 seconds plus a little: the low 32 bits alone would point at 1970
+    const millis = (2 ** 32 + 60) * 1000 + 250;
+    const contract = new RecordHashContract();
+
+    const result = JSON.parse(await contract.StoreRecordHash(contextAt(millis), 'record-1', '0xaaa'));
+
+    assert.strictEqual(result.proposalTimestamp, new Date(millis).toISOString());
+    assert.strictEqual(result.timestamp, result.proposalTimestamp);
+});
+
+test('_fabricTimestampToISO reads both halves of a serialized Long', () => {
+    const millis = (2 ** 32 + 60) * 1000 + 250;
+    const seconds = JSON.parse(JSON.stringify(Long.fromNumber(Math.floor(millis / 1000))));
+
+    assert.strictEqual(
+        blockchainService._fabricTimestampToISO({ seconds, nanos: 250e6 }),
+        new Date(millis).toISOString()
+    );
+    assert.strictEqual(
+        blockchainService._fabricTimestampToISO({ seconds: 60, nanos: 0 }),
+        new Date(60000).toISOString()
+    );
+});
@@ -0,0 +1,89 @@
+/**
+ * Verification Service tests
+ * Tamper diffs against stored version snapshots
+ */
+
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const recordService = require('../services/record.service');
+const verificationService = require('../services/verification.service');
+const { DEFAULT_CANONICALIZATION, DEFAULT_HASH_ALGORITHM, canonicalizeJSON, computeHash } = require('../utils/hash');
+
+const anchored = { name: 'Alice', results: { hemoglobin: 13.5 } };
+const anchoredHash = computeHash(anchored);
+
+const snapshot = (fields) => ({
+    version: 1,
+    data_json: anchored,
+    canonical_data: canonicalizeJSON(anchored),
+    canonicalization: DEFAULT_CANONICALIZATION,
+    hash_algorithm: DEFAULT_HASH_ALGORITHM,
+    hash_value: anchoredHash,
+    blockchain_tx_id: 'tx-1',
+    attachments: null,
+    ...fields
+});
+
+const withSnapshot = (row) => {
+    mock.method(recordService, 'findVersionByHash', async () => row);
+};
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('buildTamperDiff lists changed fields against the anchored snapshot', async () => {
+    withSnapshot(snapshot());
+
+    const diff = await verificationService.buildTamperDiff(
+        { id: 'record-1', data_json: { name: 'Alice', results: { hemoglobin: 9.1 }, note: 'x' } },
+        anchoredHash
+    );
+
+    assert.strictEqual(diff.snapshotVerified, true);
+    assert.deepStrictEqual(diff.changed, [{ path: 'results.hemoglobin', oldValue: 13.5, newValue: 9.1 }]);
+    assert.deepStrictEqual(diff.added, [{ path: 'note', value: 'x' }]);
+    assert.deepStrictEqual(diff.removed, []);
+});
+
+test('buildTamperDiff falls back to data_json for versions without a snapshot', async () => {
+    withSnapshot(snapshot({ canonical_data: null }));
+
+    const diff = await verificationService.buildTamperDiff({ id: 'record-1', data_json: { name: 'Bob', results: anchored.results } }, anchoredHash);
+
+    assert.strictEqual(diff.snapshotVerified, true);
+    assert.deepStrictEqual(diff.changed, [{ path: 'name', oldValue: 'Alice', newValue: 'Bob' }]);
+});
+
+test('buildTamperDiff returns no diff for an unreadable legacy snapshot', async () => {
+    withSnapshot(snapshot({ canonical_data: '{name:Alice' }));
+
+    const diff = await verificationService.buildTamperDiff({ id: 'record-1', data_json: anchored }, anchoredHash);
+
+    assert.strictEqual(diff, null);
+});
+
+test('buildTamperDiff returns null without a snapshot for the hash', async () => {
+    withSnapshot(null);
+
+    assert.strictEqual(await verificationService.buildTamperDiff({ id: 'record-1', data_json: anchored }, '0xdead'), null);
+});
+
+test('buildTamperDiff reports attachment changes', async () => {
+    const file = { id: 'a1', filename: 'scan.pdf', contentType: 'application/pdf', size: 10, hash: '0x01' };
+    const document = { data_json: anchored, attachments: [file] };
+    withSnapshot(snapshot({ canonical_data: canonicalizeJSON(document), attachments: [file] }));
+
+    const diff = await verificationService.buildTamperDiff(
+        { id: 'record-1', data_json: anchored },
+        computeHash(document),
+        [{ ...file, hash: '0x02' }]
+    );
+
+    assert.strictEqual(diff.changed.length, 0);
+    assert.strictEqual(diff.attachments.changed.length, 1);
+    assert.strictEqual(diff.attachments.changed[0].current.hash, '0x02');
+});
@@ -0,0 +1,173 @@
+/**
+ * Offline proof verifier (scripts/verify-proof.js) tests
+ * The script runs as a child process against bundles signed in the test.
+ */
+
+const crypto = require('crypto');
+
+const signingKey = crypto.generateKeyPairSync('ed25519').privateKey;
+process.env.PROOF_SIGNING_KEY = signingKey.export({ type: 'pkcs8', format: 'pem' });
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const proofService = require('../services/proof.service');
+const { canonicalizeJSON, computeHash } = require('../utils/hash');
+const { getKeyId, signPayload } = require('../utils/signature');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'verify-proof.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-proof-'));
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const data = { name: 'Alice' };
+const hash = computeHash(data);
+const bundle = proofService.sign({
+    bundleVersion: 2,
+    issuer: 'fabric-backend',
+    issuedAt: '2025-03-14T10:00:00.000Z',
+    recordId: '2b9c2c9e-4a53-4a8e-9a43-0d3d4c2f6a10',
+    data: { canonical: canonicalizeJSON(data) },
+    hash: { algorithm: 'sha2-256', canonicalization: 'jcs', value: hash },
+    anchor: { mode: 'mock', anchoredValue: hash, merkle: null }
+});
+
+const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+};
+
+const bundleFile = write('bundle.json', bundle);
+const { signature: _signature, ...fabricPayload } = bundle;
+const fabricBundle = { ...fabricPayload, anchor: { ...bundle.anchor, mode: 'fabric', ledgerKey: bundle.recordId, channel: 'mychannel', chaincode: 'records' } };
+const fabricFile = write('fabric-bundle.json', proofService.sign(fabricBundle));
+const keyFile = write('key.pem', proofService.getPublicKey().publicKey);
+
+const run = (nodeArgs, args, env = process.env) => {
+    const run = spawnSync(process.execPath, [...nodeArgs, SCRIPT, ...args, '--json'], { encoding: 'utf8', timeout: 30000, env });
+    let output = null;
+    try {
+        output = JSON.parse(run.stdout);
+    } catch {
+        output = null;
+    }
+    return { status: run.status, output };
+};
+
+const verify = (...args) => run([], args);
+
+// Stands in for fabric-network: GetRecordHash answers from the FAKE_LEDGER environment variable
+const fabricStub = write('fabric-stub.js', `
+const Module = require('module');
+const load = Module._load;
+const ledger = JSON.parse(process.env.FAKE_LEDGER);
+const contract = {
+    evaluateTransaction: async (name, key) => Buffer.from(JSON.stringify(ledger[key] ? { exists: true, ...ledger[key] } : { exists: false }))
+};
+Module._load = function (request, ...rest) {
+    if (request === 'fabric-network') {
+        return {
+            Wallets: { newFileSystemWallet: async () => ({}) },
+            Gateway: class {
+                async connect() {}
+                async getNetwork() { return { getContract: () => contract }; }
+                disconnect() {}
+            }
+        };
+    }
+    return load.call(this, request, ...rest);
+};
+`);
+const profileFile = write('connection.json', {});
+
+const verifyOnFabric = (file, ledger) => run(
+    ['--require', fabricStub],
+    [file, '--public-key', keyFile, '--fabric-profile', profileFile],
+    { ...process.env, FAKE_LEDGER: JSON.stringify(ledger) }
+);
+
+test('a bundle checked against the trusted key is valid', () => {
+    const { status, output } = verify(bundleFile, '--public-key', keyFile);
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(output.valid, true);
+    assert.strictEqual(output.checks.signature.trustedKey, true);
+});
+
+test('a pinned key ID trusts the embedded key', () => {
+    const { status } = verify(bundleFile, '--key-id', bundle.signature.keyId);
+
+    assert.strictEqual(status, 0);
+});
+
+test('without a trusted key the result is untrusted, not valid', () => {
+    const { status, output } = verify(bundleFile);
+
+    assert.strictEqual(status, 4);
+    assert.strictEqual(output.valid, false);
+    assert.strictEqual(output.checks.signature.untrusted, true);
+});
+
+test('a bundle re-signed with another key fails against the trusted or pinned key', () => {
+    const { signature, ...payload } = bundle;
+    const forger = crypto.generateKeyPairSync('ed25519');
+    const forged = write('forged.json', {
+        ...payload,
+        signature: {
+            ...signature,
+            keyId: getKeyId(forger.publicKey),
+            publicKey: forger.publicKey.export({ type: 'spki', format: 'pem' }),
+            value: signPayload(forger.privateKey, payload)
+        }
+    });
+
+    assert.strictEqual(verify(forged, '--public-key', keyFile).status, 1);
+    assert.strictEqual(verify(forged, '--key-id', bundle.signature.keyId).status, 1);
+});
+
+test('an unreadable or invalid trusted key is a usage error', () => {
+    assert.strictEqual(verify(bundleFile, '--public-key', path.join(dir, 'missing.pem')).status, 2);
+    assert.strictEqual(verify(bundleFile, '--public-key', write('bad.pem', 'not a key')).status, 2);
+    assert.strictEqual(verify(bundleFile, '--key-id', 'xyz').status, 2);
+});
+
+test('the Fabric check passes a record whose anchored hash is on-chain', () => {
+    const { status, output } = verifyOnFabric(fabricFile, { [bundle.recordId]: { hash, txId: 'tx-1' } });
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(output.checks.onChain.ok, true);
+});
+
+test('the Fabric check fails a record that was revoked on-chain', () => {
+    const { status, output } = verifyOnFabric(fabricFile, {
+        [bundle.recordId]: { hash, txId: 'tx-2', status: 'revoked', revocationReason: 'Issued in error', revokedBy: 'admin' }
+    });
+
+    assert.strictEqual(status, 5);
+    assert.strictEqual(output.valid, false);
+    assert.strictEqual(output.checks.onChain.ok, false);
+    assert.strictEqual(output.checks.onChain.reason, 'Record was revoked on-chain: Issued in error');
+    assert.strictEqual(output.checks.onChain.revocation.revokedBy, 'admin');
+});
+
+test('the Fabric check looks up the revocation of a batched record under its own ID', () => {
+    const batched = write('batched.json', proofService.sign({ ...fabricBundle, anchor: { ...fabricBundle.anchor, ledgerKey: 'batch-1' } }));
+    const anchored = { 'batch-1': { hash, txId: 'tx-1' } };
+
+    assert.strictEqual(verifyOnFabric(batched, anchored).status, 0);
+    assert.strictEqual(verifyOnFabric(batched, { ...anchored, [bundle.recordId]: { hash, status: 'revoked' } }).status, 5);
+});
+
+test('a revoked record with a mismatching hash is invalid, not revoked', () => {
+    const { status } = verifyOnFabric(fabricFile, { [bundle.recordId]: { hash: '0xother', status: 'revoked' } });
+
+    assert.strictEqual(status, 1);
+});
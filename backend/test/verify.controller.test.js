@@ -0,0 +1,128 @@
+/**
+ * Verify Controller tests
+ * Record and ledger lookups are replaced with mocks; no database is needed.
+ */
+
+process.env.BLOCKCHAIN_MODE = 'mock';
+process.env.MOCK_LEDGER_PERSIST = 'false';
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const recordService = require('../services/record.service');
+const blockchainService = require('../services/blockchain.service');
+const mockLedgerService = require('../services/mock-ledger.service');
+const { verifyDocument } = require('../controllers/verify.controller');
+const { computeHash } = require('../utils/hash');
+const { buildMerkleTree, getProof } = require('../utils/merkle');
+
+const response = () => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status: (code) => { res.statusCode = code; return res; },
+        json: (body) => { res.body = body; return res; }
+    };
+    return res;
+};
+
+const manifest = [{ id: 'a1', filename: 'scan.pdf', contentType: 'application/pdf', size: 3, hash: '0x01' }];
+
+blockchainService._simulateDelay = async () => {};
+
+afterEach(() => {
+    mock.restoreAll();
+    mockLedgerService.clear();
+});
+
+test('all candidate hashes are looked up off-chain in one call', async () => {
+    const findByHashes = mock.method(recordService, 'findByHashes', async () => []);
+    mock.method(blockchainService, 'findByHash', async () => []);
+    const res = response();
+
+    await verifyDocument({ body: { data_json: { a: 1 } } }, res);
+
+    assert.strictEqual(findByHashes.mock.callCount(), 1);
+    assert.strictEqual(findByHashes.mock.calls[0].arguments[0].length, res.body.data.hashes.length);
+    assert.strictEqual(res.body.data.result, 'never_anchored');
+});
+
+test('an attachment manifest is hashed together with data_json', async () => {
+    mock.method(recordService, 'findByHashes', async () => []);
+    mock.method(blockchainService, 'findByHash', async () => []);
+    const res = response();
+
+    await verifyDocument({ body: { data_json: { a: 1 }, attachments: manifest } }, res);
+
+    const hashes = res.body.data.hashes.map(candidate => candidate.hash);
+    assert.ok(hashes.includes(computeHash({ data_json: { a: 1 }, attachments: manifest })));
+    assert.ok(!hashes.includes(computeHash({ a: 1 })));
+});
+
+test('a malformed attachment manifest is rejected', async () => {
+    const res = response();
+
+    await verifyDocument({ body: { data_json: { a: 1 }, attachments: [{ hash: '0x01' }] } }, res);
+
+    assert.strictEqual(res.statusCode, 400);
+});
+
+const RECORD_ID = '4c8a2e16-3b5d-4f70-9a1c-6e2d8b0f5a37';
+const document = { name: 'Amit Kumar', course: 'Blockchain Basics' };
+
+const version = (fields) => ({ record_id: RECORD_ID, version: 1, is_current: true, hash_value: computeHash(document), ...fields });
+
+const verify = async (versions) => {
+    mock.method(recordService, 'findByHashes', async () => versions);
+    const res = response();
+    await verifyDocument({ body: { data_json: document } }, res);
+    return res.body.data;
+};
+
+test('anchored content is matched to its record with the transaction and anchoring time', async () => {
+    const stored = await blockchainService.storeRecordHash(RECORD_ID, computeHash(document));
+
+    const data = await verify([version({ blockchain_tx_id: stored.tx_id })]);
+
+    assert.strictEqual(data.result, 'anchored');
+    assert.strictEqual(data.hash, computeHash(document));
+    assert.deepStrictEqual(data.recordIds, [RECORD_ID]);
+    assert.strictEqual(data.matches[0].transactionId, stored.tx_id);
+    assert.strictEqual(data.matches[0].anchoredAt, stored.timestamp);
+});
+
+test('a version that never reached the ledger is not a match', async () => {
+    const data = await verify([version({ blockchain_tx_id: null })]);
+
+    assert.strictEqual(data.result, 'never_anchored');
+    assert.strictEqual(data.matches[0].confirmedOnChain, false);
+    assert.deepStrictEqual(data.recordIds, []);
+});
+
+test('content whose only record was revoked is reported as revoked', async () => {
+    await blockchainService.storeRecordHash(RECORD_ID, computeHash(document));
+
+    const data = await verify([version({ revoked_at: '2026-02-01T00:00:00.000Z', revocation_reason: 'Issued in error' })]);
+
+    assert.strictEqual(data.result, 'revoked');
+    assert.strictEqual(data.matches[0].revocationReason, 'Issued in error');
+});
+
+test('a version anchored in a Merkle batch is confirmed through its proof', async () => {
+    const tree = buildMerkleTree([computeHash(document), '0xbbb']);
+    await blockchainService.storeRecordHash('batch-1', tree.root);
+
+    const data = await verify([version({ merkle_batch_id: 'batch-1', merkle_proof: getProof(tree, 0) })]);
+
+    assert.strictEqual(data.result, 'anchored');
+    assert.deepStrictEqual(data.matches[0].merkle, { batchId: 'batch-1', root: tree.root });
+});
+
+test('a ledger entry without an off-chain record is still reported', async () => {
+    await blockchainService.storeRecordHash(RECORD_ID, computeHash(document));
+
+    const data = await verify([]);
+
+    assert.strictEqual(data.result, 'anchored');
+    assert.strictEqual(data.matches[0].offChainRecord, false);
+    assert.strictEqual(data.matches[0].recordId, RECORD_ID);
+});
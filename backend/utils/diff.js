@@ -0,0 +1,71 @@
+/**
+ * JSON Diff Utility
+ * Produces a field-level diff between two JSON values
+ */
+
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const joinPath = (basePath, key) => {
+    if (typeof key === 'number') {
+        return `${basePath}[${key}]`;
+    }
+    return basePath ? `${basePath}.${key}` : key;
+};
+
+/**
+ * Compare two JSON values and collect the differences
+ * Objects are compared key by key and arrays index by index, recursively.
+ * @param {*} oldValue - Original value (e.g. anchored snapshot)
+ * @param {*} newValue - Current value
+ * @returns {Object} { added: [{path, value}], removed: [{path, value}], changed: [{path, oldValue, newValue}] }
+ */
+const diffJSON = (oldValue, newValue) => {
+    const diff = { added: [], removed: [], changed: [] };
+
+    const walk = (before, after, path) => {
+        if (isPlainObject(before) && isPlainObject(after)) {
+            const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+            [...keys].sort().forEach(key => {
+                const childPath = joinPath(path, key);
+                if (!hasOwn(after, key)) {
+                    diff.removed.push({ path: childPath, value: before[key] });
+                } else if (!hasOwn(before, key)) {
+                    diff.added.push({ path: childPath, value: after[key] });
+                } else {
+                    walk(before[key], after[key], childPath);
+                }
+            });
+            return;
+        }
+
+        if (Array.isArray(before) && Array.isArray(after)) {
+            const length = Math.max(before.length, after.length);
+            for (let i = 0; i < length; i++) {
+                const childPath = joinPath(path, i);
+                if (i >= after.length) {
+                    diff.removed.push({ path: childPath, value: before[i] });
+                } else if (i >= before.length) {
+                    diff.added.push({ path: childPath, value: after[i] });
+                } else {
+                    walk(before[i], after[i], childPath);
+                }
+            }
+            return;
+        }
+
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            diff.changed.push({ path: path || '$', oldValue: before, newValue: after });
+        }
+    };
+
+    walk(oldValue, newValue, '');
+    return diff;
+};
+
+module.exports = {
+    diffJSON
+};
@@ -0,0 +1,57 @@
+/**
+ * Envelope Encryption Utility
+ * AES-256-GCM for data and for wrapping data keys with a master key
+ *
+ * Ciphertexts are base64 of iv (12 bytes) | auth tag (16 bytes) | encrypted bytes.
+ * The associated data (e.g. the record ID) binds a ciphertext to its owner, so it
+ * cannot be copied onto another record and still decrypt.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Generate a random 256-bit data key
+ * @returns {Buffer} Data key
+ */
+const generateDataKey = () => crypto.randomBytes(32);
+
+/**
+ * Encrypt bytes or a string
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer|string} plaintext - Content (strings are UTF-8 encoded)
+ * @param {string} aad - Associated data that must match on decryption
+ * @returns {string} Base64 ciphertext
+ */
+const encrypt = (key, plaintext, aad) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+    const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+};
+
+/**
+ * Decrypt a ciphertext from encrypt()
+ * @param {Buffer} key - 32-byte key
+ * @param {string} ciphertext - Base64 ciphertext
+ * @param {string} aad - Associated data used on encryption
+ * @returns {Buffer} Plaintext bytes
+ * @throws {Error} If the key or associated data is wrong or the ciphertext was modified
+ */
+const decrypt = (key, ciphertext, aad) => {
+    const bytes = Buffer.from(ciphertext, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, bytes.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(bytes.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(bytes.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+module.exports = {
+    generateDataKey,
+    encrypt,
+    decrypt
+};
@@ -1,17 +1,32 @@
 /**
  * Hash Utility
- * Creates SHA-256 hashes for record data
+ * Creates hashes for record data
+ *
+ * Canonicalization is versioned: every record stores the version its hash was
+ * computed with, so records hashed with an older version keep verifying.
+ *   - legacy: sorted keys, original implementation (records created before JCS)
+ *   - jcs:    JSON Canonicalization Scheme, RFC 8785
+ *
+ * Hash algorithms come from a registry and every record stores the algorithm it
+ * was hashed with. Hashes are self-describing: 0x + multihash (varint algorithm
+ * code, varint digest length, digest). The legacy 'sha256' algorithm is the bare
+ * 0x-prefixed SHA-256 digest that records created before the registry carry.
  */
 
 const crypto = require('crypto');
+const { keccak256 } = require('js-sha3');
+
+const CANONICALIZATION_LEGACY = 'legacy';
+const CANONICALIZATION_JCS = 'jcs';
 
 /**
- * Canonicalize JSON object for consistent hashing
- * Sorts keys alphabetically and removes whitespace
+ * Canonicalize JSON object with the legacy algorithm
+ * Sorts keys alphabetically and removes whitespace.
+ * Kept byte-for-byte as it was so existing record hashes can be reproduced.
  * @param {Object} obj - Object to canonicalize
  * @returns {string} Canonical JSON string
  */
-const canonicalizeJSON = (obj) => {
+const canonicalizeLegacy = (obj) => {
     if (obj === null || obj === undefined) {
         return 'null';
     }
@@ -21,13 +36,13 @@ const canonicalizeJSON = (obj) => {
     }
     
     if (Array.isArray(obj)) {
-        return '[' + obj.map(item => canonicalizeJSON(item)).join(',') + ']';
+        return '[' + obj.map(item => canonicalizeLegacy(item)).join(',') + ']';
     }
     
     // Sort keys alphabetically for consistent ordering
     const sortedKeys = Object.keys(obj).sort();
     const pairs = sortedKeys.map(key => {
-        const value = canonicalizeJSON(obj[key]);
+        const value = canonicalizeLegacy(obj[key]);
         return `"${key}":${value}`;
     });
     
@@ -35,29 +50,221 @@ const canonicalizeJSON = (obj) => {
 };
 
 /**
- * Compute SHA-256 hash of data
+ * Canonicalize a JSON value per RFC 8785 (JSON Canonicalization Scheme)
+ * - Strings are serialized with JSON.stringify escaping (RFC 8785 §3.2.2.2)
+ * - Numbers use the ECMAScript Number-to-String algorithm; NaN/Infinity are rejected
+ * - Object keys are sorted by UTF-16 code units (the default Array#sort order)
+ * - Properties whose value is undefined, a function or a symbol are omitted, as in JSON.stringify
+ * @param {*} value - JSON value to canonicalize
+ * @returns {string} Canonical JSON string
+ * @throws {TypeError} If the value cannot be represented in I-JSON
+ */
+const canonicalizeJCS = (value) => {
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+        value = value.toJSON();
+    }
+
+    if (value === null) {
+        return 'null';
+    }
+
+    switch (typeof value) {
+        case 'boolean':
+            return value ? 'true' : 'false';
+        case 'number':
+            if (!Number.isFinite(value)) {
+                throw new TypeError(`Cannot canonicalize non-finite number: ${value}`);
+            }
+            // Number-to-String as in ECMAScript, which RFC 8785 adopts (-0 becomes "0")
+            return JSON.stringify(value);
+        case 'string':
+            if (/\p{Surrogate}/u.test(value)) {
+                throw new TypeError('Cannot canonicalize string with lone surrogate');
+            }
+            return JSON.stringify(value);
+        case 'object':
+            break;
+        default:
+            throw new TypeError(`Cannot canonicalize value of type ${typeof value}`);
+    }
+
+    if (Array.isArray(value)) {
+        return '[' + value.map(item => isOmitted(item) ? 'null' : canonicalizeJCS(item)).join(',') + ']';
+    }
+
+    const pairs = Object.keys(value)
+        .filter(key => !isOmitted(value[key]))
+        .sort()
+        .map(key => `${canonicalizeJCS(key)}:${canonicalizeJCS(value[key])}`);
+
+    return '{' + pairs.join(',') + '}';
+};
+
+const isOmitted = (value) => {
+    return value === undefined || typeof value === 'function' || typeof value === 'symbol';
+};
+
+const CANONICALIZERS = {
+    [CANONICALIZATION_LEGACY]: canonicalizeLegacy,
+    [CANONICALIZATION_JCS]: canonicalizeJCS
+};
+
+const CANONICALIZATION_VERSIONS = Object.keys(CANONICALIZERS);
+
+// Version used for newly created or updated records
+const DEFAULT_CANONICALIZATION = process.env.CANONICALIZATION_VERSION || CANONICALIZATION_JCS;
+
+if (!CANONICALIZERS[DEFAULT_CANONICALIZATION]) {
+    throw new Error(`Unknown CANONICALIZATION_VERSION "${DEFAULT_CANONICALIZATION}" (expected one of: ${CANONICALIZATION_VERSIONS.join(', ')})`);
+}
+
+/**
+ * Canonicalize JSON object for consistent hashing
+ * @param {Object} obj - Object to canonicalize
+ * @param {string} version - Canonicalization version (defaults to the current version)
+ * @returns {string} Canonical JSON string
+ */
+const canonicalizeJSON = (obj, version = DEFAULT_CANONICALIZATION) => {
+    const canonicalize = CANONICALIZERS[version];
+
+    if (!canonicalize) {
+        throw new Error(`Unknown canonicalization version: ${version}`);
+    }
+
+    return canonicalize(obj);
+};
+
+const HASH_ALGORITHM_LEGACY = 'sha256';
+
+const nodeHasher = (name) => () => {
+    const hash = crypto.createHash(name);
+    return { update: (chunk) => hash.update(chunk), digest: () => hash.digest() };
+};
+
+/**
+ * Hash algorithm registry
+ * code: multihash code (https://github.com/multiformats/multicodec), null for the legacy bare format
+ * create: returns an incremental hasher { update(chunk), digest() → Buffer }
+ */
+const HASH_ALGORITHMS = {
+    [HASH_ALGORITHM_LEGACY]: { code: null, create: nodeHasher('sha256') },
+    'sha2-256': { code: 0x12, create: nodeHasher('sha256') },
+    'sha3-256': { code: 0x16, create: nodeHasher('sha3-256') },
+    'sha3-512': { code: 0x14, create: nodeHasher('sha3-512') },
+    // Digest is the same as Solidity's keccak256(), but what is stored and anchored on-chain is the
+    // multihash (0x1b20 + digest, as a hex string): strip the prefix before comparing in a contract
+    'keccak-256': {
+        code: 0x1b,
+        create: () => {
+            const hash = keccak256.create();
+            return { update: (chunk) => hash.update(chunk), digest: () => Buffer.from(hash.arrayBuffer()) };
+        }
+    },
+    'blake2b-512': { code: 0xb240, create: nodeHasher('blake2b512') },
+    'blake2s-256': { code: 0xb260, create: nodeHasher('blake2s256') }
+};
+
+const HASH_ALGORITHM_NAMES = Object.keys(HASH_ALGORITHMS);
+
+// Algorithm used for newly created or updated records
+const DEFAULT_HASH_ALGORITHM = process.env.HASH_ALGORITHM || 'sha2-256';
+
+if (!HASH_ALGORITHMS[DEFAULT_HASH_ALGORITHM]) {
+    throw new Error(`Unknown HASH_ALGORITHM "${DEFAULT_HASH_ALGORITHM}" (expected one of: ${HASH_ALGORITHM_NAMES.join(', ')})`);
+}
+
+const encodeVarint = (value) => {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+    }
+    bytes.push(value);
+    return Buffer.from(bytes);
+};
+
+const getHashAlgorithm = (algorithm) => {
+    const entry = HASH_ALGORITHMS[algorithm];
+
+    if (!entry) {
+        throw new Error(`Unknown hash algorithm: ${algorithm}`);
+    }
+
+    return entry;
+};
+
+/**
+ * Compute the hash of data
  * @param {Object} data - Data object to hash
- * @returns {string} SHA-256 hash as hex string (with 0x prefix)
+ * @param {string} version - Canonicalization version (defaults to the current version)
+ * @param {string} algorithm - Hash algorithm (defaults to the current algorithm)
+ * @returns {string} Self-describing hash as hex string (with 0x prefix)
  */
-const computeHash = (data) => {
-    const canonicalString = canonicalizeJSON(data);
-    const hash = crypto.createHash('sha256').update(canonicalString).digest('hex');
-    return `0x${hash}`;
+const computeHash = (data, version = DEFAULT_CANONICALIZATION, algorithm = DEFAULT_HASH_ALGORITHM) => {
+    return hashCanonicalString(canonicalizeJSON(data, version), algorithm);
+};
+
+/**
+ * Compute the hash of an already canonicalized JSON string
+ * @param {string} canonicalString - Output of canonicalizeJSON
+ * @param {string} algorithm - Hash algorithm (defaults to the current algorithm)
+ * @returns {string} Self-describing hash as hex string (with 0x prefix)
+ */
+const hashCanonicalString = (canonicalString, algorithm = DEFAULT_HASH_ALGORITHM) => {
+    return createHasher(algorithm).update(Buffer.from(canonicalString, 'utf8')).digest();
+};
+
+/**
+ * Create an incremental hasher, for content that arrives in chunks (e.g. a file upload)
+ * @param {string} algorithm - Hash algorithm (defaults to the current algorithm)
+ * @returns {Object} { update(chunk) → hasher, digest() → self-describing hash (0x-prefixed hex) }
+ */
+const createHasher = (algorithm = DEFAULT_HASH_ALGORITHM) => {
+    const { code, create } = getHashAlgorithm(algorithm);
+    const hash = create();
+
+    const hasher = {
+        update: (chunk) => {
+            hash.update(chunk);
+            return hasher;
+        },
+        digest: () => {
+            const bytes = hash.digest();
+            if (code === null) {
+                return `0x${bytes.toString('hex')}`;
+            }
+            return `0x${Buffer.concat([encodeVarint(code), encodeVarint(bytes.length), bytes]).toString('hex')}`;
+        }
+    };
+
+    return hasher;
 };
 
 /**
  * Verify if data matches the given hash
  * @param {Object} data - Data object to verify
  * @param {string} expectedHash - Expected hash value
+ * @param {string} version - Canonicalization version the hash was computed with
+ * @param {string} algorithm - Hash algorithm the hash was computed with
  * @returns {boolean} True if hash matches
  */
-const verifyHash = (data, expectedHash) => {
-    const computedHash = computeHash(data);
+const verifyHash = (data, expectedHash, version = DEFAULT_CANONICALIZATION, algorithm = DEFAULT_HASH_ALGORITHM) => {
+    const computedHash = computeHash(data, version, algorithm);
     return computedHash === expectedHash;
 };
 
 module.exports = {
+    CANONICALIZATION_LEGACY,
+    CANONICALIZATION_JCS,
+    CANONICALIZATION_VERSIONS,
+    DEFAULT_CANONICALIZATION,
+    HASH_ALGORITHM_LEGACY,
+    HASH_ALGORITHM_NAMES,
+    DEFAULT_HASH_ALGORITHM,
     canonicalizeJSON,
+    canonicalizeJCS,
     computeHash,
+    hashCanonicalString,
+    createHasher,
     verifyHash
 };
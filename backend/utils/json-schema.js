@@ -0,0 +1,145 @@
+/**
+ * JSON Schema Utility
+ * Validates JSON values against record type schemas (draft 2020-12, via Ajv) and reports field-level errors
+ *
+ * Ajv runs in strict mode, so a schema with unknown keywords is rejected rather than silently
+ * validating less than it says. Patterns are checked for nested quantifiers before they are
+ * compiled: schemas are written by admins, but data_json comes from any user, and a pattern
+ * with exponential backtracking would let one request stall the event loop.
+ */
+
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const safeRegex = require('safe-regex2');
+
+const FORMATS = ['date', 'date-time', 'email', 'uri', 'uuid'];
+
+// Compiled validators kept, by serialized schema
+const MAX_COMPILED = 100;
+
+/**
+ * RegExp engine for Ajv that refuses patterns with a star height above 1 (e.g. "(a+)+")
+ * @param {string} pattern - Schema pattern
+ * @param {string} flags - RegExp flags
+ * @returns {RegExp} Compiled pattern
+ */
+const safeRegExp = (pattern, flags) => {
+    if (!safeRegex(pattern)) {
+        throw new Error(`pattern "${pattern}" has nested quantifiers and may take exponential time`);
+    }
+    return new RegExp(pattern, flags);
+};
+safeRegExp.code = 'safeRegExp';
+
+const ajv = new Ajv2020({
+    allErrors: true,
+    strict: true,
+    strictTypes: false,
+    strictTuples: false,
+    strictRequired: false,
+    unicodeRegExp: true,
+    multipleOfPrecision: 12,
+    code: { regExp: safeRegExp }
+});
+addFormats(ajv, FORMATS);
+
+const compiled = new Map();
+
+/**
+ * Convert an Ajv instance path (JSON Pointer) to the dotted form used in API errors
+ * @param {string} pointer - e.g. "/items/0/name"
+ * @returns {string} e.g. "items[0].name"
+ */
+const toPath = (pointer) => {
+    return pointer
+        .split('/')
+        .slice(1)
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((path, segment) => {
+            if (/^\d+$/.test(segment)) {
+                return `${path}[${segment}]`;
+            }
+            return path ? `${path}.${segment}` : segment;
+        }, '');
+};
+
+const joinPath = (basePath, key) => {
+    return basePath ? `${basePath}.${key}` : key;
+};
+
+/**
+ * Compile a schema, reusing an earlier compilation of the same schema
+ * Ajv caches by schema object; rows loaded from the database are new objects each time,
+ * so they are cached here by content instead and dropped from Ajv's own cache.
+ * @param {Object|boolean} schema - JSON Schema
+ * @returns {Function} Ajv validate function
+ */
+const compile = (schema) => {
+    const key = JSON.stringify(schema);
+    let validator = compiled.get(key);
+
+    if (!validator) {
+        try {
+            validator = ajv.compile(schema);
+        } finally {
+            ajv.removeSchema(schema);
+        }
+
+        if (compiled.size >= MAX_COMPILED) {
+            compiled.delete(compiled.keys().next().value);
+        }
+        compiled.set(key, validator);
+    }
+
+    return validator;
+};
+
+/**
+ * Check that a schema is a valid draft 2020-12 schema that compiles
+ * @param {Object} schema - JSON Schema
+ * @returns {Array} [{ path, message }] - empty if the schema is usable
+ */
+const checkSchema = (schema) => {
+    if (!ajv.validateSchema(schema)) {
+        return ajv.errors.map(error => ({ path: toPath(error.instancePath) || '$', message: error.message }));
+    }
+
+    try {
+        compile(schema);
+    } catch (error) {
+        return [{ path: '$', message: error.message.replace(/^strict mode: /, '') }];
+    }
+
+    return [];
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object|boolean} schema - Schema that passed checkSchema
+ * @param {*} value - Value to validate
+ * @returns {Array} [{ path, message }] - empty if the value is valid
+ */
+const validate = (schema, value) => {
+    const validator = compile(schema);
+
+    if (validator(value)) {
+        return [];
+    }
+
+    return validator.errors.map(error => {
+        const path = toPath(error.instancePath);
+
+        if (error.keyword === 'required') {
+            return { path: joinPath(path, error.params.missingProperty), message: 'is required' };
+        }
+        if (error.keyword === 'additionalProperties') {
+            return { path: joinPath(path, error.params.additionalProperty), message: 'is not an allowed property' };
+        }
+        return { path: path || '$', message: error.message };
+    });
+};
+
+module.exports = {
+    checkSchema,
+    validate
+};
@@ -0,0 +1,119 @@
+/**
+ * Merkle Tree Utility
+ * Builds Merkle trees over record hashes and creates/verifies inclusion proofs
+ *
+ * Leaves and inner nodes are hashed with different prefixes (0x00 / 0x01,
+ * as in RFC 6962) so an inner node can never be passed off as a leaf.
+ * An odd node at the end of a level is promoted to the next level unchanged.
+ */
+
+const crypto = require('crypto');
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+const toBuffer = (hex) => Buffer.from(hex.replace(/^0x/, ''), 'hex');
+
+const sha256 = (...buffers) => {
+    return `0x${crypto.createHash('sha256').update(Buffer.concat(buffers)).digest('hex')}`;
+};
+
+/**
+ * Hash a record hash into a Merkle leaf
+ * @param {string} recordHash - Record hash (hex, with 0x prefix)
+ * @returns {string} Leaf hash
+ */
+const hashLeaf = (recordHash) => sha256(LEAF_PREFIX, toBuffer(recordHash));
+
+/**
+ * Hash two child nodes into their parent
+ * @param {string} left - Left child hash
+ * @param {string} right - Right child hash
+ * @returns {string} Parent hash
+ */
+const hashNode = (left, right) => sha256(NODE_PREFIX, toBuffer(left), toBuffer(right));
+
+/**
+ * Build a Merkle tree from record hashes
+ * @param {string[]} recordHashes - Record hashes, in leaf order
+ * @returns {Object} { root, levels } where levels[0] are the leaves
+ */
+const buildMerkleTree = (recordHashes) => {
+    if (!recordHashes || recordHashes.length === 0) {
+        throw new Error('Cannot build a Merkle tree without leaves');
+    }
+
+    const levels = [recordHashes.map(hashLeaf)];
+
+    while (levels[levels.length - 1].length > 1) {
+        const current = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < current.length; i += 2) {
+            next.push(i + 1 < current.length ? hashNode(current[i], current[i + 1]) : current[i]);
+        }
+        levels.push(next);
+    }
+
+    return {
+        root: levels[levels.length - 1][0],
+        levels
+    };
+};
+
+/**
+ * Get the inclusion proof of a leaf
+ * @param {Object} tree - Tree returned by buildMerkleTree
+ * @param {number} leafIndex - Index of the leaf
+ * @returns {Array} Proof path: [{ position: 'left'|'right', hash }], leaf to root
+ */
+const getProof = (tree, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+
+    for (let level = 0; level < tree.levels.length - 1; level++) {
+        const nodes = tree.levels[level];
+        const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+
+        if (siblingIndex < nodes.length) {
+            proof.push({
+                position: siblingIndex < index ? 'left' : 'right',
+                hash: nodes[siblingIndex]
+            });
+        }
+
+        index = Math.floor(index / 2);
+    }
+
+    return proof;
+};
+
+/**
+ * Compute the root implied by a record hash and its proof path
+ * @param {string} recordHash - Record hash (hex, with 0x prefix)
+ * @param {Array} proof - Proof path from getProof
+ * @returns {string} Computed Merkle root
+ */
+const computeRoot = (recordHash, proof) => {
+    return proof.reduce((node, step) => {
+        return step.position === 'left' ? hashNode(step.hash, node) : hashNode(node, step.hash);
+    }, hashLeaf(recordHash));
+};
+
+/**
+ * Verify that a record hash is included under a Merkle root
+ * @param {string} recordHash - Record hash (hex, with 0x prefix)
+ * @param {Array} proof - Proof path from getProof
+ * @param {string} root - Anchored Merkle root
+ * @returns {boolean} True if the proof is valid
+ */
+const verifyProof = (recordHash, proof, root) => {
+    return computeRoot(recordHash, proof) === root;
+};
+
+module.exports = {
+    hashLeaf,
+    buildMerkleTree,
+    getProof,
+    computeRoot,
+    verifyProof
+};
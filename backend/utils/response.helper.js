@@ -38,7 +38,22 @@ const errorResponse = (res, message = 'Internal Server Error', statusCode = 500,
     return res.status(statusCode).json(response);
 };
 
+/**
+ * Send validation error response (400) with field-level errors
+ * @param {Object} res - Express response object
+ * @param {string} message - Error message
+ * @param {Array} errors - Field errors: [{ field, message }]
+ */
+const validationErrorResponse = (res, message = 'Validation failed', errors = []) => {
+    return res.status(400).json({
+        success: false,
+        message,
+        errors
+    });
+};
+
 module.exports = {
     successResponse,
-    errorResponse
+    errorResponse,
+    validationErrorResponse
 };
@@ -0,0 +1,72 @@
+/**
+ * Signature Utility
+ * Ed25519 signing and verification of JSON payloads over their canonical form
+ */
+
+const crypto = require('crypto');
+const { CANONICALIZATION_JCS, CANONICALIZATION_LEGACY, canonicalizeJSON } = require('./hash');
+
+// Canonical form proof bundles are signed over, by bundleVersion. The version is part of the
+// signed payload, unlike signature.canonicalization, so verifiers take the form from here.
+const BUNDLE_SIGNATURE_CANONICALIZATION = {
+    1: CANONICALIZATION_LEGACY,
+    2: CANONICALIZATION_JCS
+};
+
+/**
+ * Bytes that are signed for a payload
+ * The payload is round-tripped through JSON first so the signed form is
+ * exactly what a receiver of the serialized payload sees (no undefined values).
+ * @param {Object} payload - Payload to sign
+ * @param {string} canonicalization - Canonicalization version of the signed form
+ */
+const toSigningInput = (payload, canonicalization) => {
+    return Buffer.from(canonicalizeJSON(JSON.parse(JSON.stringify(payload)), canonicalization));
+};
+
+/**
+ * Derive a short, stable identifier for a public key
+ * @param {crypto.KeyObject|string} publicKey - Public key object or PEM
+ * @returns {string} Key ID (first 16 hex chars of SHA-256 over the DER encoding)
+ */
+const getKeyId = (publicKey) => {
+    const keyObject = typeof publicKey === 'string' ? crypto.createPublicKey(publicKey) : publicKey;
+    const der = keyObject.export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex').substring(0, 16);
+};
+
+/**
+ * Sign a JSON payload
+ * @param {crypto.KeyObject|string} privateKey - Ed25519 private key object or PEM
+ * @param {Object} payload - Payload to sign
+ * @param {string} [canonicalization='jcs'] - Canonicalization version of the signed form
+ * @returns {string} Base64 signature over canonicalizeJSON(payload)
+ */
+const signPayload = (privateKey, payload, canonicalization = CANONICALIZATION_JCS) => {
+    const data = toSigningInput(payload, canonicalization);
+    return crypto.sign(null, data, privateKey).toString('base64');
+};
+
+/**
+ * Verify a JSON payload signature
+ * @param {crypto.KeyObject|string} publicKey - Ed25519 public key object or PEM
+ * @param {Object} payload - Signed payload
+ * @param {string} signature - Base64 signature
+ * @param {string} [canonicalization='jcs'] - Canonicalization version of the signed form
+ * @returns {boolean} True if the signature is valid
+ */
+const verifyPayload = (publicKey, payload, signature, canonicalization = CANONICALIZATION_JCS) => {
+    try {
+        const data = toSigningInput(payload, canonicalization);
+        return crypto.verify(null, data, publicKey, Buffer.from(signature, 'base64'));
+    } catch {
+        return false;
+    }
+};
+
+module.exports = {
+    BUNDLE_SIGNATURE_CANONICALIZATION,
+    getKeyId,
+    signPayload,
+    verifyPayload
+};
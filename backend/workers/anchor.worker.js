@@ -0,0 +1,59 @@
+/**
+ * Anchor Worker
+ * Periodically drains the anchoring outbox so records whose blockchain
+ * call failed (or was deferred) are eventually anchored
+ */
+
+const anchorConfig = require('../config/anchor.config');
+const anchorService = require('../services/anchor.service');
+const logger = require('../utils/logger');
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one polling cycle and schedule the next
+ */
+const tick = async () => {
+    try {
+        const processed = await anchorService.processDue();
+        if (processed > 0) {
+            logger.info(`[ANCHOR WORKER] Processed ${processed} outbox entr${processed === 1 ? 'y' : 'ies'}`);
+        }
+    } catch (error) {
+        logger.error('[ANCHOR WORKER] Polling cycle failed:', error);
+    }
+
+    if (running) {
+        timer = setTimeout(tick, anchorConfig.pollIntervalMs);
+    }
+};
+
+/**
+ * Start polling the outbox
+ */
+const start = () => {
+    if (running) {
+        return;
+    }
+    running = true;
+    logger.info(`[ANCHOR WORKER] Started (interval ${anchorConfig.pollIntervalMs}ms)`);
+    timer = setTimeout(tick, anchorConfig.pollIntervalMs);
+};
+
+/**
+ * Stop polling the outbox
+ */
+const stop = () => {
+    running = false;
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+    logger.info('[ANCHOR WORKER] Stopped');
+};
+
+module.exports = {
+    start,
+    stop
+};
@@ -0,0 +1,51 @@
+/**
+ * Audit Worker
+ * Starts a full-database integrity audit on a fixed schedule
+ */
+
+const auditConfig = require('../config/audit.config');
+const auditService = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+let timer = null;
+
+/**
+ * Start one scheduled audit run
+ */
+const tick = async () => {
+    try {
+        const run = await auditService.start('scheduled');
+        if (!run) {
+            logger.warn('[AUDIT WORKER] Previous audit still running, skipping this cycle');
+        }
+    } catch (error) {
+        logger.error('[AUDIT WORKER] Failed to start scheduled audit:', error);
+    }
+};
+
+/**
+ * Start the audit schedule
+ */
+const start = () => {
+    if (timer) {
+        return;
+    }
+    timer = setInterval(tick, auditConfig.intervalMs);
+    logger.info(`[AUDIT WORKER] Started (every ${auditConfig.intervalMs / 3600000}h)`);
+};
+
+/**
+ * Stop the audit schedule
+ */
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    logger.info('[AUDIT WORKER] Stopped');
+};
+
+module.exports = {
+    start,
+    stop
+};